@@ -18,7 +18,7 @@ import { rateLimiter, LoadingSpinner } from './utils.js';
 import { Keypair, Connection, LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
 import bs58 from 'bs58';
 import cliProgress from 'cli-progress';
-import { pumpfunCrossMarketQuery, pumpTradesQuery, monitoringMoreQuery, graduatedQuery, fallbackQuery, tokensMin500TxQuery, trendingGainersQuery } from './queries.js';
+import { pumpfunCrossMarketQuery, pumpTradesQuery, monitoringMoreQuery, graduatedQuery, fallbackQuery, tokensMin500TxQuery, buildTrendingGainersQuery, SUBSCRIPTION_MODES } from './queries.js';
 // Jupiter analysis functions moved to modules/ai-enhanced-analyzer.js
 import { aiEnhancedAnalyzer } from './modules/ai-enhanced-analyzer.js';
 import { autoTrading } from './modules/auto-trading.js';
@@ -31,7 +31,6 @@ import {
   getTokenBalance, 
   getSolBalance, 
   validateSwap, 
-  getSwapHistory,
   getTokenMetadata,
   getAllTokenBalances,
   getTokenInfo,
@@ -45,10 +44,11 @@ import {
   getQuickTokenDisplay,
   getEnhancedTokenInfo,
   clearTokenBalanceCache,
-  getRpcEndpoint,
   performLiteSwap
 } from './modules/jupiter-swap.js';
-import { SettingsManager } from './modules/settings-manager.js';
+import { settingsManager } from './modules/settings-manager.js';
+import { validateSetting } from './modules/settings-schema.js';
+import { keystore } from './modules/keystore.js';
 import { 
   optimizedRateLimiter, 
   CacheManager, 
@@ -59,7 +59,25 @@ import {
   performanceConfig 
 } from './utils.js';
 import { trendingOptimizer } from './modules/performance-optimizer.js';
+import { trendingScanner } from './modules/trending-scanner.js';
+import { graduationTracker } from './modules/graduation-tracker.js';
+import { liveTradeFeed } from './modules/bitquery-subscription.js';
+import { eventBus } from './modules/event-bus.js';
 import { connectionManager } from './modules/connection-manager.js';
+import { bitqueryRecorder } from './modules/bitquery-recorder.js';
+import { priceAlerts, ALERT_CONDITIONS } from './modules/price-alerts.js';
+import { notifier } from './modules/notifications.js';
+import { swapHistory } from './modules/swap-history.js';
+import { rpcPool } from './modules/rpc-pool.js';
+import { orderEngine } from './modules/order-engine.js';
+import { copyTrader } from './modules/copy-trading.js';
+import { strategyManager } from './modules/strategy-manager.js';
+import { ohlcvStore, CHART_WAIT_MS } from './modules/ohlcv.js';
+import { rugChecker } from './modules/rug-checks.js';
+import { sellabilityAnalyzer } from './modules/sellability.js';
+import { exitPlans } from './modules/exit-plans.js';
+import { multiWalletExecutor } from './modules/multi-wallet-executor.js';
+import { bundleRunner, loadBundleFile, isLegacyBundle, BundleError } from './modules/bundles.js';
 import { OptimizedAppState } from './state.js';
 
 // Initialize optimized components
@@ -67,9 +85,6 @@ const performanceMonitor = new PerformanceMonitor();
 const cacheManager = new CacheManager();
 const optimizedDisplay = new OptimizedDisplay();
 
-// Initialize settings manager
-const settingsManager = new SettingsManager();
-
 // Replace state initialization
 let appState = new OptimizedAppState();
 
@@ -285,6 +300,17 @@ const modeDescriptions = {
       '• Multi-source price verification'
     ]
   },
+  graduation: {
+    title: `${colors.purple}🎓 Graduation Tracker${colors.reset}`,
+    description: [
+      'Tracks pump.fun bonding curve progress and estimates time to graduation.',
+      'Features:',
+      '• Samples progress per mint on every poll',
+      '• ETA from the rate of change over the last 10 minutes',
+      '• Events at 80%, 95% and graduation',
+      '• Candidates sorted by ETA'
+    ]
+  },
   min500tx: {
     title: `${colors.green}Min 500 TX (Buy/Sell)${colors.reset}`,
     description: [
@@ -315,6 +341,11 @@ async function showInitialQueryMenu() {
       value: 'graduated',
       short: 'Graduated'
     },
+    {
+      name: `${colors.purple}🎓 Graduation Tracker${colors.reset} - Bonding curves sorted by estimated time to graduation`,
+      value: 'graduation',
+      short: 'Graduation Tracker'
+    },
     {
       name: `${colors.blue}Dexscreener Boosted${colors.reset} - Monitor boosted tokens from Dexscreener`,
       value: 'dexscreenerBoosted',
@@ -326,7 +357,7 @@ async function showInitialQueryMenu() {
       short: 'Min 500 TX'
     },
     {
-      name: `${colors.magenta}🔥 Trending & Gainers (5m)${colors.reset} - Monitor trending tokens in last 5 minutes`,
+      name: `${colors.magenta}🔥 Trending & Gainers${colors.reset} - Tokens ranked by volume acceleration, buyers, buy/sell ratio and price change`,
       value: 'trending',
       short: 'Trending & Gainers'
     }
@@ -353,8 +384,7 @@ async function showInitialQueryMenu() {
   ]);
 
   // Save the selected mode
-  settings.lastSelectedMode = queryType;
-  saveSettings();
+  settingsManager.set('lastSelectedMode', queryType, true);
 
   return queryType;
 }
@@ -367,6 +397,7 @@ const MODE_DESCRIPTIONS = {
   pump: 'Monitor for potential pump signals and early entry opportunities',
   pumpfunCrossMarket: 'Cross-market asymmetry scanner for Pumpfun',
   graduated: 'Monitor DEX pools with bonding curves',
+  graduation: 'Bonding curves sorted by estimated time to graduation',
   dexscreenerBoosted: 'Monitor boosted tokens from Dexscreener',
   min500tx: 'Tokens with at least 500 transactions in last 60 minutes',
   trending: 'Monitor trending and gaining tokens in last 5 minutes with Jupiter API integration'
@@ -409,10 +440,10 @@ export function displayTrendingToken(index, trendingData) {
   display += `${colors.cyan}📊 Trending Token ${index + 1}/${trendingData.length}${colors.reset}\n`;
   display += `${colors.white}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}\n`;
   
-  // Token name and momentum
-  const momentumColor = m.momentum >= 0 ? colors.green : colors.red;
-  const momentumSymbol = m.momentum >= 0 ? '🚀' : '📉';
-  display += `${colors.yellow}${t.token.Symbol}${colors.reset} ${momentumColor}${momentumSymbol} ${m.momentum.toFixed(2)}%${colors.reset}\n`;
+  // Token name and trending score
+  const scoreColor = m.score >= 0 ? colors.green : colors.red;
+  const scoreSymbol = m.score >= 0 ? '🚀' : '📉';
+  display += `${colors.yellow}${t.token.Symbol}${colors.reset} ${scoreColor}${scoreSymbol} Score ${m.score.toFixed(1)}${colors.reset}\n`;
   
   // Token address
   display += `${colors.blue}📍 Address: ${t.token.MintAddress}${colors.reset}\n`;
@@ -425,7 +456,10 @@ export function displayTrendingToken(index, trendingData) {
   // Volume metrics
   const volumeChangeColor = m.volumeChange >= 0 ? colors.green : colors.red;
   const volumeChangeSymbol = m.volumeChange >= 0 ? '↗' : '↘';
-  display += `📊 Volume (5m): $${m.recentVolume.toLocaleString()} ${volumeChangeColor}${volumeChangeSymbol} ${m.volumeChange.toFixed(2)}%${colors.reset}\n`;
+  display += `📊 Volume (${m.windowMinutes}m): $${m.recentVolume.toLocaleString()} ${volumeChangeColor}${volumeChangeSymbol} ${m.volumeChange.toFixed(2)}%${colors.reset}\n`;
+  
+  // Buyers and buy/sell balance
+  display += `👥 Unique buyers: ${m.uniqueBuyers} | ⚖️ Buys/Sells: ${m.buyCount}/${m.sellCount} (${m.buySellRatio.toFixed(2)})\n`;
   
   // Trade frequency
   const freqChangeColor = m.freqChange >= 0 ? colors.green : colors.red;
@@ -657,16 +691,24 @@ async function verifyToken(token, trade) {
 
   // Check for honeypot indicators
   const honeypotRisk = await checkHoneypotRisk(token.MintAddress);
+  warnings.push(...honeypotRisk.warnings);
   if (honeypotRisk.isRisky) {
-    warnings.push(...honeypotRisk.warnings);
     score -= 30;
   }
 
+  // The score can't be better than the on-chain rug checks allow
+  const { rugCheck } = honeypotRisk;
+  if (rugCheck) {
+    score = Math.min(score, 100 - rugCheck.score);
+  }
+  score = Math.max(0, score);
+
   return {
     isVerified: score > 60,
     score,
     warnings,
-    riskLevel: getRiskLevel(100 - score)
+    riskLevel: getRiskLevel(100 - score),
+    rugCheck
   };
 }
 
@@ -1757,11 +1799,15 @@ function evaluateJupiterSafety(analysis) {
 
 async function checkHoneypotRisk(mintAddress) {
   try {
-    // Get token info from Birdeye
-    const tokenInfo = await fetchTokenInfo(mintAddress);
+    // Birdeye taxes are mostly empty for pump.fun tokens; the on-chain rug
+    // checks (authorities, holders, creator, LP) carry the rest
+    const [tokenInfo, rugCheck] = await Promise.all([
+      fetchTokenInfo(mintAddress),
+      rugChecker.check(mintAddress)
+    ]);
     
-    const warnings = [];
-    let isRisky = false;
+    const warnings = [...rugCheck.warnings];
+    let isRisky = rugCheck.score > settings.maxRugRiskScore;
 
     if (tokenInfo) {
       // Check sell tax
@@ -1775,18 +1821,12 @@ async function checkHoneypotRisk(mintAddress) {
         warnings.push(`⚠️ High buy tax: ${tokenInfo.buyTax}%`);
         isRisky = true;
       }
-
-      // Check liquidity locks
-      if (!tokenInfo.liquidityLocked) {
-        warnings.push('⚠️ Liquidity not locked');
-        isRisky = true;
-      }
     }
     
-    return { isRisky, warnings };
+    return { isRisky, warnings, rugCheck };
   } catch (error) {
     console.error('Error checking honeypot risk:', error);
-    return { isRisky: false, warnings: ['⚠️ Could not verify honeypot status'] };
+    return { isRisky: false, warnings: ['⚠️ Could not verify honeypot status'], rugCheck: null };
   }
 }
 
@@ -1863,29 +1903,14 @@ function formatTimeDiff(diff) {
   return `${hours}h ago`;
 }
 
-// Update price history tracking to remove market stats
-const priceHistory = {
-  maxPoints: 30,
-  prices: [],
-  times: [],
-  addPrice(price, time) {
-    this.prices.push(price);
-    this.times.push(time);
-    
-    if (this.prices.length > this.maxPoints) {
-      this.prices.shift();
-      this.times.shift();
-    }
-  },
-  clear() {
-    this.prices = [];
-    this.times = [];
-  }
-};
-
 // Enhanced drawPriceChart function with modern stylish visuals
-function drawPriceChart() {
+// Plots candle closes from the OHLCV store, oldest first
+function drawPriceChart(candles) {
   const height = 12;
+  const priceHistory = {
+    prices: candles.map(candle => candle.close),
+    times: candles.map(candle => candle.time)
+  };
   const width = priceHistory.prices.length;
   if (width < 2) return '';
 
@@ -2070,7 +2095,7 @@ const connectionStatus = {
   
   async checkBitqueryConnection() {
     try {
-      const response = await fetch('https://streaming.bitquery.io/eap', {
+      const response = await bitqueryRecorder.fetch('https://streaming.bitquery.io/eap', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -2205,115 +2230,15 @@ const connectionStatus = {
   }
 };
 
-// Price Alerts System
-const priceAlerts = {
-  alerts: new Map(),
-  checkInterval: null,
-  
-  addAlert(tokenAddress, targetPrice, condition, description = '') {
-    const alertId = `${tokenAddress}_${Date.now()}`;
-    this.alerts.set(alertId, {
-      tokenAddress,
-      targetPrice: parseFloat(targetPrice),
-      condition, // 'above' or 'below'
-      description,
-      createdAt: new Date(),
-      triggered: false
-    });
-    return alertId;
-  },
-  
-  removeAlert(alertId) {
-    return this.alerts.delete(alertId);
-  },
-  
-  getAlerts() {
-    return Array.from(this.alerts.entries()).map(([id, alert]) => ({
-      id,
-      ...alert
-    }));
-  },
-  
-  async checkAlerts(currentPrice, tokenAddress) {
-    for (const [alertId, alert] of this.alerts) {
-      if (alert.tokenAddress === tokenAddress && !alert.triggered) {
-        let shouldTrigger = false;
-        
-        if (alert.condition === 'above' && currentPrice >= alert.targetPrice) {
-          shouldTrigger = true;
-        } else if (alert.condition === 'below' && currentPrice <= alert.targetPrice) {
-          shouldTrigger = true;
-        }
-        
-        if (shouldTrigger) {
-          alert.triggered = true;
-          this.triggerAlert(alert, currentPrice);
-        }
-      }
-    }
-  },
-  
-  triggerAlert(alert, currentPrice) {
-    const message = `🚨 PRICE ALERT! ${alert.description}\n` +
-                   `Token: ${alert.tokenAddress}\n` +
-                   `Target: $${alert.targetPrice}\n` +
-                   `Current: $${currentPrice}\n` +
-                   `Condition: ${alert.condition}`;
-    
-    console.log(`\n${colors.red.bold(message)}${colors.reset}\n`);
-    
-    // Play alert sound (if available)
-    try {
-      process.stdout.write('\x07'); // Bell character
-    } catch (e) {
-      // Ignore if sound not supported
-    }
-  }
-};
-
-// Make priceAlerts globally accessible
-global.priceAlerts = priceAlerts;
+// Check alerts against prices published by the trade viewer
+priceAlerts.listen();
 
 // SETTINGS MANAGEMENT
-const settingsDir = path.join(__dirname, 'settings');
-if (!fs.existsSync(settingsDir)) {
-  fs.mkdirSync(settingsDir);
-}
-const settingsFile = path.join(settingsDir, 'settings.json');
-let settings = {
-  birdeyeApiKey: BIRDEYE_API_KEY,
-  chartMaxPoints: 30,
-  coloredOutput: true,
-  activeWallet: null,
-  lastSelectedMode: 'pump', // Remember last selected monitoring mode
-  bitqueryApiKey: 'ory_at_nutg85LqbmrfaWPH0ORrOrn3iFnoKkJTyGwaIxTlmck.C1NmThaMwOn4yRyTrzgIspyU_BfVfKxMrit8GPMCohA',
-  // RPC Settings for Buy/Sell
-  customRpcEndpoint: 'https://api.mainnet-beta.solana.com',
-  enableCustomRpc: false,
-          priorityFee: 1000, // Reduced from 5000 to 1000 micro-lamports
-        slippageLimit: 0.5,
-        tipAmount: 0.0001, // Reduced from 0.001 to 0.0001 SOL
-        enableUltraV2: true // Enable Jupiter Ultra V2 by default
-};
+// `settings` is the live object owned by the shared settings manager, so
+// changes made here are seen by jupiter-swap, quick-trading and the rest.
+const settings = settingsManager.settings;
 function loadSettings() {
-  if (fs.existsSync(settingsFile)) {
-    try {
-      const data = fs.readFileSync(settingsFile, 'utf-8');
-      settings = { ...settings, ...JSON.parse(data) };
-    } catch (e) {
-      console.error('Failed to load settings:', e.message);
-    }
-  }
-}
-
-// Load settings immediately after function definition
-loadSettings();
-function saveSettings() {
-  try {
-    fs.writeFileSync(settingsFile, JSON.stringify(settings, null, 2));
-  } catch (e) {
-    console.error('Failed to save settings:', e.message);
-  }
+  return settingsManager.loadSettings();
 }
 
 // Add this function to start the server
@@ -2356,7 +2281,9 @@ async function showSettingsMenu() {
           { name: 'Toggle Colored Output', value: 'color' },
           { name: '🌐 RPC Settings for Buy/Sell', value: 'rpcSettings' },
           { name: '⚙️ Advanced Swap Settings', value: 'advancedSwapSettings' },
-          { name: '📡 System Status', value: 'systemStatus' }
+          { name: '📡 System Status', value: 'systemStatus' },
+          { name: '🎬 Record / Replay BitQuery Sessions', value: 'sessions' },
+          { name: '🔔 Notification Channels', value: 'notifications' }
         ])
       }
     ]);
@@ -2365,33 +2292,33 @@ async function showSettingsMenu() {
         const { apiKey } = await inquirer.prompt([
           { type: 'input', name: 'apiKey', message: 'Enter new Birdeye API Key:', default: settings.birdeyeApiKey }
         ]);
-        settings.birdeyeApiKey = apiKey;
-        saveSettings();
-        console.log(chalk.green('Birdeye API Key updated.'));
+        if (settingsManager.set('birdeyeApiKey', apiKey, true)) {
+          console.log(chalk.green('Birdeye API Key updated.'));
+        }
         break;
       }
       case 'bitquery': {
         const { bitqueryApiKey } = await inquirer.prompt([
           { type: 'input', name: 'bitqueryApiKey', message: 'Enter new Bitquery API Key:', default: settings.bitqueryApiKey }
         ]);
-        settings.bitqueryApiKey = bitqueryApiKey;
-        saveSettings();
-        console.log(chalk.green('Bitquery API Key updated.'));
+        if (settingsManager.set('bitqueryApiKey', bitqueryApiKey, true)) {
+          console.log(chalk.green('Bitquery API Key updated.'));
+        }
         break;
       }
       case 'chartMax': {
         const { chartMax } = await inquirer.prompt([
-          { type: 'number', name: 'chartMax', message: 'Max points in chart:', default: settings.chartMaxPoints, validate: v => v > 0 }
+          { type: 'number', name: 'chartMax', message: 'Max points in chart:', default: settings.chartMaxPoints, validate: v => validateSetting('chartMaxPoints', v) || true }
         ]);
-        settings.chartMaxPoints = chartMax;
-        saveSettings();
-        console.log(chalk.green('Chart max points updated.'));
+        if (settingsManager.set('chartMaxPoints', chartMax, true)) {
+          console.log(chalk.green('Chart max points updated.'));
+        }
         break;
       }
       case 'color': {
-        settings.coloredOutput = !settings.coloredOutput;
-        saveSettings();
-        console.log(chalk.green(`Colored output ${settings.coloredOutput ? 'enabled' : 'disabled'}.`));
+        if (settingsManager.set('coloredOutput', !settings.coloredOutput, true)) {
+          console.log(chalk.green(`Colored output ${settings.coloredOutput ? 'enabled' : 'disabled'}.`));
+        }
         break;
       }
       case 'rpcSettings': {
@@ -2406,6 +2333,14 @@ async function showSettingsMenu() {
         await showAdvancedSwapSettingsMenu();
         break;
       }
+      case 'sessions': {
+        await showSessionRecordingMenu();
+        break;
+      }
+      case 'notifications': {
+        await notifier.showNotificationsMenu();
+        break;
+      }
       case 'back':
         exit = true;
         break;
@@ -2417,6 +2352,60 @@ async function showSettingsMenu() {
   }
 }
 
+// Record / replay BitQuery responses for offline sessions
+async function showSessionRecordingMenu() {
+  const mode = bitqueryRecorder.isRecording() ? 'recording' : bitqueryRecorder.isReplaying() ? 'replaying' : 'live';
+  console.log(`${colors.cyan}🎬 BitQuery Sessions${colors.reset} ${colors.dim}(currently ${mode})${colors.reset}`);
+
+  const sessions = bitqueryRecorder.listSessions();
+  const { action } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'action',
+      message: 'Select action:',
+      choices: addBackOption([
+        { name: '⏺️ Start Recording', value: 'record' },
+        { name: '⏯️ Replay a Session', value: 'replay', disabled: sessions.length === 0 ? 'No sessions recorded' : false },
+        { name: '⏹️ Back to Live Data', value: 'stop', disabled: mode === 'live' ? 'Already live' : false }
+      ], 'Back')
+    }
+  ]);
+
+  try {
+    if (action === 'record') {
+      const { name } = await inquirer.prompt([
+        { type: 'input', name: 'name', message: 'Session name (blank for timestamp):' }
+      ]);
+      bitqueryRecorder.startRecording(name.trim() || undefined);
+    } else if (action === 'replay') {
+      const { session, speed } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'session',
+          message: 'Session to replay:',
+          choices: sessions.map(entry => ({ name: `${entry.name} (${new Date(entry.modified).toLocaleString()})`, value: entry.path }))
+        },
+        {
+          type: 'list',
+          name: 'speed',
+          message: 'Replay speed:',
+          choices: [
+            { name: 'Real time (1x)', value: 1 },
+            { name: 'Fast (10x)', value: 10 },
+            { name: 'Instant', value: 0 }
+          ]
+        }
+      ]);
+      bitqueryRecorder.startReplay(session, { speed });
+    } else if (action === 'stop') {
+      bitqueryRecorder.stop();
+      console.log(chalk.green('Using live BitQuery data.'));
+    }
+  } catch (error) {
+    console.log(chalk.red(error.message));
+  }
+}
+
 // Advanced Swap Settings Menu
 async function showAdvancedSwapSettingsMenu() {
   console.log(`${colors.cyan}⚙️ Advanced Swap Settings${colors.reset}`);
@@ -2453,9 +2442,9 @@ async function showAdvancedSwapSettingsMenu() {
             default: settings.enableUltraV2 !== false
           }
         ]);
-        settings.enableUltraV2 = enableUltraV2;
-        saveSettings();
-        console.log(chalk.green(`Jupiter Ultra V2 ${enableUltraV2 ? 'enabled' : 'disabled'}.`));
+        if (settingsManager.set('enableUltraV2', enableUltraV2, true)) {
+          console.log(chalk.green(`Jupiter Ultra V2 ${enableUltraV2 ? 'enabled' : 'disabled'}.`));
+        }
         break;
       }
       
@@ -2468,9 +2457,9 @@ async function showAdvancedSwapSettingsMenu() {
             default: settings.enableLiteApi !== false
           }
         ]);
-        settings.enableLiteApi = enableLiteApi;
-        saveSettings();
-        console.log(chalk.green(`Jupiter Lite API ${enableLiteApi ? 'enabled' : 'disabled'}.`));
+        if (settingsManager.set('enableLiteApi', enableLiteApi, true)) {
+          console.log(chalk.green(`Jupiter Lite API ${enableLiteApi ? 'enabled' : 'disabled'}.`));
+        }
         break;
       }
       
@@ -2489,9 +2478,9 @@ async function showAdvancedSwapSettingsMenu() {
             default: settings.priorityLevel || 'high'
           }
         ]);
-        settings.priorityLevel = priorityLevel;
-        saveSettings();
-        console.log(chalk.green(`Priority level set to ${priorityLevel}.`));
+        if (settingsManager.set('priorityLevel', priorityLevel, true)) {
+          console.log(chalk.green(`Priority level set to ${priorityLevel}.`));
+        }
         break;
       }
       
@@ -2509,9 +2498,9 @@ async function showAdvancedSwapSettingsMenu() {
             }
           }
         ]);
-        settings.slippageLimit = parseFloat(defaultSlippage);
-        saveSettings();
-        console.log(chalk.green(`Default slippage set to ${defaultSlippage}%.`));
+        if (settingsManager.set('slippageLimit', parseFloat(defaultSlippage), true)) {
+          console.log(chalk.green(`Default slippage set to ${defaultSlippage}%.`));
+        }
         break;
       }
       
@@ -2529,9 +2518,9 @@ async function showAdvancedSwapSettingsMenu() {
             }
           }
         ]);
-        settings.priorityFee = parseInt(defaultPriorityFee);
-        saveSettings();
-        console.log(chalk.green(`Default priority fee set to ${defaultPriorityFee} micro-lamports.`));
+        if (settingsManager.set('priorityFee', parseInt(defaultPriorityFee), true)) {
+          console.log(chalk.green(`Default priority fee set to ${defaultPriorityFee} micro-lamports.`));
+        }
         break;
       }
       
@@ -2549,9 +2538,9 @@ async function showAdvancedSwapSettingsMenu() {
             }
           }
         ]);
-        settings.tipAmount = parseFloat(defaultTipAmount);
-        saveSettings();
-        console.log(chalk.green(`Default tip amount set to ${defaultTipAmount} SOL.`));
+        if (settingsManager.set('tipAmount', parseFloat(defaultTipAmount), true)) {
+          console.log(chalk.green(`Default tip amount set to ${defaultTipAmount} SOL.`));
+        }
         break;
       }
       
@@ -2570,9 +2559,9 @@ async function showAdvancedSwapSettingsMenu() {
             default: settings.defaultRouter || 'auto'
           }
         ]);
-        settings.defaultRouter = defaultRouter;
-        saveSettings();
-        console.log(chalk.green(`Default router set to ${defaultRouter}.`));
+        if (settingsManager.set('defaultRouter', defaultRouter, true)) {
+          console.log(chalk.green(`Default router set to ${defaultRouter}.`));
+        }
         break;
       }
       
@@ -2591,9 +2580,9 @@ async function showAdvancedSwapSettingsMenu() {
             default: settings.broadcastMode || 'priority'
           }
         ]);
-        settings.broadcastMode = broadcastMode;
-        saveSettings();
-        console.log(chalk.green(`Default broadcast mode set to ${broadcastMode}.`));
+        if (settingsManager.set('broadcastMode', broadcastMode, true)) {
+          console.log(chalk.green(`Default broadcast mode set to ${broadcastMode}.`));
+        }
         break;
       }
       
@@ -2652,6 +2641,7 @@ async function showRpcSettingsMenu() {
         name: 'rpcSetting',
         message: '🌐 RPC Settings for Buy/Sell:',
         choices: addBackOption([
+          { name: '📚 RPC Endpoint Pool & Failover', value: 'rpcPool' },
           { name: '🔧 Custom RPC Endpoint', value: 'customRpc' },
           { name: '⚡ Priority Fee', value: 'priorityFee' },
           { name: '📊 Slippage Limit', value: 'slippage' },
@@ -2664,6 +2654,11 @@ async function showRpcSettingsMenu() {
     ]);
     
     switch (rpcSetting) {
+      case 'rpcPool': {
+        await showRpcPoolMenu();
+        break;
+      }
+
       case 'customRpc': {
         const { rpcEndpoint } = await inquirer.prompt([
           {
@@ -2679,9 +2674,9 @@ async function showRpcSettingsMenu() {
             }
           }
         ]);
-        settings.customRpcEndpoint = rpcEndpoint;
-        saveSettings();
-        console.log(chalk.green(`Custom RPC endpoint set to: ${rpcEndpoint}`));
+        if (settingsManager.set('customRpcEndpoint', rpcEndpoint, true)) {
+          console.log(chalk.green(`Custom RPC endpoint set to: ${rpcEndpoint}`));
+        }
         break;
       }
       
@@ -2701,9 +2696,9 @@ async function showRpcSettingsMenu() {
             filter: (input) => parseInt(input)
           }
         ]);
-        settings.priorityFee = priorityFee;
-        saveSettings();
-        console.log(chalk.green(`Priority fee set to ${priorityFee} micro-lamports.`));
+        if (settingsManager.set('priorityFee', priorityFee, true)) {
+          console.log(chalk.green(`Priority fee set to ${priorityFee} micro-lamports.`));
+        }
         break;
       }
       
@@ -2723,9 +2718,9 @@ async function showRpcSettingsMenu() {
             filter: (input) => parseFloat(input)
           }
         ]);
-        settings.slippageLimit = slippage;
-        saveSettings();
-        console.log(chalk.green(`Slippage limit set to ${slippage}%.`));
+        if (settingsManager.set('slippageLimit', slippage, true)) {
+          console.log(chalk.green(`Slippage limit set to ${slippage}%.`));
+        }
         break;
       }
       
@@ -2745,9 +2740,9 @@ async function showRpcSettingsMenu() {
             filter: (input) => parseFloat(input)
           }
         ]);
-        settings.tipAmount = tipAmount;
-        saveSettings();
-        console.log(chalk.green(`Tip amount set to ${tipAmount} SOL.`));
+        if (settingsManager.set('tipAmount', tipAmount, true)) {
+          console.log(chalk.green(`Tip amount set to ${tipAmount} SOL.`));
+        }
         break;
       }
       
@@ -2760,9 +2755,9 @@ async function showRpcSettingsMenu() {
             default: settings.enableUltraV2 !== false
           }
         ]);
-        settings.enableUltraV2 = enableUltraV2;
-        saveSettings();
-        console.log(chalk.green(`Jupiter Ultra V2 ${enableUltraV2 ? 'enabled' : 'disabled'}.`));
+        if (settingsManager.set('enableUltraV2', enableUltraV2, true)) {
+          console.log(chalk.green(`Jupiter Ultra V2 ${enableUltraV2 ? 'enabled' : 'disabled'}.`));
+        }
         break;
       }
       
@@ -2775,9 +2770,9 @@ async function showRpcSettingsMenu() {
             default: settings.enableCustomRpc || false
           }
         ]);
-        settings.enableCustomRpc = enableCustom;
-        saveSettings();
-        console.log(chalk.green(`Custom RPC ${enableCustom ? 'enabled' : 'disabled'} for buy/sell operations.`));
+        if (settingsManager.set('enableCustomRpc', enableCustom, true)) {
+          console.log(chalk.green(`Custom RPC ${enableCustom ? 'enabled' : 'disabled'} for buy/sell operations.`));
+        }
         break;
       }
       
@@ -2790,6 +2785,7 @@ async function showRpcSettingsMenu() {
         console.log(`${colors.cyan}Slippage Limit:${colors.reset} ${settings.slippageLimit || 0.5}%`);
         console.log(`${colors.cyan}Tip Amount:${colors.reset} ${settings.tipAmount || 0.0001} SOL`);
         console.log(`${colors.cyan}Jupiter Ultra V2:${colors.reset} ${settings.enableUltraV2 !== false ? 'Enabled' : 'Disabled'}`);
+        rpcPool.displayStatus();
         console.log(`\n${colors.yellow}Press Enter to continue...${colors.reset}`);
         await new Promise(resolve => {
           const originalRawMode = process.stdin.isRaw;
@@ -2826,6 +2822,86 @@ async function showRpcSettingsMenu() {
   }
 }
 
+// Manage the read/send RPC endpoint lists used for failover and broadcasting
+async function showRpcPoolMenu() {
+  let exit = false;
+  while (!exit) {
+    rpcPool.displayStatus();
+    const configured = [
+      ...settings.rpcEndpoints.map(url => ({ name: `📖 ${url}`, value: { key: 'rpcEndpoints', url } })),
+      ...settings.sendRpcEndpoints.map(url => ({ name: `📤 ${url}`, value: { key: 'sendRpcEndpoints', url } }))
+    ];
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: '📚 RPC Endpoint Pool:',
+        choices: addBackOption([
+          { name: '➕ Add Read Endpoint', value: 'addRead' },
+          { name: '➕ Add Send Endpoint', value: 'addSend' },
+          { name: '🗑️ Remove Endpoint', value: 'remove', disabled: configured.length === 0 ? 'No endpoints configured' : false },
+          { name: `📡 Broadcast Fan-out (${settings.broadcastFanout})`, value: 'fanout' },
+          { name: '🔍 Probe All Endpoints', value: 'probe' }
+        ], 'Back')
+      }
+    ]);
+
+    switch (action) {
+      case 'addRead':
+      case 'addSend': {
+        const key = action === 'addRead' ? 'rpcEndpoints' : 'sendRpcEndpoints';
+        const { url } = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'url',
+            message: 'RPC endpoint URL:',
+            validate: (input) => /^https?:\/\//.test(input.trim()) ? true : 'RPC endpoint must start with http:// or https://'
+          }
+        ]);
+        if (!settings[key].includes(url.trim())) {
+          settingsManager.set(key, [...settings[key], url.trim()]);
+          rpcPool.reset();
+        }
+        console.log(chalk.green(`Added ${url.trim()} to ${action === 'addRead' ? 'read' : 'send'} endpoints.`));
+        break;
+      }
+
+      case 'remove': {
+        const { target } = await inquirer.prompt([
+          { type: 'list', name: 'target', message: 'Endpoint to remove:', choices: configured }
+        ]);
+        settingsManager.set(target.key, settings[target.key].filter(url => url !== target.url));
+        rpcPool.reset();
+        console.log(chalk.green(`Removed ${target.url}.`));
+        break;
+      }
+
+      case 'fanout': {
+        const { fanout } = await inquirer.prompt([
+          {
+            type: 'number',
+            name: 'fanout',
+            message: 'Send each transaction to how many endpoints at once?',
+            default: settings.broadcastFanout,
+            validate: (input) => Number.isInteger(input) && input >= 1 && input <= 10 ? true : 'Enter a whole number from 1 to 10'
+          }
+        ]);
+        settingsManager.set('broadcastFanout', fanout);
+        break;
+      }
+
+      case 'probe':
+        await connectionManager.testAllEndpoints();
+        break;
+
+      case 'back':
+        exit = true;
+        break;
+    }
+  }
+}
+
 // AI-Enhanced Jupiter Token Analysis
 class AIJupiterAnalyzer {
   constructor() {
@@ -3458,7 +3534,6 @@ class AITokenScanner {
       console.log(`${colors.cyan}🤖 AI Token Scanner - ${scanType.toUpperCase()}${colors.reset}`);
       console.log(`${colors.yellow}Scanning for tokens with AI analysis...${colors.reset}\n`);
       
-      // Get trending tokens from Jupiter
       const trendingTokens = await this.getTrendingTokens(scanType, limit);
       
       if (!trendingTokens || trendingTokens.length === 0) {
@@ -3520,55 +3595,14 @@ class AITokenScanner {
     }
   }
 
-  // Get trending tokens from Jupiter
+  // Get trending tokens scored from live BitQuery trades
   async getTrendingTokens(scanType, limit) {
-    try {
-      // Simulate getting trending tokens from Jupiter API
-      // In real implementation, this would call Jupiter's trending API
-      const mockTokens = [
-        {
-          address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-          name: 'USD Coin',
-          symbol: 'USDC',
-          price: 1.0,
-          volume24h: 1000000,
-          marketCap: 50000000000
-        },
-        {
-          address: 'So11111111111111111111111111111111111111112',
-          name: 'Wrapped SOL',
-          symbol: 'SOL',
-          price: 100.0,
-          volume24h: 50000000,
-          marketCap: 5000000000
-        },
-        {
-          address: 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So',
-          name: 'Marinade Staked SOL',
-          symbol: 'mSOL',
-          price: 100.0,
-          volume24h: 10000000,
-          marketCap: 1000000000
-        }
-      ];
-      
-      // Add some mock trending tokens for demonstration
-      for (let i = 0; i < limit - 3; i++) {
-        mockTokens.push({
-          address: `Token${i + 1}${Math.random().toString(36).substring(7)}`,
-          name: `Trending Token ${i + 1}`,
-          symbol: `TREND${i + 1}`,
-          price: Math.random() * 0.001,
-          volume24h: Math.random() * 100000,
-          marketCap: Math.random() * 1000000
-        });
-      }
-      
-      return mockTokens.slice(0, limit);
-    } catch (error) {
-      console.error(`${colors.red}Error fetching trending tokens: ${error.message}${colors.reset}`);
-      return [];
+    const sortBy = scanType === 'volume' ? 'volume' : 'score';
+    const tokens = await trendingScanner.getTrendingTokens(limit, sortBy);
+    if (tokens.length > 0) {
+      console.log(`${colors.green}✅ ${tokens.length} tokens ranked by ${sortBy === 'volume' ? 'volume' : 'trending score'} over the last ${tokens[0].windowMinutes}m${colors.reset}\n`);
     }
+    return tokens;
   }
 
   // Calculate AI score for token
@@ -3710,6 +3744,9 @@ class AITokenScanner {
       console.log(`${index + 1}. ${colors.cyan}${token.name} (${token.symbol})${colors.reset}`);
       console.log(`   🎯 Action: ${actionColor}${recommendation.action}${colors.reset}`);
       console.log(`   📊 Score: ${scoreColor}${result.score}/100${colors.reset}`);
+      if (token.trendScore !== undefined) {
+        console.log(`   🔥 Trending: ${token.trendScore.toFixed(1)} | 👥 ${token.uniqueBuyers} buyers | ⚖️ ${token.buySellRatio.toFixed(2)} buy/sell | 📊 $${token.volume.toLocaleString(undefined, { maximumFractionDigits: 0 })} in ${token.windowMinutes}m`);
+      }
       console.log(`   💰 Price: $${(analysis.jupiterData.price || 0).toFixed(9)}`);
       console.log(`   ⚠️ Risk: ${analysis.aiAnalysis.riskAssessment.riskLevel}`);
       console.log(`   📈 Sentiment: ${analysis.aiAnalysis.sentiment.data.overall}/100`);
@@ -3786,7 +3823,7 @@ async function showQuickStats() {
   console.log(`\n${colors.cyan}⚙️ SETTINGS STATS:${colors.reset}`);
   console.log(`   🔑 API Keys: ${settings.bitqueryApiKey ? 'Configured' : 'Not configured'}`);
   console.log(`   💼 Wallets: ${listWallets().length} wallets available`);
-  console.log(`   🔔 Alerts: ${settings.alerts ? settings.alerts.length : 0} active alerts`);
+  console.log(`   🔔 Alerts: ${priceAlerts.getActiveAlerts().length} active alerts`);
   
   // Feature stats
   console.log(`\n${colors.cyan}🚀 FEATURE STATS:${colors.reset}`);
@@ -4015,6 +4052,38 @@ async function testEndpoints() {
   await waitForSpaceKey();
 }
 
+/**
+ * Ask which wallet auto trading signs with and whether it only simulates,
+ * then select that wallet
+ * @returns {Promise<boolean>} Whether dry run is on
+ */
+async function promptAutoTradingWallet() {
+  const wallets = autoTrading.walletManager.getWalletFiles();
+  const { walletName, dryRun } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'walletName',
+      message: 'Wallet for auto trading:',
+      choices: wallets,
+      default: autoTrading.walletName || settings.activeWallet,
+      when: () => wallets.length > 0
+    },
+    {
+      type: 'confirm',
+      name: 'dryRun',
+      message: 'Dry run (simulate swaps without sending)?',
+      default: autoTrading.tradingConfig.dryRun !== false
+    }
+  ]);
+
+  if (walletName) {
+    autoTrading.selectWallet(walletName);
+  } else {
+    console.log(`${colors.yellow}⚠️ No wallets found - create one before trading${colors.reset}`);
+  }
+  return dryRun;
+}
+
 // AI Tools Menu
 async function aiTradingMenu() {
   let exit = false;
@@ -4032,6 +4101,7 @@ async function aiTradingMenu() {
           { name: '⏹️ Stop AI Trading', value: 'stop_trading' },
           { name: '📊 Trading Dashboard', value: 'trading_dashboard' },
           { name: '⚙️ Configure Trading', value: 'configure_trading' },
+          { name: '🧩 Strategies', value: 'strategies' },
           { name: '📈 Performance Stats', value: 'performance_stats' },
           { name: '🎯 Trading Signals', value: 'trading_signals' },
           { name: '📋 Trading History', value: 'trading_history' },
@@ -4144,6 +4214,10 @@ async function aiTradingMenu() {
         break;
       }
       
+      case 'strategies':
+        await strategyManager.showStrategyMenu();
+        break;
+
       case 'configure_trading': {
         console.log(`${colors.cyan}⚙️ Configure AI Trading${colors.reset}`);
         console.log(`${'═'.repeat(50)}`);
@@ -4190,6 +4264,8 @@ async function aiTradingMenu() {
             }
           ]);
           
+          const dryRun = await promptAutoTradingWallet();
+          
           const config = {
             maxSlippage,
             maxTradeSize,
@@ -4197,8 +4273,8 @@ async function aiTradingMenu() {
             takeProfit: takeProfit / 100,
             riskLevel,
             enableAutoTrading: true,
-            tradingStrategy: 'ai_signals',
-            preferredDex: 'jupiter'
+            preferredDex: 'jupiter',
+            dryRun
           };
           
           autoTrading.setTradingConfig(config);
@@ -4731,6 +4807,8 @@ async function aiToolsMenu() {
             }
           ]);
           
+          const dryRun = await promptAutoTradingWallet();
+          
           const config = {
             maxSlippage,
             maxTradeSize,
@@ -4738,8 +4816,8 @@ async function aiToolsMenu() {
             takeProfit: takeProfit / 100,
             riskLevel,
             enableAutoTrading: true,
-            tradingStrategy: 'ai_signals',
-            preferredDex: 'jupiter'
+            preferredDex: 'jupiter',
+            dryRun
           };
           
           autoTrading.setTradingConfig(config);
@@ -4945,6 +5023,9 @@ async function preloadWalletTokens(walletInfo) {
 // Modify the initializeApp function to start the server
 async function initializeApp(menuState = MENU_STATES.MAIN) {
   try {
+    // Leaving the trade viewer ends its live subscription
+    liveTradeFeed.stop();
+
     // Start the server when app initializes
     if (!serverProcess) {
       await startServer();
@@ -4961,6 +5042,11 @@ async function initializeApp(menuState = MENU_STATES.MAIN) {
       
       // Compact status line
       
+      // Unlock encrypted wallets before touching the active wallet
+      if (keystore.hasEncryptedWallets(walletsDir)) {
+        await unlockWallets();
+      }
+      
       // Get active wallet info
       const walletInfo = await getActiveWalletInfo();
       
@@ -4996,6 +5082,10 @@ async function initializeApp(menuState = MENU_STATES.MAIN) {
         console.log(`${colors.yellow}⚠️ No active wallet selected${colors.reset}`);
         console.log(`${colors.cyan}💡 Select a wallet in Wallet Manager to enable trading${colors.reset}`);
       }
+      const plaintextWallets = keystore.countPlaintextWallets(walletsDir);
+      if (plaintextWallets > 0) {
+        console.log(`${colors.red}🔓 ${plaintextWallets} wallet(s) stored in plaintext - use Wallets > Encrypt Plaintext Wallets${colors.reset}`);
+      }
       console.log('');
       
       // Display menu in 2 columns
@@ -5014,6 +5104,8 @@ async function initializeApp(menuState = MENU_STATES.MAIN) {
         { number: '12', icon: '🔍', name: 'Check Token', color: colors.purple, value: 'checktoken' },
         { number: '13', icon: '⚡', name: 'Performance', color: colors.orange, value: 'performance' },
         { number: '14', icon: '❓', name: 'Help', color: colors.yellow, value: 'help' },
+        { number: '15', icon: '📑', name: 'Orders', color: colors.cyan, value: 'orders' },
+        { number: '16', icon: '🪞', name: 'Copy Trading', color: colors.magenta, value: 'copyTrading' },
         { number: '0', icon: '❌', name: 'Exit', color: colors.red, value: 'exit' }
       ];
       
@@ -5067,7 +5159,7 @@ async function initializeApp(menuState = MENU_STATES.MAIN) {
           validate: (input) => {
             const num = parseInt(input);
             if (isNaN(num)) return 'Please enter a valid number';
-            if (num < 0 || num > 14) return 'Please enter a number between 0 and 14';
+            if (num < 0 || num > 16) return 'Please enter a number between 0 and 16';
             return true;
           }
         }
@@ -5180,6 +5272,14 @@ async function initializeApp(menuState = MENU_STATES.MAIN) {
         await manualSwapMenu();
         return initializeApp(MENU_STATES.MAIN);
       }
+      if (action === 'orders') {
+        await orderEngine.showOrdersMenu();
+        return initializeApp(MENU_STATES.MAIN);
+      }
+      if (action === 'copyTrading') {
+        await copyTrader.showCopyTradingMenu();
+        return initializeApp(MENU_STATES.MAIN);
+      }
       if (action === 'bundleSwap') {
         await bundleSwapMenu();
         return initializeApp(MENU_STATES.MAIN);
@@ -5285,6 +5385,8 @@ function cleanup() {
   if (volumeTracker) {
     volumeTracker.cleanup();
   }
+
+  liveTradeFeed.stop();
   
   spinner.stop();
   console.log(`\n${colors.yellow}Exiting...${colors.reset}`);
@@ -5297,11 +5399,19 @@ process.on('SIGTERM', cleanup);
 process.on('SIGQUIT', cleanup);
 
 // Add startStream function
-async function startStream(queryType = 'pump') {
+/**
+ * Fetch trades for a monitoring mode and hand them to the trade viewer.
+ * @param {string} queryType - Monitoring mode (pump, trending, graduated, ...)
+ * @param {Object} options - Pass `onTrades(trades)` to receive the trades
+ *   instead of opening the viewer; no prompts are shown in that case. In
+ *   trending mode it receives the scored tokens ({ mintAddress, token,
+ *   recentTrade, metrics }) ranked by score.
+ * @returns {Promise<boolean>} Whether the stream started (or trades were delivered)
+ */
+async function startStream(queryType = 'pump', options = {}) {
+  const scripted = typeof options.onTrades === 'function';
+  liveTradeFeed.stop();
   try {
-    // Set API key in connection manager
-    connectionManager.setApiKey(settings.bitqueryApiKey);
-    
     // Check BitQuery connection first
     console.log(`${colors.cyan}🔍 Checking BitQuery connection...${colors.reset}`);
     const bitqueryConnected = await connectionManager.checkBitqueryConnection();
@@ -5316,12 +5426,19 @@ async function startStream(queryType = 'pump') {
       const reconnected = await connectionManager.autoReconnect('bitquery');
       
       if (!reconnected) {
+        notifier.notify('stream.error', {
+          title: `⚠️ Stream error (${queryType})`,
+          message: `BitQuery connection failed: ${error}`,
+          data: { mode: queryType }
+        });
         return false;
       }
     }
     
     console.log(`${colors.green}✅ BitQuery connection successful!${colors.reset}`);
-    spinner.start(`Connecting to BitQuery stream in ${queryType} mode`);
+    if (!scripted) {
+      spinner.start(`Connecting to BitQuery stream in ${queryType} mode`);
+    }
     
     appState.clearCharts();
     appState.setMode(queryType); // Set the current mode
@@ -5333,13 +5450,27 @@ async function startStream(queryType = 'pump') {
     } else if (queryType === 'graduated') {
       queryConfig = graduatedQuery;
     } else if (queryType === 'dexscreenerBoosted') {
+      if (scripted) {
+        throw new Error('dexscreenerBoosted mode is interactive only');
+      }
       // Handle Dexscreener Boosted mode
       console.log(`${colors.blue}🚀 Starting Dexscreener Boosted monitoring...${colors.reset}`);
       return await handleDexscreenerBoostedMode();
+    } else if (queryType === 'graduation') {
+      spinner.stop();
+      if (scripted) {
+        await graduationTracker.poll();
+        if (graduationTracker.lastError) {
+          throw new Error(graduationTracker.lastError);
+        }
+        await options.onTrades(graduationTracker.getCandidates());
+        return true;
+      }
+      return await handleGraduationMode();
     } else if (queryType === 'min500tx') {
       queryConfig = tokensMin500TxQuery;
     } else if (queryType === 'trending') {
-      queryConfig = trendingGainersQuery;
+      queryConfig = buildTrendingGainersQuery({ windowMinutes: settings.trendingWindowMinutes, limit: settings.trendingTradeLimit });
     } else {
       queryConfig = pumpTradesQuery;
     }
@@ -5370,7 +5501,7 @@ async function startStream(queryType = 'pump') {
         console.log(`${colors.yellow}Main query failed, trying fallback query...${colors.reset}`);
         
         const fallbackRaw = JSON.stringify(fallbackQuery);
-        const fallbackResponse = await fetch("https://streaming.bitquery.io/eap", {
+        const fallbackResponse = await bitqueryRecorder.fetch("https://streaming.bitquery.io/eap", {
           method: "POST",
           headers: myHeaders,
           body: fallbackRaw,
@@ -5398,7 +5529,7 @@ async function startStream(queryType = 'pump') {
         console.log(`${colors.yellow}Main query failed, trying fallback query...${colors.reset}`);
         
         const fallbackRaw = JSON.stringify(fallbackQuery);
-        const fallbackResponse = await fetch("https://streaming.bitquery.io/eap", {
+        const fallbackResponse = await bitqueryRecorder.fetch("https://streaming.bitquery.io/eap", {
           method: "POST",
           headers: myHeaders,
           body: fallbackRaw,
@@ -5530,33 +5661,45 @@ async function startStream(queryType = 'pump') {
       }
     }
     
-    // Process trending mode trades
+    // Score and rank trending tokens; scripted runs get the ranking without the display
+    let trendingTokenData = null;
     if (queryType === 'trending' && validTrades.length > 0) {
-      showTrendingLoading();
+      if (!scripted) {
+        showTrendingLoading();
+      }
       
       // Use optimized trending token processing
       const recentTrades = result.data.Solana.recentTrades;
       const previousTrades = result.data.Solana.previousTrades;
       
-      const trendingTokenData = await trendingOptimizer.processTrendingTokensOptimized(recentTrades, previousTrades);
+      trendingTokenData = await trendingOptimizer.processTrendingTokensOptimized(recentTrades, previousTrades);
       const trendingTokens = trendingTokenData.map(t => t.recentTrade);
         
         if (trendingTokens.length > 0) {
-          console.log(`${colors.green}✅ Found ${trendingTokens.length} trending tokens${colors.reset}`);
-          
-          // Store trending data for pagination
-          appState.setTrendingData(trendingTokenData);
-          appState.setCurrentTrendingIndex(0);
-          
-          // Display first token
-          displayTrendingToken(0, trendingTokenData);
-          
           validTrades = trendingTokens;
-        } else {
+          if (!scripted) {
+            console.log(`${colors.green}✅ Found ${trendingTokens.length} trending tokens${colors.reset}`);
+            
+            // Store trending data for pagination
+            appState.setTrendingData(trendingTokenData);
+            appState.setCurrentTrendingIndex(0);
+            
+            // Display first token
+            displayTrendingToken(0, trendingTokenData);
+          }
+        } else if (!scripted) {
           console.log(`${colors.yellow}⚠️ No trending tokens found${colors.reset}`);
         }
     }
     
+    eventBus.publish('trade.received', { mode: queryType, trades: validTrades || [], source: 'snapshot' });
+
+    if (scripted) {
+      // Trending runs deliver the scored tokens, best first, like the interactive ranking
+      await options.onTrades(trendingTokenData || validTrades || []);
+      return true;
+    }
+
     if (!validTrades || validTrades.length === 0) {
       console.clear();
       console.log(`${colors.yellow}No trades found. Would you like to:`);
@@ -5592,6 +5735,11 @@ async function startStream(queryType = 'pump') {
 
     try {
           appState.setTrades(validTrades);
+      // Keep the viewer updated over a WebSocket subscription; replayed
+      // sessions have nothing to subscribe to
+      if (settings.liveStreamEnabled && SUBSCRIPTION_MODES.includes(queryType) && !bitqueryRecorder.isReplaying()) {
+        liveTradeFeed.start(queryType, appState, { snapshotQuery: queryConfig });
+      }
     await appState.displayTrade(0); // Mode is now tracked in state
       return true;
     } catch (stateError) {
@@ -5620,8 +5768,13 @@ async function startStream(queryType = 'pump') {
     
     console.error(`${colors.red}${errorMsg}${colors.reset}`);
     logToFile(`BitQuery Stream Error: ${error.message}`, 'error');
+    notifier.notify('stream.error', {
+      title: `⚠️ Stream error (${queryType})`,
+      message: error.message,
+      data: { mode: queryType }
+    });
     
-    if (showRetry) {
+    if (showRetry && !scripted) {
       const { retry } = await inquirer.prompt([
         {
           type: 'confirm',
@@ -5636,7 +5789,7 @@ async function startStream(queryType = 'pump') {
         await new Promise(resolve => setTimeout(resolve, 2000));
         return startStream(queryType);
       }
-    } else {
+    } else if (!showRetry) {
       console.log(`${colors.yellow}💡 Go to Settings to update your API key${colors.reset}`);
     }
     
@@ -5645,8 +5798,14 @@ async function startStream(queryType = 'pump') {
 }
 
 // Modify openTokenWidget to use existing server
-async function openTokenWidget(tokenAddress) {
+async function openTokenWidget(tokenAddress, interval = '1m') {
   try {
+    // Same candles as the viewer chart and AI analysis
+    const candles = await ohlcvStore.getCandles(tokenAddress, interval, { limit: 500 });
+    if (candles.length === 0) {
+      console.log(`${colors.yellow}No ${interval} candles for ${tokenAddress} yet${colors.reset}`);
+    }
+
     // Get the template
     const template = `
 <!DOCTYPE html>
@@ -5666,10 +5825,10 @@ async function openTokenWidget(tokenAddress) {
         new Chart(ctx, {
             type: 'line',
             data: {
-                labels: [],
+                labels: ${JSON.stringify(candles.map(candle => candle.time))}.map(time => new Date(time).toLocaleString()),
                 datasets: [{
-                    label: 'Token Price',
-                    data: [],
+                    label: 'Close (USD, ${interval})',
+                    data: ${JSON.stringify(candles.map(candle => candle.close))},
                     borderColor: '#00ff00',
                     tension: 0.4,
                     fill: false
@@ -5757,24 +5916,42 @@ function getWalletPath(name) {
   return path.join(walletsDir, `${name}.json`);
 }
 function saveWallet(name, keypair) {
-  const data = {
-    secretKey: bs58.encode(keypair.secretKey),
-    publicKey: keypair.publicKey.toBase58()
-  };
-  fs.writeFileSync(getWalletPath(name), JSON.stringify(data, null, 2));
+  const data = keystore.sealWallet(name, keypair);
+  fs.writeFileSync(getWalletPath(name), JSON.stringify(data, null, 2), { mode: 0o600 });
 }
 function loadWallet(name) {
   const data = JSON.parse(fs.readFileSync(getWalletPath(name), 'utf-8'));
-  return Keypair.fromSecretKey(bs58.decode(data.secretKey));
+  return keystore.openWallet(data);
 }
 function getWalletPublicKey(name) {
   const data = JSON.parse(fs.readFileSync(getWalletPath(name), 'utf-8'));
-  return data.publicKey || Keypair.fromSecretKey(bs58.decode(data.secretKey)).publicKey.toBase58();
+  return data.publicKey || keystore.openWallet(data).publicKey.toBase58();
+}
+// Unlock encrypted wallets once per session
+async function unlockWallets() {
+  if (keystore.isUnlocked()) return true;
+  const unlocked = await keystore.unlockInteractive(walletsDir);
+  if (!unlocked) {
+    console.log(chalk.red('Wallet keystore is locked.'));
+  }
+  return unlocked;
+}
+async function migrateWallets() {
+  const plaintextCount = keystore.countPlaintextWallets(walletsDir);
+  if (plaintextCount === 0) {
+    console.log(chalk.green('All wallets are already encrypted.'));
+    return;
+  }
+  console.log(chalk.yellow(`${plaintextCount} wallet(s) store their private key in plaintext.`));
+  if (!await unlockWallets()) return;
+  const migrated = keystore.migratePlaintextWallets(walletsDir);
+  console.log(chalk.green(`✅ Encrypted ${migrated} wallet(s).`));
 }
 function listWallets() {
   return getWalletFiles().map(f => f.replace('.json', ''));
 }
 async function createWallet() {
+  if (!await unlockWallets()) return;
   const { name } = await inquirer.prompt([
     { type: 'input', name: 'name', message: 'Wallet name:' }
   ]);
@@ -5796,9 +5973,9 @@ async function selectWallet() {
   const { name } = await inquirer.prompt([
     { type: 'list', name: 'name', message: 'Select wallet:', choices: wallets }
   ]);
-  settings.activeWallet = name;
-  saveSettings();
-  console.log(chalk.green(`Active wallet set to '${name}'.`));
+  if (settingsManager.set('activeWallet', name, true)) {
+    console.log(chalk.green(`Active wallet set to '${name}'.`));
+  }
 }
 async function exportWallet() {
   const wallets = listWallets();
@@ -5809,12 +5986,14 @@ async function exportWallet() {
   const { name } = await inquirer.prompt([
     { type: 'list', name: 'name', message: 'Select wallet to export:', choices: wallets }
   ]);
-  const data = JSON.parse(fs.readFileSync(getWalletPath(name), 'utf-8'));
-  console.log(chalk.cyan(`Wallet '${name}' public key: ${data.publicKey}`));
+  if (!await unlockWallets()) return;
+  const keypair = loadWallet(name);
+  console.log(chalk.cyan(`Wallet '${name}' public key: ${keypair.publicKey.toBase58()}`));
   console.log(chalk.yellow('Private key (base58):'));
-  console.log(data.secretKey);
+  console.log(bs58.encode(keypair.secretKey));
 }
 async function importWallet() {
+  if (!await unlockWallets()) return;
   const { name, privateKey } = await inquirer.prompt([
     { 
       type: 'input', 
@@ -5872,9 +6051,9 @@ async function importWallet() {
     ]);
     
     if (setActive) {
-      settings.activeWallet = name.trim();
-      saveSettings();
-      console.log(chalk.green(`✅ Wallet '${name}' set as active wallet.`));
+      if (settingsManager.set('activeWallet', name.trim(), true)) {
+        console.log(chalk.green(`✅ Wallet '${name}' set as active wallet.`));
+      }
     }
     
   } catch (error) {
@@ -5946,6 +6125,7 @@ async function walletManagerMenu() {
           { name: 'Export Wallet Keypair', value: 'export' },
           { name: 'List Wallets', value: 'list' },
           { name: 'Check Balance', value: 'balance' },
+          { name: 'Encrypt Plaintext Wallets', value: 'migrate' },
           { name: 'Advanced Wallet Tools', value: 'advanced' },
           { name: `${colors.yellow}Back to Main Menu${colors.reset}`, value: 'back' }
         ]
@@ -5983,6 +6163,9 @@ async function walletManagerMenu() {
       case 'balance':
         await checkBalance();
         break;
+      case 'migrate':
+        await migrateWallets();
+        break;
       case 'multiwallet':
         await multiWalletTradingMenu();
         break;
@@ -6074,78 +6257,174 @@ async function advancedWalletToolsMenu() {
   }
 }
 
-async function bundleBuySellMenu() {
+/**
+ * Ask for one or more token + buy/sell pairs
+ */
+async function promptTokenOrders() {
   const tokens = [];
   let addMore = true;
   while (addMore) {
     const { token, action } = await inquirer.prompt([
-      { type: 'input', name: 'token', message: 'Enter token address:' },
+      { type: 'input', name: 'token', message: 'Enter token address:', validate: v => v.trim().length > 0 || 'Token address is required' },
       { type: 'list', name: 'action', message: 'Buy or Sell?', choices: ['buy', 'sell'] }
     ]);
-    tokens.push({ token, action });
+    tokens.push({ token: token.trim(), action });
     const { more } = await inquirer.prompt([
       { type: 'confirm', name: 'more', message: 'Add another token?', default: false }
     ]);
     addMore = more;
   }
-  if (tokens.length === 0) return;
-  const commands = tokens.map(t => `/${t.action} ${t.token}`);
-  console.log(chalk.cyan('Generated commands:'));
-  commands.forEach(cmd => console.log(chalk.yellow(cmd)));
-  // Copy all commands to clipboard
-  copyToClipboard(commands.join('\n'));
-  console.log(chalk.green('All commands copied to clipboard.'));
+  return tokens;
 }
-async function multiWalletTradingMenu() {
-  const wallets = listWallets();
-  if (wallets.length === 0) {
-    console.log(chalk.yellow('No wallets found.'));
-    return;
-  }
-  const { selectedWallets } = await inquirer.prompt([
-    { type: 'checkbox', name: 'selectedWallets', message: 'Select wallets:', choices: wallets }
+
+/**
+ * Ask how much each wallet trades on one side
+ */
+async function promptTradeSizing(side) {
+  const isBuy = side === 'buy';
+  const { mode } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'mode',
+      message: isBuy ? 'Buy size per wallet:' : 'Sell size per wallet:',
+      choices: isBuy
+        ? [
+          { name: 'Fixed SOL amount', value: 'fixed' },
+          { name: '% of SOL balance', value: 'percent' },
+          { name: 'Random SOL range', value: 'random' }
+        ]
+        : [
+          { name: '% of token balance', value: 'percent' },
+          { name: 'Random % range', value: 'random' }
+        ]
+    }
   ]);
-  if (selectedWallets.length === 0) return;
-  const tokens = [];
-  let addMore = true;
-  while (addMore) {
-    const { token, action } = await inquirer.prompt([
-      { type: 'input', name: 'token', message: 'Enter token address:' },
-      { type: 'list', name: 'action', message: 'Buy or Sell?', choices: ['buy', 'sell'] }
-    ]);
-    tokens.push({ token, action });
-    const { more } = await inquirer.prompt([
-      { type: 'confirm', name: 'more', message: 'Add another token?', default: false }
-    ]);
-    addMore = more;
+
+  const positive = v => (typeof v === 'number' && v > 0) || 'Enter a number greater than 0';
+  const percent = v => (typeof v === 'number' && v > 0 && v <= 100) || 'Enter a percentage between 0 and 100';
+  if (mode === 'fixed') {
+    const { amount } = await inquirer.prompt([{ type: 'number', name: 'amount', message: 'SOL per wallet:', validate: positive }]);
+    return { mode, amount };
   }
-  if (tokens.length === 0) return;
-  const commands = [];
-  selectedWallets.forEach(wallet => {
-    tokens.forEach(t => {
-      commands.push(`[${wallet}] /${t.action} ${t.token}`);
-    });
+  if (mode === 'percent') {
+    const { value } = await inquirer.prompt([{ type: 'number', name: 'value', message: isBuy ? '% of SOL balance:' : '% of token balance:', default: isBuy ? undefined : 100, validate: percent }]);
+    return { mode, percent: value };
+  }
+  const { min, max } = await inquirer.prompt([
+    { type: 'number', name: 'min', message: isBuy ? 'Minimum SOL:' : 'Minimum %:', validate: isBuy ? positive : percent },
+    {
+      type: 'number',
+      name: 'max',
+      message: isBuy ? 'Maximum SOL:' : 'Maximum %:',
+      validate: (v, answers) => {
+        const check = isBuy ? positive(v) : percent(v);
+        return check !== true ? check : v >= answers.min || 'Maximum must be at least the minimum';
+      }
+    }
+  ]);
+  return { mode, min, max };
+}
+
+/**
+ * Execute token orders from every selected wallet and show the results
+ */
+async function executeWalletTrades(walletNames, tokens) {
+  if (!await unlockWallets()) return;
+
+  const sizing = {};
+  for (const side of [...new Set(tokens.map(t => t.action))]) {
+    sizing[side] = await promptTradeSizing(side);
+  }
+  const { concurrency, retries } = await inquirer.prompt([
+    { type: 'number', name: 'concurrency', message: 'Wallets trading at once:', default: settings.multiWalletConcurrency, validate: v => (Number.isInteger(v) && v >= 1 && v <= 20) || 'Enter 1-20' },
+    { type: 'number', name: 'retries', message: 'Retries per failed swap:', default: 1, validate: v => (Number.isInteger(v) && v >= 0 && v <= 5) || 'Enter 0-5' }
+  ]);
+
+  const jobs = [];
+  for (const walletName of walletNames) {
+    let wallet;
+    try {
+      wallet = loadWallet(walletName);
+    } catch (error) {
+      console.log(chalk.red(`Skipping ${walletName}: ${error.message}`));
+      continue;
+    }
+    tokens.forEach(t => jobs.push({ walletName, wallet, tokenMint: t.token, side: t.action, sizing: sizing[t.action] }));
+  }
+  if (jobs.length === 0) return;
+
+  const { confirm } = await inquirer.prompt([
+    { type: 'confirm', name: 'confirm', message: `Execute ${jobs.length} swap(s) across ${walletNames.length} wallet(s)?`, default: false }
+  ]);
+  if (!confirm) return;
+
+  let done = 0;
+  const results = await multiWalletExecutor.execute(jobs, {
+    concurrency,
+    retries,
+    onResult: (result) => {
+      done++;
+      const mark = result.status === 'ok' ? chalk.green('✅') : result.status === 'skipped' ? chalk.yellow('⏭️') : chalk.red('❌');
+      console.log(`${mark} [${done}/${jobs.length}] ${result.walletName} ${result.side} ${result.tokenMint.slice(0, 8)}... ${result.signature || result.error}`);
+    }
   });
-  console.log(chalk.cyan('Generated commands:'));
-  commands.forEach(cmd => console.log(chalk.yellow(cmd)));
-  copyToClipboard(commands.join('\n'));
-  console.log(chalk.green('All commands copied to clipboard.'));
+  multiWalletExecutor.displayResults(results);
+  await waitForSpaceKey();
+}
+
+async function bundleBuySellMenu() {
+  const wallets = listWallets();
+  if (wallets.length === 0) {
+    console.log(chalk.yellow('No wallets found.'));
+    return;
+  }
+  const tokens = await promptTokenOrders();
+  if (tokens.length === 0) return;
+  const { selectedWallets } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'selectedWallets',
+      message: 'Trade from wallets:',
+      choices: wallets.map(name => ({ name, checked: name === settings.activeWallet }))
+    }
+  ]);
+  if (selectedWallets.length === 0) return;
+  await executeWalletTrades(selectedWallets, tokens);
+}
+async function multiWalletTradingMenu() {
+  const wallets = listWallets();
+  if (wallets.length === 0) {
+    console.log(chalk.yellow('No wallets found.'));
+    return;
+  }
+  const { selectedWallets } = await inquirer.prompt([
+    { type: 'checkbox', name: 'selectedWallets', message: 'Select wallets:', choices: wallets }
+  ]);
+  if (selectedWallets.length === 0) return;
+  const tokens = await promptTokenOrders();
+  if (tokens.length === 0) return;
+  await executeWalletTrades(selectedWallets, tokens);
 }
 
 // Price Alerts Menu
 async function priceAlertsMenu() {
   let exit = false;
   while (!exit) {
+    const evaluatorStatus = priceAlerts.isRunning()
+      ? `running every ${settings.alertCheckInterval}s`
+      : 'stopped';
     const { action } = await inquirer.prompt([
       {
         type: 'list',
         name: 'action',
-        message: 'Price Alerts:',
+        message: `Price Alerts (background checks ${evaluatorStatus}):`,
         choices: [
           { name: 'Add New Alert', value: 'add' },
           { name: 'View All Alerts', value: 'view' },
+          { name: 'Check Alerts Now', value: 'check' },
           { name: 'Remove Alert', value: 'remove' },
           { name: 'Clear All Alerts', value: 'clear' },
+          { name: priceAlerts.isRunning() ? 'Stop Background Checks' : 'Start Background Checks', value: 'toggle' },
           { name: 'Back to Main Menu', value: 'exit' }
         ]
       }
@@ -6153,23 +6432,38 @@ async function priceAlertsMenu() {
 
     switch (action) {
       case 'add': {
-        const { tokenAddress, targetPrice, condition, description } = await inquirer.prompt([
-          { type: 'input', name: 'tokenAddress', message: 'Token Address:' },
-          { type: 'number', name: 'targetPrice', message: 'Target Price (USD):', validate: v => v > 0 },
-          { 
-            type: 'list', 
-            name: 'condition', 
-            message: 'Alert when price is:', 
-            choices: [
-              { name: 'Above target', value: 'above' },
-              { name: 'Below target', value: 'below' }
-            ]
+        const { tokenAddress, condition } = await inquirer.prompt([
+          { type: 'input', name: 'tokenAddress', message: 'Token Address:', validate: v => v.trim().length > 0 },
+          {
+            type: 'list',
+            name: 'condition',
+            message: 'Alert when:',
+            choices: Object.entries(ALERT_CONDITIONS).map(([value, { label }]) => ({ name: label, value }))
+          }
+        ]);
+        const isPercent = ALERT_CONDITIONS[condition].unit === '%';
+        const { threshold, description } = await inquirer.prompt([
+          {
+            type: 'number',
+            name: 'threshold',
+            message: isPercent ? 'Change (%):' : 'Target (USD):',
+            validate: v => v > 0
           },
           { type: 'input', name: 'description', message: 'Alert description (optional):' }
         ]);
-        
-        const alertId = priceAlerts.addAlert(tokenAddress, targetPrice, condition, description);
+
+        let basePrice = null;
+        if (isPercent) {
+          // Use the current price as the reference when it is available now
+          const prices = await getBatchTokenPrices([tokenAddress.trim()], true);
+          basePrice = prices[tokenAddress.trim()] > 0.00000001 ? prices[tokenAddress.trim()] : null;
+        }
+
+        const alertId = priceAlerts.addAlert(tokenAddress.trim(), threshold, condition, description, basePrice);
         console.log(chalk.green(`Alert created with ID: ${alertId}`));
+        if (isPercent && !basePrice) {
+          console.log(chalk.yellow('Current price unavailable; the first checked price becomes the reference.'));
+        }
         break;
       }
       
@@ -6178,19 +6472,31 @@ async function priceAlertsMenu() {
         if (alerts.length === 0) {
           console.log(chalk.yellow('No alerts configured.'));
         } else {
-          console.log(chalk.cyan('\nActive Price Alerts:'));
+          console.log(chalk.cyan('\nPrice Alerts:'));
           alerts.forEach(alert => {
-            const status = alert.triggered ? chalk.red('TRIGGERED') : chalk.green('ACTIVE');
+            const status = alert.triggered ? chalk.red(`TRIGGERED ${new Date(alert.triggeredAt).toLocaleString()}`) : chalk.green('ACTIVE');
             console.log(`${chalk.yellow('ID:')} ${alert.id}`);
             console.log(`${chalk.white('Token:')} ${alert.tokenAddress}`);
-            console.log(`${chalk.white('Target:')} $${alert.targetPrice} (${alert.condition})`);
+            console.log(`${chalk.white('Condition:')} ${priceAlerts.describe(alert)}`);
+            if (alert.basePrice) {
+              console.log(`${chalk.white('Reference Price:')} $${alert.basePrice}`);
+            }
+            if (alert.lastValue !== null) {
+              console.log(`${chalk.white('Last Value:')} ${alert.lastValue}`);
+            }
             console.log(`${chalk.white('Description:')} ${alert.description || 'None'}`);
             console.log(`${chalk.white('Status:')} ${status}`);
-            console.log(`${chalk.white('Created:')} ${alert.createdAt.toLocaleString()}\n`);
+            console.log(`${chalk.white('Created:')} ${new Date(alert.createdAt).toLocaleString()}\n`);
           });
         }
         break;
       }
+
+      case 'check': {
+        const fired = await priceAlerts.evaluate();
+        console.log(chalk.cyan(`Checked ${priceAlerts.getActiveAlerts().length + fired.length} active alert(s), ${fired.length} triggered.`));
+        break;
+      }
       
       case 'remove': {
         const alerts = priceAlerts.getAlerts();
@@ -6205,7 +6511,7 @@ async function priceAlertsMenu() {
             name: 'alertId',
             message: 'Select alert to remove:',
             choices: alerts.map(alert => ({
-              name: `${alert.tokenAddress} - $${alert.targetPrice} (${alert.condition})`,
+              name: `${alert.tokenAddress} - ${priceAlerts.describe(alert)}`,
               value: alert.id
             }))
           }
@@ -6230,11 +6536,22 @@ async function priceAlertsMenu() {
         ]);
         
         if (confirm) {
-          priceAlerts.alerts.clear();
+          priceAlerts.clearAlerts();
           console.log(chalk.green('All alerts cleared.'));
         }
         break;
       }
+
+      case 'toggle': {
+        if (priceAlerts.isRunning()) {
+          priceAlerts.stop();
+          console.log(chalk.yellow('Background alert checks stopped.'));
+        } else {
+          priceAlerts.start();
+          console.log(chalk.green(`Background alert checks every ${settings.alertCheckInterval}s.`));
+        }
+        break;
+      }
       
       case 'exit':
         exit = true;
@@ -6619,6 +6936,13 @@ async function checkTokenAddressMenu() {
           });
         }
         
+        console.log(''); // Empty line for spacing
+
+        // Round-trip quotes and a simulated sell from a current holder
+        console.log(`${colors.cyan}🧪 Quoting round trips and simulating a sell...${colors.reset}`);
+        const sellability = await sellabilityAnalyzer.analyze(tokenAddress.trim());
+        console.log(sellabilityAnalyzer.format(sellability));
+
         console.log(''); // Empty line for spacing
         
         // Useful links
@@ -7132,6 +7456,30 @@ async function connectionStatusMenu() {
   }
 }
 
+/**
+ * Run the rug check buy filter and, when the token scores above
+ * maxRugRiskScore, ask whether to buy anyway
+ * @returns {Promise<boolean>} true to go ahead with the buy
+ */
+async function confirmRugCheck(tokenMint) {
+  if (!settings.rugCheckBeforeBuy) return true;
+
+  console.log(`${colors.cyan}🛡️ Running rug checks...${colors.reset}`);
+  const { allowed, result } = await rugChecker.screenBuy(tokenMint);
+  console.log(rugChecker.format(result));
+  if (allowed) return true;
+
+  const { proceed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'proceed',
+      message: `Rug risk ${result.score} is above your limit of ${settings.maxRugRiskScore}. Buy anyway?`,
+      default: false
+    }
+  ]);
+  return proceed;
+}
+
 // Add missing functions that are referenced but not defined
 function getRiskLevel(score) {
   if (score <= 20) return 'LOW';
@@ -7527,10 +7875,12 @@ async function processTrade(trade, index) {
     console.log(`${colors.blue}• Solscan: https://solscan.io/token/${buyToken.MintAddress}${colors.reset}`);
     console.log(`${colors.blue}• GMGN.io: https://gmgn.ai/sol/token/${buyToken.MintAddress}${colors.reset}\n`);
 
-    // Draw price chart if we have enough data
-    if (priceHistory.prices.length > 1) {
-      const pnl = calculatePnL(priceHistory);
-      console.log(drawPriceChart(pnl));
+    // Draw the token's 1m candles if there are enough; an update slower
+    // than CHART_WAIT_MS finishes in the background for the next trade
+    await ohlcvStore.updateWithin(buyToken.MintAddress, CHART_WAIT_MS);
+    const candles = await ohlcvStore.getCandles(buyToken.MintAddress, '1m', { limit: 30, refresh: false });
+    if (candles.length > 1) {
+      console.log(drawPriceChart(candles));
     }
 
   } catch (err) {
@@ -7540,14 +7890,6 @@ async function processTrade(trade, index) {
   }
 }
 
-// Add calculatePnL function
-function calculatePnL(priceHistory) {
-  if (!priceHistory || priceHistory.prices.length < 2) return 0;
-  const initialPrice = priceHistory.prices[0];
-  const finalPrice = priceHistory.prices[priceHistory.prices.length - 1];
-  return ((finalPrice - initialPrice) / initialPrice * 100).toFixed(2);
-}
-
 // Export functions for use in other modules
 export { 
   monitorTokenRealtime, 
@@ -7987,32 +8329,17 @@ async function executeAdvancedSwap(wallet, config) {
     // Execute the swap
     console.log(`${colors.cyan}🔄 Executing swap...${colors.reset}`);
     
-    // Update settings temporarily for this swap
-    const originalSettings = {
-      slippageLimit: settings.slippageLimit,
-      priorityFee: settings.priorityFee,
-      enableUltraV2: settings.enableUltraV2
-    };
-
-    settings.slippageLimit = config.slippage;
-    settings.priorityFee = Math.floor(config.priorityFee * LAMPORTS_PER_SOL);
-    settings.enableUltraV2 = config.useUltraV2;
-
-    // Perform the swap
+    // This swap's options go straight to performSwap; shared settings stay untouched
     const result = await performSwap(
       config.fromMint,
       config.toMint,
       config.amount,
       wallet,
       config.slippage,
-      config.useUltraV2
+      config.useUltraV2,
+      Math.floor(config.priorityFee * LAMPORTS_PER_SOL)
     );
 
-    // Restore original settings
-    settings.slippageLimit = originalSettings.slippageLimit;
-    settings.priorityFee = originalSettings.priorityFee;
-    settings.enableUltraV2 = originalSettings.enableUltraV2;
-
     if (result.success) {
       console.log(`${colors.green}✅ Swap completed successfully!${colors.reset}`);
       console.log(`${colors.blue}📝 Signature: ${result.signature}${colors.reset}`);
@@ -8292,6 +8619,10 @@ async function handleQuickBuySell(wallet) {
           continue;
         }
 
+        if (!await confirmRugCheck(tokenMint)) {
+          continue;
+        }
+
         // Get quote
         const quote = await getBestQuote(
           'So11111111111111111111111111111111111111112', // SOL mint
@@ -8360,8 +8691,24 @@ async function handleQuickBuySell(wallet) {
             } catch (error) {
               console.log(`${colors.yellow}⚠️ Could not calculate profit (new token)${colors.reset}`);
             }
-            
-            await waitForSpaceKey();
+
+            const { afterBuy } = await inquirer.prompt([
+              {
+                type: 'list',
+                name: 'afterBuy',
+                message: 'Next:',
+                choices: [
+                  { name: '🎯 Track with exit plan (trailing stop / take profit / time exit)', value: 'plan' },
+                  { name: '📊 Track live P&L', value: 'track' },
+                  { name: '🔙 Back to main menu', value: 'back' }
+                ]
+              }
+            ]);
+
+            if (afterBuy !== 'back') {
+              const exitPlanSpec = afterBuy === 'plan' ? await exitPlans.promptExitPlan() : null;
+              await trackTokenAfterBuy(tokenMint, amount, quote.outAmount, wallet, null, exitPlanSpec);
+            }
             return;
           }
         } else if (action === 'switch') {
@@ -8598,8 +8945,10 @@ async function handleQuickBuySell(wallet) {
  * @param {number} tokensReceived - Number of tokens received
  * @param {Object} wallet - Wallet object
  * @param {number} initialPriceFromQuote - Initial price calculated from buy quote
+ * @param {Object} exitPlanSpec - Exit rules to run in the background (see exitPlans.attach)
+ * @returns {Promise} Resolves when tracking is closed; an exit plan keeps running
  */
-async function trackTokenAfterBuy(tokenMint, buyAmount, tokensReceived, wallet, initialPriceFromQuote = null) {
+async function trackTokenAfterBuy(tokenMint, buyAmount, tokensReceived, wallet, initialPriceFromQuote = null, exitPlanSpec = null) {
   console.log(`\n${colors.cyan}📊 Starting real-time price tracking...${colors.reset}`);
   console.log(`${colors.yellow}💡 Press 'Q' to quit tracking | 'S' to sell now${colors.reset}\n`);
   
@@ -8612,6 +8961,15 @@ async function trackTokenAfterBuy(tokenMint, buyAmount, tokensReceived, wallet,
   // Get token info for display
   const tokenInfo = await getEnhancedTokenInfo(tokenMint);
   const tokenSymbol = tokenInfo.symbol || tokenMint.slice(0, 4).toUpperCase();
+
+  let exitPlan = null;
+  if (exitPlanSpec) {
+    try {
+      exitPlan = exitPlans.attach(wallet, tokenMint, { ...exitPlanSpec, entryPrice: initialPriceFromQuote, symbol: tokenSymbol });
+    } catch (error) {
+      console.log(`${colors.red}❌ Exit plan not started: ${error.message}${colors.reset}`);
+    }
+  }
   
   const trackingInterval = setInterval(async () => {
     try {
@@ -8809,7 +9167,14 @@ async function trackTokenAfterBuy(tokenMint, buyAmount, tokensReceived, wallet,
       }
       
       console.log('');
-      console.log(`${colors.cyan}⌨️ Hotkeys: Q=Quit | S=Sell Now${colors.reset}`);
+
+      if (exitPlan) {
+        console.log(`${colors.magenta}🎯 Exit Plan:${colors.reset}`);
+        exitPlans.statusLines(exitPlan).forEach(line => console.log(line));
+        console.log('');
+      }
+
+      console.log(`${colors.cyan}⌨️ Hotkeys: Q=Quit${exitPlan?.status === 'active' ? ' (exit plan keeps running)' : ''} | S=Sell Now${exitPlan?.status === 'active' ? ' | X=Cancel Exit Plan' : ''}${colors.reset}`);
       
     } catch (error) {
       console.log(`${colors.red}❌ Error updating price: ${error.message}${colors.reset}`);
@@ -8824,30 +9189,41 @@ async function trackTokenAfterBuy(tokenMint, buyAmount, tokensReceived, wallet,
   process.stdin.resume();
   process.stdin.setEncoding('utf8');
   
-  const onData = (data) => {
-    const key = data.toLowerCase();
-    if (key === 'q') {
-      clearInterval(trackingInterval);
-      process.stdin.setRawMode(false);
-      process.stdin.pause();
-      process.stdin.setRawMode(originalRawMode);
-      process.stdin.setEncoding(originalEncoding);
-      process.stdin.removeListener('data', onData);
-      console.log(`\n${colors.yellow}📊 Tracking stopped${colors.reset}`);
-    } else if (key === 's') {
+  return new Promise((resolve) => {
+    const stopTracking = () => {
       clearInterval(trackingInterval);
       process.stdin.setRawMode(false);
       process.stdin.pause();
       process.stdin.setRawMode(originalRawMode);
       process.stdin.setEncoding(originalEncoding);
       process.stdin.removeListener('data', onData);
-      console.log(`\n${colors.red}🚨 Selling tokens now...${colors.reset}`);
-      // Trigger sell function
-      handleSellToken(wallet);
-    }
-  };
-  
-  process.stdin.on('data', onData);
+    };
+
+    const onData = async (data) => {
+      const key = data.toLowerCase();
+      if (key === 'q') {
+        stopTracking();
+        console.log(`\n${colors.yellow}📊 Tracking stopped${colors.reset}`);
+        if (exitPlan?.status === 'active') {
+          console.log(`${colors.cyan}🎯 Exit plan ${exitPlan.id} keeps running in the background (Orders → Exit Plans)${colors.reset}`);
+        }
+        resolve();
+      } else if (key === 's') {
+        stopTracking();
+        // A manual sell replaces the plan
+        if (exitPlan) exitPlans.cancel(exitPlan.id);
+        console.log(`\n${colors.red}🚨 Selling tokens now...${colors.reset}`);
+        // Trigger sell function
+        await handleSellToken(wallet);
+        resolve();
+      } else if (key === 'x' && exitPlan?.status === 'active') {
+        exitPlans.cancel(exitPlan.id);
+        console.log(`\n${colors.yellow}🎯 Exit plan cancelled${colors.reset}`);
+      }
+    };
+    
+    process.stdin.on('data', onData);
+  });
 }
 
 async function displayTokenList(tokens) {
@@ -9847,18 +10223,15 @@ async function handleEmergencySell(wallet) {
       try {
         console.log(`${colors.yellow}🔄 Trying with ${slippage}% slippage...${colors.reset}`);
         
-        // Temporarily override slippage for this quote
-        const originalSlippage = settingsManager.get('slippageLimit');
-        settingsManager.set('slippageLimit', slippage);
-        
+        // Quote with this attempt's slippage; the slippageLimit setting stays untouched
         sellQuote = await getBestQuote(
           tokenMint,
           'So11111111111111111111111111111111111111112', // SOL mint
-          atomicTokenBalance // Use atomic amount
+          atomicTokenBalance, // Use atomic amount
+          true,
+          slippage
         );
         
-        // Restore original slippage
-        settingsManager.set('slippageLimit', originalSlippage);
         successfulSlippage = slippage;
         console.log(`${colors.green}✅ Quote obtained with ${slippage}% slippage${colors.reset}`);
         break;
@@ -9866,10 +10239,6 @@ async function handleEmergencySell(wallet) {
       } catch (error) {
         console.log(`${colors.yellow}⚠️ Failed with ${slippage}% slippage: ${error.message}${colors.reset}`);
         
-        // Restore original slippage on error
-        const originalSlippage = settingsManager.get('slippageLimit');
-        settingsManager.set('slippageLimit', originalSlippage);
-        
         if (slippage === 50) {
           // If even 50% slippage fails, try with smaller amounts
           console.log(`${colors.yellow}⚠️ Full amount failed, trying with smaller amounts...${colors.reset}`);
@@ -9894,7 +10263,9 @@ async function handleEmergencySell(wallet) {
               const partialQuote = await getBestQuote(
                 tokenMint,
                 'So11111111111111111111111111111111111111112',
-                atomicPartialBalance // Use atomic amount
+                atomicPartialBalance, // Use atomic amount
+                true,
+                slippage
               );
               
               sellQuote = partialQuote;
@@ -10015,7 +10386,7 @@ async function handleEmergencySell(wallet) {
         // Auto-detect optimal priority fee for emergency sell
     let optimalPriorityFee = 1000; // Moderate default for emergency sells
     try {
-      const connection = new Connection(getRpcEndpoint());
+      const connection = rpcPool.getConnection();
       const recentPrioritizationFees = await connection.getRecentPrioritizationFees([
         new PublicKey('JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4') // Jupiter program
       ]);
@@ -10045,15 +10416,13 @@ async function handleEmergencySell(wallet) {
           const freshQuote = await getBestQuote(
             tokenMint,
             'So11111111111111111111111111111111111111112',
-            atomicSellAmount
+            atomicSellAmount,
+            true,
+            successfulSlippage
           );
           console.log(`${colors.green}✅ Fresh quote obtained${colors.reset}`);
         }
         
-        // Temporarily set optimal priority fee for this transaction
-        const originalPriorityFee = settingsManager.get('priorityFee');
-        settingsManager.set('priorityFee', optimalPriorityFee);
-        
         // Check if Lite API is enabled for emergency sells
         const useLiteApi = settingsManager.get('enableLiteApi') !== false; // Default to true for emergency sells
         const priorityLevel = settingsManager.get('priorityLevel') || 'high';
@@ -10079,13 +10448,11 @@ async function handleEmergencySell(wallet) {
             atomicSellAmount, // Use atomic amount for the swap
             wallet,
             successfulSlippage, // Use the slippage that worked for the quote
-            useUltraV2 // Enable Ultra V2 for better success rate
+            useUltraV2, // Enable Ultra V2 for better success rate
+            Math.round(optimalPriorityFee) // Fee detected above, without changing the priorityFee setting
           );
         }
         
-        // Restore original priority fee
-        settingsManager.set('priorityFee', originalPriorityFee);
-        
         console.log(`${colors.green}✅ Swap completed successfully on attempt ${retryCount + 1}${colors.reset}`);
         break;
         
@@ -10457,26 +10824,123 @@ async function handleCheckBalances(wallet) {
   await waitForSpaceKey();
 }
 
+function shortMint(mint) {
+  return mint === 'So11111111111111111111111111111111111111112' ? 'SOL' : `${mint.slice(0, 4)}…${mint.slice(-4)}`;
+}
+
 async function handleSwapHistory(wallet) {
-  console.log(`${colors.blue}📜 Swap History${colors.reset}\n`);
+  const walletAddress = wallet.publicKey.toString();
+  const pageSize = 10;
+  let page = 0;
+  let refresh = true;
 
-  try {
-    const history = await getSwapHistory(wallet.publicKey.toString(), 10);
-    
-    if (history.length === 0) {
-      console.log(`${colors.yellow}📭 No recent swap transactions found${colors.reset}`);
+  while (true) {
+    console.log(`${colors.blue}📜 Swap History${colors.reset}\n`);
+
+    let result;
+    try {
+      result = await swapHistory.getRecords(walletAddress, { offset: page * pageSize, limit: pageSize, refresh });
+      refresh = false;
+    } catch (error) {
+      console.error(`${colors.red}❌ Failed to get swap history: ${error.message}${colors.reset}`);
+      logToFile(`Swap history error: ${error.message}`, 'error');
+      await waitForSpaceKey();
+      return;
+    }
+
+    if (result.records.length === 0) {
+      console.log(`${colors.yellow}📭 No swap transactions found${colors.reset}`);
     } else {
-      console.log(`${colors.green}📜 Recent transactions:${colors.reset}`);
-      history.forEach((tx, index) => {
-        console.log(`${colors.blue}${index + 1}. ${tx.signature}${colors.reset}`);
+      console.log(`${colors.green}📜 Swaps ${page * pageSize + 1}-${page * pageSize + result.records.length}:${colors.reset}`);
+      result.records.forEach((swap, index) => {
+        const time = swap.blockTime ? new Date(swap.blockTime * 1000).toLocaleString() : 'unknown time';
+        const sideColor = swap.side === 'buy' ? colors.green : swap.side === 'sell' ? colors.red : colors.cyan;
+        console.log(`${colors.blue}${page * pageSize + index + 1}.${colors.reset} ${sideColor}${swap.side.toUpperCase()}${colors.reset} ` +
+          `${swap.inputAmount.toFixed(6)} ${shortMint(swap.inputMint)} → ${swap.outputAmount.toFixed(6)} ${shortMint(swap.outputMint)} ` +
+          `${colors.dim}@ ${swap.price.toPrecision(6)} | fee ${swap.feeSOL} SOL | ${swap.program} | ${time}${colors.reset}`);
+        console.log(`   ${colors.dim}https://solscan.io/tx/${swap.signature}${colors.reset}`);
       });
     }
 
-  } catch (error) {
-    console.error(`${colors.red}❌ Failed to get swap history: ${error.message}${colors.reset}`);
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'Swap history:',
+        choices: [
+          { name: '➡️ Older Swaps', value: 'next', disabled: result.hasMore ? false : 'No older swaps' },
+          { name: '⬅️ Newer Swaps', value: 'previous', disabled: page > 0 ? false : 'Already at newest' },
+          { name: '🔄 Refresh', value: 'refresh' },
+          { name: '💹 Realized P&L by Token', value: 'pnl' },
+          { name: '📤 Export', value: 'export' },
+          { name: '🔙 Back', value: 'back' }
+        ]
+      }
+    ]);
+
+    switch (action) {
+      case 'next':
+        page++;
+        break;
+      case 'previous':
+        page--;
+        break;
+      case 'refresh':
+        page = 0;
+        refresh = true;
+        break;
+      case 'pnl':
+        displayRealizedPnL(walletAddress);
+        await waitForSpaceKey();
+        break;
+      case 'export': {
+        const { report, format } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'report',
+            message: 'Export:',
+            choices: [
+              { name: `Loaded swaps (${swapHistory.getCachedRecords(walletAddress).length})`, value: 'swaps' },
+              { name: 'Realized P&L by token', value: 'pnl' }
+            ]
+          },
+          { type: 'list', name: 'format', message: 'Format:', choices: ['csv', 'json'] }
+        ]);
+        try {
+          const filePath = swapHistory.exportHistory(walletAddress, { report, format });
+          console.log(`${colors.green}✅ Exported to ${filePath}${colors.reset}`);
+        } catch (error) {
+          console.error(`${colors.red}❌ Export failed: ${error.message}${colors.reset}`);
+        }
+        break;
+      }
+      case 'back':
+        return;
+    }
   }
+}
 
-  await waitForSpaceKey();
+function displayRealizedPnL(walletAddress) {
+  const pnl = swapHistory.getRealizedPnL(walletAddress);
+  const swapCount = swapHistory.getCachedRecords(walletAddress).length;
+  console.log(`\n${colors.cyan}💹 Realized P&L (average cost, from ${swapCount} loaded swaps)${colors.reset}`);
+  if (pnl.length === 0) {
+    console.log(`${colors.yellow}No swaps loaded${colors.reset}`);
+    return;
+  }
+
+  let total = 0;
+  pnl.forEach(token => {
+    total += token.realizedSOL;
+    const color = token.realizedSOL >= 0 ? colors.green : colors.red;
+    console.log(`${colors.bright}${shortMint(token.mint)}${colors.reset} ${color}${token.realizedSOL >= 0 ? '+' : ''}${token.realizedSOL.toFixed(4)} SOL${colors.reset} ` +
+      `${colors.dim}| ${token.buys} buys, ${token.sells} sells | open ${token.openQuantity.toFixed(4)} (cost ${token.openCostSOL.toFixed(4)} SOL)${colors.reset}`);
+    if (token.unmatchedSold > 0) {
+      console.log(`   ${colors.yellow}⚠️ ${token.unmatchedSold.toFixed(4)} sold without a loaded buy; load older swaps for full P&L${colors.reset}`);
+    }
+  });
+  const totalColor = total >= 0 ? colors.green : colors.red;
+  console.log(`${colors.bright}Total:${colors.reset} ${totalColor}${total >= 0 ? '+' : ''}${total.toFixed(4)} SOL${colors.reset}`);
 }
 
 // HANDLER FUNCTIONS FOR BUNDLE SWAP
@@ -10665,157 +11129,105 @@ async function handleBundleAnalyze(wallet) {
 async function handleBundleFromJSON(wallet) {
   console.log(`${colors.blue}📋 Bundle from JSON Mode${colors.reset}\n`);
 
-  const { jsonFile, action } = await inquirer.prompt([
-    {
-      type: 'input',
-      name: 'jsonFile',
-      message: 'Enter path to JSON file with token list:',
-      default: 'example-tokens.json',
-      validate: (input) => input.length > 0 ? true : 'File path is required'
-    },
+  const { action } = await inquirer.prompt([
     {
       type: 'list',
       name: 'action',
       message: 'Select action:',
       choices: [
-        { name: '🟢 Buy all tokens', value: 'buy' },
-        { name: '🔴 Sell all tokens', value: 'sell' },
-        { name: '📊 Analyze all tokens', value: 'analyze' }
+        { name: '▶️ Run bundle file', value: 'run' },
+        { name: '🔍 Preview bundle file (dry run)', value: 'preview' },
+        { name: '📊 Analyze all tokens', value: 'analyze' },
+        { name: '📤 Export holdings to bundle file', value: 'export' }
       ]
     }
   ]);
 
-  try {
-    // Read JSON file
-    const fs = await import('fs');
-    const data = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
-    
-    if (!data.tokens || !Array.isArray(data.tokens)) {
-      throw new Error('Invalid JSON format. Expected {tokens: [...]}');
+  if (action === 'export') {
+    try {
+      const { filePath, count } = await bundleRunner.exportHoldings(wallet.publicKey.toString(), settings.activeWallet);
+      console.log(`${colors.green}✅ Exported ${count} token(s) to ${filePath}${colors.reset}`);
+      console.log(`${colors.cyan}💡 Edit sides, amounts and exit rules, then run it from this menu or with: pumptool bundle ${filePath}${colors.reset}`);
+    } catch (error) {
+      console.log(`${colors.red}❌ Export failed: ${error.message}${colors.reset}`);
     }
+    await waitForSpaceKey();
+    return;
+  }
 
-    console.log(`${colors.green}📋 Loaded ${data.tokens.length} tokens from JSON${colors.reset}`);
-    
-    // Display tokens
-    console.log(`${colors.cyan}📋 Token list:${colors.reset}`);
-    data.tokens.forEach((token, index) => {
-      console.log(`${colors.yellow}${index + 1}. ${token.name} (${token.symbol}) - ${token.mint}${colors.reset}`);
-    });
-
-    if (action === 'buy') {
-      // Calculate total SOL needed
-      const totalSOL = data.tokens.reduce((sum, token) => sum + (token.amount || 0.1), 0);
-      const solBalance = await getSolBalance(wallet.publicKey.toString());
-      
-      console.log(`${colors.blue}💰 Total SOL needed: ${totalSOL} SOL${colors.reset}`);
-      console.log(`${colors.blue}💰 Available SOL: ${solBalance} SOL${colors.reset}`);
-
-      if (solBalance < totalSOL) {
-        console.log(`${colors.red}❌ Insufficient SOL balance${colors.reset}`);
-        await waitForSpaceKey();
-        return;
-      }
-
-      // Confirm bundle buy
-      const { confirm } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'confirm',
-          message: `Confirm buying ${data.tokens.length} tokens with ${totalSOL} SOL total?`,
-          default: false
-        }
-      ]);
-
-      if (!confirm) {
-        console.log(`${colors.yellow}⚠️ Bundle buy cancelled${colors.reset}`);
-        return;
-      }
+  const { jsonFile } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'jsonFile',
+      message: 'Enter path to bundle JSON file:',
+      default: 'bundle.json',
+      validate: (input) => input.length > 0 ? true : 'File path is required'
+    }
+  ]);
 
-      // Execute bundle buys
-      console.log(`${colors.cyan}🚀 Executing bundle buys from JSON...${colors.reset}`);
-      
-      for (let i = 0; i < data.tokens.length; i++) {
-        const token = data.tokens[i];
-        const amount = token.amount || 0.1;
-        
-        console.log(`${colors.yellow}🔄 Buying token ${i + 1}/${data.tokens.length}: ${token.name} (${token.symbol})${colors.reset}`);
-        
-        try {
-          const result = await performSwap(
-            'So11111111111111111111111111111111111111112',
-            token.mint,
-            amount * LAMPORTS_PER_SOL,
-            wallet
-          );
-          console.log(`${colors.green}✅ Token ${i + 1} bought: ${result.signature}${colors.reset}`);
-        } catch (error) {
-          console.log(`${colors.red}❌ Failed to buy token ${i + 1}: ${error.message}${colors.reset}`);
-        }
+  // Version 1 files carry no sides; ask once for the whole file (analysis does not need one)
+  let legacySide = action === 'analyze' ? 'buy' : null;
+  if (!legacySide && isLegacyBundle(jsonFile)) {
+    console.log(`${colors.yellow}⚠️ ${jsonFile} is a version 1 bundle (no per-token settings)${colors.reset}`);
+    ({ legacySide } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'legacySide',
+        message: 'Use its tokens to:',
+        choices: [
+          { name: '🟢 Buy all tokens', value: 'buy' },
+          { name: '🔴 Sell all tokens', value: 'sell' }
+        ]
       }
+    ]));
+  }
 
-      console.log(`${colors.green}✅ Bundle buy from JSON completed!${colors.reset}`);
-
-    } else if (action === 'sell') {
-      console.log(`${colors.cyan}🚀 Executing bundle sells from JSON...${colors.reset}`);
-      
-      for (let i = 0; i < data.tokens.length; i++) {
-        const token = data.tokens[i];
-        console.log(`${colors.yellow}🔄 Selling token ${i + 1}/${data.tokens.length}: ${token.name} (${token.symbol})${colors.reset}`);
-        
-        try {
-          // Get token balance
-          const balance = await getTokenBalance(token.mint, wallet.publicKey.toString());
-          
-          if (balance > 0) {
-            const result = await performSwap(
-              token.mint,
-              'So11111111111111111111111111111111111111112',
-              balance,
-              wallet
-            );
-            console.log(`${colors.green}✅ Token ${i + 1} sold: ${result.signature}${colors.reset}`);
-          } else {
-            console.log(`${colors.yellow}⚠️ No balance for token ${i + 1}${colors.reset}`);
-          }
-        } catch (error) {
-          console.log(`${colors.red}❌ Failed to sell token ${i + 1}: ${error.message}${colors.reset}`);
-        }
-      }
+  let bundle;
+  try {
+    bundle = loadBundleFile(jsonFile, { legacySide });
+  } catch (error) {
+    if (!(error instanceof BundleError)) throw error;
+    console.log(`${colors.red}❌ ${jsonFile} is not a valid bundle:${colors.reset}`);
+    error.problems.forEach(problem => console.log(`${colors.red}   • ${problem}${colors.reset}`));
+    await waitForSpaceKey();
+    return;
+  }
 
-      console.log(`${colors.green}✅ Bundle sell from JSON completed!${colors.reset}`);
+  if (action === 'analyze') {
+    await bundleRunner.analyze(bundle, wallet.publicKey.toString());
+    console.log(`${colors.green}✅ Bundle analysis completed!${colors.reset}`);
+    await waitForSpaceKey();
+    return;
+  }
 
-    } else if (action === 'analyze') {
-      console.log(`${colors.cyan}🔍 Analyzing bundle from JSON...${colors.reset}`);
-      
-      for (let i = 0; i < data.tokens.length; i++) {
-        const token = data.tokens[i];
-        console.log(`${colors.yellow}📊 Analyzing token ${i + 1}/${data.tokens.length}: ${token.name} (${token.symbol})${colors.reset}`);
-        
-        try {
-          // Get balance
-          const balance = await getTokenBalance(token.mint, wallet.publicKey.toString());
-          console.log(`${colors.blue}💰 Balance: ${balance}${colors.reset}`);
-          
-          // Get quote for 1 SOL worth
-          const quote = await getBestQuote(
-            'So11111111111111111111111111111111111111112',
-            token.mint,
-            LAMPORTS_PER_SOL
-          );
-          console.log(`${colors.green}📈 1 SOL = ${quote.outputAmount} tokens${colors.reset}`);
-          
-        } catch (error) {
-          console.log(`${colors.red}❌ Failed to analyze token ${i + 1}: ${error.message}${colors.reset}`);
-        }
-      }
+  if (!await unlockWallets()) return;
+  const resolveWallet = async (name) => name === settings.activeWallet ? wallet : loadWallet(name);
+  const balances = await bundleRunner.fetchBalances(bundle, { defaultWallet: settings.activeWallet, resolveWallet });
+  bundleRunner.preview(bundle, { defaultWallet: settings.activeWallet, balances });
 
-      console.log(`${colors.green}✅ Bundle analysis from JSON completed!${colors.reset}`);
-    }
+  if (action === 'preview') {
+    await waitForSpaceKey();
+    return;
+  }
 
-  } catch (error) {
-    console.error(`${colors.red}❌ Failed to load JSON: ${error.message}${colors.reset}`);
+  const { confirm } = await inquirer.prompt([
+    { type: 'confirm', name: 'confirm', message: `Execute ${bundle.legs.length} bundle leg(s)?`, default: false }
+  ]);
+  if (!confirm) {
+    console.log(`${colors.yellow}⚠️ Bundle cancelled${colors.reset}`);
+    return;
   }
 
+  console.log(`${colors.cyan}🚀 Executing bundle ${bundle.name}...${colors.reset}`);
+  const results = await bundleRunner.run(bundle, {
+    defaultWallet: settings.activeWallet,
+    resolveWallet,
+    onLeg: (result) => {
+      const mark = result.status === 'ok' ? '✅' : result.status === 'failed' ? '❌' : '📑';
+      console.log(`${mark} [${result.index + 1}/${bundle.legs.length}] ${bundleRunner.describeLeg(result.leg)} ${result.signature || result.orderId || result.error || result.status}`);
+    }
+  });
+  bundleRunner.displayResults(results);
   await waitForSpaceKey();
 }
 
@@ -11342,5 +11754,73 @@ async function handleDexscreenerBoostedMode() {
   }
 }
 
-// Start the application
-initializeApp();
\ No newline at end of file
+/**
+ * Graduation Tracker mode: poll bonding curves and redraw the candidates until
+ * Q is pressed. R polls immediately.
+ */
+async function handleGraduationMode() {
+  const recentEvents = [];
+
+  const render = () => {
+    console.clear();
+    graduationTracker.display();
+    if (recentEvents.length > 0) {
+      console.log(`\n${colors.yellow}🔔 Recent events${colors.reset}`);
+      recentEvents.forEach(line => console.log(`   ${line}`));
+    }
+    console.log(`\n${colors.cyan}R (Refresh) | Q (Back)${colors.reset}`);
+  };
+
+  const stopListening = graduationTracker.onEvent(({ type, threshold, token }) => {
+    const time = new Date().toLocaleTimeString();
+    recentEvents.unshift(type === 'graduated'
+      ? `${time} 🎓 ${token.symbol} graduated`
+      : `${time} 📈 ${token.symbol} passed ${threshold}%`);
+    recentEvents.splice(5);
+  });
+
+  console.log(`${colors.cyan}🎓 Sampling bonding curves...${colors.reset}`);
+  await graduationTracker.poll();
+  render();
+  graduationTracker.start(settings.graduationCheckInterval, render);
+
+  const originalRawMode = process.stdin.isRaw;
+  const originalEncoding = process.stdin.encoding;
+
+  process.stdin.setRawMode(true);
+  process.stdin.resume();
+  process.stdin.setEncoding('utf8');
+
+  await new Promise((resolve) => {
+    const onData = async (data) => {
+      const key = data.toLowerCase();
+      if (key === 'q') {
+        graduationTracker.stop();
+        stopListening();
+        process.stdin.setRawMode(false);
+        process.stdin.pause();
+        process.stdin.setRawMode(originalRawMode);
+        process.stdin.setEncoding(originalEncoding);
+        process.stdin.removeListener('data', onData);
+        resolve();
+      } else if (key === 'r') {
+        console.log(`\n${colors.cyan}🔄 Refreshing...${colors.reset}`);
+        await graduationTracker.poll();
+        render();
+      }
+    };
+
+    process.stdin.on('data', onData);
+  });
+
+  return initializeApp(MENU_STATES.MONITOR);
+}
+
+export { startStream, loadSettings };
+
+// Start the interactive application only when run directly; cli.js imports this file
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  priceAlerts.start();
+  orderEngine.start();
+  initializeApp();
+}
\ No newline at end of file
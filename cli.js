@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { colors } from './colors.js';
+import { logToFile } from './logger.js';
+import { performSwap, simulateSwap, getAllTokenBalances, getSolBalance } from './modules/jupiter-swap.js';
+import { WalletManager } from './modules/wallet-manager.js';
+import { settingsManager } from './modules/settings-manager.js';
+import { bitqueryRecorder } from './modules/bitquery-recorder.js';
+import { bundleRunner, loadBundleFile, BundleError } from './modules/bundles.js';
+import { exitPlans } from './modules/exit-plans.js';
+import { rugChecker } from './modules/rug-checks.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const STREAM_MODES = ['pump', 'trending', 'graduated', 'graduation', 'min500tx', 'pumpfunCrossMarket'];
+const BOOLEAN_FLAGS = ['json', 'dry-run', 'follow', 'help'];
+
+// Exit codes: 0 success, 1 command failed, 2 bad usage
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+const USAGE = `Usage: pumptool <command> [options]
+
+Commands:
+  buy <mint> --sol <amount>          Buy a token with SOL
+  sell <mint> --pct <percent>        Sell a percentage of a token balance
+  sell <mint> --amount <tokens>      Sell an exact token amount
+  stream [--mode <mode>]             Print trades for a monitoring mode
+  balances                           Show SOL and token balances
+  bundle <file>                      Run a version 2 bundle file (--dry-run to preview)
+  bundle export [--out <file>]       Write the wallet's holdings as a bundle file
+
+Options:
+  --wallet <name>      Wallet to use (default: active wallet from settings)
+  --slippage <pct>     Slippage override for this swap
+  --dry-run            Build and simulate swaps without sending them; preview bundles
+  --json               Print machine-readable JSON to stdout
+  --mode <mode>        Stream mode: ${STREAM_MODES.join(', ')}
+  --follow             Keep streaming, refreshing every --interval seconds (default 30)
+  --record <name>      Save BitQuery responses to data/sessions/<name>.jsonl
+  --replay <session>   Serve BitQuery responses from a recorded session
+  --speed <x>          Replay speed multiplier, 0 for no delay (default 1)
+  --set <key=value>    Override a setting for this run
+
+Buys are blocked when the token's rug risk is above maxRugRiskScore;
+pass --set rugCheckBeforeBuy=false to skip the check.
+
+Encrypted wallets are unlocked with PUMPTOOL_WALLET_PASSPHRASE when no TTY is attached.`;
+
+/**
+ * Split argv into positionals and --options
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (BOOLEAN_FLAGS.includes(key)) {
+      options[key] = true;
+    } else if (inlineValue !== undefined) {
+      options[key] = inlineValue;
+    } else if (i + 1 < argv.length) {
+      options[key] = argv[++i];
+    } else {
+      throw new UsageError(`Missing value for --${key}`);
+    }
+  }
+
+  return { command: positionals[0], args: positionals.slice(1), options };
+}
+
+function parsePositiveNumber(value, name) {
+  const num = Number(value);
+  if (value === undefined || !Number.isFinite(num) || num <= 0) {
+    throw new UsageError(`--${name} must be a positive number`);
+  }
+  return num;
+}
+
+function requireMint(args) {
+  if (!args[0]) {
+    throw new UsageError('Token mint address is required');
+  }
+  return args[0];
+}
+
+// Library modules report progress with console.log; keep stdout for JSON results
+function reserveStdoutForJson() {
+  console.log = console.error;
+  console.info = console.error;
+  console.warn = console.error;
+}
+
+function emitJson(value) {
+  process.stdout.write(`${JSON.stringify(value)}\n`);
+}
+
+/**
+ * Load the wallet named by --wallet or the active wallet from settings
+ */
+async function loadCliWallet(options) {
+  const walletManager = new WalletManager();
+  const name = options.wallet || settingsManager.get('activeWallet');
+  if (!name) {
+    throw new UsageError('No wallet given. Use --wallet <name> or set an active wallet.');
+  }
+  if (!walletManager.getWalletFiles().includes(name)) {
+    throw new UsageError(`Wallet '${name}' not found`);
+  }
+  if (!await walletManager.unlock()) {
+    throw new Error('Wallet keystore is locked');
+  }
+
+  const keypair = walletManager.loadWallet(name);
+  if (!keypair) {
+    throw new Error(`Could not load wallet '${name}'`);
+  }
+  return { name, keypair };
+}
+
+/**
+ * Send (or simulate with --dry-run) a swap and report the result
+ */
+async function runSwap(side, fromMint, toMint, amount, wallet, options) {
+  const slippage = options.slippage !== undefined ? parsePositiveNumber(options.slippage, 'slippage') : null;
+  const useUltraV2 = settingsManager.get('enableUltraV2') !== false;
+
+  const result = options['dry-run']
+    ? await simulateSwap(fromMint, toMint, amount, wallet.keypair, slippage, useUltraV2)
+    : await performSwap(fromMint, toMint, amount, wallet.keypair, slippage, useUltraV2);
+
+  const summary = {
+    command: side,
+    success: Boolean(result?.success),
+    dryRun: Boolean(options['dry-run']),
+    wallet: wallet.name,
+    inputMint: fromMint,
+    outputMint: toMint,
+    amount,
+    outAmount: result?.quote?.outAmount || null,
+    signature: result?.signature || null,
+    error: result?.error || null
+  };
+
+  if (options.json) {
+    emitJson(summary);
+  } else if (summary.success) {
+    const detail = summary.dryRun ? 'simulation passed' : `signature ${summary.signature}`;
+    console.log(`${colors.green}✅ ${side} ${summary.dryRun ? '(dry run) ' : ''}${detail}${colors.reset}`);
+  } else {
+    console.error(`${colors.red}❌ ${side} failed: ${summary.error || 'unknown error'}${colors.reset}`);
+  }
+
+  return summary.success ? EXIT_OK : EXIT_FAILED;
+}
+
+async function buyCommand(args, options) {
+  const mint = requireMint(args);
+  const sol = parsePositiveNumber(options.sol, 'sol');
+  const wallet = await loadCliWallet(options);
+  const lamports = Math.round(sol * LAMPORTS_PER_SOL);
+
+  const { allowed, result } = await rugChecker.screenBuy(mint);
+  if (!allowed) {
+    throw new Error(`rug risk ${result.score}/100 is above maxRugRiskScore ${settingsManager.get('maxRugRiskScore')} (${result.warnings.join('; ')})`);
+  }
+
+  return runSwap('buy', SOL_MINT, mint, lamports, wallet, options);
+}
+
+async function sellCommand(args, options) {
+  const mint = requireMint(args);
+  if ((options.pct === undefined) === (options.amount === undefined)) {
+    throw new UsageError('Use exactly one of --pct or --amount');
+  }
+  const pct = options.pct !== undefined ? parsePositiveNumber(options.pct, 'pct') : null;
+  if (pct !== null && pct > 100) {
+    throw new UsageError('--pct must be between 0 and 100');
+  }
+  const tokenAmount = options.amount !== undefined ? parsePositiveNumber(options.amount, 'amount') : null;
+
+  const wallet = await loadCliWallet(options);
+  const balances = await getAllTokenBalances(wallet.keypair.publicKey.toString(), true);
+  const holding = balances.find(token => token.mint === mint);
+  if (!holding || !holding.balance) {
+    throw new Error(`Wallet '${wallet.name}' holds no ${mint}`);
+  }
+
+  const uiAmount = pct !== null ? holding.balance * pct / 100 : tokenAmount;
+  if (uiAmount > holding.balance) {
+    throw new Error(`Requested ${uiAmount} but balance is ${holding.balance}`);
+  }
+  const rawAmount = Math.floor(uiAmount * Math.pow(10, holding.decimals));
+  if (rawAmount <= 0) {
+    throw new Error('Sell amount rounds to zero');
+  }
+
+  return runSwap('sell', mint, SOL_MINT, rawAmount, wallet, options);
+}
+
+async function balancesCommand(args, options) {
+  const wallet = await loadCliWallet(options);
+  const address = wallet.keypair.publicKey.toString();
+  const sol = await getSolBalance(address);
+  const tokens = await getAllTokenBalances(address, true);
+
+  if (options.json) {
+    emitJson({
+      wallet: wallet.name,
+      address,
+      sol,
+      tokens: tokens.map(({ mint, balance, decimals, symbol }) => ({ mint, balance, decimals, symbol }))
+    });
+    return EXIT_OK;
+  }
+
+  console.log(`${colors.cyan}💼 ${wallet.name}${colors.reset} ${colors.dim}${address}${colors.reset}`);
+  console.log(`   SOL: ${sol.toFixed(6)}`);
+  if (tokens.length === 0) {
+    console.log(`   ${colors.dim}No token balances${colors.reset}`);
+  }
+  tokens.forEach(token => {
+    console.log(`   ${token.mint}: ${token.balance}`);
+  });
+  return EXIT_OK;
+}
+
+async function bundleCommand(args, options) {
+  if (!args[0]) {
+    throw new UsageError('Bundle file is required');
+  }
+  if (args[0] === 'export') {
+    const wallet = await loadCliWallet(options);
+    const { filePath, count } = await bundleRunner.exportHoldings(wallet.keypair.publicKey.toString(), wallet.name, options.out);
+    if (options.json) {
+      emitJson({ command: 'bundle export', success: true, wallet: wallet.name, filePath, tokens: count });
+    } else {
+      console.log(`${colors.green}✅ Exported ${count} token(s) to ${filePath}${colors.reset}`);
+    }
+    return EXIT_OK;
+  }
+
+  let bundle;
+  try {
+    bundle = loadBundleFile(args[0]);
+  } catch (error) {
+    if (!(error instanceof BundleError)) throw error;
+    if (options.json) {
+      emitJson({ command: 'bundle', success: false, problems: error.problems });
+    }
+    console.error(`${colors.red}❌ ${error.message}${colors.reset}`);
+    return EXIT_FAILED;
+  }
+
+  const wallet = await loadCliWallet(options);
+  const walletManager = new WalletManager();
+  const resolveWallet = async (name) => {
+    if (name === wallet.name) return wallet.keypair;
+    const keypair = walletManager.loadWallet(name);
+    if (!keypair) throw new Error(`Could not load wallet '${name}'`);
+    return keypair;
+  };
+
+  if (options['dry-run']) {
+    const balances = await bundleRunner.fetchBalances(bundle, { defaultWallet: wallet.name, resolveWallet });
+    if (options.json) {
+      emitJson({ command: 'bundle', success: true, dryRun: true, name: bundle.name, legs: bundle.legs, balances });
+    } else {
+      bundleRunner.preview(bundle, { defaultWallet: wallet.name, balances });
+    }
+    return EXIT_OK;
+  }
+
+  const results = await bundleRunner.run(bundle, { defaultWallet: wallet.name, resolveWallet });
+  const failed = results.filter(result => result.status === 'failed').length;
+  if (options.json) {
+    emitJson({
+      command: 'bundle',
+      success: failed === 0,
+      name: bundle.name,
+      results: results.map(({ index, leg, wallet: walletName, status, signature, orderId, exitPlanId, error }) => (
+        { index, mint: leg.mint, side: leg.side, wallet: walletName, status, signature, orderId, exitPlanId, error }
+      ))
+    });
+  } else {
+    bundleRunner.displayResults(results);
+  }
+
+  // Exit plans live in this process; queued orders run whenever the app's order engine does
+  if (exitPlans.getActivePlans().length > 0) {
+    console.log(`${colors.cyan}🎯 Waiting for ${exitPlans.getActivePlans().length} exit plan(s) to finish (Ctrl+C to stop)...${colors.reset}`);
+    while (exitPlans.getActivePlans().length > 0) {
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+  return failed === 0 ? EXIT_OK : EXIT_FAILED;
+}
+
+function formatTrade(trade) {
+  // Graduation tracker candidates
+  if (trade.progress !== undefined) {
+    const eta = trade.etaMinutes === null ? 'no ETA' : `ETA ${trade.etaMinutes.toFixed(1)}m`;
+    return `${trade.symbol} ${trade.mint} ${trade.progress.toFixed(1)}% ${eta}`;
+  }
+  // Scored trending tokens
+  if (trade.metrics?.score !== undefined) {
+    return `${trade.token?.Symbol || '?'} ${trade.mintAddress} score ${trade.metrics.score.toFixed(2)}`;
+  }
+  const buy = trade.Trade?.Buy || trade.Pool?.Market?.BaseCurrency || {};
+  const currency = buy.Currency || buy;
+  const time = trade.Block?.Time || '';
+  const price = buy.PriceInUSD !== undefined ? `$${buy.PriceInUSD}` : '';
+  return `${time} ${currency.Symbol || '?'} ${currency.MintAddress || ''} ${price}`.trim();
+}
+
+async function streamCommand(args, options) {
+  const mode = options.mode || args[0] || 'pump';
+  if (!STREAM_MODES.includes(mode)) {
+    throw new UsageError(`Unknown mode '${mode}'. Use one of: ${STREAM_MODES.join(', ')}`);
+  }
+  const interval = options.interval !== undefined ? parsePositiveNumber(options.interval, 'interval') : 30;
+
+  // Imported lazily: the interactive app module is heavy and only needed here
+  const { startStream } = await import('./bitquery-stream.js');
+
+  const onTrades = (trades) => {
+    trades.forEach(trade => {
+      if (options.json) {
+        emitJson(trade);
+      } else {
+        console.log(formatTrade(trade));
+      }
+    });
+  };
+
+  do {
+    if (!await startStream(mode, { onTrades })) {
+      return EXIT_FAILED;
+    }
+    if (options.follow) {
+      await new Promise(resolve => setTimeout(resolve, interval * 1000));
+    }
+  } while (options.follow);
+
+  return EXIT_OK;
+}
+
+const COMMANDS = {
+  buy: buyCommand,
+  sell: sellCommand,
+  balances: balancesCommand,
+  stream: streamCommand,
+  bundle: bundleCommand
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`${colors.red}${error.message}${colors.reset}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { command, args, options } = parsed;
+  if (!command || options.help || command === 'help') {
+    console.log(USAGE);
+    return command || options.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const handler = COMMANDS[command];
+  if (!handler) {
+    console.error(`${colors.red}Unknown command '${command}'${colors.reset}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  if (options.json) {
+    reserveStdoutForJson();
+  }
+
+  try {
+    if (options.replay) {
+      const speed = options.speed !== undefined ? Number(options.speed) : 1;
+      bitqueryRecorder.startReplay(options.replay, { speed });
+    } else if (options.record) {
+      bitqueryRecorder.startRecording(options.record);
+    }
+    return await handler(args, options);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${colors.red}${error.message}${colors.reset}`);
+      return EXIT_USAGE;
+    }
+    console.error(`${colors.red}❌ ${command} failed: ${error.message}${colors.reset}`);
+    logToFile(`CLI ${command} error: ${error.message}`, 'error');
+    if (options.json) {
+      emitJson({ command, success: false, error: error.message });
+    }
+    return EXIT_FAILED;
+  }
+}
+
+// Exit explicitly: shared modules keep timers alive
+main(process.argv.slice(2)).then(code => process.exit(code));
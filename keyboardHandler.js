@@ -4,6 +4,7 @@ import inquirer from 'inquirer';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { notifier } from './modules/notifications.js';
 
 // Get current directory with ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -252,7 +253,22 @@ class KeyboardHandler {
       }
     }
     
-    if (mintAddress) {
+    if (!mintAddress) return;
+
+    // Configured channels take over from driving the desktop Telegram app
+    if (notifier.hasRoute('token.shared')) {
+      const sent = await notifier.notify('token.shared', {
+        title: '🪙 Token shared',
+        message: `/buy ${mintAddress}\nhttps://dexscreener.com/solana/${mintAddress}`,
+        data: { mint: mintAddress, mode: this.state.getMode() }
+      });
+      console.log(sent > 0
+        ? `${colors.green}Sent token address to ${sent} notification channel(s): ${mintAddress}${colors.reset}`
+        : `${colors.red}Failed to send token address to notification channels${colors.reset}`);
+      return;
+    }
+
+    if (process.platform === 'darwin') {
       execSync(`osascript -e 'tell application "Telegram" to activate' \
         -e 'tell application "System Events" to keystroke "/buy"' \
         -e 'delay 0.5' \
@@ -262,6 +278,8 @@ class KeyboardHandler {
         -e 'delay 0.5' \
         -e 'tell application "System Events" to keystroke return'`);
       console.log(`Sending token address to Telegram: ${mintAddress}`);
+    } else {
+      console.log(`${colors.yellow}No notification channels set up for shared tokens. Add one under Settings → Notification Channels.${colors.reset}`);
     }
   }
 
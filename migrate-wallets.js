@@ -0,0 +1,31 @@
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { colors } from './colors.js';
+import { keystore } from './modules/keystore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Encrypts every plaintext wallet in wallets/ with the session passphrase
+async function migrateWallets() {
+  const walletsDir = path.join(__dirname, 'wallets');
+  console.log(`${colors.cyan}🔐 Wallet Keystore Migration${colors.reset}`);
+  console.log(`${colors.white}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}\n`);
+
+  const plaintextCount = keystore.countPlaintextWallets(walletsDir);
+  if (plaintextCount === 0) {
+    console.log(`${colors.green}✅ No plaintext wallets found${colors.reset}`);
+    return true;
+  }
+
+  console.log(`${colors.yellow}⚠️ Found ${plaintextCount} plaintext wallet(s)${colors.reset}`);
+  if (!await keystore.unlockInteractive(walletsDir)) {
+    console.log(`${colors.red}❌ Could not unlock the keystore${colors.reset}`);
+    return false;
+  }
+
+  const migrated = keystore.migratePlaintextWallets(walletsDir);
+  console.log(`\n${colors.green}✅ Encrypted ${migrated} wallet(s)${colors.reset}`);
+  return true;
+}
+
+migrateWallets().then(success => process.exit(success ? 0 : 1));
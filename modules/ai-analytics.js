@@ -1,4 +1,5 @@
 import { colors } from '../colors.js';
+import { Backtester } from './backtester.js';
 
 export class AIAnalytics {
   constructor() {
@@ -43,17 +44,18 @@ export class AIAnalytics {
     };
   }
 
-  async backtestStrategy(strategy, historicalData) {
-    return {
-      totalTrades: 25,
-      winningTrades: 18,
-      losingTrades: 7,
-      totalProfit: 1250.50,
-      maxDrawdown: 0.15,
-      winRate: 0.72,
-      profitFactor: 2.1,
-      sharpeRatio: 1.8
-    };
+  /**
+   * Replay recorded DEXTrades through a strategy plugin
+   * @param {Object} strategy - Strategy plugin (see strategy-contract.js)
+   * @param {Array} historicalData - DEXTrades rows (pumpTradesQuery shape)
+   * @param {Object} options - Backtester options (initialCapital, slippagePercent, context, ...) and `config` overrides
+   */
+  async backtestStrategy(strategy, historicalData, options = {}) {
+    const { config, ...backtesterOptions } = options;
+    const backtester = new Backtester(backtesterOptions);
+    const results = await backtester.run(strategy, historicalData, { config });
+    this.backtestResults.push(results);
+    return results;
   }
 
   displayPatternAnalysis(patterns) {
@@ -97,15 +99,26 @@ export class AIAnalytics {
   }
 
   displayBacktestResults(results) {
+    const profitColor = results.totalProfit >= 0 ? colors.green : colors.red;
+    const profitFactor = Number.isFinite(results.profitFactor) ? results.profitFactor.toFixed(2) : '∞';
     console.log(`\n${colors.cyan}📈 BACKTEST RESULTS${colors.reset}`);
     console.log(`${'─'.repeat(50)}`);
+    if (results.strategy) {
+      console.log(`Strategy: ${colors.cyan}${results.strategy}${colors.reset} (${results.events} events)`);
+    }
+    if (results.signals) {
+      console.log(`Signals: ${colors.blue}${results.signals.signals}${colors.reset} (${results.signals.executed} executed, ${results.signals.skipped} skipped)`);
+    }
     console.log(`Total Trades: ${colors.blue}${results.totalTrades}${colors.reset}`);
     console.log(`Winning Trades: ${colors.green}${results.winningTrades}${colors.reset}`);
     console.log(`Losing Trades: ${colors.red}${results.losingTrades}${colors.reset}`);
     console.log(`Win Rate: ${colors.green}${(results.winRate * 100).toFixed(1)}%${colors.reset}`);
-    console.log(`Total Profit: ${colors.green}$${results.totalProfit.toFixed(2)}${colors.reset}`);
+    console.log(`Total Profit: ${profitColor}$${results.totalProfit.toFixed(2)}${colors.reset}`);
+    if (results.totalFees !== undefined) {
+      console.log(`Fees Paid: ${colors.yellow}$${results.totalFees.toFixed(4)}${colors.reset}`);
+    }
     console.log(`Max Drawdown: ${colors.red}${(results.maxDrawdown * 100).toFixed(1)}%${colors.reset}`);
-    console.log(`Profit Factor: ${colors.yellow}${results.profitFactor}${colors.reset}`);
-    console.log(`Sharpe Ratio: ${colors.blue}${results.sharpeRatio}${colors.reset}`);
+    console.log(`Profit Factor: ${colors.yellow}${profitFactor}${colors.reset}`);
+    console.log(`Sharpe Ratio: ${colors.blue}${results.sharpeRatio.toFixed(2)}${colors.reset}`);
   }
-} 
\ No newline at end of file
+}
@@ -1,6 +1,26 @@
 import fetch from 'node-fetch';
 import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { buildTokenTradesQuery } from '../queries.js';
 import { rateLimiter, LoadingSpinner } from '../utils.js';
+import { connectionManager } from './connection-manager.js';
+import {
+  calculateBollingerBands,
+  calculateEMA,
+  calculateMACD,
+  calculateRSI,
+  normalizeTokenTrades,
+  scoreTradeFlow,
+  technicalVotes
+} from './indicators.js';
+import { ohlcvStore } from './ohlcv.js';
+
+// Technical analysis and price prediction run on this many of these candles
+const ANALYSIS_INTERVAL = '5m';
+const ANALYSIS_CANDLES = 100;
+// Trade flow behind the sentiment score covers this much recent history
+const SENTIMENT_WINDOW_MS = 60 * 60 * 1000;
+const SENTIMENT_MAX_TRADES = 1000;
 
 /**
  * Enhanced AI Analyzer with Machine Learning
@@ -80,7 +100,7 @@ export class AIEnhancedAnalyzer {
       }
 
       // Get historical price data
-      const historicalData = await this.getHistoricalData(tokenAddress);
+      const historicalData = await this.getHistoricalData(tokenAddress, tokenData.analysis.metadata.price);
       
       // Perform AI analysis
       const aiAnalysis = await this.performAIAnalysis(tokenData, historicalData);
@@ -94,8 +114,9 @@ export class AIEnhancedAnalyzer {
       // Price prediction
       const pricePrediction = await this.predictPriceWithML(tokenData, historicalData);
       
-      // Sentiment analysis
-      const sentimentAnalysis = await this.analyzeSentimentWithAI(tokenData);
+      // Sentiment analysis from the token's recent trade flow
+      const trades = await this.getRecentTrades(tokenAddress);
+      const sentimentAnalysis = await this.analyzeSentimentWithAI(tokenData, trades);
 
       this.spinner.stop();
 
@@ -190,26 +211,24 @@ export class AIEnhancedAnalyzer {
   }
 
   /**
-   * Get historical price data
+   * Get historical price data: the token's 5m candles from the OHLCV store,
+   * oldest first. Without candles (no API key, no recent trades) it's a
+   * single point at `currentPrice` so predictions fall back to the current price.
    */
-  async getHistoricalData(tokenAddress) {
-    // In production, fetch from real API
-    // For now, generate synthetic data
-    const data = [];
-    const basePrice = 0.00001;
-    
-    for (let i = 0; i < 100; i++) {
-      const randomChange = (Math.random() - 0.5) * 0.2;
-      const price = basePrice * (1 + randomChange);
-      data.push({
-        timestamp: Date.now() - (100 - i) * 3600000,
-        price: price,
-        volume: Math.random() * 1000,
-        marketCap: price * 1000000
-      });
+  async getHistoricalData(tokenAddress, currentPrice = null) {
+    const candles = await ohlcvStore.getCandles(tokenAddress, ANALYSIS_INTERVAL, { limit: ANALYSIS_CANDLES });
+    if (candles.length === 0) {
+      return currentPrice ? [{ timestamp: Date.now(), price: currentPrice, volume: 0 }] : [];
     }
-    
-    return data;
+
+    return candles.map(candle => ({
+      timestamp: candle.time,
+      price: candle.close,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      volume: candle.volumeUsd
+    }));
   }
 
   /**
@@ -248,87 +267,28 @@ export class AIEnhancedAnalyzer {
    * Calculate RSI (Relative Strength Index)
    */
   calculateRSI(prices, period = 14) {
-    if (prices.length < period + 1) return 50;
-
-    const gains = [];
-    const losses = [];
-
-    for (let i = 1; i < prices.length; i++) {
-      const change = prices[i] - prices[i - 1];
-      gains.push(change > 0 ? change : 0);
-      losses.push(change < 0 ? Math.abs(change) : 0);
-    }
-
-    const avgGain = gains.slice(-period).reduce((a, b) => a + b, 0) / period;
-    const avgLoss = losses.slice(-period).reduce((a, b) => a + b, 0) / period;
-
-    if (avgLoss === 0) return 100;
-    
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
+    return calculateRSI(prices, period);
   }
 
   /**
    * Calculate MACD
    */
   calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
-    if (prices.length < slowPeriod) return { macd: 0, signal: 0, histogram: 0 };
-
-    const ema12 = this.calculateEMA(prices, fastPeriod);
-    const ema26 = this.calculateEMA(prices, slowPeriod);
-    const macdLine = ema12 - ema26;
-    
-    // For simplicity, we'll use a simple average for signal line
-    const signalLine = macdLine * 0.8; // Simplified calculation
-    
-    return {
-      macd: macdLine,
-      signal: signalLine,
-      histogram: macdLine - signalLine
-    };
+    return calculateMACD(prices, fastPeriod, slowPeriod, signalPeriod);
   }
 
   /**
    * Calculate EMA (Exponential Moving Average)
    */
   calculateEMA(prices, period) {
-    if (prices.length < period) return prices[prices.length - 1];
-
-    const multiplier = 2 / (period + 1);
-    let ema = prices[0];
-
-    for (let i = 1; i < prices.length; i++) {
-      ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
-    }
-
-    return ema;
+    return calculateEMA(prices, period);
   }
 
   /**
    * Calculate Bollinger Bands
    */
   calculateBollingerBands(prices, period = 20, stdDev = 2) {
-    if (prices.length < period) {
-      const currentPrice = prices[prices.length - 1];
-      return {
-        upper: currentPrice * 1.1,
-        middle: currentPrice,
-        lower: currentPrice * 0.9
-      };
-    }
-
-    const recentPrices = prices.slice(-period);
-    const sma = recentPrices.reduce((a, b) => a + b, 0) / period;
-    
-    const variance = recentPrices.reduce((sum, price) => 
-      sum + Math.pow(price - sma, 2), 0) / period;
-    const standardDeviation = Math.sqrt(variance);
-
-    return {
-      upper: sma + (standardDeviation * stdDev),
-      middle: sma,
-      lower: sma - (standardDeviation * stdDev)
-    };
+    return calculateBollingerBands(prices, period, stdDev);
   }
 
   /**
@@ -580,6 +540,9 @@ export class AIEnhancedAnalyzer {
   async predictPriceWithML(tokenData, historicalData) {
     try {
       const prices = historicalData.map(d => d.price);
+      if (prices.length === 0) {
+        throw new Error('No price history');
+      }
       const currentPrice = prices[prices.length - 1];
 
       // Use ensemble of multiple prediction methods
@@ -721,28 +684,35 @@ export class AIEnhancedAnalyzer {
   }
 
   /**
-   * Sentiment analysis using AI
+   * Recent trades of a token, oldest first (see normalizeTokenTrades).
+   * Empty when BitQuery isn't configured or the request fails.
+   */
+  async getRecentTrades(tokenAddress) {
+    try {
+      const result = await connectionManager.makeBitqueryRequest(buildTokenTradesQuery({
+        mint: tokenAddress,
+        since: new Date(Date.now() - SENTIMENT_WINDOW_MS).toISOString(),
+        limit: SENTIMENT_MAX_TRADES,
+        newestFirst: true
+      }));
+      return normalizeTokenTrades(result.data?.Solana?.DEXTradeByTokens);
+    } catch (error) {
+      logToFile(`Trade history for ${tokenAddress} failed: ${error.message}`, 'error');
+      return [];
+    }
+  }
+
+  /**
+   * Sentiment from trade flow (VWAP, OBV, buy/sell pressure, trade sizes,
+   * wallet growth) and indicator votes on the traded prices. Without trades
+   * the score is 0 and the recommendation HOLD.
    */
-  async analyzeSentimentWithAI(tokenData) {
-    // Simulate AI-powered sentiment analysis
+  async analyzeSentimentWithAI(tokenData, trades = []) {
+    const flow = scoreTradeFlow(trades);
     const sentiment = {
-      overall: this.generateAISentiment(),
-      social: {
-        twitter: this.generateSocialSentiment(),
-        reddit: this.generateSocialSentiment(),
-        telegram: this.generateSocialSentiment(),
-        discord: this.generateSocialSentiment()
-      },
-      news: {
-        positive: Math.random() * 40 + 30,
-        negative: Math.random() * 20 + 10,
-        neutral: Math.random() * 30 + 20
-      },
-      technical: {
-        bullish: Math.random() * 60 + 20,
-        bearish: Math.random() * 40 + 10,
-        neutral: Math.random() * 30 + 10
-      }
+      overall: this.generateAISentiment(flow),
+      flow,
+      technical: technicalVotes(trades.map(trade => trade.priceUsd), flow.vwap)
     };
 
     return {
@@ -753,30 +723,21 @@ export class AIEnhancedAnalyzer {
   }
 
   /**
-   * Generate AI sentiment
-   */
-  generateAISentiment() {
-    const score = Math.random();
-    if (score > 0.7) return 'BULLISH';
-    if (score > 0.4) return 'NEUTRAL';
-    return 'BEARISH';
-  }
-
-  /**
-   * Generate social sentiment
+   * Label the trade flow score
    */
-  generateSocialSentiment() {
-    return Math.random() * 100;
+  generateAISentiment(flow) {
+    if (flow.score > 0.2) return 'BULLISH';
+    if (flow.score < -0.2) return 'BEARISH';
+    return 'NEUTRAL';
   }
 
   /**
-   * Calculate overall sentiment score
+   * Calculate overall sentiment score in [-1, 1]: trade flow and indicator votes, equally weighted
    */
   calculateSentimentScore(sentiment) {
-    const socialAvg = Object.values(sentiment.social).reduce((a, b) => a + b, 0) / 4;
-    const technicalAvg = (sentiment.technical.bullish - sentiment.technical.bearish) / 100;
-    
-    return (socialAvg / 100 + technicalAvg) / 2;
+    const technicalNet = (sentiment.technical.bullish - sentiment.technical.bearish) / 100;
+
+    return (sentiment.flow.score + technicalNet) / 2;
   }
 
   /**
@@ -787,8 +748,8 @@ export class AIEnhancedAnalyzer {
     
     if (score > 0.6) return 'STRONG_BUY';
     if (score > 0.3) return 'BUY';
-    if (score < -0.3) return 'SELL';
     if (score < -0.6) return 'STRONG_SELL';
+    if (score < -0.3) return 'SELL';
     return 'HOLD';
   }
 
@@ -962,6 +923,14 @@ export class AIEnhancedAnalyzer {
       console.log(`\n${colors.yellow}📊 SENTIMENT ANALYSIS${colors.reset}`);
       console.log(`Overall Score: ${(sentiment.score * 100).toFixed(1)}%`);
       console.log(`Recommendation: ${sentiment.recommendation}`);
+      const { flow } = sentiment.breakdown;
+      if (flow.trades > 0) {
+        console.log(`Trade Flow: ${sentiment.breakdown.overall} over ${flow.trades} trades`);
+        console.log(`  VWAP: ${flow.vwap === null ? '?' : `$${flow.vwap.toFixed(9)}`} | Buy Volume: ${(flow.pressure.buyRatio * 100).toFixed(1)}% | OBV: $${flow.obv.obv.toFixed(2)}`);
+        console.log(`  Median Trade: $${flow.sizes.median.toFixed(2)} | Wallets: ${flow.wallets.uniqueWallets} (new per window: ${flow.wallets.newWallets.join(' → ')})`);
+      } else {
+        console.log(`Trade Flow: ${colors.gray}no recent trades${colors.reset}`);
+      }
     }
 
     // Overall Confidence
@@ -1,8 +1,11 @@
 import { aiEnhancedAnalyzer } from './ai-enhanced-analyzer.js';
 import { autoTrading } from './auto-trading.js';
+import { strategyManager } from './strategy-manager.js';
 import { colors } from '../colors.js';
 import { LoadingSpinner } from '../utils.js';
 
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
 /**
  * AI Trading Integration Module
  * Combines AI analysis with automated trading execution
@@ -60,6 +63,20 @@ export class AITradingIntegration {
         autoTrading.setTradingConfig(config.tradingConfig);
       }
 
+      // Signals come from the enabled plugins in strategies/
+      await strategyManager.start({
+        executor: signal => this.executeSignal(signal, signal.tokenAddress),
+        context: {
+          ai: {
+            analyze: tokenAddress => this.performAIAnalysis(tokenAddress),
+            signals: analysis => this.generateTradingSignals(analysis),
+            watchlist: () => this.getWatchlistTokens()
+          }
+        }
+      });
+      const enabled = strategyManager.getEnabled();
+      console.log(`${colors.cyan}🧩 Strategies: ${enabled.length > 0 ? enabled.join(', ') : 'none enabled'}${colors.reset}`);
+
       // Start monitoring
       this.startMonitoring(config.monitoringInterval || 30000); // Default 30 seconds
 
@@ -80,6 +97,7 @@ export class AITradingIntegration {
     }
 
     this.isRunning = false;
+    strategyManager.stop();
     
     if (this.monitoringInterval) {
       clearInterval(this.monitoringInterval);
@@ -111,28 +129,8 @@ export class AITradingIntegration {
    */
   async monitorForOpportunities() {
     try {
-      // Get watchlist tokens (in production, this would be from user settings)
-      const watchlist = await this.getWatchlistTokens();
-      
-      for (const tokenAddress of watchlist) {
-        try {
-          // Perform AI analysis
-          const analysis = await this.performAIAnalysis(tokenAddress);
-          
-          if (!analysis.success) continue;
-
-          // Generate trading signals
-          const signals = await this.generateTradingSignals(analysis);
-          
-          // Execute trades based on signals
-          for (const signal of signals) {
-            await this.executeSignal(signal, tokenAddress);
-          }
-
-        } catch (error) {
-          console.error(`${colors.red}Error analyzing token ${tokenAddress}: ${error.message}${colors.reset}`);
-        }
-      }
+      // Each enabled strategy's onTick runs concurrently
+      await strategyManager.tick();
 
       // Monitor existing positions
       await autoTrading.monitorPositions();
@@ -196,6 +194,9 @@ export class AITradingIntegration {
     }
 
     const ai = analysis.analysis.ai;
+    const tokenPrice = analysis.analysis.metadata.price;
+    const solPrice = await autoTrading.getCurrentPrice(SOL_MINT);
+    const size = type => this.calculateTradeAmount(type, tokenPrice, solPrice);
 
     // Generate signals based on AI predictions
     if (ai.pricePrediction && ai.pricePrediction.confidence > 0.7) {
@@ -203,10 +204,11 @@ export class AITradingIntegration {
       const changePercent = Math.abs(pred.changePercent);
 
       if (changePercent > 5) { // Only trade if significant movement expected
+        const type = pred.trend === 'UP' ? 'BUY' : 'SELL';
         signals.push({
-          type: pred.trend === 'UP' ? 'BUY' : 'SELL',
+          type,
           confidence: pred.confidence,
-          amount: this.calculateTradeAmount(analysis.analysis.metadata.price),
+          ...size(type),
           reason: `AI price prediction: ${pred.trend} ${changePercent.toFixed(2)}%`,
           source: 'ai_prediction'
         });
@@ -220,7 +222,7 @@ export class AITradingIntegration {
           signals.push({
             type: signal.type,
             confidence: signal.confidence,
-            amount: this.calculateTradeAmount(analysis.analysis.metadata.price),
+            ...size(signal.type),
             reason: `${signal.indicator}: ${signal.reason}`,
             source: 'technical_analysis'
           });
@@ -235,7 +237,7 @@ export class AITradingIntegration {
         signals.push({
           type: 'BUY',
           confidence: sentiment.score,
-          amount: this.calculateTradeAmount(analysis.analysis.metadata.price),
+          ...size('BUY'),
           reason: `Strong bullish sentiment: ${(sentiment.score * 100).toFixed(1)}%`,
           source: 'sentiment_analysis'
         });
@@ -243,7 +245,7 @@ export class AITradingIntegration {
         signals.push({
           type: 'SELL',
           confidence: sentiment.score,
-          amount: this.calculateTradeAmount(analysis.analysis.metadata.price),
+          ...size('SELL'),
           reason: `Strong bearish sentiment: ${(sentiment.score * 100).toFixed(1)}%`,
           source: 'sentiment_analysis'
         });
@@ -254,27 +256,27 @@ export class AITradingIntegration {
   }
 
   /**
-   * Calculate trade amount based on token price and risk management
+   * Size a signal from the max trade size (USD) and risk level
+   * @param {string} type - 'BUY' or 'SELL'
+   * @param {number} tokenPrice - Token price in USD
+   * @param {number} solPrice - SOL price in USD
+   * @returns {Object} { sizeSol } SOL to spend for a buy, { amount } tokens (UI units) for a sell
    */
-  calculateTradeAmount(tokenPrice) {
+  calculateTradeAmount(type, tokenPrice, solPrice) {
     const config = autoTrading.tradingConfig;
-    const maxTradeSize = config.maxTradeSize;
     
-    // Calculate amount based on token price
-    let amount = maxTradeSize / tokenPrice;
+    // Low risk trades half the max size; nothing trades more than the max
+    const sizeUsd = config.riskLevel === 'low' ? config.maxTradeSize * 0.5 : config.maxTradeSize;
     
-    // Apply risk management
-    if (config.riskLevel === 'low') {
-      amount *= 0.5; // 50% of max size
-    } else if (config.riskLevel === 'high') {
-      amount *= 1.5; // 150% of max size
+    if (type === 'BUY') {
+      return { sizeSol: solPrice > 0 ? sizeUsd / solPrice : 0 };
     }
-    
-    return Math.min(amount, maxTradeSize / tokenPrice);
+    return { amount: tokenPrice > 0 ? sizeUsd / tokenPrice : 0 };
   }
 
   /**
    * Execute trading signal
+   * @returns {Promise<Object|null>} Trade result, or null when the signal was skipped
    */
   async executeSignal(signal, tokenAddress) {
     try {
@@ -283,18 +285,18 @@ export class AITradingIntegration {
       // Check if auto trading is enabled
       if (!autoTrading.tradingConfig.enableAutoTrading) {
         console.log(`${colors.yellow}⚠️ Auto trading is disabled${colors.reset}`);
-        return;
+        return null;
       }
 
       // Validate signal
       if (!this.validateSignal(signal)) {
         console.log(`${colors.yellow}⚠️ Invalid signal: ${signal.reason}${colors.reset}`);
-        return;
+        return null;
       }
 
       // Check if we should execute this signal
       if (!this.shouldExecuteSignal(signal, tokenAddress)) {
-        return;
+        return null;
       }
 
       console.log(`${colors.cyan}📊 Executing signal: ${signal.type} ${tokenAddress}${colors.reset}`);
@@ -302,7 +304,7 @@ export class AITradingIntegration {
       console.log(`${colors.gray}Confidence: ${(signal.confidence * 100).toFixed(1)}%${colors.reset}`);
 
       // Execute the trade
-      const tradeResult = await autoTrading.executeTrade(signal, tokenAddress, 'wallet_address');
+      const tradeResult = await autoTrading.executeTrade(signal, tokenAddress);
 
       if (tradeResult.success) {
         this.performanceMetrics.executedTrades++;
@@ -320,9 +322,11 @@ export class AITradingIntegration {
 
       // Update accuracy
       this.performanceMetrics.accuracy = this.performanceMetrics.successfulTrades / this.performanceMetrics.executedTrades;
+      return tradeResult;
 
     } catch (error) {
       console.error(`${colors.red}Error executing signal: ${error.message}${colors.reset}`);
+      return { success: false, error: error.message };
     }
   }
 
@@ -330,7 +334,7 @@ export class AITradingIntegration {
    * Validate trading signal
    */
   validateSignal(signal) {
-    if (!signal || !signal.type || !signal.confidence || !signal.amount) {
+    if (!signal || !signal.type || !signal.confidence) {
       return false;
     }
 
@@ -342,7 +346,9 @@ export class AITradingIntegration {
       return false;
     }
 
-    if (signal.amount <= 0) {
+    // Buys spend sizeSol SOL, sells sell amount tokens
+    const size = signal.type === 'BUY' ? signal.sizeSol : signal.amount;
+    if (!(size > 0)) {
       return false;
     }
 
@@ -421,7 +427,9 @@ export class AITradingIntegration {
       
       console.log(`${index + 1}. ${signalColor}${signal.type}${colors.reset}`);
       console.log(`   Confidence: ${confidenceColor}${(signal.confidence * 100).toFixed(1)}%${colors.reset}`);
-      console.log(`   Amount: ${signal.amount.toFixed(6)}`);
+      console.log(signal.type === 'BUY'
+        ? `   Size: ${signal.sizeSol.toFixed(4)} SOL`
+        : `   Amount: ${signal.amount.toFixed(6)} tokens`);
       console.log(`   Reason: ${signal.reason}`);
       console.log(`   Source: ${signal.source}`);
       console.log('');
@@ -453,7 +461,7 @@ export class AITradingIntegration {
     // Configuration
     console.log(`\n${colors.yellow}⚙️ CONFIGURATION${colors.reset}`);
     console.log(`Risk Level: ${autoTrading.tradingConfig.riskLevel.toUpperCase()}`);
-    console.log(`Trading Strategy: ${autoTrading.tradingConfig.tradingStrategy.toUpperCase()}`);
+    console.log(`Strategies: ${strategyManager.getEnabled().join(', ') || 'none enabled'}`);
     console.log(`Preferred DEX: ${autoTrading.tradingConfig.preferredDex.toUpperCase()}`);
     console.log(`Max Trade Size: $${autoTrading.tradingConfig.maxTradeSize}`);
     console.log(`Stop Loss: ${autoTrading.tradingConfig.stopLoss * 100}%`);
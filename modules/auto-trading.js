@@ -1,6 +1,19 @@
 import fetch from 'node-fetch';
+import { LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
 import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
 import { rateLimiter, LoadingSpinner } from '../utils.js';
+import { PositionLedger } from './position-ledger.js';
+import { WalletManager } from './wallet-manager.js';
+import { performSwap, simulateSwap } from './jupiter-swap.js';
+import { settingsManager } from './settings-manager.js';
+import { notifier } from './notifications.js';
+import { sellabilityAnalyzer } from './sellability.js';
+import { eventBus } from './event-bus.js';
+import { rpcPool } from './rpc-pool.js';
+import { decodeSwapTransaction } from './swap-history.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
 
 /**
  * Auto Trading Module with Jupiter API v6 and Raydium Integration
@@ -12,20 +25,29 @@ export class AutoTrading {
     this.raydiumUrl = 'https://api.raydium.io/v2';
     this.spinner = new LoadingSpinner();
     this.tradingConfig = {
-      maxSlippage: 0.5, // 0.5%
+      maxSlippage: settingsManager.get('slippageLimit'), // percent, from shared settings
       maxTradeSize: 100, // $100
       minLiquidity: 1000, // $1000
       stopLoss: 0.1, // 10%
       takeProfit: 0.2, // 20%
-      maxOpenPositions: 5
+      maxOpenPositions: 5,
+      dryRun: true
     };
+    this.ledger = new PositionLedger();
+    this.walletManager = new WalletManager();
+    this.wallet = null;
+    this.walletName = null;
     this.activePositions = new Map();
+    // Latest monitored price per position; kept out of the ledger so price ticks don't grow the journal
+    this.positionPrices = new Map();
+    this.tokenDecimals = new Map();
     this.tradingHistory = [];
     this.performanceStats = {
       totalTrades: 0,
+      closedPositions: 0,
       winningTrades: 0,
       losingTrades: 0,
-      totalProfit: 0,
+      realizedPnlSol: 0,
       winRate: 0
     };
   }
@@ -56,9 +78,9 @@ export class AutoTrading {
    * Load trading configuration
    */
   async loadTradingConfig() {
-    // In production, load from settings file
+    // Fill in defaults without discarding values already configured this session
     this.tradingConfig = {
-      maxSlippage: 0.5,
+      maxSlippage: settingsManager.get('slippageLimit'),
       maxTradeSize: 100,
       minLiquidity: 1000,
       stopLoss: 0.1,
@@ -66,17 +88,53 @@ export class AutoTrading {
       maxOpenPositions: 5,
       enableAutoTrading: true,
       riskLevel: 'medium', // low, medium, high
-      tradingStrategy: 'ai_signals', // ai_signals, momentum, arbitrage
-      preferredDex: 'jupiter' // jupiter, raydium, both
+      preferredDex: 'jupiter', // jupiter, raydium, both
+      dryRun: true, // Build and simulate swaps without sending them
+      ...this.tradingConfig
     };
   }
 
   /**
-   * Load active positions
+   * Select the wallet auto trading signs with
+   * @param {string} walletName - Wallet name from WalletManager
+   * @returns {boolean} Whether the wallet was loaded
+   */
+  selectWallet(walletName) {
+    const keypair = this.walletManager.loadWallet(walletName);
+    if (!keypair) {
+      return false;
+    }
+
+    this.wallet = keypair;
+    this.walletName = walletName;
+    console.log(`${colors.green}✅ Auto trading wallet: ${walletName} (${keypair.publicKey.toString()})${colors.reset}`);
+    return true;
+  }
+
+  /**
+   * Enable/disable dry-run mode
+   */
+  setDryRun(enabled) {
+    this.tradingConfig.dryRun = enabled;
+    console.log(`${colors.green}✅ Dry run ${enabled ? 'enabled' : 'disabled'}${colors.reset}`);
+  }
+
+  /**
+   * Load active positions and trade history from the ledger
    */
   async loadActivePositions() {
-    // In production, load from database
-    this.activePositions = new Map();
+    const state = this.ledger.load();
+    this.activePositions = state.positions;
+    this.tradingHistory = state.history;
+
+    // Swaps journaled as intents but never recorded were interrupted mid-trade
+    state.pendingTrades.forEach(intent => {
+      console.log(`${colors.yellow}⚠️ Unresolved ${intent.signal?.type || 'trade'} for ${intent.tokenAddress} from ${new Date(intent.createdAt).toLocaleString()} - verify it on-chain${colors.reset}`);
+      this.ledger.abandonIntent(intent.intentId, 'interrupted');
+    });
+
+    this.updatePerformanceStats();
+    console.log(`${colors.cyan}📒 Restored ${this.activePositions.size} open positions and ${this.tradingHistory.length} trades${colors.reset}`);
   }
 
   /**
@@ -90,11 +148,19 @@ export class AutoTrading {
 
   /**
    * Execute trade based on AI signals
+   * @param {Object} signal - Trading signal; a BUY spends `sizeSol` SOL, a SELL sells `amount` tokens (UI units)
+   * @param {string} tokenAddress - Token mint address
+   * @param {Keypair} wallet - Signing wallet (defaults to the selected auto trading wallet)
    */
-  async executeTrade(signal, tokenAddress, walletAddress) {
+  async executeTrade(signal, tokenAddress, wallet = null) {
     try {
       this.spinner.start('Executing trade...');
 
+      const signer = wallet || this.wallet;
+      if (!signer || !signer.publicKey) {
+        throw new Error('No wallet selected for auto trading');
+      }
+
       // Validate signal
       if (!this.validateSignal(signal)) {
         throw new Error('Invalid trading signal');
@@ -106,17 +172,28 @@ export class AutoTrading {
         throw new Error(`Trading conditions not met: ${conditions.reason}`);
       }
 
+      // Jupiter quotes in the input mint's smallest units
+      const decimals = await this.getTokenDecimals(tokenAddress);
+      const rawAmount = this.toRawAmount(signal, decimals);
+      if (!(rawAmount > 0)) {
+        throw new Error('Trade size rounds to zero');
+      }
+
       // Get quote from Jupiter
-      const quote = await this.getJupiterQuote(tokenAddress, signal.type, signal.amount);
+      const quote = await this.getJupiterQuote(tokenAddress, signal.type, rawAmount);
       if (!quote.success) {
         throw new Error(`Failed to get quote: ${quote.error}`);
       }
 
+      // Journal the intent before sending so a crash mid-swap is detectable
+      const intentId = this.generateTradeId();
+      this.ledger.recordIntent(intentId, tokenAddress, signal);
+
       // Execute the trade
-      const tradeResult = await this.executeJupiterSwap(quote, walletAddress);
+      const tradeResult = await this.executeJupiterSwap(quote, signer, decimals);
       
       // Record the trade
-      await this.recordTrade(signal, tradeResult, tokenAddress);
+      await this.recordTrade(signal, tradeResult, tokenAddress, intentId);
 
       this.spinner.stop();
       return tradeResult;
@@ -131,6 +208,29 @@ export class AutoTrading {
     }
   }
 
+  /**
+   * Swap input for a signal in smallest units: lamports for a buy, token
+   * base units for a sell
+   */
+  toRawAmount(signal, decimals) {
+    if (signal.type === 'BUY') {
+      return Math.floor(signal.sizeSol * LAMPORTS_PER_SOL);
+    }
+    return Math.floor(signal.amount * Math.pow(10, decimals));
+  }
+
+  /**
+   * Decimals of a mint, cached. Throws when they can't be read so a trade is
+   * never sized on a guess.
+   */
+  async getTokenDecimals(tokenAddress) {
+    if (!this.tokenDecimals.has(tokenAddress)) {
+      const supply = await rpcPool.getConnection().getTokenSupply(new PublicKey(tokenAddress));
+      this.tokenDecimals.set(tokenAddress, supply.value.decimals);
+    }
+    return this.tokenDecimals.get(tokenAddress);
+  }
+
   /**
    * Validate trading signal
    */
@@ -151,9 +251,17 @@ export class AutoTrading {
   }
 
   /**
-   * Check trading conditions
+   * Check trading conditions. They only gate buys: a sell closes a position
+   * and must go through at the position cap or on a failing price feed.
    */
   async checkTradingConditions(tokenAddress, signal) {
+    if (signal.type !== 'BUY') {
+      return {
+        canTrade: true,
+        reason: 'Sells are not restricted'
+      };
+    }
+
     try {
       // Check if we have too many open positions
       if (this.activePositions.size >= this.tradingConfig.maxOpenPositions) {
@@ -188,6 +296,15 @@ export class AutoTrading {
         };
       }
 
+      // Only buy what the sell simulation says can be sold again
+      const { allowed, result } = await sellabilityAnalyzer.screenBuy(tokenAddress);
+      if (!allowed) {
+        return {
+          canTrade: false,
+          reason: `Sell check failed: ${result.reasons.join('; ')}`
+        };
+      }
+
       return {
         canTrade: true,
         reason: 'All conditions met'
@@ -209,7 +326,7 @@ export class AutoTrading {
       const inputMint = tradeType === 'BUY' ? 'So11111111111111111111111111111111111111112' : tokenAddress; // SOL
       const outputMint = tradeType === 'BUY' ? tokenAddress : 'So11111111111111111111111111111111111111112'; // SOL
       
-      const url = `${this.jupiterV6Url}/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amount}&slippageBps=${this.tradingConfig.maxSlippage * 100}`;
+      const url = `${this.jupiterV6Url}/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${Math.floor(amount)}&slippageBps=${Math.floor(this.tradingConfig.maxSlippage * 100)}`;
       
       const response = await fetch(url, {
         headers: {
@@ -244,30 +361,66 @@ export class AutoTrading {
   }
 
   /**
-   * Execute Jupiter swap
+   * Execute Jupiter swap through the same pipeline as the manual menus
+   * @param {Object} quote - Result of getJupiterQuote
+   * @param {Keypair} wallet - Signing wallet
+   * @param {number} decimals - Decimals of the traded token
    */
-  async executeJupiterSwap(quote, walletAddress) {
+  async executeJupiterSwap(quote, wallet, decimals) {
     try {
-      // In production, this would use @solana/web3.js to sign and send transaction
-      // For now, we'll simulate the swap
-      
-      const swapResult = {
+      const amount = Math.floor(quote.amount);
+
+      if (this.tradingConfig.dryRun) {
+        const simulation = await simulateSwap(quote.inputMint, quote.outputMint, amount, wallet, this.tradingConfig.maxSlippage);
+        // Assume the worst fill the slippage limit allows
+        const outputAmount = Number(simulation.quote.outAmount);
+        const actualOutput = Number(simulation.quote.otherAmountThreshold || simulation.quote.outAmount);
+        return {
+          success: simulation.success,
+          error: simulation.error,
+          dryRun: true,
+          transactionId: null,
+          inputAmount: Number(simulation.quote.inAmount),
+          outputAmount,
+          actualOutput,
+          decimals,
+          priceImpact: simulation.quote.priceImpactPct,
+          slippage: outputAmount > 0 ? ((outputAmount - actualOutput) / outputAmount) * 100 : 0,
+          unitsConsumed: simulation.unitsConsumed,
+          timestamp: Date.now(),
+          status: simulation.success ? 'simulated' : 'failed'
+        };
+      }
+
+      const result = await performSwap(
+        quote.inputMint,
+        quote.outputMint,
+        amount,
+        wallet,
+        this.tradingConfig.maxSlippage
+      );
+
+      // Compare what the wallet received against the quote the signal was checked with
+      const expectedOutput = Number(quote.expectedOutput);
+      const settled = await this.getSettledAmounts(result.signature, wallet, decimals);
+      if (!settled) {
+        console.log(`${colors.yellow}⚠️ Could not read swap ${result.signature}, recording quoted amounts${colors.reset}`);
+      }
+      const actualOutput = settled ? settled.outputAmount : Number(result.quote.outAmount);
+
+      return {
         success: true,
-        transactionId: this.generateTransactionId(),
-        inputAmount: quote.amount,
-        outputAmount: quote.expectedOutput,
-        priceImpact: quote.priceImpact,
+        transactionId: result.signature,
+        inputAmount: settled ? settled.inputAmount : Number(result.quote.inAmount),
+        outputAmount: expectedOutput,
+        actualOutput: actualOutput,
+        decimals,
+        priceImpact: result.quote.priceImpactPct,
+        slippage: expectedOutput > 0 ? ((expectedOutput - actualOutput) / expectedOutput) * 100 : 0,
         timestamp: Date.now(),
         status: 'completed'
       };
 
-      // Simulate some slippage
-      const actualOutput = quote.expectedOutput * (1 - (Math.random() * 0.02)); // 0-2% slippage
-      swapResult.actualOutput = actualOutput;
-      swapResult.slippage = ((quote.expectedOutput - actualOutput) / quote.expectedOutput) * 100;
-
-      return swapResult;
-
     } catch (error) {
       return {
         success: false,
@@ -276,6 +429,32 @@ export class AutoTrading {
     }
   }
 
+  /**
+   * What the wallet actually paid and received in a confirmed swap, from its
+   * balance changes (see decodeSwapTransaction)
+   * @param {number} decimals - Decimals of the traded token
+   * @returns {Promise<?Object>} { inputAmount, outputAmount } in smallest units, or null if unreadable
+   */
+  async getSettledAmounts(signature, wallet, decimals) {
+    try {
+      const tx = await rpcPool.getConnection().getTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      const record = decodeSwapTransaction(tx, wallet.publicKey.toString(), signature);
+      if (!record) return null;
+
+      const toRaw = (mint, amount) => Math.round(amount * Math.pow(10, mint === SOL_MINT ? 9 : decimals));
+      return {
+        inputAmount: toRaw(record.inputMint, record.inputAmount),
+        outputAmount: toRaw(record.outputMint, record.outputAmount)
+      };
+    } catch (error) {
+      logToFile(`Auto trading: reading swap ${signature} failed: ${error.message}`, 'error');
+      return null;
+    }
+  }
+
   /**
    * Execute Raydium swap (alternative to Jupiter)
    */
@@ -328,32 +507,45 @@ export class AutoTrading {
   /**
    * Record trade in history
    */
-  async recordTrade(signal, tradeResult, tokenAddress) {
+  async recordTrade(signal, tradeResult, tokenAddress, intentId = null) {
     const trade = {
       id: this.generateTradeId(),
       tokenAddress,
       signal: signal,
       result: tradeResult,
       timestamp: Date.now(),
-      status: tradeResult.success ? 'completed' : 'failed'
+      status: !tradeResult.success ? 'failed' : tradeResult.dryRun ? 'simulated' : 'completed'
     };
 
-    this.tradingHistory.push(trade);
+    // The ledger owns tradingHistory and activePositions; append, don't mutate
+    this.ledger.recordTrade(trade, intentId);
     
-    if (tradeResult.success) {
+    // Simulated trades are journaled but never open or close real positions
+    if (tradeResult.success && !tradeResult.dryRun) {
       // Update active positions
       if (signal.type === 'BUY') {
-        this.activePositions.set(trade.id, {
+        const entryPrice = await this.getEntryPrice(tradeResult, tokenAddress);
+        this.ledger.openPosition(trade.id, {
           tokenAddress,
-          entryPrice: tradeResult.outputAmount / tradeResult.inputAmount,
-          amount: tradeResult.outputAmount,
+          entryPrice,
+          // Tokens in UI units, what a closing SELL signal expects
+          amount: tradeResult.actualOutput / Math.pow(10, tradeResult.decimals),
+          decimals: tradeResult.decimals,
+          costLamports: tradeResult.inputAmount,
+          strategy: signal.strategy || null,
           timestamp: Date.now(),
-          stopLoss: tradeResult.outputAmount * (1 - this.tradingConfig.stopLoss),
-          takeProfit: tradeResult.outputAmount * (1 + this.tradingConfig.takeProfit)
+          stopLoss: entryPrice > 0 ? entryPrice * (1 - this.tradingConfig.stopLoss) : null,
+          takeProfit: entryPrice > 0 ? entryPrice * (1 + this.tradingConfig.takeProfit) : null
         });
-      } else if (signal.type === 'SELL') {
+        this.publishPosition(trade.id, 'opened');
+      } else if (signal.type === 'SELL' && signal.positionId) {
         // Close position
-        this.activePositions.delete(trade.id);
+        const position = this.activePositions.get(signal.positionId);
+        this.ledger.closePosition(signal.positionId, signal.reason || 'sell');
+        this.positionPrices.delete(signal.positionId);
+        if (position) {
+          eventBus.publish('position.updated', { positionId: signal.positionId, position, change: 'closed' });
+        }
       }
     }
 
@@ -361,6 +553,21 @@ export class AutoTrading {
     this.updatePerformanceStats();
   }
 
+  /**
+   * USD entry price of a filled buy from the SOL spent and tokens received,
+   * falling back to the market price when the swap couldn't be read
+   */
+  async getEntryPrice(tradeResult, tokenAddress) {
+    if (tradeResult.actualOutput > 0) {
+      const solPrice = await this.getCurrentPrice(SOL_MINT);
+      if (solPrice > 0) {
+        const tokens = tradeResult.actualOutput / Math.pow(10, tradeResult.decimals);
+        return (tradeResult.inputAmount / LAMPORTS_PER_SOL) * solPrice / tokens;
+      }
+    }
+    return this.getCurrentPrice(tokenAddress);
+  }
+
   /**
    * Monitor positions and execute stop loss/take profit
    */
@@ -369,16 +576,28 @@ export class AutoTrading {
       try {
         // Get current price
         const currentPrice = await this.getCurrentPrice(position.tokenAddress);
+        if (!(currentPrice > 0)) continue;
+        if (currentPrice !== this.positionPrices.get(positionId)) {
+          this.positionPrices.set(positionId, currentPrice);
+          eventBus.publish('position.updated', {
+            positionId,
+            position: { ...position, lastPrice: currentPrice },
+            change: 'updated'
+          });
+        }
+        if (!(position.stopLoss > 0)) continue;
         
         // Check stop loss
         if (currentPrice <= position.stopLoss) {
           console.log(`${colors.red}🛑 Stop loss triggered for position ${positionId}${colors.reset}`);
+          this.notifyExit(position, 'stop_loss', currentPrice);
           await this.closePosition(positionId, 'stop_loss');
         }
         
         // Check take profit
         else if (currentPrice >= position.takeProfit) {
           console.log(`${colors.green}🎯 Take profit triggered for position ${positionId}${colors.reset}`);
+          this.notifyExit(position, 'take_profit', currentPrice);
           await this.closePosition(positionId, 'take_profit');
         }
         
@@ -388,6 +607,28 @@ export class AutoTrading {
     }
   }
 
+  /**
+   * Publish position.updated for a position in the ledger
+   */
+  publishPosition(positionId, change) {
+    const position = this.activePositions.get(positionId);
+    if (position) {
+      eventBus.publish('position.updated', { positionId, position, change });
+    }
+  }
+
+  /**
+   * Notify channels that a stop loss or take profit fired
+   */
+  notifyExit(position, reason, currentPrice) {
+    const label = reason === 'stop_loss' ? '🛑 Stop loss' : '🎯 Take profit';
+    notifier.notify('stoploss.triggered', {
+      title: `${label} triggered`,
+      message: `${position.tokenAddress}\nPrice: $${currentPrice} (entry $${position.entryPrice})`,
+      data: { reason, tokenAddress: position.tokenAddress, currentPrice, entryPrice: position.entryPrice }
+    });
+  }
+
   /**
    * Close position
    */
@@ -401,13 +642,15 @@ export class AutoTrading {
         type: 'SELL',
         confidence: 0.9,
         amount: position.amount,
-        reason: reason
+        reason: reason,
+        positionId
       };
 
-      const tradeResult = await this.executeTrade(sellSignal, position.tokenAddress, 'wallet_address');
+      const tradeResult = await this.executeTrade(sellSignal, position.tokenAddress);
       
-      if (tradeResult.success) {
-        this.activePositions.delete(positionId);
+      if (tradeResult.success && tradeResult.dryRun) {
+        console.log(`${colors.yellow}🧪 Dry run: position ${positionId} would be closed (${reason})${colors.reset}`);
+      } else if (tradeResult.success) {
         console.log(`${colors.green}✅ Position ${positionId} closed successfully${colors.reset}`);
       }
 
@@ -478,26 +721,52 @@ export class AutoTrading {
   }
 
   /**
-   * Update performance statistics
+   * Positions closed by a swap, with realized P&L in SOL. A position's id is
+   * the id of the BUY that opened it and the SELL that closed it carries that
+   * id, so the SOL spent and received are matched per position.
+   * @returns {Array} { positionId, tokenAddress, costLamports, proceedsLamports, pnlSol, closedAt }
+   */
+  getClosedPositions() {
+    const completed = this.tradingHistory.filter(trade =>
+      trade.status === 'completed' && trade.result?.success
+    );
+    const buys = new Map(completed
+      .filter(trade => trade.signal?.type === 'BUY')
+      .map(trade => [trade.id, trade]));
+
+    return completed
+      .filter(trade => trade.signal?.type === 'SELL' && buys.has(trade.signal.positionId))
+      .map(sell => {
+        const costLamports = Number(buys.get(sell.signal.positionId).result.inputAmount) || 0;
+        const proceedsLamports = Number(sell.result.actualOutput) || 0;
+        return {
+          positionId: sell.signal.positionId,
+          tokenAddress: sell.tokenAddress,
+          costLamports,
+          proceedsLamports,
+          pnlSol: (proceedsLamports - costLamports) / LAMPORTS_PER_SOL,
+          closedAt: sell.timestamp
+        };
+      });
+  }
+
+  /**
+   * Update performance statistics. Wins, losses and realized P&L come from
+   * closed positions; open positions aren't counted until they are sold.
    */
   updatePerformanceStats() {
     const completedTrades = this.tradingHistory.filter(trade => 
       trade.status === 'completed' && trade.result.success
     );
+    const closed = this.getClosedPositions();
 
     this.performanceStats.totalTrades = completedTrades.length;
-    this.performanceStats.winningTrades = completedTrades.filter(trade => 
-      trade.result.actualOutput > trade.result.inputAmount
-    ).length;
-    this.performanceStats.losingTrades = this.performanceStats.totalTrades - this.performanceStats.winningTrades;
-    this.performanceStats.winRate = this.performanceStats.totalTrades > 0 ? 
-      this.performanceStats.winningTrades / this.performanceStats.totalTrades : 0;
-
-    // Calculate total profit
-    this.performanceStats.totalProfit = completedTrades.reduce((total, trade) => {
-      const profit = trade.result.actualOutput - trade.result.inputAmount;
-      return total + profit;
-    }, 0);
+    this.performanceStats.closedPositions = closed.length;
+    this.performanceStats.winningTrades = closed.filter(position => position.pnlSol > 0).length;
+    this.performanceStats.losingTrades = closed.length - this.performanceStats.winningTrades;
+    this.performanceStats.winRate = closed.length > 0 ?
+      this.performanceStats.winningTrades / closed.length : 0;
+    this.performanceStats.realizedPnlSol = closed.reduce((total, position) => total + position.pnlSol, 0);
   }
 
   /**
@@ -523,11 +792,13 @@ export class AutoTrading {
     
     // Performance Stats
     console.log(`\n${colors.yellow}📊 PERFORMANCE STATISTICS${colors.reset}`);
+    const { realizedPnlSol } = this.performanceStats;
     console.log(`Total Trades: ${this.performanceStats.totalTrades}`);
+    console.log(`Closed Positions: ${this.performanceStats.closedPositions}`);
     console.log(`Winning Trades: ${colors.green}${this.performanceStats.winningTrades}${colors.reset}`);
     console.log(`Losing Trades: ${colors.red}${this.performanceStats.losingTrades}${colors.reset}`);
     console.log(`Win Rate: ${(this.performanceStats.winRate * 100).toFixed(1)}%`);
-    console.log(`Total Profit: ${this.performanceStats.totalProfit > 0 ? colors.green : colors.red}$${this.performanceStats.totalProfit.toFixed(2)}${colors.reset}`);
+    console.log(`Realized P&L: ${realizedPnlSol > 0 ? colors.green : colors.red}${realizedPnlSol >= 0 ? '+' : ''}${realizedPnlSol.toFixed(4)} SOL${colors.reset}`);
     
     // Active Positions
     console.log(`\n${colors.yellow}📈 ACTIVE POSITIONS${colors.reset}`);
@@ -536,10 +807,16 @@ export class AutoTrading {
     } else {
       this.activePositions.forEach((position, id) => {
         console.log(`Position ${id}: ${position.tokenAddress}`);
+        const lastPrice = this.positionPrices.get(id);
         console.log(`  Amount: ${position.amount.toFixed(6)}`);
-        console.log(`  Entry Price: $${position.entryPrice.toFixed(9)}`);
-        console.log(`  Stop Loss: $${position.stopLoss.toFixed(9)}`);
-        console.log(`  Take Profit: $${position.takeProfit.toFixed(9)}`);
+        console.log(`  Entry Price: $${position.entryPrice ? position.entryPrice.toFixed(9) : 'n/a'}`);
+        if (lastPrice) {
+          console.log(`  Last Price: $${lastPrice.toFixed(9)}`);
+        }
+        if (position.stopLoss > 0) {
+          console.log(`  Stop Loss: $${position.stopLoss.toFixed(9)}`);
+          console.log(`  Take Profit: $${position.takeProfit.toFixed(9)}`);
+        }
       });
     }
     
@@ -552,8 +829,9 @@ export class AutoTrading {
     console.log(`Take Profit: ${this.tradingConfig.takeProfit * 100}%`);
     console.log(`Max Open Positions: ${this.tradingConfig.maxOpenPositions}`);
     console.log(`Risk Level: ${this.tradingConfig.riskLevel.toUpperCase()}`);
-    console.log(`Trading Strategy: ${this.tradingConfig.tradingStrategy.toUpperCase()}`);
     console.log(`Preferred DEX: ${this.tradingConfig.preferredDex.toUpperCase()}`);
+    console.log(`Wallet: ${this.walletName || colors.red + 'NOT SELECTED' + colors.reset}`);
+    console.log(`Dry Run: ${this.tradingConfig.dryRun ? colors.yellow + 'ON (simulate only)' : colors.green + 'OFF (live)'}${colors.reset}`);
   }
 
   /**
@@ -573,15 +851,25 @@ export class AutoTrading {
       return;
     }
     
+    const closed = new Map(this.getClosedPositions().map(position => [position.positionId, position]));
     recentTrades.forEach((trade, index) => {
       const signalColor = trade.signal.type === 'BUY' ? colors.green : colors.red;
-      const profit = trade.result.actualOutput - trade.result.inputAmount;
-      const profitColor = profit > 0 ? colors.green : colors.red;
-      
+      const tokens = amount => (amount / Math.pow(10, trade.result.decimals || 0)).toFixed(6);
+      const sol = lamports => (lamports / LAMPORTS_PER_SOL).toFixed(6);
+
       console.log(`${index + 1}. ${signalColor}${trade.signal.type}${colors.reset} ${trade.tokenAddress}`);
-      console.log(`   Amount: ${trade.result.inputAmount.toFixed(6)}`);
-      console.log(`   Output: ${trade.result.actualOutput.toFixed(6)}`);
-      console.log(`   Profit: ${profitColor}$${profit.toFixed(6)}${colors.reset}`);
+      if (trade.signal.type === 'BUY') {
+        console.log(`   Spent: ${sol(trade.result.inputAmount)} SOL`);
+        console.log(`   Received: ${tokens(trade.result.actualOutput)} tokens`);
+      } else {
+        console.log(`   Sold: ${tokens(trade.result.inputAmount)} tokens`);
+        console.log(`   Received: ${sol(trade.result.actualOutput)} SOL`);
+        const position = closed.get(trade.signal.positionId);
+        if (position) {
+          const pnlColor = position.pnlSol > 0 ? colors.green : colors.red;
+          console.log(`   P&L: ${pnlColor}${position.pnlSol >= 0 ? '+' : ''}${position.pnlSol.toFixed(6)} SOL${colors.reset}`);
+        }
+      }
       console.log(`   Slippage: ${trade.result.slippage?.toFixed(2)}%`);
       console.log(`   Time: ${new Date(trade.timestamp).toLocaleString()}`);
       console.log('');
@@ -611,6 +899,7 @@ export class AutoTrading {
     return {
       performance: this.performanceStats,
       activePositions: this.activePositions.size,
+      walletName: this.walletName,
       totalHistory: this.tradingHistory.length,
       config: this.tradingConfig
     };
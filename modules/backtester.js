@@ -0,0 +1,346 @@
+import { settingsManager } from './settings-manager.js';
+import { normalizeTrade, validateStrategy, strategyConfig, signalsOf, signalProblem } from './strategy-contract.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const BASE_FEE_LAMPORTS = 5000;
+const LAMPORTS_PER_SOL = 1e9;
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * SOL/USD price implied by a DEXTrades row whose quote side is SOL, else null
+ */
+export function solPriceOf(row) {
+  const sell = row?.Trade?.Sell;
+  const amount = Number(sell?.Amount);
+  const amountUSD = Number(sell?.AmountInUSD);
+  return sell?.Currency?.MintAddress === SOL_MINT && amount > 0 && amountUSD > 0 ? amountUSD / amount : null;
+}
+
+/**
+ * Event-driven backtester for strategy plugins (see strategy-contract.js).
+ *
+ * Recorded DEXTrades are replayed oldest first through the plugin's
+ * `onTrade`, and `onTick` runs every `tickMs` of replayed time. Signals are
+ * checked and sized the way StrategyManager does live: `minConfidence`,
+ * `tradeSizeSol` unless the signal sets `sizeSol`, and `budgetSol` of open
+ * buys. A SELL closes the strategy's position. `onPositionUpdate` hears of
+ * every position opened or closed. Runner helpers such as `ai` are passed
+ * in `context`.
+ *
+ * The portfolio is kept in USD, converting SOL sizes at the SOL price seen in
+ * the data. Fills are worsened by `slippageLimit` percent and every fill pays
+ * the network fee implied by `priorityFee` (micro-lamports per compute unit)
+ * plus the base fee.
+ */
+export class Backtester {
+  constructor(options = {}) {
+    this.options = {
+      initialCapital: 1000,
+      slippagePercent: settingsManager.get('slippageLimit'),
+      priorityFee: settingsManager.get('priorityFee'),
+      computeUnits: 200000,
+      solPriceUSD: 150, // Used until the data provides a SOL price
+      closeAtEnd: true,
+      sharpePeriodMs: 60 * 60 * 1000,
+      tickMs: 30 * 1000,
+      context: {},
+      ...options
+    };
+  }
+
+  /**
+   * Network fee for one fill, in USD
+   */
+  feeUSD(solPriceUSD) {
+    const lamports = BASE_FEE_LAMPORTS + (this.options.priorityFee * this.options.computeUnits) / 1e6;
+    return (lamports / LAMPORTS_PER_SOL) * solPriceUSD;
+  }
+
+  /**
+   * Replay trades through a strategy plugin
+   * @param {Object} plugin - Strategy plugin (validated with validateStrategy)
+   * @param {Array} historicalData - DEXTrades rows in any order
+   * @param {Object} options - { config } overrides of the plugin's config
+   * @returns {Promise<Object>} Backtest report
+   */
+  async run(plugin, historicalData, { config = {} } = {}) {
+    validateStrategy(plugin);
+
+    const events = (historicalData || [])
+      .map(row => ({ trade: normalizeTrade(row, 'backtest'), solPriceUSD: solPriceOf(row) }))
+      .filter(({ trade }) => trade && trade.priceUsd > 0 && Number.isFinite(Date.parse(trade.time)))
+      .map(event => ({ ...event, time: Date.parse(event.trade.time) }))
+      .sort((a, b) => a.time - b.time);
+
+    const state = {
+      plugin,
+      config: strategyConfig(plugin, config),
+      pluginState: {},
+      cash: this.options.initialCapital,
+      positions: new Map(),
+      nextPositionId: 1,
+      lastPrices: new Map(),
+      solPriceUSD: this.options.solPriceUSD,
+      fills: [],
+      roundTrips: [],
+      equityCurve: [],
+      totalFees: 0,
+      stats: { signals: 0, executed: 0, skipped: 0 },
+      skips: [],
+      log: [],
+      time: events.length > 0 ? events[0].time : Date.now()
+    };
+
+    let nextTick = state.time + this.options.tickMs;
+    for (const event of events) {
+      while (typeof plugin.onTick === 'function' && nextTick <= event.time) {
+        state.time = nextTick;
+        await this.dispatch(state, 'onTick');
+        nextTick += this.options.tickMs;
+      }
+
+      state.time = event.time;
+      state.lastPrices.set(event.trade.mint, event.trade.priceUsd);
+      if (event.solPriceUSD) {
+        state.solPriceUSD = event.solPriceUSD;
+      }
+      await this.dispatch(state, 'onTrade', event.trade);
+
+      state.equityCurve.push({ time: event.time, equity: this.equity(state) });
+    }
+
+    if (this.options.closeAtEnd) {
+      for (const positionId of Array.from(state.positions.keys())) {
+        this.sell(state, positionId, 'end of data');
+      }
+      if (state.equityCurve.length > 0) {
+        state.equityCurve.push({ time: state.time, equity: this.equity(state) });
+      }
+    }
+
+    return this.buildReport(state, events.length);
+  }
+
+  /**
+   * The ctx a live hook gets, built from the simulated portfolio
+   */
+  buildContext(state) {
+    const { config } = state;
+    const positions = Array.from(state.positions.entries()).map(([positionId, position]) => ({ positionId, ...position }));
+    const spentSol = positions.reduce((sum, position) => sum + position.costLamports, 0) / LAMPORTS_PER_SOL;
+    return {
+      name: state.plugin.name,
+      config,
+      state: state.pluginState,
+      positions,
+      budget: { budgetSol: config.budgetSol, spentSol, availableSol: Math.max(0, config.budgetSol - spentSol) },
+      log: message => state.log.push({ time: state.time, message }),
+      ...this.options.context
+    };
+  }
+
+  /**
+   * Call one hook and act on the signals it returns
+   */
+  async dispatch(state, hook, ...args) {
+    if (typeof state.plugin[hook] !== 'function') return;
+    const result = await state.plugin[hook](...args, this.buildContext(state));
+    for (const signal of signalsOf(result)) {
+      await this.handleSignal(state, signal);
+    }
+  }
+
+  async handleSignal(state, signal) {
+    state.stats.signals++;
+    const skip = reason => {
+      state.stats.skipped++;
+      state.skips.push({ time: state.time, type: signal.type, tokenAddress: signal.tokenAddress, reason });
+    };
+
+    const problem = signalProblem(signal, state.config);
+    if (problem) return skip(problem);
+
+    if (signal.type === 'BUY') {
+      const sizeSol = signal.sizeSol ?? state.config.tradeSizeSol;
+      const { availableSol } = this.buildContext(state).budget;
+      if (!(sizeSol > 0) || sizeSol > availableSol) {
+        return skip(`${sizeSol} SOL is over the ${availableSol.toFixed(4)} SOL left in its budget`);
+      }
+      const fill = this.buy(state, signal.tokenAddress, sizeSol, signal.reason);
+      if (typeof fill === 'string') return skip(fill);
+      state.stats.executed++;
+      await this.dispatch(state, 'onPositionUpdate', { positionId: fill.positionId, position: state.positions.get(fill.positionId), change: 'opened' });
+      return;
+    }
+
+    const positionId = signal.positionId
+      || Array.from(state.positions.keys()).find(id => state.positions.get(id).tokenAddress === signal.tokenAddress);
+    const position = state.positions.get(positionId);
+    if (!position) return skip('no open position of this strategy to sell');
+    const fill = this.sell(state, positionId, signal.reason);
+    if (typeof fill === 'string') return skip(fill);
+    state.stats.executed++;
+    await this.dispatch(state, 'onPositionUpdate', { positionId, position, change: 'closed' });
+  }
+
+  equity(state) {
+    let equity = state.cash;
+    state.positions.forEach(position => {
+      equity += position.amount * (state.lastPrices.get(position.tokenAddress) || position.entryPrice);
+    });
+    return equity;
+  }
+
+  /**
+   * Open a position spending sizeSol
+   * @returns {Object|string} The fill, or why there was none
+   */
+  buy(state, tokenAddress, sizeSol, reason = '') {
+    const price = state.lastPrices.get(tokenAddress);
+    if (!price) return 'no price for the token yet';
+    const spend = sizeSol * state.solPriceUSD;
+    const fee = this.feeUSD(state.solPriceUSD);
+    if (spend + fee > state.cash) return `$${(spend + fee).toFixed(2)} is more than the $${state.cash.toFixed(2)} cash left`;
+
+    const fillPrice = price * (1 + this.options.slippagePercent / 100);
+    const amount = spend / fillPrice;
+    state.cash -= spend + fee;
+    state.totalFees += fee;
+
+    const positionId = `bt-${state.nextPositionId++}`;
+    state.positions.set(positionId, {
+      tokenAddress,
+      amount,
+      entryPrice: fillPrice,
+      costBasis: spend + fee,
+      costLamports: Math.floor(sizeSol * LAMPORTS_PER_SOL),
+      strategy: state.plugin.name,
+      timestamp: state.time
+    });
+
+    const fill = { time: state.time, side: 'buy', positionId, mint: tokenAddress, price: fillPrice, quantity: amount, valueUSD: spend, feeUSD: fee, reason };
+    state.fills.push(fill);
+    return fill;
+  }
+
+  /**
+   * Close a position at the last price
+   * @returns {Object|string} The fill, or why there was none
+   */
+  sell(state, positionId, reason = '') {
+    const position = state.positions.get(positionId);
+    const price = state.lastPrices.get(position.tokenAddress);
+    if (!price) return 'no price for the token yet';
+
+    const fillPrice = price * (1 - this.options.slippagePercent / 100);
+    const fee = this.feeUSD(state.solPriceUSD);
+    const proceeds = position.amount * fillPrice - fee;
+
+    state.cash += proceeds;
+    state.totalFees += fee;
+    state.positions.delete(positionId);
+    state.roundTrips.push({
+      positionId,
+      mint: position.tokenAddress,
+      openedAt: position.timestamp,
+      closedAt: state.time,
+      costBasis: position.costBasis,
+      proceeds,
+      pnl: proceeds - position.costBasis,
+      returnPct: position.costBasis > 0 ? ((proceeds - position.costBasis) / position.costBasis) * 100 : 0,
+      reason
+    });
+
+    const fill = { time: state.time, side: 'sell', positionId, mint: position.tokenAddress, price: fillPrice, quantity: position.amount, valueUSD: position.amount * fillPrice, feeUSD: fee, reason };
+    state.fills.push(fill);
+    return fill;
+  }
+
+  /**
+   * Largest peak-to-trough equity decline, as a fraction of the peak
+   */
+  maxDrawdown(equityCurve) {
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    equityCurve.forEach(({ equity }) => {
+      peak = Math.max(peak, equity);
+      if (peak > 0) {
+        maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+      }
+    });
+    return maxDrawdown;
+  }
+
+  /**
+   * Annualized Sharpe ratio of equity sampled every sharpePeriodMs (risk-free rate 0)
+   */
+  sharpeRatio(equityCurve) {
+    if (equityCurve.length < 2) return 0;
+
+    const period = this.options.sharpePeriodMs;
+    const samples = [];
+    let bucketEnd = equityCurve[0].time + period;
+    let lastEquity = equityCurve[0].equity;
+    samples.push(lastEquity);
+    equityCurve.forEach(({ time, equity }) => {
+      while (time >= bucketEnd) {
+        samples.push(lastEquity);
+        bucketEnd += period;
+      }
+      lastEquity = equity;
+    });
+    samples.push(lastEquity);
+
+    const returns = [];
+    for (let i = 1; i < samples.length; i++) {
+      if (samples[i - 1] > 0) {
+        returns.push(samples[i] / samples[i - 1] - 1);
+      }
+    }
+    if (returns.length < 2) return 0;
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    const stdDev = Math.sqrt(variance);
+    if (stdDev === 0) return 0;
+
+    return (mean / stdDev) * Math.sqrt(MS_PER_YEAR / period);
+  }
+
+  buildReport(state, eventCount) {
+    const wins = state.roundTrips.filter(trip => trip.pnl > 0);
+    const losses = state.roundTrips.filter(trip => trip.pnl <= 0);
+    const grossProfit = wins.reduce((sum, trip) => sum + trip.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, trip) => sum + trip.pnl, 0));
+    const finalEquity = this.equity(state);
+
+    return {
+      strategy: state.plugin.name,
+      config: state.config,
+      events: eventCount,
+      initialCapital: this.options.initialCapital,
+      finalEquity,
+      totalTrades: state.roundTrips.length,
+      winningTrades: wins.length,
+      losingTrades: losses.length,
+      totalProfit: finalEquity - this.options.initialCapital,
+      totalFees: state.totalFees,
+      maxDrawdown: this.maxDrawdown(state.equityCurve),
+      winRate: state.roundTrips.length > 0 ? wins.length / state.roundTrips.length : 0,
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+      sharpeRatio: this.sharpeRatio(state.equityCurve),
+      signals: state.stats,
+      skips: state.skips,
+      log: state.log,
+      equityCurve: state.equityCurve,
+      fills: state.fills,
+      roundTrips: state.roundTrips,
+      openPositions: Array.from(state.positions.entries()).map(([positionId, position]) => ({ positionId, ...position })),
+      assumptions: {
+        slippagePercent: this.options.slippagePercent,
+        priorityFee: this.options.priorityFee,
+        computeUnits: this.options.computeUnits
+      }
+    };
+  }
+}
@@ -0,0 +1,230 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import crypto from 'crypto';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+
+const SESSION_VERSION = 1;
+
+/**
+ * Record and replay of BitQuery HTTP exchanges.
+ *
+ * Every BitQuery request goes through `bitqueryRecorder.fetch()`, which has
+ * the same signature as `fetch`. While recording, each query and its response
+ * are appended to `data/sessions/<name>.jsonl` with the time offset since the
+ * session started. While replaying, responses come from that file instead of
+ * the network, matched by query text and paced by the recorded offsets
+ * divided by the replay speed (0 = as fast as possible).
+ *
+ * Sessions can also be started from the environment:
+ *   PUMPTOOL_RECORD=<name>, PUMPTOOL_REPLAY=<name or path>, PUMPTOOL_REPLAY_SPEED=<x>
+ */
+export class BitqueryRecorder {
+  constructor(sessionsDir = path.join(process.cwd(), 'data', 'sessions')) {
+    this.sessionsDir = sessionsDir;
+    this.mode = 'live';
+    this.sessionPath = null;
+    this.startedAt = 0;
+    this.exchanges = new Map();
+    this.speed = 1;
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Apply PUMPTOOL_RECORD / PUMPTOOL_REPLAY from the environment
+   */
+  configureFromEnv(env = process.env) {
+    try {
+      if (env.PUMPTOOL_REPLAY) {
+        this.startReplay(env.PUMPTOOL_REPLAY, { speed: Number(env.PUMPTOOL_REPLAY_SPEED || 1) });
+      } else if (env.PUMPTOOL_RECORD) {
+        this.startRecording(env.PUMPTOOL_RECORD);
+      }
+    } catch (error) {
+      console.error(`${colors.red}❌ ${error.message}${colors.reset}`);
+    }
+  }
+
+  queryKey(body) {
+    let normalized = body || '';
+    try {
+      normalized = JSON.stringify(JSON.parse(body));
+    } catch (error) {
+      // Not JSON; key on the raw text
+    }
+    return crypto.createHash('sha1').update(normalized).digest('hex');
+  }
+
+  resolveSessionPath(nameOrPath) {
+    if (nameOrPath.includes(path.sep) || nameOrPath.endsWith('.jsonl')) {
+      return path.resolve(nameOrPath);
+    }
+    return path.join(this.sessionsDir, `${nameOrPath}.jsonl`);
+  }
+
+  /**
+   * List recorded sessions, newest first
+   */
+  listSessions() {
+    if (!fs.existsSync(this.sessionsDir)) return [];
+    return fs.readdirSync(this.sessionsDir)
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => {
+        const filePath = path.join(this.sessionsDir, file);
+        return { name: path.basename(file, '.jsonl'), path: filePath, modified: fs.statSync(filePath).mtimeMs };
+      })
+      .sort((a, b) => b.modified - a.modified);
+  }
+
+  /**
+   * Start appending exchanges to a session file
+   * @param {string} name - Session name (defaults to a timestamp)
+   * @returns {string} Session file path
+   */
+  startRecording(name = `session-${new Date().toISOString().replace(/[:.]/g, '-')}`) {
+    this.stop();
+    const sessionPath = this.resolveSessionPath(name);
+    fs.mkdirSync(path.dirname(sessionPath), { recursive: true });
+
+    this.startedAt = Date.now();
+    fs.writeFileSync(sessionPath, JSON.stringify({
+      type: 'session',
+      version: SESSION_VERSION,
+      startedAt: new Date(this.startedAt).toISOString()
+    }) + '\n');
+
+    this.mode = 'record';
+    this.sessionPath = sessionPath;
+    console.log(`${colors.green}⏺️ Recording BitQuery responses to ${sessionPath}${colors.reset}`);
+    return sessionPath;
+  }
+
+  /**
+   * Load a session file and serve responses from it
+   * @param {string} nameOrPath - Session name in data/sessions or a file path
+   * @param {Object} options - { speed } replay speed multiplier, 0 for no delay
+   * @returns {number} Number of recorded exchanges
+   */
+  startReplay(nameOrPath, { speed = 1 } = {}) {
+    const sessionPath = this.resolveSessionPath(nameOrPath);
+    if (!fs.existsSync(sessionPath)) {
+      throw new Error(`Replay session not found: ${sessionPath}`);
+    }
+    if (!Number.isFinite(speed) || speed < 0) {
+      throw new Error('Replay speed must be 0 or a positive number');
+    }
+
+    this.stop();
+    const exchanges = new Map();
+    let count = 0;
+    fs.readFileSync(sessionPath, 'utf8').split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.type !== 'exchange') return;
+        if (!exchanges.has(entry.key)) {
+          exchanges.set(entry.key, []);
+        }
+        exchanges.get(entry.key).push(entry);
+        count++;
+      } catch (error) {
+        logToFile(`Replay session line ${index + 1} skipped: ${error.message}`, 'error');
+      }
+    });
+
+    this.exchanges = exchanges;
+    this.speed = speed;
+    this.startedAt = Date.now();
+    this.mode = 'replay';
+    this.sessionPath = sessionPath;
+    console.log(`${colors.green}⏯️ Replaying ${count} BitQuery responses from ${sessionPath}${speed ? ` at ${speed}x` : ''}${colors.reset}`);
+    return count;
+  }
+
+  /**
+   * Return to live requests
+   */
+  stop() {
+    if (this.mode === 'record') {
+      console.log(`${colors.yellow}⏹️ Recording saved to ${this.sessionPath}${colors.reset}`);
+    }
+    this.mode = 'live';
+    this.sessionPath = null;
+    this.exchanges = new Map();
+  }
+
+  /**
+   * Drop-in replacement for fetch() on BitQuery endpoints
+   */
+  async fetch(url, init = {}) {
+    if (this.isReplaying()) {
+      return this.replayResponse(init.body);
+    }
+
+    const response = await fetch(url, init);
+    if (!this.isRecording()) {
+      return response;
+    }
+
+    const text = await response.text();
+    this.record(init.body, response.status, text);
+    return new Response(text, { status: response.status, statusText: response.statusText, headers: response.headers });
+  }
+
+  record(body, status, text) {
+    let query = body;
+    let responseBody = text;
+    try { query = JSON.parse(body); } catch (error) { /* keep raw body */ }
+    try { responseBody = JSON.parse(text); } catch (error) { /* keep raw text */ }
+
+    const entry = {
+      type: 'exchange',
+      offsetMs: Date.now() - this.startedAt,
+      at: new Date().toISOString(),
+      key: this.queryKey(body),
+      query,
+      status,
+      response: responseBody
+    };
+
+    try {
+      fs.appendFileSync(this.sessionPath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      logToFile(`BitQuery recording error: ${error.message}`, 'error');
+    }
+  }
+
+  async replayResponse(body) {
+    const queue = this.exchanges.get(this.queryKey(body));
+    if (!queue || queue.length === 0) {
+      return new Response('Replay session has no recorded response for this query', { status: 404, statusText: 'Not Recorded' });
+    }
+
+    // Keep the last response so repeated polling keeps getting data
+    const entry = queue.length > 1 ? queue.shift() : queue[0];
+    if (this.speed > 0) {
+      const due = this.startedAt + entry.offsetMs / this.speed;
+      const wait = due - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    }
+
+    const text = typeof entry.response === 'string' ? entry.response : JSON.stringify(entry.response);
+    return new Response(text, {
+      status: entry.status || 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Export singleton instance
+export const bitqueryRecorder = new BitqueryRecorder();
+bitqueryRecorder.configureFromEnv();
@@ -0,0 +1,356 @@
+import WebSocket from 'ws';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { buildStreamSubscription } from '../queries.js';
+import { connectionManager } from './connection-manager.js';
+import { eventBus } from './event-bus.js';
+
+const STREAM_URL = 'wss://streaming.bitquery.io/eap';
+// A ping goes out this often; a socket silent for two intervals is dropped
+const HEARTBEAT_MS = 15000;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+// Pushed rows are merged into the viewer at most this often
+const FLUSH_MS = 2000;
+// Signatures remembered for dedupe
+const MAX_SEEN = 5000;
+
+/**
+ * One GraphQL subscription over BitQuery's WebSocket endpoint (graphql-ws
+ * protocol). Sends a heartbeat ping, reconnects with exponential backoff
+ * and calls `onResume(disconnectedAt)` once a dropped connection is back so
+ * the caller can backfill the gap.
+ */
+export class BitquerySubscription {
+  /**
+   * @param {Object} options - { query, apiKey, onData(data), onResume(disconnectedAt), onStatus(status), WebSocketImpl }
+   */
+  constructor({ query, apiKey, onData, onResume = () => {}, onStatus = () => {}, WebSocketImpl = WebSocket }) {
+    this.query = query;
+    this.apiKey = apiKey;
+    this.onData = onData;
+    this.onResume = onResume;
+    this.onStatus = onStatus;
+    this.WebSocketImpl = WebSocketImpl;
+    this.socket = null;
+    this.status = 'idle';
+    this.stopped = true;
+    this.attempts = 0;
+    this.disconnectedAt = null;
+    this.lastMessageAt = null;
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+  }
+
+  start() {
+    this.stopped = false;
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopHeartbeat();
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      try {
+        if (socket.readyState === this.WebSocketImpl.OPEN) {
+          socket.send(JSON.stringify({ id: '1', type: 'stop' }));
+        }
+        socket.close();
+      } catch (error) {
+        logToFile(`Error closing BitQuery subscription: ${error.message}`, 'error');
+      }
+    }
+    this.setStatus('stopped');
+  }
+
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.onStatus(status);
+  }
+
+  connect() {
+    this.setStatus(this.attempts === 0 && !this.disconnectedAt ? 'connecting' : 'reconnecting');
+    const socket = new this.WebSocketImpl(`${STREAM_URL}?token=${encodeURIComponent(this.apiKey)}`, ['graphql-ws']);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      this.lastMessageAt = Date.now();
+      socket.send(JSON.stringify({ type: 'connection_init', payload: {} }));
+      this.startHeartbeat();
+    });
+    socket.on('message', raw => this.handleMessage(socket, raw));
+    socket.on('pong', () => {
+      this.lastMessageAt = Date.now();
+    });
+    socket.on('error', error => {
+      logToFile(`BitQuery subscription error: ${error.message}`, 'error');
+    });
+    socket.on('close', () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.stopHeartbeat();
+      if (this.status === 'live') {
+        this.disconnectedAt = Date.now();
+      }
+      this.scheduleReconnect();
+    });
+  }
+
+  handleMessage(socket, raw) {
+    if (this.socket !== socket) return;
+    this.lastMessageAt = Date.now();
+
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      logToFile(`Unreadable BitQuery subscription message: ${error.message}`, 'error');
+      return;
+    }
+
+    switch (message.type) {
+      case 'connection_ack': {
+        socket.send(JSON.stringify({ id: '1', type: 'start', payload: { query: this.query.query, variables: this.query.variables || {} } }));
+        const resumedFrom = this.disconnectedAt;
+        this.attempts = 0;
+        this.disconnectedAt = null;
+        this.setStatus('live');
+        if (resumedFrom) {
+          this.onResume(resumedFrom);
+        }
+        break;
+      }
+      case 'data':
+        if (message.payload?.errors?.length) {
+          logToFile(`BitQuery subscription errors: ${message.payload.errors[0].message}`, 'error');
+        }
+        if (message.payload?.data) {
+          this.onData(message.payload.data);
+        }
+        break;
+      case 'error':
+      case 'connection_error': {
+        // The server rejected the query or the key; retrying won't help
+        const payload = Array.isArray(message.payload) ? message.payload[0] : message.payload;
+        this.lastError = payload?.message || 'subscription rejected';
+        logToFile(`BitQuery subscription rejected: ${this.lastError}`, 'error');
+        this.stop();
+        this.setStatus('failed');
+        break;
+      }
+      case 'complete':
+        // Server ended the subscription; reconnect to resume it
+        this.disconnectedAt = this.disconnectedAt || Date.now();
+        socket.close();
+        break;
+      default:
+        // 'ka' keep-alives only refresh lastMessageAt
+        break;
+    }
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      const socket = this.socket;
+      if (!socket) return;
+      if (Date.now() - this.lastMessageAt > HEARTBEAT_MS * 2) {
+        logToFile('BitQuery subscription heartbeat timed out, reconnecting', 'error');
+        socket.terminate();
+        return;
+      }
+      try {
+        socket.ping();
+      } catch (error) {
+        logToFile(`BitQuery subscription ping failed: ${error.message}`, 'error');
+      }
+    }, HEARTBEAT_MS);
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.stopped) return;
+    this.disconnectedAt = this.disconnectedAt || Date.now();
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_MIN_MS * 2 ** this.attempts);
+    this.attempts++;
+    this.setStatus('reconnecting');
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    this.reconnectTimer.unref();
+  }
+}
+
+/**
+ * Feeds the trade viewer from a live subscription. Pushed rows are deduped
+ * by transaction signature, merged into AppState in batches and the current
+ * token is redrawn. After a reconnect the mode's one-shot query backfills
+ * anything missed while the socket was down.
+ */
+export class LiveTradeFeed {
+  constructor() {
+    this.subscription = null;
+    this.mode = null;
+    this.appState = null;
+    this.snapshotQuery = null;
+    this.seen = new Set();
+    this.pending = [];
+    this.flushTimer = null;
+    this.received = 0;
+  }
+
+  /**
+   * Start streaming a mode into the viewer
+   * @param {string} mode - One of SUBSCRIPTION_MODES
+   * @param {Object} appState - Viewer state already holding the initial snapshot
+   * @param {Object} options - { snapshotQuery } for backfills, { WebSocketImpl } for tests
+   */
+  start(mode, appState, { snapshotQuery, WebSocketImpl } = {}) {
+    this.stop();
+    this.mode = mode;
+    this.appState = appState;
+    this.snapshotQuery = snapshotQuery;
+    this.received = 0;
+    this.seen.clear();
+    appState.trades.forEach(row => this.remember(row.Transaction?.Signature));
+
+    this.subscription = new BitquerySubscription({
+      query: buildStreamSubscription(mode),
+      apiKey: connectionManager.apiKey,
+      WebSocketImpl,
+      onData: data => this.ingest(this.rowsOf(data)),
+      onResume: disconnectedAt => this.backfill(disconnectedAt),
+      onStatus: status => this.updateStatus(status)
+    });
+    this.subscription.start();
+  }
+
+  stop() {
+    if (this.subscription) {
+      this.subscription.stop();
+      this.subscription = null;
+    }
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.pending = [];
+    if (this.appState) {
+      this.appState.liveStream = null;
+    }
+  }
+
+  isRunning() {
+    return this.subscription !== null;
+  }
+
+  rowsOf(data) {
+    return (this.mode === 'graduated' ? data?.Solana?.DEXPools : data?.Solana?.DEXTrades) || [];
+  }
+
+  /**
+   * Key a row is merged under: one entry per mint for the per-token modes,
+   * one per trade for the cross-market feed
+   */
+  keyOf(row) {
+    if (this.mode === 'graduated') return row.Pool?.Market?.BaseCurrency?.MintAddress;
+    if (this.mode === 'pumpfunCrossMarket') return row.Transaction?.Signature;
+    return row.Trade?.Buy?.Currency?.MintAddress;
+  }
+
+  remember(signature) {
+    if (!signature) return;
+    this.seen.add(signature);
+    if (this.seen.size > MAX_SEEN) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+  }
+
+  /**
+   * Queue unseen rows for the next merge and publish them as trade.received
+   * @param {Array} rows - Rows in arrival order
+   * @param {string} source - 'live' or 'backfill'
+   * @returns {number} Rows queued
+   */
+  ingest(rows, source = 'live') {
+    const fresh = rows.filter(row => {
+      const signature = row?.Transaction?.Signature;
+      if (signature && this.seen.has(signature)) return false;
+      this.remember(signature);
+      return true;
+    });
+    if (fresh.length === 0) return 0;
+
+    this.received += fresh.length;
+    this.pending.push(...fresh);
+    eventBus.publish('trade.received', { mode: this.mode, trades: [...fresh].reverse(), source });
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_MS);
+      this.flushTimer.unref();
+    }
+    return fresh.length;
+  }
+
+  async flush() {
+    this.flushTimer = null;
+    if (!this.appState || this.pending.length === 0) return;
+    // Newest first, like the one-shot queries
+    const rows = this.pending.reverse();
+    this.pending = [];
+    try {
+      this.appState.mergeTrades(rows, row => this.keyOf(row));
+      this.updateStatus(this.subscription?.status || 'stopped');
+      if (this.appState.trades.length > 0) {
+        await this.appState.displayTrade(this.appState.currentTokenIndex);
+      }
+    } catch (error) {
+      logToFile(`Live stream merge failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Re-run the mode's one-shot query and keep rows newer than the drop
+   */
+  async backfill(disconnectedAt) {
+    if (!this.snapshotQuery) return;
+    try {
+      const result = await connectionManager.makeBitqueryRequest(this.snapshotQuery);
+      const rows = this.rowsOf(result.data).filter(row => !row.Block?.Time || new Date(row.Block.Time).getTime() >= disconnectedAt);
+      // Query results are newest first; ingest expects arrival order
+      const queued = this.ingest(rows.reverse(), 'backfill');
+      logToFile(`Live stream resumed in ${this.mode} mode, backfilled ${queued} rows`);
+    } catch (error) {
+      logToFile(`Live stream backfill failed: ${error.message}`, 'error');
+    }
+  }
+
+  updateStatus(status) {
+    if (!this.appState) return;
+    this.appState.liveStream = { status, received: this.received, lastError: this.subscription?.lastError || null };
+  }
+
+  /**
+   * One-line status for the viewer header
+   */
+  formatStatus(liveStream) {
+    const labels = {
+      connecting: `${colors.yellow}connecting...`,
+      live: `${colors.green}LIVE`,
+      reconnecting: `${colors.yellow}reconnecting...`,
+      failed: `${colors.red}failed (${liveStream.lastError})`,
+      stopped: `${colors.gray}stopped`
+    };
+    return `${colors.dim}📡 Live stream:${colors.reset} ${labels[liveStream.status] || liveStream.status}${colors.reset} ${colors.dim}(${liveStream.received} new)${colors.reset}\n`;
+  }
+}
+
+// Export singleton instance
+export const liveTradeFeed = new LiveTradeFeed();
@@ -0,0 +1,527 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import chalk from 'chalk';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { performSwap, getBestQuote, getTokenBalance, getTokenMetadata, getAllTokenBalances, getSolBalance } from './jupiter-swap.js';
+import { settingsManager } from './settings-manager.js';
+import { SETTINGS_SCHEMA } from './settings-schema.js';
+import { orderEngine } from './order-engine.js';
+import { exitPlans, validateExitPlan } from './exit-plans.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SOL = 1e9;
+const MINT_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+export const BUNDLE_VERSION = 2;
+
+// Order types a leg may use; anything but `market` is handed to the order engine
+export const BUNDLE_ORDER_TYPES = {
+  buy: ['market', 'limit_buy', 'stop_buy'],
+  sell: ['market', 'limit_sell', 'stop_sell']
+};
+
+const LEG_FIELDS = ['mint', 'name', 'symbol', 'side', 'amount', 'sellPercent', 'slippage', 'priorityFee',
+  'wallet', 'orderType', 'triggerPrice', 'delayMs', 'exit'];
+const DEFAULT_FIELDS = LEG_FIELDS.filter(field => !['mint', 'name', 'symbol'].includes(field));
+const EXIT_FIELDS = ['trailingStopPercent', 'takeProfitTiers', 'maxHoldMinutes'];
+
+/**
+ * Error for a bundle file that cannot be used. `problems` lists every bad
+ * field as "tokens[2].slippage: must be ...", or the line and column of a
+ * JSON syntax error.
+ */
+export class BundleError extends Error {
+  constructor(source, problems) {
+    super(`${source}: ${problems.length} problem(s)\n  ${problems.join('\n  ')}`);
+    this.problems = problems;
+  }
+}
+
+/**
+ * Scan text as JSON and return where the first syntax error is, so the
+ * location does not depend on the wording of JSON.parse errors
+ * @returns {?Object} { offset, reason }, or null if the text is valid JSON
+ */
+function findJsonError(text) {
+  let i = 0;
+  const found = () => (i >= text.length ? 'end of file' : `'${text[i]}'`);
+  const fail = (reason) => {
+    const error = new SyntaxError(reason);
+    error.offset = i;
+    throw error;
+  };
+  const skipSpace = () => {
+    while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+  };
+  const number = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+
+  const string = () => {
+    i++;
+    while (text[i] !== '"') {
+      if (i >= text.length || text[i] < ' ') fail('unterminated string');
+      if (text[i] === '\\') {
+        i++;
+        if (text[i] === 'u') {
+          if (!/^[0-9a-fA-F]{4}$/.test(text.slice(i + 1, i + 5))) fail('bad \\u escape');
+          i += 4;
+        } else if (i >= text.length || !'"\\/bfnrt'.includes(text[i])) {
+          fail(`bad escape ${found()}`);
+        }
+      }
+      i++;
+    }
+    i++;
+  };
+
+  const value = () => {
+    skipSpace();
+    const open = text[i];
+    if (open === '{' || open === '[') {
+      const close = open === '{' ? '}' : ']';
+      i++;
+      skipSpace();
+      if (text[i] === close) {
+        i++;
+        return;
+      }
+      for (;;) {
+        if (open === '{') {
+          skipSpace();
+          if (text[i] !== '"') fail(`expected a property name, found ${found()}`);
+          string();
+          skipSpace();
+          if (text[i] !== ':') fail(`expected ':', found ${found()}`);
+          i++;
+        }
+        value();
+        skipSpace();
+        if (text[i] === close) {
+          i++;
+          return;
+        }
+        if (text[i] !== ',') fail(`expected ',' or '${close}', found ${found()}`);
+        i++;
+      }
+    }
+    if (open === '"') return string();
+    number.lastIndex = i;
+    const match = number.exec(text);
+    if (match) {
+      i += match[0].length;
+      return;
+    }
+    const literal = ['true', 'false', 'null'].find(word => text.startsWith(word, i));
+    if (!literal) fail(`unexpected ${found()}`);
+    i += literal.length;
+  };
+
+  try {
+    value();
+    skipSpace();
+    if (i < text.length) fail(`unexpected ${found()} after the end of the JSON`);
+    return null;
+  } catch (error) {
+    return { offset: error.offset, reason: error.message };
+  }
+}
+
+/**
+ * Describe a JSON syntax error as "line X, column Y: ..."
+ */
+function describeJsonError(text, error) {
+  const problem = findJsonError(text);
+  if (!problem) return `invalid JSON: ${error.message}`;
+  const before = text.slice(0, problem.offset);
+  const line = before.split('\n').length;
+  const column = problem.offset - before.lastIndexOf('\n');
+  return `line ${line}, column ${column}: ${problem.reason}`;
+}
+
+/**
+ * Check one leg (already merged with the bundle defaults)
+ * @returns {Array<string>} Problems, each prefixed with the field path
+ */
+function validateLeg(leg, at) {
+  const problems = [];
+  const problem = (field, message) => problems.push(`${at}.${field}: ${message}`);
+  const inRange = (field, { min, max, integer = false }) => {
+    const value = leg[field];
+    if (value === undefined) return;
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+      problem(field, `must be ${integer ? 'a whole number' : 'a number'}`);
+    } else if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+      problem(field, `must be between ${min} and ${max}`);
+    }
+  };
+
+  Object.keys(leg).filter(field => !LEG_FIELDS.includes(field)).forEach(field => problem(field, 'unknown field'));
+
+  if (typeof leg.mint !== 'string' || !MINT_PATTERN.test(leg.mint)) {
+    problem('mint', 'must be a base58 token mint address');
+  }
+  ['name', 'symbol', 'wallet'].forEach(field => {
+    if (leg[field] !== undefined && typeof leg[field] !== 'string') problem(field, 'must be a string');
+  });
+  if (!['buy', 'sell'].includes(leg.side)) {
+    problem('side', 'must be "buy" or "sell"');
+    return problems;
+  }
+
+  if (leg.side === 'buy') {
+    if (!(typeof leg.amount === 'number' && leg.amount > 0)) problem('amount', 'buys need a positive SOL amount');
+    if (leg.sellPercent !== undefined) problem('sellPercent', 'buys use amount, not sellPercent');
+  } else {
+    inRange('sellPercent', { min: 0.01, max: 100 });
+    if (leg.amount !== undefined) problem('amount', 'sells use sellPercent, not amount');
+  }
+
+  inRange('slippage', SETTINGS_SCHEMA.slippageLimit);
+  inRange('priorityFee', { ...SETTINGS_SCHEMA.priorityFee, integer: true });
+  inRange('delayMs', { min: 0, max: 3600000, integer: true });
+
+  if (!BUNDLE_ORDER_TYPES[leg.side].includes(leg.orderType)) {
+    problem('orderType', `must be one of ${BUNDLE_ORDER_TYPES[leg.side].join(', ')} for a ${leg.side}`);
+  } else if (leg.orderType !== 'market') {
+    if (!(typeof leg.triggerPrice === 'number' && leg.triggerPrice > 0)) problem('triggerPrice', `${leg.orderType} needs a positive USD trigger price`);
+    if (!leg.wallet) problem('wallet', 'orders need a named wallet');
+  } else if (leg.triggerPrice !== undefined) {
+    problem('triggerPrice', 'only used by limit and stop orders');
+  }
+
+  if (leg.exit !== undefined) {
+    if (leg.side !== 'buy' || leg.orderType !== 'market') {
+      problem('exit', 'exit rules only apply to market buys');
+    } else if (typeof leg.exit !== 'object' || leg.exit === null || Array.isArray(leg.exit)) {
+      problem('exit', 'must be an object');
+    } else {
+      Object.keys(leg.exit).filter(field => !EXIT_FIELDS.includes(field)).forEach(field => problem(`exit.${field}`, 'unknown field'));
+      if (leg.exit.takeProfitTiers !== undefined && !Array.isArray(leg.exit.takeProfitTiers)) {
+        problem('exit.takeProfitTiers', 'must be a list of { gainPercent, sellPercent }');
+      } else {
+        const error = validateExitPlan(toExitSpec(leg.exit));
+        if (error) problem('exit', error);
+      }
+    }
+  }
+
+  return problems;
+}
+
+function toExitSpec(exit) {
+  return {
+    trailingStopPercent: exit.trailingStopPercent ?? null,
+    takeProfitTiers: exit.takeProfitTiers || [],
+    maxHoldMinutes: exit.maxHoldMinutes ?? null
+  };
+}
+
+/**
+ * Version 1 files were `{ tokens: [{ name, symbol, mint, amount }] }` with the
+ * side chosen at run time
+ */
+export function upgradeBundleV1(data, side = 'buy') {
+  return {
+    version: BUNDLE_VERSION,
+    defaults: { side },
+    tokens: (data.tokens || []).map(({ name, symbol, mint, amount }) => (
+      side === 'buy' ? { name, symbol, mint, amount: amount || 0.1 } : { name, symbol, mint }
+    ))
+  };
+}
+
+/**
+ * Validate a bundle object and resolve every leg against its defaults.
+ * A field set on a token replaces the default as a whole, `exit` included.
+ * @returns {Object} { name, legs } - legs are fully populated
+ * @throws {BundleError} Listing every problem found
+ */
+export function validateBundle(data, source = 'bundle') {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new BundleError(source, ['top level must be an object']);
+  }
+  const problems = [];
+  if (data.version !== BUNDLE_VERSION) {
+    problems.push(`version: must be ${BUNDLE_VERSION}${data.version === undefined ? ' (version 1 files can be upgraded from the Bundle menu)' : ''}`);
+  }
+  Object.keys(data).filter(field => !['version', 'name', 'defaults', 'tokens'].includes(field))
+    .forEach(field => problems.push(`${field}: unknown field`));
+
+  let defaults = data.defaults || {};
+  if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+    problems.push('defaults: must be an object');
+    defaults = {};
+  } else {
+    Object.keys(defaults).filter(field => !DEFAULT_FIELDS.includes(field))
+      .forEach(field => problems.push(`defaults.${field}: ${LEG_FIELDS.includes(field) ? 'must be set per token' : 'unknown field'}`));
+  }
+
+  if (!Array.isArray(data.tokens) || data.tokens.length === 0) {
+    problems.push('tokens: must be a non-empty list');
+    throw new BundleError(source, problems);
+  }
+
+  const legs = data.tokens.map((token, index) => {
+    if (typeof token !== 'object' || token === null || Array.isArray(token)) {
+      problems.push(`tokens[${index}]: must be an object`);
+      return null;
+    }
+    const inherited = Object.fromEntries(Object.entries(defaults).filter(([field]) => DEFAULT_FIELDS.includes(field)));
+    const leg = { side: 'buy', orderType: 'market', sellPercent: 100, delayMs: 0, ...inherited, ...token };
+    // Defaults only fill in fields that apply to this leg
+    if (leg.side === 'buy' && token.sellPercent === undefined) delete leg.sellPercent;
+    if (leg.side === 'sell' && token.amount === undefined) delete leg.amount;
+    if ((leg.side !== 'buy' || leg.orderType !== 'market') && token.exit === undefined) delete leg.exit;
+    if (leg.orderType === 'market' && token.triggerPrice === undefined) delete leg.triggerPrice;
+    problems.push(...validateLeg(leg, `tokens[${index}]`));
+    return leg;
+  });
+
+  if (problems.length > 0) {
+    throw new BundleError(source, problems);
+  }
+  return { name: data.name || path.basename(source), legs };
+}
+
+/**
+ * Read and validate a bundle file
+ * @param {Object} options - { legacySide } side for version 1 files; without it they are rejected
+ */
+export function loadBundleFile(filePath, { legacySide = null } = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new BundleError(filePath, [`cannot read file: ${error.message}`]);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new BundleError(filePath, [describeJsonError(text, error)]);
+  }
+
+  if (data && data.version === undefined && Array.isArray(data.tokens) && legacySide) {
+    data = upgradeBundleV1(data, legacySide);
+  }
+  return validateBundle(data, filePath);
+}
+
+/**
+ * Is this a version 1 bundle file?
+ */
+export function isLegacyBundle(filePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return data !== null && typeof data === 'object' && data.version === undefined && Array.isArray(data.tokens);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Runs validated bundles: market legs swap through `performSwap`, limit and
+ * stop legs become order-engine orders, and exit rules on market buys are
+ * attached as exit plans. Legs run in file order, each after its `delayMs`.
+ */
+export class BundleRunner {
+  constructor(exportDir = path.join(process.cwd(), 'data', 'bundles')) {
+    this.exportDir = exportDir;
+  }
+
+  describeLeg(leg) {
+    const label = leg.symbol || leg.name || `${leg.mint.slice(0, 4)}...${leg.mint.slice(-4)}`;
+    const size = leg.side === 'buy' ? `${leg.amount} SOL` : `${leg.sellPercent}%`;
+    const order = leg.orderType === 'market' ? 'market' : `${leg.orderType} @ $${leg.triggerPrice}`;
+    return `${leg.side.toUpperCase()} ${label} ${size} (${order})`;
+  }
+
+  /**
+   * Print what a bundle would do, without sending anything
+   * @param {Object} bundle - Result of validateBundle
+   * @param {Object} options - { defaultWallet, balances } balances maps wallet name to SOL
+   */
+  preview(bundle, { defaultWallet = null, balances = {} } = {}) {
+    console.log(`\n${colors.cyan}📋 Bundle preview: ${bundle.name}${colors.reset} ${chalk.gray(`(${bundle.legs.length} legs, dry run)`)}`);
+    bundle.legs.forEach((leg, index) => {
+      const overrides = [
+        leg.slippage !== undefined && `slippage ${leg.slippage}%`,
+        leg.priorityFee !== undefined && `fee ${leg.priorityFee}µL`,
+        leg.delayMs > 0 && `wait ${leg.delayMs}ms`
+      ].filter(Boolean).join(', ');
+      console.log(`${String(index + 1).padStart(3)}. ${(leg.side === 'buy' ? chalk.green : chalk.red)(this.describeLeg(leg))} ${chalk.gray(`[${leg.wallet || defaultWallet || 'active wallet'}]`)}${overrides ? chalk.gray(` ${overrides}`) : ''}`);
+      if (leg.exit) {
+        const spec = toExitSpec(leg.exit);
+        console.log(chalk.gray(`       exit: ${exitPlans.describe({ ...spec, takeProfitTiers: spec.takeProfitTiers.map(tier => ({ ...tier, filled: false })) })}`));
+      }
+    });
+
+    const spend = {};
+    bundle.legs.filter(leg => leg.side === 'buy' && leg.orderType === 'market').forEach(leg => {
+      const wallet = leg.wallet || defaultWallet || 'active wallet';
+      spend[wallet] = (spend[wallet] || 0) + leg.amount;
+    });
+    Object.entries(spend).forEach(([wallet, sol]) => {
+      const balance = balances[wallet];
+      const note = balance === undefined ? '' : balance < sol ? chalk.red(` (balance ${balance.toFixed(4)} SOL, not enough)`) : chalk.gray(` (balance ${balance.toFixed(4)} SOL)`);
+      console.log(`${colors.blue}💰 ${wallet}: ${sol.toFixed(4)} SOL in market buys${colors.reset}${note}`);
+    });
+  }
+
+  /**
+   * Print each token's balance in a wallet and what 1 SOL buys now, without trading
+   * @param {Object} bundle - Result of validateBundle
+   * @param {string} walletAddress
+   */
+  async analyze(bundle, walletAddress) {
+    const legs = bundle.legs.filter((leg, index) => bundle.legs.findIndex(other => other.mint === leg.mint) === index);
+    console.log(`\n${colors.cyan}🔍 Analyzing bundle: ${bundle.name}${colors.reset} ${chalk.gray(`(${legs.length} tokens)`)}`);
+
+    for (const [index, leg] of legs.entries()) {
+      const label = leg.symbol || leg.name || leg.mint;
+      console.log(`${colors.yellow}📊 ${index + 1}/${legs.length}: ${label}${colors.reset}`);
+      try {
+        const balance = await getTokenBalance(leg.mint, walletAddress);
+        console.log(`${colors.blue}   💰 Balance: ${balance.toLocaleString()}${colors.reset}`);
+        const quote = await getBestQuote(SOL_MINT, leg.mint, LAMPORTS_PER_SOL, true, null, true);
+        const { decimals } = await getTokenMetadata(leg.mint);
+        console.log(`${colors.green}   📈 1 SOL = ${(Number(quote.outAmount) / Math.pow(10, decimals)).toLocaleString()} tokens${colors.reset}`);
+      } catch (error) {
+        console.log(`${colors.red}   ❌ Failed to analyze ${label}: ${error.message}${colors.reset}`);
+      }
+    }
+  }
+
+  /**
+   * SOL balance of every wallet with market buys, for the preview
+   */
+  async fetchBalances(bundle, { defaultWallet, resolveWallet }) {
+    const balances = {};
+    const names = new Set(bundle.legs.filter(leg => leg.side === 'buy' && leg.orderType === 'market').map(leg => leg.wallet || defaultWallet));
+    for (const name of names) {
+      try {
+        balances[name] = await getSolBalance((await resolveWallet(name)).publicKey.toString());
+      } catch (error) {
+        logToFile(`Bundle preview could not load wallet ${name}: ${error.message}`, 'error');
+      }
+    }
+    return balances;
+  }
+
+  /**
+   * Execute every leg
+   * @param {Object} bundle - Result of validateBundle
+   * @param {Object} options - { defaultWallet, resolveWallet(name) -> Keypair, onLeg(result) }
+   * @returns {Promise<Array>} [{ index, leg, status, signature, orderId, exitPlanId, error }]
+   */
+  async run(bundle, { defaultWallet, resolveWallet, onLeg = null }) {
+    const useUltraV2 = settingsManager.get('enableUltraV2') !== false;
+    const results = [];
+
+    for (const [index, leg] of bundle.legs.entries()) {
+      if (leg.delayMs > 0 && index > 0) {
+        await new Promise(resolve => setTimeout(resolve, leg.delayMs));
+      }
+
+      const walletName = leg.wallet || defaultWallet;
+      const result = { index, leg, wallet: walletName, status: 'failed', signature: null, orderId: null, exitPlanId: null, error: null };
+      try {
+        if (leg.orderType !== 'market') {
+          const order = orderEngine.addOrder({
+            type: leg.orderType,
+            mint: leg.mint,
+            wallet: walletName,
+            triggerPrice: leg.triggerPrice,
+            amountSOL: leg.amount,
+            sellPercent: leg.sellPercent,
+            slippage: leg.slippage
+          });
+          result.status = 'queued';
+          result.orderId = order.id;
+        } else {
+          const wallet = await resolveWallet(walletName);
+          const swap = leg.side === 'buy'
+            ? await performSwap(SOL_MINT, leg.mint, Math.floor(leg.amount * LAMPORTS_PER_SOL), wallet, leg.slippage ?? null, useUltraV2, leg.priorityFee ?? null)
+            : await this.sellLeg(leg, wallet, useUltraV2);
+
+          if (!swap) {
+            result.status = 'skipped';
+            result.error = 'No token balance';
+          } else {
+            result.status = 'ok';
+            result.signature = swap.signature;
+            if (leg.exit) {
+              result.exitPlanId = exitPlans.attach(wallet, leg.mint, { ...toExitSpec(leg.exit), symbol: leg.symbol }).id;
+            }
+          }
+        }
+      } catch (error) {
+        result.error = error.message;
+        logToFile(`Bundle leg ${index + 1} (${this.describeLeg(leg)}) failed: ${error.message}`, 'error');
+      }
+
+      results.push(result);
+      if (onLeg) onLeg(result);
+    }
+    return results;
+  }
+
+  async sellLeg(leg, wallet, useUltraV2) {
+    const balance = await getTokenBalance(leg.mint, wallet.publicKey.toString());
+    if (!(balance > 0)) return null;
+    const { decimals } = await getTokenMetadata(leg.mint);
+    const rawAmount = Math.floor(balance * leg.sellPercent / 100 * Math.pow(10, decimals));
+    if (rawAmount <= 0) return null;
+    return performSwap(leg.mint, SOL_MINT, rawAmount, wallet, leg.slippage ?? null, useUltraV2, leg.priorityFee ?? null);
+  }
+
+  displayResults(results) {
+    console.log(`\n${colors.cyan}📋 Bundle Results${colors.reset}`);
+    results.forEach(result => {
+      const statusColor = result.status === 'ok' ? chalk.green : result.status === 'failed' ? chalk.red : chalk.yellow;
+      const detail = result.signature || (result.orderId && `order ${result.orderId}`) || result.error || '';
+      const plan = result.exitPlanId ? chalk.cyan(` exit plan ${result.exitPlanId}`) : '';
+      console.log(`${String(result.index + 1).padStart(3)}. ${statusColor(result.status.padEnd(7))} ${this.describeLeg(result.leg)} ${chalk.gray(`[${result.wallet}]`)} ${chalk.gray(detail)}${plan}`);
+    });
+    const count = (status) => results.filter(result => result.status === status).length;
+    console.log(`\n${colors.green}✅ ${count('ok')} executed${colors.reset} | ${colors.yellow}📑 ${count('queued')} queued as orders${colors.reset} | ${colors.yellow}⏭️ ${count('skipped')} skipped${colors.reset} | ${colors.red}❌ ${count('failed')} failed${colors.reset}`);
+  }
+
+  /**
+   * Build a version 2 bundle that sells every token a wallet holds
+   */
+  async buildHoldingsBundle(walletAddress, walletName) {
+    const holdings = await getAllTokenBalances(walletAddress, true);
+    return {
+      version: BUNDLE_VERSION,
+      name: `${walletName} holdings ${new Date().toISOString().slice(0, 10)}`,
+      defaults: { side: 'sell', sellPercent: 100, wallet: walletName },
+      tokens: holdings
+        .filter(token => token.balance > 0 && token.mint !== SOL_MINT)
+        .map(token => ({
+          mint: token.mint,
+          ...(token.symbol && token.symbol !== token.mint ? { symbol: token.symbol } : {}),
+          ...(token.name ? { name: token.name } : {})
+        }))
+    };
+  }
+
+  /**
+   * Write a wallet's holdings as a bundle file
+   * @returns {Promise<Object>} { filePath, count }
+   */
+  async exportHoldings(walletAddress, walletName, filePath = null) {
+    const bundle = await this.buildHoldingsBundle(walletAddress, walletName);
+    if (bundle.tokens.length === 0) {
+      throw new Error(`Wallet '${walletName}' holds no tokens`);
+    }
+    const target = filePath || path.join(this.exportDir, `holdings-${walletName}-${new Date().toISOString().slice(0, 10)}.json`);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, `${JSON.stringify(bundle, null, 2)}\n`);
+    return { filePath: target, count: bundle.tokens.length };
+  }
+}
+
+// Export singleton instance
+export const bundleRunner = new BundleRunner();
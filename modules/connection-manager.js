@@ -1,6 +1,9 @@
 import { colors } from '../colors.js';
 import { logToFile } from '../logger.js';
-import { Connection } from '@solana/web3.js';
+import { rpcPool } from './rpc-pool.js';
+import { bitqueryRecorder } from './bitquery-recorder.js';
+import { eventBus } from './event-bus.js';
+import { settingsManager } from './settings-manager.js';
 
 export class ConnectionManager {
   constructor() {
@@ -12,22 +15,38 @@ export class ConnectionManager {
     this.retryAttempts = 0;
     this.maxRetries = 3;
     this.retryDelay = 2000;
-    this.apiKey = null;
+    this.apiKeyOverride = null;
+  }
+
+  /**
+   * BitQuery API key: the one passed to setApiKey, otherwise the
+   * bitqueryApiKey setting, read on every request
+   */
+  get apiKey() {
+    return this.apiKeyOverride || settingsManager.get('bitqueryApiKey') || null;
   }
 
   setApiKey(apiKey) {
-    this.apiKey = apiKey;
+    this.apiKeyOverride = apiKey;
+  }
+
+  /**
+   * Record a check result and publish connection.changed when a service
+   * goes up or down
+   */
+  setStatus(service, connected, error) {
+    const previous = this.connectionStatus[service];
+    this.connectionStatus[service] = { connected, error, lastCheck: Date.now() };
+    if (!previous || previous.connected !== connected || previous.lastCheck === 0) {
+      eventBus.publish('connection.changed', { service, connected, error });
+    }
   }
 
   async checkBitqueryConnection() {
     try {
-      // Check if we have a valid API key
-      if (!this.apiKey) {
-        this.connectionStatus.bitquery = {
-          connected: false,
-          error: 'No API key configured',
-          lastCheck: Date.now()
-        };
+      // Check if we have a valid API key (replayed sessions need none)
+      if (!this.apiKey && !bitqueryRecorder.isReplaying()) {
+        this.setStatus('bitquery', false, 'No API key configured');
         return false;
       }
 
@@ -64,7 +83,7 @@ export class ConnectionManager {
       headers.append("Content-Type", "application/json");
       headers.append("Authorization", `Bearer ${this.apiKey}`);
 
-      const response = await fetch("https://streaming.bitquery.io/eap", {
+      const response = await bitqueryRecorder.fetch("https://streaming.bitquery.io/eap", {
         method: "POST",
         headers: headers,
         body: JSON.stringify(testQuery),
@@ -82,20 +101,12 @@ export class ConnectionManager {
         throw new Error(result.errors[0]?.message || 'GraphQL errors');
       }
 
-      this.connectionStatus.bitquery = {
-        connected: true,
-        error: null,
-        lastCheck: Date.now()
-      };
+      this.setStatus('bitquery', true, null);
 
       return true;
 
     } catch (error) {
-      this.connectionStatus.bitquery = {
-        connected: false,
-        error: error.message,
-        lastCheck: Date.now()
-      };
+      this.setStatus('bitquery', false, error.message);
       
       logToFile(`BitQuery connection failed: ${error.message}`, 'error');
       return false;
@@ -121,20 +132,12 @@ export class ConnectionManager {
         throw new Error('Invalid Jupiter response');
       }
 
-      this.connectionStatus.jupiter = {
-        connected: true,
-        error: null,
-        lastCheck: Date.now()
-      };
+      this.setStatus('jupiter', true, null);
 
       return true;
 
     } catch (error) {
-      this.connectionStatus.jupiter = {
-        connected: false,
-        error: error.message,
-        lastCheck: Date.now()
-      };
+      this.setStatus('jupiter', false, error.message);
       
       logToFile(`Jupiter connection failed: ${error.message}`, 'error');
       return false;
@@ -155,7 +158,7 @@ export class ConnectionManager {
 
   async makeBitqueryRequest(query, retryCount = 0) {
     try {
-      if (!this.apiKey) {
+      if (!this.apiKey && !bitqueryRecorder.isReplaying()) {
         throw new Error('No API key configured');
       }
 
@@ -163,7 +166,7 @@ export class ConnectionManager {
       headers.append("Content-Type", "application/json");
       headers.append("Authorization", `Bearer ${this.apiKey}`);
 
-      const response = await fetch("https://streaming.bitquery.io/eap", {
+      const response = await bitqueryRecorder.fetch("https://streaming.bitquery.io/eap", {
         method: "POST",
         headers: headers,
         body: JSON.stringify(query),
@@ -235,19 +238,50 @@ export class ConnectionManager {
     return this.connectionStatus[service]?.error || null;
   }
 
+  // Healthiest RPC endpoint from the pool (see rpc-pool.js)
+  getRpcEndpoint(role = 'read') {
+    return rpcPool.getEndpoint(role);
+  }
+
   // Get optimized connection for RPC operations
-  async getOptimizedConnection() {
+  async getOptimizedConnection(role = 'read') {
     try {
-      // Use a reliable RPC endpoint for wallet operations
-      const rpcEndpoint = 'https://api.mainnet-beta.solana.com';
-      const connection = new Connection(rpcEndpoint, 'confirmed');
-      return connection;
+      return rpcPool.getConnection(role);
     } catch (error) {
       console.error(`${colors.red}❌ Failed to create optimized connection: ${error.message}${colors.reset}`);
       throw error;
     }
   }
 
+  // Display RPC pool health
+  displayEndpointStatus() {
+    rpcPool.displayStatus();
+  }
+
+  // Probe every RPC endpoint so the pool ranks them on fresh measurements
+  async selectBestEndpoint() {
+    await rpcPool.probe();
+    return rpcPool.getEndpoint('read');
+  }
+
+  async testAllEndpoints() {
+    console.log(`${colors.cyan}🔍 Probing RPC endpoints...${colors.reset}`);
+    const results = await rpcPool.probe();
+    results.forEach(result => {
+      if (result.ok) {
+        console.log(`${colors.green}✅ ${result.url}${colors.reset} ${result.latencyMs}ms (slot ${result.slot})`);
+      } else {
+        console.log(`${colors.red}❌ ${result.url}${colors.reset} ${result.error}`);
+      }
+    });
+    return results;
+  }
+
+  // Drop pooled RPC connections and health stats
+  cleanup() {
+    rpcPool.reset();
+  }
+
   // Display connection status
   displayConnectionStatus() {
     console.log(`\n${colors.cyan}🔗 Connection Status:${colors.reset}`);
@@ -298,71 +332,3 @@ export class ConnectionManager {
 
 // Export singleton instance
 export const connectionManager = new ConnectionManager();
-
-// Price Alerts Manager
-export class PriceAlerts {
-  constructor() {
-    this.alerts = new Map();
-    this.alertId = 0;
-  }
-
-  addAlert(tokenAddress, targetPrice, condition, description = '') {
-    const id = ++this.alertId;
-    this.alerts.set(id, {
-      id,
-      tokenAddress,
-      targetPrice,
-      condition,
-      description,
-      createdAt: new Date()
-    });
-    return id;
-  }
-
-  removeAlert(alertId) {
-    return this.alerts.delete(alertId);
-  }
-
-  getAlerts() {
-    return Array.from(this.alerts.values());
-  }
-
-  async checkAlerts(currentPrice, tokenAddress) {
-    const triggeredAlerts = [];
-    
-    for (const alert of this.alerts.values()) {
-      if (alert.tokenAddress === tokenAddress) {
-        let triggered = false;
-        
-        switch (alert.condition) {
-          case 'above':
-            triggered = currentPrice > alert.targetPrice;
-            break;
-          case 'below':
-            triggered = currentPrice < alert.targetPrice;
-            break;
-          case 'equals':
-            triggered = Math.abs(currentPrice - alert.targetPrice) < 0.000001;
-            break;
-        }
-        
-        if (triggered) {
-          triggeredAlerts.push(alert);
-        }
-      }
-    }
-    
-    return triggeredAlerts;
-  }
-
-  triggerAlert(alert, currentPrice) {
-    console.log(`\n${colors.yellow}🚨 PRICE ALERT TRIGGERED!${colors.reset}`);
-    console.log(`${colors.cyan}Token: ${alert.tokenAddress}${colors.reset}`);
-    console.log(`${colors.green}Current Price: $${currentPrice}${colors.reset}`);
-    console.log(`${colors.yellow}Target Price: $${alert.targetPrice} (${alert.condition})${colors.reset}`);
-    if (alert.description) {
-      console.log(`${colors.dim}Description: ${alert.description}${colors.reset}`);
-    }
-    console.log('');
-  }
-} 
\ No newline at end of file
@@ -0,0 +1,709 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import crypto from 'crypto';
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { buildTraderTradesQuery } from '../queries.js';
+import { connectionManager } from './connection-manager.js';
+import { performSwap, getBatchTokenPrices, getTokenBalance, isPriced } from './jupiter-swap.js';
+import { rugChecker } from './rug-checks.js';
+import { WalletManager } from './wallet-manager.js';
+import { settingsManager } from './settings-manager.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+// BitQuery reports native SOL with the system program address
+const SOL_MINTS = [SOL_MINT, '11111111111111111111111111111111'];
+const LAMPORTS_PER_SOL = 1e9;
+// Leader signatures remembered to avoid copying a trade twice
+const SEEN_LIMIT = 1000;
+const TRADE_HISTORY_LIMIT = 500;
+// How far back each poll looks; only trades after the copier started are copied
+const LOOKBACK_MINUTES = 10;
+
+/**
+ * Copy rules. `scale` is the default for leaders without their own.
+ * - scale:          our SOL per buy = leader SOL × scale
+ * - minSol:         skip buys that size below this
+ * - maxSolPerTrade: cap on a single copied buy
+ * - maxExposureSol: cap on open SOL cost per token across all leaders
+ * - delaySeconds:   wait this long after the leader's trade before copying
+ * - minLeaderSol:   ignore leader buys smaller than this
+ * - ignoreMints:    never copy these tokens
+ * - copySells:      mirror leader sells proportionally
+ * - slippage:       slippage % for copies (null uses the setting)
+ */
+export const DEFAULT_COPY_RULES = {
+  scale: 0.1,
+  minSol: 0.005,
+  maxSolPerTrade: 0.5,
+  maxExposureSol: 1,
+  delaySeconds: 0,
+  minLeaderSol: 0.05,
+  ignoreMints: [],
+  copySells: true,
+  slippage: null
+};
+
+/**
+ * Read the DEXTrades rows of one leader transaction as a SOL buy or sell of
+ * one token. A routed swap has a row per hop; the leader's net change of
+ * each currency across the hops decides the trade, so intermediate tokens
+ * cancel out. Returns null for transactions that don't swap one token
+ * against SOL.
+ * @param {Array} rows - Rows sharing one Transaction.Signature
+ */
+export function interpretLeaderTransaction(rows) {
+  const leader = rows[0]?.Transaction?.Signer;
+  if (!leader) return null;
+
+  // Net change per mint, native SOL and wrapped SOL counted together
+  const changes = new Map();
+  const change = (side, sign) => {
+    const mint = SOL_MINTS.includes(side.Currency.MintAddress) ? SOL_MINT : side.Currency.MintAddress;
+    const entry = changes.get(mint) || { currency: side.Currency, net: 0, gross: 0 };
+    const amount = Number(side.Amount) || 0;
+    entry.net += sign * amount;
+    entry.gross += amount;
+    changes.set(mint, entry);
+  };
+
+  for (const row of rows) {
+    let received = row.Trade?.Buy;
+    let paid = row.Trade?.Sell;
+    if (!received?.Currency || !paid?.Currency) return null;
+    // Buy is what the signer received unless the accounts say otherwise
+    if (paid.Account?.Address === leader && received.Account?.Address !== leader) {
+      [received, paid] = [paid, received];
+    }
+    change(received, 1);
+    change(paid, -1);
+  }
+
+  // Hops in and out of an intermediate token leave only rounding behind
+  const moved = [...changes.entries()].filter(([, entry]) => Math.abs(entry.net) > entry.gross * 1e-9);
+  const sol = moved.find(([mint]) => mint === SOL_MINT)?.[1];
+  const tokens = moved.filter(([mint]) => mint !== SOL_MINT);
+  if (!sol || tokens.length !== 1) return null;
+
+  const [mint, token] = tokens[0];
+  if (Math.sign(sol.net) === Math.sign(token.net)) return null;
+  return {
+    leader,
+    leaderSignature: rows[0].Transaction.Signature,
+    time: rows[0].Block?.Time,
+    side: sol.net > 0 ? 'sell' : 'buy',
+    mint,
+    symbol: token.currency.Symbol || '?',
+    decimals: token.currency.Decimals ?? 6,
+    tokenAmount: Math.abs(token.net),
+    solAmount: Math.abs(sol.net)
+  };
+}
+
+/**
+ * Mirrors the buys and sells of chosen trader wallets.
+ *
+ * Leaders, rules, copied positions and trade history live in
+ * `data/copy-trading.json`. While running, the copier polls BitQuery for
+ * trades signed by enabled leaders and copies each new one through
+ * `performSwap`: buys are scaled from the leader's SOL and capped per trade
+ * and per token, sells sell the same fraction of the position copied from
+ * that leader. Buys that fail the rug check filter are skipped. Positions
+ * are tracked per leader so P&L can be reported per leader.
+ */
+export class CopyTrader {
+  constructor(configPath = path.join(process.cwd(), 'data', 'copy-trading.json')) {
+    this.configPath = configPath;
+    this.leaders = [];
+    this.rules = { ...DEFAULT_COPY_RULES };
+    this.wallet = null;
+    this.positions = {};
+    this.trades = [];
+    this.seen = [];
+    this.checkInterval = null;
+    this.polling = false;
+    this.startedAt = null;
+    this.walletManager = null;
+    this.resolveWallet = (name) => {
+      this.walletManager = this.walletManager || new WalletManager();
+      return this.walletManager.loadWallet(name);
+    };
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.configPath)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+      this.leaders = stored.leaders || [];
+      this.rules = { ...DEFAULT_COPY_RULES, ...(stored.rules || {}) };
+      this.wallet = stored.wallet || null;
+      this.positions = stored.positions || {};
+      this.trades = stored.trades || [];
+      this.seen = stored.seen || [];
+
+      // A copy saved as sending never recorded its outcome
+      const interrupted = this.trades.filter(trade => trade.status === 'sending');
+      interrupted.forEach(trade => {
+        trade.status = 'failed';
+        trade.error = 'Interrupted while the swap was in flight; outcome unknown';
+      });
+      if (interrupted.length > 0) {
+        console.log(`${colors.yellow}⚠️ ${interrupted.length} copy trade(s) were interrupted mid-swap; check your wallet${colors.reset}`);
+        this.save();
+      }
+    } catch (error) {
+      console.error(`${colors.red}❌ Could not read copy trading config: ${error.message}${colors.reset}`);
+      logToFile(`Copy trading load error: ${error.message}`, 'error');
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.configPath), { recursive: true });
+      const tmpPath = `${this.configPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        version: 1,
+        wallet: this.wallet,
+        rules: this.rules,
+        leaders: this.leaders,
+        positions: this.positions,
+        trades: this.trades.slice(-TRADE_HISTORY_LIMIT),
+        seen: this.seen.slice(-SEEN_LIMIT)
+      }, null, 2));
+      fs.renameSync(tmpPath, this.configPath);
+    } catch (error) {
+      console.error(`${colors.red}❌ Could not save copy trading config: ${error.message}${colors.reset}`);
+      logToFile(`Copy trading save error: ${error.message}`, 'error');
+    }
+  }
+
+  addLeader(address, { label = '', scale = null } = {}) {
+    if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+      throw new Error('Leader must be a Solana wallet address');
+    }
+    if (this.leaders.some(leader => leader.address === address)) {
+      throw new Error('Leader is already on the watchlist');
+    }
+    if (scale !== null && !(scale > 0)) {
+      throw new Error('Scale must be a positive number');
+    }
+    const leader = { address, label: label || address.slice(0, 6), scale, enabled: true, addedAt: new Date().toISOString() };
+    this.leaders.push(leader);
+    this.save();
+    return leader;
+  }
+
+  removeLeader(address) {
+    this.leaders = this.leaders.filter(leader => leader.address !== address);
+    this.save();
+  }
+
+  setLeaderEnabled(address, enabled) {
+    const leader = this.getLeader(address);
+    if (leader) {
+      leader.enabled = enabled;
+      this.save();
+    }
+  }
+
+  getLeader(address) {
+    return this.leaders.find(leader => leader.address === address) || null;
+  }
+
+  setRules(changes) {
+    const rules = { ...this.rules, ...changes };
+    ['scale', 'maxSolPerTrade', 'maxExposureSol'].forEach(key => {
+      if (!(rules[key] > 0)) throw new Error(`${key} must be a positive number`);
+    });
+    ['minSol', 'delaySeconds', 'minLeaderSol'].forEach(key => {
+      if (!(rules[key] >= 0)) throw new Error(`${key} must be zero or more`);
+    });
+    if (rules.slippage !== null && !(rules.slippage > 0)) {
+      throw new Error('slippage must be a positive number or null');
+    }
+    this.rules = rules;
+    this.save();
+  }
+
+  setWallet(name) {
+    this.wallet = name;
+    this.save();
+  }
+
+  positionKey(leader, mint) {
+    return `${leader}:${mint}`;
+  }
+
+  /**
+   * Open SOL cost of a token across every leader
+   */
+  exposure(mint) {
+    return Object.values(this.positions)
+      .filter(position => position.mint === mint)
+      .reduce((sum, position) => sum + position.costSol, 0);
+  }
+
+  /**
+   * Why a leader trade should not be copied, or null to copy it
+   */
+  ignoreReason(event) {
+    const leader = this.getLeader(event.leader);
+    if (!leader || !leader.enabled) return 'leader disabled';
+    if (this.rules.ignoreMints.includes(event.mint)) return 'token ignored';
+    if (event.side === 'buy') {
+      if (event.solAmount < this.rules.minLeaderSol) return `leader buy below ${this.rules.minLeaderSol} SOL`;
+      if (this.exposure(event.mint) >= this.rules.maxExposureSol) return 'max exposure reached';
+      return null;
+    }
+    if (!this.rules.copySells) return 'sells not copied';
+    if (!(this.positions[this.positionKey(event.leader, event.mint)]?.tokens > 0)) return 'no copied position';
+    return null;
+  }
+
+  /**
+   * SOL to spend copying a leader buy, after scale, per-trade and exposure caps
+   */
+  sizeBuy(event) {
+    const scale = this.getLeader(event.leader)?.scale ?? this.rules.scale;
+    const room = this.rules.maxExposureSol - this.exposure(event.mint);
+    return Math.max(0, Math.min(event.solAmount * scale, this.rules.maxSolPerTrade, room));
+  }
+
+  /**
+   * Fraction of the position the leader just sold, from their remaining balance
+   */
+  async leaderSellFraction(event) {
+    const remaining = await getTokenBalance(event.mint, event.leader);
+    const before = event.tokenAmount + (remaining || 0);
+    return before > 0 ? Math.min(1, event.tokenAmount / before) : 1;
+  }
+
+  /**
+   * Copy one leader trade
+   * @returns {Promise<Object>} The recorded copy trade
+   */
+  async mirror(event) {
+    const trade = {
+      id: crypto.randomUUID().slice(0, 8),
+      leader: event.leader,
+      leaderSignature: event.leaderSignature,
+      mint: event.mint,
+      symbol: event.symbol,
+      side: event.side,
+      leaderSol: event.solAmount,
+      solAmount: 0,
+      tokenAmount: 0,
+      status: 'skipped',
+      signature: null,
+      error: null,
+      at: new Date().toISOString()
+    };
+    this.trades.push(trade);
+
+    const reason = this.ignoreReason(event);
+    if (reason) {
+      trade.error = reason;
+      this.save();
+      return trade;
+    }
+
+    if (event.side === 'buy') {
+      const { allowed, result } = await rugChecker.screenBuy(event.mint);
+      if (!allowed) {
+        trade.error = `rug risk ${result.score}/100`;
+        this.save();
+        return trade;
+      }
+    }
+
+    const keypair = this.loadKeypair();
+    if (!keypair) {
+      trade.error = `wallet '${this.wallet}' is unavailable or locked`;
+      this.save();
+      return trade;
+    }
+
+    const waitMs = this.rules.delaySeconds * 1000 - (Date.now() - Date.parse(event.time || 0));
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+
+    const key = this.positionKey(event.leader, event.mint);
+    try {
+      if (event.side === 'buy') {
+        trade.solAmount = this.sizeBuy(event);
+        if (trade.solAmount < this.rules.minSol) {
+          trade.error = `size ${trade.solAmount.toFixed(4)} SOL below minimum`;
+          this.save();
+          return trade;
+        }
+        trade.status = 'sending';
+        this.save();
+        const result = await performSwap(SOL_MINT, event.mint, Math.floor(trade.solAmount * LAMPORTS_PER_SOL), keypair, this.rules.slippage);
+        trade.tokenAmount = Number(result.quote?.outAmount || 0) / Math.pow(10, event.decimals);
+        trade.signature = result.signature;
+
+        const position = this.positions[key] || { leader: event.leader, mint: event.mint, symbol: event.symbol, decimals: event.decimals, tokens: 0, costSol: 0, spentSol: 0, receivedSol: 0, realizedSol: 0 };
+        position.tokens += trade.tokenAmount;
+        position.costSol += trade.solAmount;
+        position.spentSol += trade.solAmount;
+        this.positions[key] = position;
+      } else {
+        const position = this.positions[key];
+        const fraction = await this.leaderSellFraction(event);
+        const held = await getTokenBalance(event.mint, keypair.publicKey.toString());
+        trade.tokenAmount = Math.min(position.tokens * fraction, held);
+        const rawAmount = Math.floor(trade.tokenAmount * Math.pow(10, position.decimals));
+        if (rawAmount <= 0) {
+          trade.error = 'nothing to sell';
+          this.save();
+          return trade;
+        }
+        trade.status = 'sending';
+        this.save();
+        const result = await performSwap(event.mint, SOL_MINT, rawAmount, keypair, this.rules.slippage);
+        trade.solAmount = Number(result.quote?.outAmount || 0) / LAMPORTS_PER_SOL;
+        trade.signature = result.signature;
+
+        // Average cost: the sold share of the cost basis leaves the position
+        const soldShare = Math.min(1, trade.tokenAmount / position.tokens);
+        const costSold = position.costSol * soldShare;
+        position.tokens -= trade.tokenAmount;
+        position.costSol -= costSold;
+        position.receivedSol += trade.solAmount;
+        position.realizedSol += trade.solAmount - costSold;
+        if (position.tokens <= 0) {
+          position.tokens = 0;
+          position.costSol = 0;
+        }
+      }
+      trade.status = 'ok';
+      console.log(`${colors.green}🪞 Copied ${trade.side} of ${trade.symbol} from ${this.getLeader(event.leader)?.label}: ${trade.signature}${colors.reset}`);
+    } catch (error) {
+      trade.status = 'failed';
+      trade.error = error.message;
+      logToFile(`Copy ${event.side} of ${event.mint} from ${event.leader} failed: ${error.message}`, 'error');
+    }
+    this.save();
+    return trade;
+  }
+
+  /**
+   * Fetch new leader trades and copy them in order
+   * @returns {Promise<Array>} Copy trades recorded this poll
+   */
+  async poll() {
+    const traders = this.leaders.filter(leader => leader.enabled).map(leader => leader.address);
+    if (this.polling || traders.length === 0) return [];
+
+    this.polling = true;
+    const copied = [];
+    try {
+      const result = await connectionManager.makeBitqueryRequest(buildTraderTradesQuery({ traders, minutesAgo: LOOKBACK_MINUTES }));
+      const rows = result.data?.Solana?.DEXTrades || [];
+      const startedAt = this.startedAt || Date.now();
+
+      // One transaction per signature, however many hops it was routed through
+      const transactions = new Map();
+      rows.forEach(row => {
+        const signature = row.Transaction?.Signature;
+        if (!signature) return;
+        if (!transactions.has(signature)) transactions.set(signature, []);
+        transactions.get(signature).push(row);
+      });
+
+      for (const [signature, hops] of transactions) {
+        if (this.seen.includes(signature)) continue;
+        this.seen.push(signature);
+        // Never copy trades made before the copier started
+        if (Date.parse(hops[0].Block?.Time) < startedAt) continue;
+
+        const event = interpretLeaderTransaction(hops);
+        if (event) {
+          copied.push(await this.mirror(event));
+        }
+      }
+      this.seen = this.seen.slice(-SEEN_LIMIT);
+    } catch (error) {
+      logToFile(`Copy trading poll error: ${error.message}`, 'error');
+    } finally {
+      this.polling = false;
+    }
+    return copied;
+  }
+
+  loadKeypair() {
+    if (!this.wallet) return null;
+    try {
+      return this.resolveWallet(this.wallet);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Start copying
+   * @param {Object} options - { intervalSeconds, resolveWallet: (name) => Keypair|null }
+   */
+  start({ intervalSeconds = settingsManager.get('copyTradeCheckInterval'), resolveWallet = null } = {}) {
+    this.stop();
+    if (resolveWallet) {
+      this.resolveWallet = resolveWallet;
+    }
+    this.startedAt = Date.now();
+    this.checkInterval = setInterval(() => this.poll(), intervalSeconds * 1000);
+    this.checkInterval.unref();
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.startedAt = null;
+  }
+
+  isRunning() {
+    return this.checkInterval !== null;
+  }
+
+  /**
+   * Realized and unrealized P&L in SOL per leader
+   * @param {Object} prices - USD prices by mint, including SOL
+   */
+  getReport(prices = {}) {
+    const solPrice = isPriced(prices[SOL_MINT]) ? prices[SOL_MINT] : null;
+    return this.leaders.map(leader => {
+      const positions = Object.values(this.positions).filter(position => position.leader === leader.address);
+      const trades = this.trades.filter(trade => trade.leader === leader.address);
+      let openValueSol = 0;
+      let unpriced = 0;
+      positions.filter(position => position.tokens > 0).forEach(position => {
+        const price = prices[position.mint];
+        if (solPrice && isPriced(price)) {
+          openValueSol += position.tokens * price / solPrice;
+        } else {
+          unpriced++;
+        }
+      });
+      const openCostSol = positions.reduce((sum, position) => sum + position.costSol, 0);
+      const realizedSol = positions.reduce((sum, position) => sum + position.realizedSol, 0);
+      return {
+        leader: leader.address,
+        label: leader.label,
+        copied: trades.filter(trade => trade.status === 'ok').length,
+        skipped: trades.filter(trade => trade.status === 'skipped').length,
+        failed: trades.filter(trade => trade.status === 'failed').length,
+        spentSol: positions.reduce((sum, position) => sum + position.spentSol, 0),
+        receivedSol: positions.reduce((sum, position) => sum + position.receivedSol, 0),
+        openPositions: positions.filter(position => position.tokens > 0).length,
+        openCostSol,
+        openValueSol,
+        unpriced,
+        realizedSol,
+        unrealizedSol: openValueSol - openCostSol,
+        totalSol: realizedSol + openValueSol - openCostSol
+      };
+    });
+  }
+
+  /**
+   * Price open positions and print the per-leader P&L table
+   */
+  async displayReport() {
+    const openMints = [...new Set(Object.values(this.positions).filter(position => position.tokens > 0).map(position => position.mint))];
+    const prices = openMints.length > 0 ? await getBatchTokenPrices([...openMints, SOL_MINT], true) : {};
+    const report = this.getReport(prices);
+
+    console.log(`\n${colors.cyan}📊 Copy Trading P&L by Leader (SOL)${colors.reset}`);
+    if (report.length === 0) {
+      console.log(chalk.gray('   No leaders'));
+      return report;
+    }
+    const sol = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(4)}`;
+    const pnl = (value) => (value >= 0 ? chalk.green : chalk.red)(sol(value).padStart(10));
+    console.log(chalk.gray(`${'Leader'.padEnd(14)} ${'Copied'.padStart(6)} ${'Skip'.padStart(5)} ${'Fail'.padStart(5)} ${'Spent'.padStart(9)} ${'Received'.padStart(9)} ${'Open'.padStart(5)} ${'Realized'.padStart(10)} ${'Unrealized'.padStart(10)} ${'Total'.padStart(10)}`));
+    report.forEach(row => {
+      console.log([
+        row.label.slice(0, 14).padEnd(14),
+        String(row.copied).padStart(6),
+        String(row.skipped).padStart(5),
+        String(row.failed).padStart(5),
+        row.spentSol.toFixed(4).padStart(9),
+        row.receivedSol.toFixed(4).padStart(9),
+        String(row.openPositions).padStart(5),
+        pnl(row.realizedSol),
+        pnl(row.unrealizedSol),
+        pnl(row.totalSol)
+      ].join(' ') + (row.unpriced > 0 ? chalk.gray(` (${row.unpriced} unpriced)`) : ''));
+    });
+    return report;
+  }
+
+  describeRules() {
+    const r = this.rules;
+    return `scale ${r.scale}x, ${r.minSol}-${r.maxSolPerTrade} SOL per buy, max ${r.maxExposureSol} SOL per token, ` +
+      `delay ${r.delaySeconds}s, ignore leader buys < ${r.minLeaderSol} SOL, sells ${r.copySells ? 'copied' : 'ignored'}` +
+      (r.ignoreMints.length > 0 ? `, ${r.ignoreMints.length} ignored token(s)` : '');
+  }
+
+  /**
+   * Interactive leader, rule and report menu
+   */
+  async showCopyTradingMenu() {
+    let exit = false;
+    while (!exit) {
+      console.log(`\n${colors.cyan}🪞 Copy Trading${colors.reset} ${this.isRunning() ? chalk.green('(running)') : chalk.yellow('(stopped)')}`);
+      console.log(`   Wallet: ${this.wallet || chalk.red('not set')}`);
+      console.log(`   Rules: ${chalk.gray(this.describeRules())}`);
+      if (this.leaders.length === 0) {
+        console.log(chalk.gray('   No leaders'));
+      }
+      this.leaders.forEach(leader => {
+        const scale = leader.scale ?? this.rules.scale;
+        console.log(`   ${leader.enabled ? chalk.green('●') : chalk.gray('○')} ${leader.label.padEnd(14)} ${leader.address} ${chalk.gray(`${scale}x`)}`);
+      });
+
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'Copy trading:',
+          choices: [
+            { name: '➕ Add Leader', value: 'add' },
+            { name: '🔀 Enable / Disable Leader', value: 'toggle_leader', disabled: this.leaders.length === 0 ? 'No leaders' : false },
+            { name: '🗑️ Remove Leader', value: 'remove', disabled: this.leaders.length === 0 ? 'No leaders' : false },
+            { name: '⚙️ Edit Rules', value: 'rules' },
+            { name: '💼 Set Wallet', value: 'wallet' },
+            { name: '📊 P&L by Leader', value: 'report' },
+            { name: '📜 Recent Copy Trades', value: 'history' },
+            { name: this.isRunning() ? '⏸️ Stop Copying' : '▶️ Start Copying', value: 'toggle' },
+            { name: '🔙 Back', value: 'exit' }
+          ]
+        }
+      ]);
+
+      try {
+        switch (action) {
+          case 'add': {
+            const answers = await inquirer.prompt([
+              { type: 'input', name: 'address', message: 'Trader wallet address:', filter: input => input.trim() },
+              { type: 'input', name: 'label', message: 'Label:' },
+              { type: 'input', name: 'scale', message: `Scale (blank for default ${this.rules.scale}x):`, filter: input => input === '' ? null : parseFloat(input) }
+            ]);
+            const leader = this.addLeader(answers.address, answers);
+            console.log(chalk.green(`Leader ${leader.label} added.`));
+            break;
+          }
+
+          case 'toggle_leader':
+          case 'remove': {
+            const { address } = await inquirer.prompt([
+              {
+                type: 'list',
+                name: 'address',
+                message: action === 'remove' ? 'Leader to remove:' : 'Leader:',
+                choices: this.leaders.map(leader => ({ name: `${leader.label} ${leader.address}`, value: leader.address }))
+              }
+            ]);
+            if (action === 'remove') {
+              this.removeLeader(address);
+            } else {
+              this.setLeaderEnabled(address, !this.getLeader(address).enabled);
+            }
+            break;
+          }
+
+          case 'rules':
+            await this.promptRules();
+            break;
+
+          case 'wallet': {
+            this.walletManager = this.walletManager || new WalletManager();
+            const wallets = this.walletManager.getWalletFiles();
+            if (wallets.length === 0) {
+              console.log(chalk.red('No wallets found. Create or import one in Wallet Manager first.'));
+              break;
+            }
+            const { wallet } = await inquirer.prompt([
+              { type: 'list', name: 'wallet', message: 'Wallet that copies trades:', choices: wallets, default: this.wallet || settingsManager.get('activeWallet') || undefined }
+            ]);
+            this.setWallet(wallet);
+            break;
+          }
+
+          case 'report':
+            await this.displayReport();
+            break;
+
+          case 'history':
+            this.displayHistory();
+            break;
+
+          case 'toggle':
+            if (this.isRunning()) {
+              this.stop();
+            } else if (!this.wallet) {
+              console.log(chalk.red('Set the wallet that copies trades first.'));
+            } else {
+              this.start();
+              console.log(chalk.green('Copying new trades from enabled leaders.'));
+            }
+            break;
+
+          case 'exit':
+            exit = true;
+            break;
+        }
+      } catch (error) {
+        console.log(chalk.red(error.message));
+      }
+    }
+  }
+
+  async promptRules() {
+    const r = this.rules;
+    const number = (name, message) => ({
+      type: 'input',
+      name,
+      message,
+      default: String(r[name]),
+      filter: parseFloat,
+      validate: input => parseFloat(input) >= 0 ? true : 'Enter zero or a positive number'
+    });
+    const answers = await inquirer.prompt([
+      number('scale', 'Default scale (our SOL = leader SOL × scale):'),
+      number('minSol', 'Minimum SOL per copied buy:'),
+      number('maxSolPerTrade', 'Maximum SOL per copied buy:'),
+      number('maxExposureSol', 'Maximum open SOL per token:'),
+      number('delaySeconds', 'Delay after the leader trade (seconds):'),
+      number('minLeaderSol', 'Ignore leader buys below (SOL):'),
+      { type: 'confirm', name: 'copySells', message: 'Copy leader sells?', default: r.copySells },
+      { type: 'input', name: 'ignoreMints', message: 'Ignored token mints (comma-separated):', default: r.ignoreMints.join(','), filter: input => input.split(',').map(mint => mint.trim()).filter(Boolean) },
+      { type: 'input', name: 'slippage', message: 'Slippage % (blank for settings default):', default: r.slippage === null ? '' : String(r.slippage), filter: input => input === '' ? null : parseFloat(input) }
+    ]);
+    this.setRules(answers);
+    console.log(chalk.green('Rules saved.'));
+  }
+
+  displayHistory(limit = 15) {
+    const recent = this.trades.slice(-limit).reverse();
+    console.log(`\n${colors.cyan}📜 Recent Copy Trades${colors.reset}`);
+    if (recent.length === 0) {
+      console.log(chalk.gray('   None yet'));
+    }
+    recent.forEach(trade => {
+      const statusColor = trade.status === 'ok' ? chalk.green : trade.status === 'skipped' ? chalk.yellow : chalk.red;
+      const leader = this.getLeader(trade.leader)?.label || trade.leader.slice(0, 6);
+      const size = trade.side === 'buy' ? `${trade.solAmount.toFixed(4)} SOL` : `${trade.tokenAmount.toLocaleString(undefined, { maximumFractionDigits: 2 })} tokens`;
+      console.log(`   ${new Date(trade.at).toLocaleString()} ${statusColor(trade.status.padEnd(8))} ${trade.side.padEnd(4)} ${trade.symbol.padEnd(10)} ${size.padStart(18)} ${chalk.gray(`← ${leader}`)} ${chalk.gray(trade.signature || trade.error || '')}`);
+    });
+  }
+}
+
+// Export singleton instance
+export const copyTrader = new CopyTrader();
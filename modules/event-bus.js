@@ -0,0 +1,154 @@
+import { logToFile } from '../logger.js';
+
+/**
+ * @typedef {Object} TradeReceived
+ * @property {string} mode - Monitoring mode the trades came from
+ * @property {Array} trades - DEXTrades / DEXPools rows, newest first
+ * @property {string} source - 'snapshot' (one-shot query), 'live' (subscription) or 'backfill'
+ *
+ * @typedef {Object} TokenMetricsUpdated
+ * @property {string} mint - Token mint address
+ * @property {number} price - Latest trade price in USD
+ * @property {Object} metrics - Jupiter and BitQuery metrics (volume, liquidity, marketcap, ...)
+ *
+ * @typedef {Object} SwapSubmitted
+ * @property {string} fromMint
+ * @property {string} toMint
+ * @property {number} amount - Raw input amount
+ * @property {string} signature
+ * @property {string} wallet - Signer public key
+ *
+ * @typedef {Object} SwapConfirmed
+ * @property {string} fromMint
+ * @property {string} toMint
+ * @property {number} amount
+ * @property {string} signature
+ *
+ * @typedef {Object} SwapFailed
+ * @property {string} fromMint
+ * @property {string} toMint
+ * @property {number} amount
+ * @property {string} error
+ *
+ * @typedef {Object} AlertTriggered
+ * @property {Object} alert - Alert record from price-alerts.js
+ * @property {number} value - Observed value that triggered it
+ *
+ * @typedef {Object} PositionUpdated
+ * @property {string} positionId
+ * @property {Object} position - Position record after the change
+ * @property {string} change - 'opened', 'updated' or 'closed'
+ *
+ * @typedef {Object} ConnectionChanged
+ * @property {string} service - 'bitquery', 'jupiter', ...
+ * @property {boolean} connected
+ * @property {?string} error
+ */
+
+/**
+ * Events on the bus and the payload fields each one must carry
+ */
+export const BUS_EVENTS = {
+  'trade.received': { fields: ['mode', 'trades', 'source'] },
+  'token.metrics.updated': { fields: ['mint', 'price', 'metrics'] },
+  'swap.submitted': { fields: ['fromMint', 'toMint', 'amount', 'signature', 'wallet'] },
+  'swap.confirmed': { fields: ['fromMint', 'toMint', 'amount', 'signature'] },
+  'swap.failed': { fields: ['fromMint', 'toMint', 'amount', 'error'] },
+  'alert.triggered': { fields: ['alert', 'value'] },
+  'position.updated': { fields: ['positionId', 'position', 'change'] },
+  'connection.changed': { fields: ['service', 'connected', 'error'] }
+};
+
+/**
+ * In-process publish/subscribe bus. Publishers and subscribers only share
+ * event names from BUS_EVENTS, so strategies, notifiers and dashboards can
+ * listen without being wired into the publishing module. Handlers run
+ * synchronously, '*' subscribers first; a throwing or rejecting handler is
+ * logged and never reaches the publisher.
+ */
+export class EventBus {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  checkType(type) {
+    if (type !== '*' && !BUS_EVENTS[type]) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+  }
+
+  /**
+   * Subscribe to one event type, or '*' for every event
+   * @param {string} type - Key of BUS_EVENTS or '*'
+   * @param {Function} handler - (payload, type) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(type, handler) {
+    this.checkType(type);
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, []);
+    }
+    this.handlers.get(type).push(handler);
+    return () => this.unsubscribe(type, handler);
+  }
+
+  /**
+   * Subscribe for the next event of a type only
+   */
+  once(type, handler) {
+    const unsubscribe = this.subscribe(type, (payload, eventType) => {
+      unsubscribe();
+      return handler(payload, eventType);
+    });
+    return unsubscribe;
+  }
+
+  unsubscribe(type, handler) {
+    const handlers = this.handlers.get(type);
+    if (!handlers) return;
+    const index = handlers.indexOf(handler);
+    if (index !== -1) {
+      handlers.splice(index, 1);
+    }
+  }
+
+  /**
+   * Publish an event to '*' subscribers and then to its own subscribers
+   * @param {string} type - Key of BUS_EVENTS
+   * @param {Object} payload - Must carry every field listed for the type
+   * @returns {number} Handlers called
+   */
+  publish(type, payload) {
+    if (type === '*') {
+      throw new Error('Cannot publish the wildcard event');
+    }
+    this.checkType(type);
+    const missing = BUS_EVENTS[type].fields.filter(field => payload?.[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`${type} payload is missing ${missing.join(', ')}`);
+    }
+
+    // '*' subscribers go first so they see events in the order they happen,
+    // even when a handler publishes another event. Copied so handlers can
+    // unsubscribe while being called.
+    const handlers = [...(this.handlers.get('*') || []), ...(this.handlers.get(type) || [])];
+    handlers.forEach(handler => {
+      try {
+        const result = handler(payload, type);
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => logToFile(`Event handler for ${type} failed: ${error.message}`, 'error'));
+        }
+      } catch (error) {
+        logToFile(`Event handler for ${type} failed: ${error.message}`, 'error');
+      }
+    });
+    return handlers.length;
+  }
+
+  listenerCount(type) {
+    return (this.handlers.get(type) || []).length;
+  }
+}
+
+// Export singleton instance
+export const eventBus = new EventBus();
@@ -0,0 +1,379 @@
+import crypto from 'crypto';
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { getTokenPrice, getTokenBalance, isPriced } from './jupiter-swap.js';
+import { QuickTrading } from './quick-trading.js';
+import { notifier } from './notifications.js';
+
+const CHECK_INTERVAL_MS = 3000;
+// Failed sells in a row before a plan gives up
+const MAX_ATTEMPTS = 3;
+
+export const EXIT_REASONS = {
+  trailing_stop: '📉 Trailing stop',
+  take_profit: '🎯 Take profit',
+  time_exit: '⏰ Time exit'
+};
+
+/**
+ * Parse a take-profit ladder such as "50:25, 100:25, 200:50"
+ * (gain % above entry : % of the position to sell)
+ * @returns {Array} [{ gainPercent, sellPercent }] sorted by gain
+ */
+export function parseTakeProfitLadder(input) {
+  if (!input || !input.trim()) return [];
+  return input.split(',').map(part => {
+    const [gain, sell] = part.split(':').map(value => Number(value.trim()));
+    if (!Number.isFinite(gain) || !Number.isFinite(sell)) {
+      throw new Error(`Invalid tier "${part.trim()}", expected gain:sell`);
+    }
+    return { gainPercent: gain, sellPercent: sell };
+  }).sort((a, b) => a.gainPercent - b.gainPercent);
+}
+
+/**
+ * Check exit plan parameters
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateExitPlan({ trailingStopPercent = null, takeProfitTiers = [], maxHoldMinutes = null }) {
+  if (trailingStopPercent !== null && !(trailingStopPercent > 0 && trailingStopPercent < 100)) {
+    return 'Trailing stop must be between 0 and 100%';
+  }
+  if (maxHoldMinutes !== null && !(maxHoldMinutes > 0)) {
+    return 'Max hold time must be greater than 0 minutes';
+  }
+  for (const tier of takeProfitTiers) {
+    if (!(tier.gainPercent > 0)) return 'Take-profit gains must be greater than 0%';
+    if (!(tier.sellPercent > 0 && tier.sellPercent <= 100)) return 'Take-profit sell amounts must be between 0 and 100%';
+  }
+  if (takeProfitTiers.reduce((sum, tier) => sum + tier.sellPercent, 0) > 100) {
+    return 'Take-profit tiers sell more than 100% of the position';
+  }
+  if (trailingStopPercent === null && maxHoldMinutes === null && takeProfitTiers.length === 0) {
+    return 'Exit plan has no rules';
+  }
+  return null;
+}
+
+/**
+ * Decide whether a plan should sell at the given price. Trailing stop and
+ * time exit close the whole position; take-profit tiers sell their share
+ * of the original position, lowest tier first.
+ * @returns {Object|null} { reason, tier, sellPercent } - sellPercent of the original position
+ */
+export function evaluateExitPlan(plan, price, now = Date.now()) {
+  if (plan.trailingStopPercent !== null && plan.highestPrice > 0 && price > 0 &&
+      price <= plan.highestPrice * (1 - plan.trailingStopPercent / 100)) {
+    return { reason: 'trailing_stop', tier: null, sellPercent: 100 };
+  }
+  if (plan.maxHoldMinutes !== null && now - plan.createdAt >= plan.maxHoldMinutes * 60000) {
+    return { reason: 'time_exit', tier: null, sellPercent: 100 };
+  }
+  if (plan.entryPrice > 0 && price > 0) {
+    const gainPercent = ((price - plan.entryPrice) / plan.entryPrice) * 100;
+    const tier = plan.takeProfitTiers.find(candidate => !candidate.filled && gainPercent >= candidate.gainPercent);
+    if (tier) return { reason: 'take_profit', tier, sellPercent: tier.sellPercent };
+  }
+  return null;
+}
+
+/**
+ * Exit plans attached to buys: a trailing stop from the highest price seen,
+ * a ladder of partial take-profits and a maximum hold time.
+ *
+ * Plans live in memory next to the wallet that bought, and are checked on
+ * one background timer, so they keep running after the tracking screen is
+ * closed. Sells go through `QuickTrading.sellSpecificToken`.
+ */
+export class ExitPlanManager {
+  constructor() {
+    this.plans = new Map();
+    this.timer = null;
+    this.checking = false;
+    this.quickTrading = new QuickTrading();
+  }
+
+  /**
+   * Attach an exit plan to a token the wallet holds
+   * @param {Object} wallet - Keypair that bought the token
+   * @param {string} tokenMint - Token mint address
+   * @param {Object} spec - { trailingStopPercent, takeProfitTiers, maxHoldMinutes, entryPrice, symbol }
+   */
+  attach(wallet, tokenMint, spec) {
+    const error = validateExitPlan(spec);
+    if (error) throw new Error(error);
+
+    const entryPrice = isPriced(spec.entryPrice) ? spec.entryPrice : null;
+    const plan = {
+      id: crypto.randomBytes(4).toString('hex'),
+      tokenMint,
+      symbol: spec.symbol || tokenMint.slice(0, 4).toUpperCase(),
+      wallet,
+      trailingStopPercent: spec.trailingStopPercent ?? null,
+      takeProfitTiers: (spec.takeProfitTiers || []).map(tier => ({ ...tier, filled: false })),
+      maxHoldMinutes: spec.maxHoldMinutes ?? null,
+      entryPrice,
+      highestPrice: entryPrice || 0,
+      lastPrice: null,
+      initialBalance: null,
+      status: 'active',
+      attempts: 0,
+      error: null,
+      exits: [],
+      createdAt: Date.now()
+    };
+
+    this.plans.set(plan.id, plan);
+    this.ensureTimer();
+    logToFile(`Exit plan ${plan.id} attached to ${tokenMint}: ${this.describe(plan)}`);
+    return plan;
+  }
+
+  getPlan(id) {
+    return this.plans.get(id);
+  }
+
+  getActivePlans() {
+    return [...this.plans.values()].filter(plan => plan.status === 'active');
+  }
+
+  cancel(id) {
+    const plan = this.plans.get(id);
+    if (plan && plan.status === 'active') {
+      plan.status = 'cancelled';
+    }
+    this.ensureTimer();
+    return plan;
+  }
+
+  /**
+   * Start the timer while any plan is active, stop it otherwise
+   */
+  ensureTimer() {
+    const active = this.getActivePlans().length > 0;
+    if (active && !this.timer) {
+      this.timer = setInterval(() => this.tick(), CHECK_INTERVAL_MS);
+      this.timer.unref?.();
+    } else if (!active && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check every active plan once
+   */
+  async tick() {
+    if (this.checking) return;
+    this.checking = true;
+    try {
+      for (const plan of this.getActivePlans()) {
+        await this.check(plan);
+      }
+    } finally {
+      this.checking = false;
+      this.ensureTimer();
+    }
+  }
+
+  async check(plan, now = Date.now()) {
+    let price;
+    try {
+      price = await getTokenPrice(plan.tokenMint, true);
+    } catch (error) {
+      logToFile(`Exit plan ${plan.id} price check failed: ${error.message}`, 'error');
+      return;
+    }
+
+    if (isPriced(price)) {
+      plan.lastPrice = price;
+      if (!plan.entryPrice) plan.entryPrice = price;
+      if (price > plan.highestPrice) plan.highestPrice = price;
+    } else {
+      // Without a price only the time exit can fire
+      price = 0;
+    }
+
+    const decision = evaluateExitPlan(plan, price, now);
+    if (decision) {
+      await this.execute(plan, decision, price);
+    }
+  }
+
+  /**
+   * Sell for a triggered rule and update the plan
+   */
+  async execute(plan, decision, price) {
+    const label = EXIT_REASONS[decision.reason];
+    try {
+      const balance = await getTokenBalance(plan.tokenMint, plan.wallet.publicKey.toString());
+      if (plan.initialBalance === null) plan.initialBalance = balance;
+      if (balance <= 0) {
+        plan.status = 'closed';
+        plan.error = 'No balance left';
+        return;
+      }
+
+      // Tiers are sized on the original position, sells on what is left
+      const percentage = decision.sellPercent >= 100
+        ? 100
+        : Math.min(100, (plan.initialBalance * decision.sellPercent / 100) / balance * 100);
+
+      if (plan.attempts === 0) {
+        notifier.notify('stoploss.triggered', {
+          title: `${label} triggered`,
+          message: `${plan.symbol} (${plan.tokenMint})\nPrice: $${price || 'n/a'} (entry $${plan.entryPrice ?? 'n/a'}, high $${plan.highestPrice || 'n/a'})`,
+          data: { reason: decision.reason, tokenMint: plan.tokenMint, price, entryPrice: plan.entryPrice, highestPrice: plan.highestPrice }
+        });
+      }
+      console.log(`\n${colors.yellow}${label} for ${plan.symbol}: selling ${percentage.toFixed(1)}% of balance${colors.reset}`);
+
+      const result = await this.quickTrading.sellSpecificToken(plan.wallet, plan.tokenMint, balance, null, {
+        percentage,
+        interactive: false
+      });
+
+      plan.attempts = 0;
+      plan.error = null;
+      plan.exits.push({ reason: decision.reason, percentage, price, signature: result.signature, at: Date.now() });
+      if (decision.tier) decision.tier.filled = true;
+
+      const tiersDone = plan.takeProfitTiers.length > 0 && plan.takeProfitTiers.every(tier => tier.filled);
+      if (percentage >= 100 || (tiersDone && plan.trailingStopPercent === null && plan.maxHoldMinutes === null)) {
+        plan.status = 'closed';
+      }
+      logToFile(`Exit plan ${plan.id} ${decision.reason} sold ${percentage.toFixed(1)}% of ${plan.tokenMint}: ${result.signature}`);
+    } catch (error) {
+      plan.attempts++;
+      plan.error = error.message;
+      logToFile(`Exit plan ${plan.id} ${decision.reason} failed (attempt ${plan.attempts}): ${error.message}`, 'error');
+      if (plan.attempts >= MAX_ATTEMPTS) {
+        plan.status = 'failed';
+        console.log(`${colors.red}❌ Exit plan for ${plan.symbol} stopped after ${MAX_ATTEMPTS} failed sells: ${error.message}${colors.reset}`);
+      }
+    }
+  }
+
+  /**
+   * One-line summary of a plan's rules
+   */
+  describe(plan) {
+    const rules = [];
+    if (plan.trailingStopPercent !== null) rules.push(`trail ${plan.trailingStopPercent}%`);
+    plan.takeProfitTiers.forEach(tier => rules.push(`${tier.filled ? '✓' : ''}TP +${tier.gainPercent}%→${tier.sellPercent}%`));
+    if (plan.maxHoldMinutes !== null) rules.push(`exit after ${plan.maxHoldMinutes}m`);
+    return rules.join(' | ');
+  }
+
+  /**
+   * Status lines for the tracking screen
+   */
+  statusLines(plan, now = Date.now()) {
+    const statusColor = plan.status === 'active' ? colors.green : plan.status === 'failed' ? colors.red : colors.yellow;
+    const lines = [`${colors.white}Status: ${statusColor}${plan.status}${colors.reset} ${colors.dim}${this.describe(plan)}${colors.reset}`];
+
+    if (plan.status === 'active') {
+      if (plan.trailingStopPercent !== null && plan.highestPrice > 0) {
+        const stopPrice = plan.highestPrice * (1 - plan.trailingStopPercent / 100);
+        lines.push(`${colors.white}Trailing Stop: $${stopPrice.toFixed(8)} (${plan.trailingStopPercent}% below high)${colors.reset}`);
+      }
+      const nextTier = plan.takeProfitTiers.find(tier => !tier.filled);
+      if (nextTier && plan.entryPrice) {
+        lines.push(`${colors.white}Next Take Profit: $${(plan.entryPrice * (1 + nextTier.gainPercent / 100)).toFixed(8)} (+${nextTier.gainPercent}%, sell ${nextTier.sellPercent}%)${colors.reset}`);
+      }
+      if (plan.maxHoldMinutes !== null) {
+        const remaining = Math.max(0, plan.createdAt + plan.maxHoldMinutes * 60000 - now);
+        lines.push(`${colors.white}Time Exit In: ${Math.floor(remaining / 60000)}m ${Math.floor((remaining % 60000) / 1000)}s${colors.reset}`);
+      }
+    }
+
+    plan.exits.forEach(exit => {
+      lines.push(`${colors.green}✅ ${EXIT_REASONS[exit.reason]}: sold ${exit.percentage.toFixed(1)}% (${exit.signature.slice(0, 8)}...)${colors.reset}`);
+    });
+    if (plan.error) {
+      lines.push(`${colors.red}Last error: ${plan.error}${colors.reset}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Ask for exit plan rules after a buy
+   * @returns {Promise<Object|null>} Spec for attach(), or null for no plan
+   */
+  async promptExitPlan() {
+    const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'trailingStopPercent',
+        message: 'Trailing stop % below the highest price (blank for none):',
+        validate: input => input.trim() === '' || (Number(input) > 0 && Number(input) < 100) || 'Enter a percentage between 0 and 100'
+      },
+      {
+        type: 'input',
+        name: 'ladder',
+        message: 'Take-profit tiers as gain%:sell% (e.g. 50:25,100:25,200:50, blank for none):',
+        validate: input => {
+          try {
+            const tiers = parseTakeProfitLadder(input);
+            return validateExitPlan({ takeProfitTiers: tiers, maxHoldMinutes: 1 }) || true;
+          } catch (error) {
+            return error.message;
+          }
+        }
+      },
+      {
+        type: 'input',
+        name: 'maxHoldMinutes',
+        message: 'Sell everything after how many minutes? (blank for no time exit):',
+        validate: input => input.trim() === '' || Number(input) > 0 || 'Enter a number of minutes'
+      }
+    ]);
+
+    const spec = {
+      trailingStopPercent: answers.trailingStopPercent.trim() === '' ? null : Number(answers.trailingStopPercent),
+      takeProfitTiers: parseTakeProfitLadder(answers.ladder),
+      maxHoldMinutes: answers.maxHoldMinutes.trim() === '' ? null : Number(answers.maxHoldMinutes)
+    };
+    if (validateExitPlan(spec)) {
+      console.log(chalk.yellow('No exit rules entered, tracking without an exit plan.'));
+      return null;
+    }
+    return spec;
+  }
+
+  async showExitPlansMenu() {
+    const plans = [...this.plans.values()];
+    console.log(`\n${colors.cyan}🎯 Exit Plans${colors.reset}`);
+    if (plans.length === 0) {
+      console.log(chalk.gray('   No exit plans this session'));
+      return;
+    }
+    plans.forEach(plan => {
+      console.log(`   ${plan.id} ${plan.symbol} ${chalk.gray(plan.tokenMint)}`);
+      this.statusLines(plan).forEach(line => console.log(`      ${line}`));
+    });
+
+    const active = this.getActivePlans();
+    if (active.length === 0) return;
+    const { planId } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'planId',
+        message: 'Cancel an exit plan?',
+        choices: [
+          ...active.map(plan => ({ name: `${plan.id} ${plan.symbol} ${this.describe(plan)}`, value: plan.id })),
+          { name: '🔙 Back', value: null }
+        ]
+      }
+    ]);
+    if (planId) {
+      this.cancel(planId);
+      console.log(chalk.green(`Exit plan ${planId} cancelled.`));
+    }
+  }
+}
+
+// Export singleton instance
+export const exitPlans = new ExitPlanManager();
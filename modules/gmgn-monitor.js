@@ -1,5 +1,8 @@
 import inquirer from 'inquirer';
 import { colors } from '../colors.js';
+import { trendingScanner } from './trending-scanner.js';
+
+const TREND_TOKEN_LIMIT = 10;
 
 // Function to extract token address from GMGN trend URL
 export function extractTokenFromGMGNUrl(url) {
@@ -17,25 +20,29 @@ export function extractTokenFromGMGNUrl(url) {
   }
 }
 
-// Function to monitor GMGN trend
+// Function to monitor GMGN trend. GMGN has no public API, so tokens come from
+// the BitQuery trending scan; the trend ID only labels the result.
 export async function monitorGMGNTrend(trendId) {
   try {
     console.log(`${colors.cyan}🔍 Starting GMGN trend monitoring for: ${trendId}${colors.reset}`);
     
-    // Simulate fetching trend data from GMGN
-    // In a real implementation, you would fetch from GMGN API
+    const tokens = await trendingScanner.getTrendingTokens(TREND_TOKEN_LIMIT);
+    if (tokens.length === 0) {
+      return null;
+    }
+    
     const trendData = {
       trendId: trendId,
-      tokens: [
-        {
-          address: '47M8ysSW...', // Example token address
-          name: 'Trend Token 1',
-          symbol: 'TREND1',
-          price: 0.000015,
-          change24h: 25.5,
-          volume24h: 150000
-        }
-      ],
+      tokens: tokens.map(token => ({
+        address: token.address,
+        name: token.name,
+        symbol: token.symbol,
+        price: token.price,
+        priceChange: token.priceChange,
+        volume: token.volume,
+        windowMinutes: token.windowMinutes,
+        trendScore: token.trendScore
+      })),
       lastUpdated: new Date().toISOString()
     };
     
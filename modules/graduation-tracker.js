@@ -0,0 +1,320 @@
+import chalk from 'chalk';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { buildBondingCurveQuery } from '../queries.js';
+import { connectionManager } from './connection-manager.js';
+import { settingsManager } from './settings-manager.js';
+import { notifier } from './notifications.js';
+
+// Progress thresholds (%) that fire an event once per mint
+export const GRADUATION_THRESHOLDS = [80, 95];
+
+// pump.fun curves sell 793.1M tokens and complete with 206.9M left
+const CURVE_RESERVE = 206900000;
+const CURVE_SALE = 793100000;
+const MAX_SAMPLES = 40;
+// Only samples this recent feed the rate estimate
+const RATE_WINDOW_MS = 10 * 60 * 1000;
+// Candidates not seen for this long are dropped
+const STALE_MS = 60 * 60 * 1000;
+// Graduated tokens are listed for this long after graduating
+const GRADUATED_TTL_MS = 6 * 60 * 60 * 1000;
+const CANDIDATE_LIMIT = 50;
+
+/**
+ * Bonding curve progress (0-100) from the curve's base token balance
+ */
+export function bondingCurveProgress(baseBalance) {
+  const progress = 100 - ((baseBalance - CURVE_RESERVE) * 100) / CURVE_SALE;
+  return Math.max(0, Math.min(100, progress));
+}
+
+/**
+ * Estimate the progress rate and time to graduation with a least-squares fit
+ * over the samples taken in the last RATE_WINDOW_MS
+ * @param {Array} samples - [{ time, progress }], oldest first
+ * @returns {Object} { ratePerMinute, etaMinutes } - etaMinutes is null when progress isn't rising
+ */
+export function estimateGraduation(samples, now = Date.now()) {
+  const recent = samples.filter(sample => now - sample.time <= RATE_WINDOW_MS);
+  if (recent.length < 2 || recent[recent.length - 1].time === recent[0].time) {
+    return { ratePerMinute: null, etaMinutes: null };
+  }
+
+  const minutes = recent.map(sample => (sample.time - recent[0].time) / 60000);
+  const meanX = minutes.reduce((sum, x) => sum + x, 0) / recent.length;
+  const meanY = recent.reduce((sum, sample) => sum + sample.progress, 0) / recent.length;
+  let covariance = 0;
+  let variance = 0;
+  recent.forEach((sample, i) => {
+    covariance += (minutes[i] - meanX) * (sample.progress - meanY);
+    variance += (minutes[i] - meanX) ** 2;
+  });
+
+  const ratePerMinute = covariance / variance;
+  const latest = recent[recent.length - 1].progress;
+  return {
+    ratePerMinute,
+    etaMinutes: ratePerMinute > 0 ? (100 - latest) / ratePerMinute : null
+  };
+}
+
+/**
+ * Samples pump.fun bonding curve progress per mint from BitQuery, estimates
+ * time to graduation and fires `graduation.threshold` / `graduation.completed`
+ * events. Samples are kept in memory; stale curves and old graduations are
+ * pruned on every poll.
+ */
+export class GraduationTracker {
+  constructor() {
+    this.tokens = new Map();
+    this.listeners = [];
+    this.checkInterval = null;
+    this.polling = false;
+    this.lastPollAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Register a callback for threshold and graduation events: (event) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onEvent(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== callback);
+    };
+  }
+
+  /**
+   * Record one DEXPools row per mint and return the events it fired
+   * @param {Array} pools - Rows from buildBondingCurveQuery
+   */
+  ingest(pools, now = Date.now()) {
+    const events = [];
+
+    pools.forEach(row => {
+      const currency = row.Pool?.Market?.BaseCurrency;
+      const balance = Number(row.Pool?.Base?.Balance);
+      if (!currency?.MintAddress || !Number.isFinite(balance)) return;
+
+      let token = this.tokens.get(currency.MintAddress);
+      if (!token) {
+        token = {
+          mint: currency.MintAddress,
+          name: currency.Name || currency.Symbol || 'Unknown',
+          symbol: currency.Symbol || '?',
+          market: row.Pool.Market.MarketAddress || null,
+          samples: [],
+          firedThresholds: [],
+          graduated: false,
+          graduatedAt: null,
+          firstSeen: now
+        };
+        this.tokens.set(token.mint, token);
+      }
+      if (token.graduated) return;
+
+      token.balance = balance;
+      token.liquidityUsd = Number(row.Pool?.Quote?.PostAmountInUSD) || null;
+      token.lastTradeAt = row.Block?.Time || null;
+      token.lastSeen = now;
+      token.progress = bondingCurveProgress(balance);
+      token.samples.push({ time: now, progress: token.progress });
+      if (token.samples.length > MAX_SAMPLES) {
+        token.samples.shift();
+      }
+      Object.assign(token, estimateGraduation(token.samples, now));
+
+      if (balance <= CURVE_RESERVE) {
+        token.graduated = true;
+        token.graduatedAt = new Date(now).toISOString();
+        token.etaMinutes = 0;
+        events.push({ type: 'graduated', token });
+        return;
+      }
+
+      // Only the highest newly crossed threshold fires
+      const crossed = GRADUATION_THRESHOLDS.filter(threshold =>
+        token.progress >= threshold && !token.firedThresholds.includes(threshold));
+      if (crossed.length > 0) {
+        token.firedThresholds.push(...crossed);
+        events.push({ type: 'threshold', threshold: crossed[crossed.length - 1], token });
+      }
+    });
+
+    events.forEach(event => this.fire(event));
+    return events;
+  }
+
+  fire(event) {
+    const { token } = event;
+    const eta = this.formatEta(token.etaMinutes);
+    if (event.type === 'graduated') {
+      notifier.notify('graduation.completed', {
+        title: `🎓 ${token.symbol} graduated`,
+        message: `${token.mint}\nBonding curve complete`,
+        data: { mint: token.mint, symbol: token.symbol, name: token.name }
+      });
+    } else {
+      notifier.notify('graduation.threshold', {
+        title: `📈 ${token.symbol} bonding curve at ${token.progress.toFixed(1)}%`,
+        message: `${token.mint}\nPassed ${event.threshold}%${eta ? `, ETA ${eta}` : ''}`,
+        data: { mint: token.mint, symbol: token.symbol, threshold: event.threshold, progress: token.progress, etaMinutes: token.etaMinutes }
+      });
+    }
+
+    this.listeners.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        logToFile(`Graduation listener error: ${error.message}`, 'error');
+      }
+    });
+  }
+
+  /**
+   * Fetch new candidates plus every tracked mint and ingest them
+   * @returns {Promise<Array>} Events fired by this poll
+   */
+  async poll() {
+    if (this.polling) return [];
+    this.polling = true;
+    try {
+      this.prune();
+      const trackedMints = [...this.tokens.values()].filter(token => !token.graduated).map(token => token.mint);
+      const result = await connectionManager.makeBitqueryRequest(
+        buildBondingCurveQuery({ limit: CANDIDATE_LIMIT, trackedMints })
+      );
+      const { candidates = [], tracked = [] } = result.data?.Solana || {};
+
+      // A mint can appear in both lists; keep one row, preferring `tracked`
+      // since it isn't filtered to unfinished curves
+      const rows = new Map();
+      [...candidates, ...tracked].forEach(row => rows.set(row.Pool?.Market?.BaseCurrency?.MintAddress, row));
+      this.lastPollAt = Date.now();
+      this.lastError = null;
+      return this.ingest([...rows.values()], this.lastPollAt);
+    } catch (error) {
+      this.lastError = error.message;
+      logToFile(`Graduation tracker poll failed: ${error.message}`, 'error');
+      return [];
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Drop unfinished curves that have stopped trading and graduations older
+   * than GRADUATED_TTL_MS
+   */
+  prune(now = Date.now()) {
+    for (const [mint, token] of this.tokens) {
+      const expired = token.graduated
+        ? now - Date.parse(token.graduatedAt) > GRADUATED_TTL_MS
+        : now - token.lastSeen > STALE_MS;
+      if (expired) {
+        this.tokens.delete(mint);
+      }
+    }
+  }
+
+  /**
+   * Unfinished curves, soonest estimated graduation first; curves without an
+   * ETA follow, highest progress first
+   */
+  getCandidates() {
+    return [...this.tokens.values()]
+      .filter(token => !token.graduated)
+      .sort((a, b) => {
+        if (a.etaMinutes !== null && b.etaMinutes !== null) return a.etaMinutes - b.etaMinutes;
+        if (a.etaMinutes !== null) return -1;
+        if (b.etaMinutes !== null) return 1;
+        return b.progress - a.progress;
+      });
+  }
+
+  getGraduated() {
+    return [...this.tokens.values()]
+      .filter(token => token.graduated)
+      .sort((a, b) => b.graduatedAt.localeCompare(a.graduatedAt));
+  }
+
+  formatEta(etaMinutes) {
+    if (etaMinutes === null || etaMinutes === undefined) return null;
+    if (etaMinutes < 1) return '<1m';
+    if (etaMinutes < 60) return `${Math.round(etaMinutes)}m`;
+    return `${Math.floor(etaMinutes / 60)}h ${Math.round(etaMinutes % 60)}m`;
+  }
+
+  /**
+   * Print the candidate table and recent graduations
+   */
+  display(limit = 20) {
+    const candidates = this.getCandidates().slice(0, limit);
+    console.log(`${colors.cyan}🎓 Bonding Curve Graduation Tracker${colors.reset}`);
+    console.log(`${colors.white}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+    if (this.lastError) {
+      console.log(`${colors.red}❌ Last poll failed: ${this.lastError}${colors.reset}`);
+    }
+
+    if (candidates.length === 0) {
+      console.log(`${colors.yellow}No bonding curves tracked yet${colors.reset}`);
+    } else {
+      console.log(chalk.gray(`${'#'.padStart(2)}  ${'Symbol'.padEnd(10)} ${'Progress'.padStart(8)} ${'Rate/min'.padStart(9)} ${'ETA'.padStart(8)} ${'Liquidity'.padStart(11)}  Mint`));
+      candidates.forEach((token, index) => {
+        const progressColor = token.progress >= 95 ? chalk.green : token.progress >= 80 ? chalk.yellow : chalk.white;
+        const rate = token.ratePerMinute === null ? '-' : `${token.ratePerMinute >= 0 ? '+' : ''}${token.ratePerMinute.toFixed(2)}%`;
+        const liquidity = token.liquidityUsd ? `$${Math.round(token.liquidityUsd).toLocaleString()}` : '-';
+        console.log([
+          String(index + 1).padStart(2),
+          ` ${token.symbol.slice(0, 10).padEnd(10)}`,
+          progressColor(`${token.progress.toFixed(1)}%`.padStart(8)),
+          rate.padStart(9),
+          (this.formatEta(token.etaMinutes) || '-').padStart(8),
+          liquidity.padStart(11),
+          ` ${token.mint}`
+        ].join(' '));
+      });
+    }
+
+    const graduated = this.getGraduated().slice(0, 5);
+    if (graduated.length > 0) {
+      console.log(`\n${colors.green}🎓 Recently graduated${colors.reset}`);
+      graduated.forEach(token => {
+        console.log(`   ${token.symbol} ${token.mint} at ${new Date(token.graduatedAt).toLocaleTimeString()}`);
+      });
+    }
+
+    const lastPoll = this.lastPollAt ? new Date(this.lastPollAt).toLocaleTimeString() : 'never';
+    console.log(`\n${colors.dim}Last update: ${lastPoll} | ETA needs at least two samples${colors.reset}`);
+  }
+
+  /**
+   * Start polling in the background
+   * @param {number} intervalSeconds - Poll interval (defaults to the graduationCheckInterval setting)
+   * @param {Function} onPoll - Called with each poll's events, e.g. to redraw
+   */
+  start(intervalSeconds = settingsManager.get('graduationCheckInterval'), onPoll = null) {
+    this.stop();
+    this.checkInterval = setInterval(async () => {
+      const events = await this.poll();
+      if (onPoll) onPoll(events);
+    }, intervalSeconds * 1000);
+    this.checkInterval.unref();
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  isRunning() {
+    return this.checkInterval !== null;
+  }
+}
+
+// Export singleton instance
+export const graduationTracker = new GraduationTracker();
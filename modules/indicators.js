@@ -0,0 +1,344 @@
+/**
+ * Deterministic technical indicators. Everything here is a pure function of
+ * its input, so the same prices or trades always give the same result.
+ *
+ * Trade-flow indicators take trades normalized by `normalizeTokenTrades`,
+ * oldest first:
+ * { time (ms), priceUsd, amount (token units), amountUsd, side ('buy' | 'sell'), wallet, signature }
+ */
+
+// Upper edges in USD of the trade-size buckets; the last bucket is open
+export const TRADE_SIZE_EDGES_USD = [10, 100, 1000, 10000];
+// Trades at or above this USD size count as large in the flow score
+export const LARGE_TRADE_USD = 1000;
+// Weight of each component in scoreTradeFlow; they sum to 1
+export const FLOW_WEIGHTS = {
+  pressure: 0.3,
+  obv: 0.2,
+  vwap: 0.2,
+  wallets: 0.15,
+  largeTrades: 0.15
+};
+
+const clamp = (value, min = -1, max = 1) => Math.min(max, Math.max(min, value));
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Calculate EMA (Exponential Moving Average) seeded with the first price
+ */
+export function calculateEMA(prices, period) {
+  if (prices.length < period) return prices[prices.length - 1];
+
+  const multiplier = 2 / (period + 1);
+  let ema = prices[0];
+
+  for (let i = 1; i < prices.length; i++) {
+    ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
+  }
+
+  return ema;
+}
+
+/**
+ * Calculate RSI (Relative Strength Index) from the average gain and loss of
+ * the last `period` changes. 50 when there aren't enough prices.
+ */
+export function calculateRSI(prices, period = 14) {
+  if (prices.length < period + 1) return 50;
+
+  const gains = [];
+  const losses = [];
+
+  for (let i = 1; i < prices.length; i++) {
+    const change = prices[i] - prices[i - 1];
+    gains.push(change > 0 ? change : 0);
+    losses.push(change < 0 ? Math.abs(change) : 0);
+  }
+
+  const avgGain = sum(gains.slice(-period)) / period;
+  const avgLoss = sum(losses.slice(-period)) / period;
+
+  if (avgLoss === 0) return 100;
+
+  const rs = avgGain / avgLoss;
+  return 100 - (100 / (1 + rs));
+}
+
+/**
+ * MACD line for each price from the `slowPeriod`-th on: fast EMA minus slow
+ * EMA, both seeded with the first price like calculateEMA
+ */
+function macdSeries(prices, fastPeriod, slowPeriod) {
+  const fastMultiplier = 2 / (fastPeriod + 1);
+  const slowMultiplier = 2 / (slowPeriod + 1);
+  let fast = prices[0];
+  let slow = prices[0];
+  const series = [];
+
+  for (let i = 1; i < prices.length; i++) {
+    fast = (prices[i] * fastMultiplier) + (fast * (1 - fastMultiplier));
+    slow = (prices[i] * slowMultiplier) + (slow * (1 - slowMultiplier));
+    if (i >= slowPeriod - 1) series.push(fast - slow);
+  }
+
+  return series;
+}
+
+/**
+ * Calculate MACD. The signal line is the `signalPeriod` EMA of the MACD
+ * line, so the histogram changes sign where the two cross.
+ */
+export function calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  if (prices.length < slowPeriod) return { macd: 0, signal: 0, histogram: 0 };
+
+  const series = macdSeries(prices, fastPeriod, slowPeriod);
+  const macdLine = series[series.length - 1];
+  const signalLine = calculateEMA(series, signalPeriod);
+
+  return {
+    macd: macdLine,
+    signal: signalLine,
+    histogram: macdLine - signalLine
+  };
+}
+
+/**
+ * Calculate Bollinger Bands. With fewer than `period` prices the bands are
+ * ±10% around the last price.
+ */
+export function calculateBollingerBands(prices, period = 20, stdDev = 2) {
+  if (prices.length < period) {
+    const currentPrice = prices[prices.length - 1];
+    return {
+      upper: currentPrice * 1.1,
+      middle: currentPrice,
+      lower: currentPrice * 0.9
+    };
+  }
+
+  const recentPrices = prices.slice(-period);
+  const sma = sum(recentPrices) / period;
+
+  const variance = recentPrices.reduce((total, price) =>
+    total + Math.pow(price - sma, 2), 0) / period;
+  const standardDeviation = Math.sqrt(variance);
+
+  return {
+    upper: sma + (standardDeviation * stdDev),
+    middle: sma,
+    lower: sma - (standardDeviation * stdDev)
+  };
+}
+
+/**
+ * Normalize DEXTradeByTokens rows (see buildTokenTradesQuery) into trades,
+ * oldest first. Rows without a price or side are dropped; trades sharing a
+ * time keep signature order so the result doesn't depend on row order.
+ */
+export function normalizeTokenTrades(rows) {
+  return (rows || [])
+    .map(row => ({
+      time: new Date(row.Block?.Time).getTime(),
+      priceUsd: Number(row.Trade?.PriceInUSD),
+      amount: Number(row.Trade?.Amount) || 0,
+      amountUsd: Number(row.Trade?.AmountInUSD) || Number(row.Trade?.Side?.AmountInUSD) || 0,
+      side: String(row.Trade?.Side?.Type || '').toLowerCase(),
+      wallet: row.Transaction?.Signer || null,
+      signature: row.Transaction?.Signature || ''
+    }))
+    .filter(trade => Number.isFinite(trade.time) && trade.priceUsd > 0 && (trade.side === 'buy' || trade.side === 'sell'))
+    .sort((a, b) => a.time - b.time || a.signature.localeCompare(b.signature));
+}
+
+/**
+ * Volume-weighted average price: Σ(price × amount) / Σ amount
+ * @returns {?number} null without volume
+ */
+export function calculateVWAP(trades) {
+  const volume = sum(trades.map(trade => trade.amount));
+  if (volume <= 0) return null;
+  return sum(trades.map(trade => trade.priceUsd * trade.amount)) / volume;
+}
+
+/**
+ * On-balance volume over trades: each trade's USD volume is added when the
+ * price ticked up from the previous trade and subtracted when it ticked down
+ * @returns {Object} { obv, series, normalized } - normalized is obv / total volume, in [-1, 1]
+ */
+export function calculateOBV(trades) {
+  const series = [];
+  let obv = 0;
+  for (let i = 0; i < trades.length; i++) {
+    if (i > 0) {
+      const change = trades[i].priceUsd - trades[i - 1].priceUsd;
+      obv += change > 0 ? trades[i].amountUsd : change < 0 ? -trades[i].amountUsd : 0;
+    }
+    series.push(obv);
+  }
+  const volume = sum(trades.slice(1).map(trade => trade.amountUsd));
+  return { obv, series, normalized: volume > 0 ? obv / volume : 0 };
+}
+
+/**
+ * Buy versus sell volume and counts
+ * @returns {Object} { buys, sells, buyVolumeUsd, sellVolumeUsd, buyRatio, pressure } -
+ *   buyRatio is the buy share of volume (0.5 without volume), pressure is 2 × buyRatio − 1
+ */
+export function calculateBuySellPressure(trades) {
+  const buys = trades.filter(trade => trade.side === 'buy');
+  const sells = trades.filter(trade => trade.side === 'sell');
+  const buyVolumeUsd = sum(buys.map(trade => trade.amountUsd));
+  const sellVolumeUsd = sum(sells.map(trade => trade.amountUsd));
+  const total = buyVolumeUsd + sellVolumeUsd;
+  const buyRatio = total > 0 ? buyVolumeUsd / total : 0.5;
+  return {
+    buys: buys.length,
+    sells: sells.length,
+    buyVolumeUsd,
+    sellVolumeUsd,
+    buyRatio,
+    pressure: 2 * buyRatio - 1
+  };
+}
+
+/**
+ * Value at quantile q of ascending values, linearly interpolated
+ */
+function quantile(sorted, q) {
+  if (sorted.length === 0) return 0;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Distribution of trade sizes in USD
+ * @param {Array} trades
+ * @param {Array} edges - Ascending upper bucket edges in USD
+ * @returns {Object} { buckets: [{ min, max, count, volumeUsd, buyVolumeUsd, sellVolumeUsd }], mean, median, p90, largeNetFlow } -
+ *   largeNetFlow is (buy − sell) / total volume of trades of at least LARGE_TRADE_USD, in [-1, 1]
+ */
+export function calculateTradeSizeDistribution(trades, edges = TRADE_SIZE_EDGES_USD) {
+  const bounds = [0, ...edges, Infinity];
+  const buckets = bounds.slice(0, -1).map((min, i) => ({
+    min,
+    max: bounds[i + 1],
+    count: 0,
+    volumeUsd: 0,
+    buyVolumeUsd: 0,
+    sellVolumeUsd: 0
+  }));
+
+  trades.forEach(trade => {
+    const bucket = buckets.find(candidate => trade.amountUsd < candidate.max);
+    bucket.count++;
+    bucket.volumeUsd += trade.amountUsd;
+    bucket[trade.side === 'buy' ? 'buyVolumeUsd' : 'sellVolumeUsd'] += trade.amountUsd;
+  });
+
+  const sizes = trades.map(trade => trade.amountUsd).sort((a, b) => a - b);
+  const large = trades.filter(trade => trade.amountUsd >= LARGE_TRADE_USD);
+  const largeVolume = sum(large.map(trade => trade.amountUsd));
+  const largeBuys = sum(large.filter(trade => trade.side === 'buy').map(trade => trade.amountUsd));
+
+  return {
+    buckets,
+    mean: sizes.length > 0 ? sum(sizes) / sizes.length : 0,
+    median: quantile(sizes, 0.5),
+    p90: quantile(sizes, 0.9),
+    largeNetFlow: largeVolume > 0 ? (2 * largeBuys - largeVolume) / largeVolume : 0
+  };
+}
+
+/**
+ * Growth of the set of wallets trading the token. The trades' time span is
+ * split into equal windows and each wallet is counted in the window where it
+ * first traded.
+ * @returns {Object} { uniqueWallets, newWallets, acceleration } - newWallets per
+ *   window; acceleration compares the last window's new wallets with the
+ *   average of the windows between the first and last (1 = steady, null
+ *   when there's too little history)
+ */
+export function calculateWalletGrowth(trades, windows = 4) {
+  const newWallets = new Array(windows).fill(0);
+  const withWallet = trades.filter(trade => trade.wallet);
+  if (withWallet.length === 0) {
+    return { uniqueWallets: 0, newWallets, acceleration: null };
+  }
+
+  const start = withWallet[0].time;
+  const span = withWallet[withWallet.length - 1].time - start;
+  const seen = new Set();
+  withWallet.forEach(trade => {
+    if (seen.has(trade.wallet)) return;
+    seen.add(trade.wallet);
+    const index = span > 0 ? Math.min(windows - 1, Math.floor((trade.time - start) / span * windows)) : 0;
+    newWallets[index]++;
+  });
+
+  // Every wallet is new in the first window, so it isn't a baseline
+  const middle = newWallets.slice(1, -1);
+  const baseline = middle.length > 0 ? sum(middle) / middle.length : 0;
+  const last = newWallets[windows - 1];
+  let acceleration = null;
+  if (span > 0 && middle.length > 0) {
+    acceleration = baseline > 0 ? last / baseline : last > 0 ? 2 : 0;
+  }
+  return { uniqueWallets: seen.size, newWallets, acceleration };
+}
+
+/**
+ * Combine the trade-flow indicators into one score in [-1, 1], positive
+ * when buyers dominate. Components, each in [-1, 1]:
+ * - pressure:    buy/sell volume pressure
+ * - obv:         OBV over total volume
+ * - vwap:        last price against VWAP, ±20% saturating
+ * - wallets:     new-wallet acceleration minus 1
+ * - largeTrades: net buy flow of large trades
+ * @returns {Object} { score, components, vwap, obv, pressure, sizes, wallets, trades }
+ */
+export function scoreTradeFlow(trades) {
+  const vwap = calculateVWAP(trades);
+  const obv = calculateOBV(trades);
+  const pressure = calculateBuySellPressure(trades);
+  const sizes = calculateTradeSizeDistribution(trades);
+  const wallets = calculateWalletGrowth(trades);
+  const lastPrice = trades.length > 0 ? trades[trades.length - 1].priceUsd : null;
+
+  const components = {
+    pressure: pressure.pressure,
+    obv: obv.normalized,
+    vwap: vwap && lastPrice ? clamp((lastPrice / vwap - 1) * 5) : 0,
+    wallets: wallets.acceleration === null ? 0 : clamp(wallets.acceleration - 1),
+    largeTrades: sizes.largeNetFlow
+  };
+  const score = sum(Object.entries(FLOW_WEIGHTS).map(([name, weight]) => components[name] * weight));
+
+  return { score: clamp(score), components, vwap, obv, pressure, sizes, wallets, trades: trades.length };
+}
+
+/**
+ * Votes of RSI, MACD, Bollinger Bands and VWAP on a price series, as
+ * bullish/bearish/neutral percentages that sum to 100
+ * @param {Array} prices - Oldest first
+ * @param {?number} vwap
+ */
+export function technicalVotes(prices, vwap = null) {
+  if (prices.length === 0) {
+    return { bullish: 0, bearish: 0, neutral: 100 };
+  }
+  const price = prices[prices.length - 1];
+  const rsi = calculateRSI(prices);
+  const { histogram } = calculateMACD(prices);
+  const bands = calculateBollingerBands(prices);
+
+  const votes = [
+    rsi < 30 ? 'bullish' : rsi > 70 ? 'bearish' : 'neutral',
+    histogram > 0 ? 'bullish' : histogram < 0 ? 'bearish' : 'neutral',
+    price < bands.lower ? 'bullish' : price > bands.upper ? 'bearish' : 'neutral',
+    vwap === null || price === vwap ? 'neutral' : price > vwap ? 'bullish' : 'bearish'
+  ];
+  const share = label => votes.filter(vote => vote === label).length / votes.length * 100;
+  return { bullish: share('bullish'), bearish: share('bearish'), neutral: share('neutral') };
+}
@@ -1,13 +1,53 @@
 import fetch from 'node-fetch';
-import { Keypair, Connection, LAMPORTS_PER_SOL, Transaction, PublicKey, VersionedTransaction } from '@solana/web3.js';
+import { Keypair, LAMPORTS_PER_SOL, Transaction, PublicKey, VersionedTransaction } from '@solana/web3.js';
 import { TOKEN_PROGRAM_ID } from '@solana/spl-token';
 import bs58 from 'bs58';
 import { exec } from 'child_process';
 import { colors } from '../colors.js';
 import { logToFile } from '../logger.js';
-import { SettingsManager } from './settings-manager.js';
+import { settingsManager } from './settings-manager.js';
 import { performanceOptimizer } from './performance-optimizer.js';
 import { connectionManager } from './connection-manager.js';
+import { notifier } from './notifications.js';
+import { swapHistory } from './swap-history.js';
+import { rpcPool } from './rpc-pool.js';
+import { eventBus } from './event-bus.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+// getTokenPrice and getBatchTokenPrices return this instead of 0 for tokens they could not price
+export const UNPRICED = 0.00000001;
+
+/**
+ * Whether a price from getTokenPrice or getBatchTokenPrices is real rather
+ * than the UNPRICED placeholder
+ */
+export function isPriced(price) {
+  return price > UNPRICED;
+}
+
+/**
+ * Send a swap.executed / swap.failed notification and publish
+ * swap.confirmed / swap.failed on the event bus
+ * @param {Object} swap - { fromMint, toMint, amount, signature, method, error }
+ */
+function notifySwap(swap) {
+  const side = swap.fromMint === SOL_MINT ? 'Buy' : swap.toMint === SOL_MINT ? 'Sell' : 'Swap';
+  const route = `${swap.amount} ${swap.fromMint.slice(0, 6)}… → ${swap.toMint.slice(0, 6)}…`;
+  eventBus.publish(swap.error ? 'swap.failed' : 'swap.confirmed', swap);
+  if (swap.error) {
+    notifier.notify('swap.failed', {
+      title: `❌ ${side} failed`,
+      message: `${route}\n${swap.error}`,
+      data: swap
+    });
+  } else {
+    notifier.notify('swap.executed', {
+      title: `✅ ${side} executed`,
+      message: `${route}\nhttps://solscan.io/tx/${swap.signature}`,
+      data: swap
+    });
+  }
+}
 
 /**
  * Get preloaded tokens if available
@@ -29,9 +69,6 @@ const JUPITER_LITE_SWAP_API = 'https://lite-api.jup.ag/swap/v1/swap';
 const ULTRA_V2_QUOTE_API = 'https://quote-api.jup.ag/v6/quote';
 const ULTRA_V2_SWAP_API = 'https://quote-api.jup.ag/v6/swap';
 
-// Settings manager
-const settingsManager = new SettingsManager();
-
 // Get RPC endpoint from connection manager
 export function getRpcEndpoint() {
   return connectionManager.getRpcEndpoint();
@@ -43,14 +80,18 @@ export function getRpcEndpoint() {
  * @param {string} toMint - Destination token mint address  
  * @param {number} amount - Amount to swap (in smallest units)
  * @param {boolean} useUltraV2 - Whether to use Ultra V2 features
+ * @param {number} slippage - Slippage tolerance in percent (default: slippageLimit setting)
+ * @param {boolean} silent - Skip progress output and error logging
  * @returns {Promise<Object>} Quote information
  */
-export async function getBestQuote(fromMint, toMint, amount, useUltraV2 = true) {
+export async function getBestQuote(fromMint, toMint, amount, useUltraV2 = true, slippage = null, silent = false) {
   try {
-    console.log(`${colors.cyan}🔍 Getting best quote...${colors.reset}`);
+    if (!silent) {
+      console.log(`${colors.cyan}🔍 Getting best quote...${colors.reset}`);
+    }
     
-    // Get slippage from settings
-    const slippageLimit = settingsManager.get('slippageLimit') || 0.5;
+    // Get slippage from settings unless the caller chose one
+    const slippageLimit = slippage !== null ? slippage : settingsManager.get('slippageLimit');
     const slippageBps = Math.floor(slippageLimit * 100); // Convert % to basis points
     
     // Ultra V2 parameters
@@ -68,7 +109,9 @@ export async function getBestQuote(fromMint, toMint, amount, useUltraV2 = true)
       params.append('enableUltraV2', 'true');
       params.append('enableRTSE', 'true'); // Real-Time Slippage Estimation
       params.append('enableGasless', 'true'); // Gasless support
-      console.log(`${colors.cyan}🚀 Using Jupiter Ultra V2 with RTSE${colors.reset}`);
+      if (!silent) {
+        console.log(`${colors.cyan}🚀 Using Jupiter Ultra V2 with RTSE${colors.reset}`);
+      }
     }
 
     const response = await fetch(`${JUPITER_QUOTE_API}?${params}`, {
@@ -88,16 +131,20 @@ export async function getBestQuote(fromMint, toMint, amount, useUltraV2 = true)
       throw new Error('No quote data received');
     }
 
-    console.log(`${colors.green}✅ Quote received${colors.reset}`);
-    console.log(`${colors.yellow}💰 Input: ${quote.inAmount} ${quote.inputMint}${colors.reset}`);
-    console.log(`${colors.yellow}💰 Output: ${quote.outAmount} ${quote.outputMint}${colors.reset}`);
-    console.log(`${colors.blue}📊 Price Impact: ${quote.priceImpactPct}%${colors.reset}`);
-    console.log(`${colors.magenta}🔄 Route: ${quote.routePlan?.length || 0} hops${colors.reset}`);
+    if (!silent) {
+      console.log(`${colors.green}✅ Quote received${colors.reset}`);
+      console.log(`${colors.yellow}💰 Input: ${quote.inAmount} ${quote.inputMint}${colors.reset}`);
+      console.log(`${colors.yellow}💰 Output: ${quote.outAmount} ${quote.outputMint}${colors.reset}`);
+      console.log(`${colors.blue}📊 Price Impact: ${quote.priceImpactPct}%${colors.reset}`);
+      console.log(`${colors.magenta}🔄 Route: ${quote.routePlan?.length || 0} hops${colors.reset}`);
+    }
 
     return quote;
   } catch (error) {
-    console.error(`${colors.red}❌ Error getting quote: ${error.message}${colors.reset}`);
-    logToFile(`Jupiter quote error: ${error.message}`, 'error');
+    if (!silent) {
+      console.error(`${colors.red}❌ Error getting quote: ${error.message}${colors.reset}`);
+      logToFile(`Jupiter quote error: ${error.message}`, 'error');
+    }
     throw error;
   }
 }
@@ -107,14 +154,18 @@ export async function getBestQuote(fromMint, toMint, amount, useUltraV2 = true)
  * @param {Object} route - Quote route from getBestQuote
  * @param {string} userPublicKey - User's public key
  * @param {boolean} useUltraV2 - Whether to use Ultra V2 features
+ * @param {number} priorityFeeOverride - Compute unit price in micro-lamports, applied even with Ultra V2
+ * @param {boolean} silent - Skip progress output and error logging
  * @returns {Promise<Object>} Transaction data
  */
-export async function getSwapTransaction(route, userPublicKey, useUltraV2 = true) {
+export async function getSwapTransaction(route, userPublicKey, useUltraV2 = true, priorityFeeOverride = null, silent = false) {
   try {
-    console.log(`${colors.cyan}🔧 Building swap transaction...${colors.reset}`);
+    if (!silent) {
+      console.log(`${colors.cyan}🔧 Building swap transaction...${colors.reset}`);
+    }
     
     // Get priority fee for the transaction
-    const priorityFee = settingsManager.get('priorityFee') || 1000;
+    const priorityFee = priorityFeeOverride !== null ? priorityFeeOverride : settingsManager.get('priorityFee');
     
     // Ultra V2 optimized request body
     const requestBody = {
@@ -134,7 +185,12 @@ export async function getSwapTransaction(route, userPublicKey, useUltraV2 = true
         enableMEVMitigation: true,
         optimizeForSuccess: true
       };
-      console.log(`${colors.cyan}🚀 Using Ultra V2 optimized settings${colors.reset}`);
+      if (!silent) {
+        console.log(`${colors.cyan}🚀 Using Ultra V2 optimized settings${colors.reset}`);
+      }
+      if (priorityFeeOverride !== null) {
+        requestBody.computeUnitPriceMicroLamports = priorityFee;
+      }
     } else {
       // Standard v6 parameters
       requestBody.computeUnitPriceMicroLamports = priorityFee;
@@ -160,11 +216,15 @@ export async function getSwapTransaction(route, userPublicKey, useUltraV2 = true
       throw new Error('No swap transaction received');
     }
 
-    console.log(`${colors.green}✅ Swap transaction built${colors.reset}`);
+    if (!silent) {
+      console.log(`${colors.green}✅ Swap transaction built${colors.reset}`);
+    }
     return swapData;
   } catch (error) {
-    console.error(`${colors.red}❌ Error building swap transaction: ${error.message}${colors.reset}`);
-    logToFile(`Jupiter swap transaction error: ${error.message}`, 'error');
+    if (!silent) {
+      console.error(`${colors.red}❌ Error building swap transaction: ${error.message}${colors.reset}`);
+      logToFile(`Jupiter swap transaction error: ${error.message}`, 'error');
+    }
     throw error;
   }
 }
@@ -175,11 +235,12 @@ export async function getSwapTransaction(route, userPublicKey, useUltraV2 = true
  * @param {string} toMint - Destination token mint address
  * @param {number} amount - Amount to swap
  * @param {Object} wallet - Wallet object with keypair
- * @param {number} slippage - Slippage tolerance in basis points (default: 50 = 0.5%)
+ * @param {number} slippage - Slippage tolerance in percent (default: slippageLimit setting)
  * @param {boolean} useUltraV2 - Whether to use Ultra V2 features
+ * @param {number} priorityFeeOverride - Fixed priority fee in micro-lamports instead of auto-detection
  * @returns {Promise<Object>} Swap result
  */
-export async function performSwap(fromMint, toMint, amount, wallet, slippage = null, useUltraV2 = true) {
+export async function performSwap(fromMint, toMint, amount, wallet, slippage = null, useUltraV2 = true, priorityFeeOverride = null) {
   try {
     console.log(`${colors.cyan}🚀 Starting swap...${colors.reset}`);
     console.log(`${colors.yellow}From: ${fromMint}${colors.reset}`);
@@ -187,30 +248,34 @@ export async function performSwap(fromMint, toMint, amount, wallet, slippage = n
     console.log(`${colors.yellow}Amount: ${amount}${colors.reset}`);
     
     // Get settings
-    const slippageLimit = slippage !== null ? slippage : settingsManager.get('slippageLimit') || 0.5;
+    const slippageLimit = slippage !== null ? slippage : settingsManager.get('slippageLimit');
     
     // Use moderate priority fee for stability
-    let priorityFee = settingsManager.get('priorityFee') || 1000; // Moderate default
-    try {
-      const connection = new Connection(getRpcEndpoint());
-      const recentPrioritizationFees = await connection.getRecentPrioritizationFees([
-        new PublicKey('JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4') // Jupiter program
-      ]);
+    let priorityFee = priorityFeeOverride !== null ? priorityFeeOverride : settingsManager.get('priorityFee');
+    if (priorityFeeOverride !== null) {
+      console.log(`${colors.cyan}📌 Using fixed priority fee: ${priorityFee} micro-lamports${colors.reset}`);
+    } else {
+      try {
+        const connection = rpcPool.getConnection();
+        const recentPrioritizationFees = await connection.getRecentPrioritizationFees([
+          new PublicKey('JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4') // Jupiter program
+        ]);
       
-      if (recentPrioritizationFees.length > 0) {
-        // Use moderate fee for stability
-        const avgFee = recentPrioritizationFees.reduce((sum, fee) => sum + fee.prioritizationFee, 0) / recentPrioritizationFees.length;
-        priorityFee = Math.max(avgFee, 500); // Use average fee, minimum 500
-        console.log(`${colors.cyan}🔍 Auto-detected priority fee: ${priorityFee} micro-lamports${colors.reset}`);
-      } else {
-        console.log(`${colors.yellow}⚠️ Using default priority fee: ${priorityFee} micro-lamports${colors.reset}`);
+        if (recentPrioritizationFees.length > 0) {
+          // Use moderate fee for stability
+          const avgFee = recentPrioritizationFees.reduce((sum, fee) => sum + fee.prioritizationFee, 0) / recentPrioritizationFees.length;
+          priorityFee = Math.max(avgFee, 500); // Use average fee, minimum 500
+          console.log(`${colors.cyan}🔍 Auto-detected priority fee: ${priorityFee} micro-lamports${colors.reset}`);
+        } else {
+          console.log(`${colors.yellow}⚠️ Using default priority fee: ${priorityFee} micro-lamports${colors.reset}`);
+        }
+      } catch (error) {
+        console.log(`${colors.yellow}⚠️ Could not auto-detect priority fee, using default: ${priorityFee} micro-lamports${colors.reset}`);
       }
-    } catch (error) {
-      console.log(`${colors.yellow}⚠️ Could not auto-detect priority fee, using default: ${priorityFee} micro-lamports${colors.reset}`);
     }
     
-    const tipAmount = settingsManager.get('tipAmount') || 0.0001;
-    const rpcEndpoint = getRpcEndpoint();
+    const tipAmount = settingsManager.get('tipAmount');
+    const rpcEndpoint = rpcPool.getEndpoint('read');
     
     console.log(`${colors.yellow}Slippage: ${slippageLimit}%${colors.reset}`);
     console.log(`${colors.yellow}Priority Fee: ${priorityFee} micro-lamports${colors.reset}`);
@@ -218,13 +283,13 @@ export async function performSwap(fromMint, toMint, amount, wallet, slippage = n
     console.log(`${colors.yellow}RPC: ${rpcEndpoint}${colors.reset}`);
 
     // Get the best quote with Ultra V2
-    const quote = await getBestQuote(fromMint, toMint, amount, useUltraV2);
+    const quote = await getBestQuote(fromMint, toMint, amount, useUltraV2, slippageLimit);
     
     // Get swap transaction with Ultra V2 - wallet is a Keypair object
-    const swapData = await getSwapTransaction(quote, wallet.publicKey.toString(), useUltraV2);
+    const swapData = await getSwapTransaction(quote, wallet.publicKey.toString(), useUltraV2, priorityFeeOverride);
     
     // Sign and send transaction
-    const connection = new Connection(rpcEndpoint);
+    const connection = rpcPool.connectionFor(rpcEndpoint);
     
     // Decode transaction - handle both legacy and versioned transactions
     let transaction;
@@ -236,13 +301,14 @@ export async function performSwap(fromMint, toMint, amount, wallet, slippage = n
       transaction.sign([wallet]);
       
       // Send versioned transaction with simple settings
-      const signature = await connection.sendTransaction(transaction, {
+      const signature = await rpcPool.broadcastTransaction(transaction.serialize(), {
         skipPreflight: false,
         preflightCommitment: 'confirmed'
       });
       
       console.log(`${colors.green}✅ Swap transaction sent!${colors.reset}`);
       console.log(`${colors.blue}📝 Signature: ${signature}${colors.reset}`);
+      eventBus.publish('swap.submitted', { fromMint, toMint, amount, signature, wallet: wallet.publicKey.toString() });
       
       // Wait for confirmation
       const confirmation = await connection.confirmTransaction(signature, 'confirmed');
@@ -272,6 +338,7 @@ export async function performSwap(fromMint, toMint, amount, wallet, slippage = n
         console.log(`${colors.yellow}⚠️ Failed to open DexScreener: ${error.message}${colors.reset}`);
       }
       
+      notifySwap({ fromMint, toMint, amount, signature });
       return {
         success: true,
         signature: signature,
@@ -289,13 +356,14 @@ export async function performSwap(fromMint, toMint, amount, wallet, slippage = n
         transaction.sign(wallet);
         
         // Send legacy transaction (fallback)
-        const signature = await connection.sendRawTransaction(transaction.serialize(), {
+        const signature = await rpcPool.broadcastTransaction(transaction.serialize(), {
           skipPreflight: false,
           preflightCommitment: 'confirmed'
         });
         
         console.log(`${colors.green}✅ Swap transaction sent!${colors.reset}`);
         console.log(`${colors.blue}📝 Signature: ${signature}${colors.reset}`);
+        eventBus.publish('swap.submitted', { fromMint, toMint, amount, signature, wallet: wallet.publicKey.toString() });
         
         // Wait for confirmation
         const confirmation = await connection.confirmTransaction(signature, 'confirmed');
@@ -325,6 +393,7 @@ export async function performSwap(fromMint, toMint, amount, wallet, slippage = n
           console.log(`${colors.yellow}⚠️ Failed to open DexScreener: ${error.message}${colors.reset}`);
         }
         
+        notifySwap({ fromMint, toMint, amount, signature });
         return {
           success: true,
           signature: signature,
@@ -361,13 +430,14 @@ export async function performSwap(fromMint, toMint, amount, wallet, slippage = n
             transaction = Transaction.from(Buffer.from(v5SwapData.swapTransaction, 'base64'));
             transaction.sign(wallet);
             
-            const signature = await connection.sendRawTransaction(transaction.serialize(), {
+            const signature = await rpcPool.broadcastTransaction(transaction.serialize(), {
               skipPreflight: false,
               preflightCommitment: 'confirmed'
             });
             
             console.log(`${colors.green}✅ Swap transaction sent with v5 API!${colors.reset}`);
             console.log(`${colors.blue}📝 Signature: ${signature}${colors.reset}`);
+            eventBus.publish('swap.submitted', { fromMint, toMint, amount, signature, wallet: wallet.publicKey.toString() });
             
             const confirmation = await connection.confirmTransaction(signature, 'confirmed');
             
@@ -396,6 +466,7 @@ export async function performSwap(fromMint, toMint, amount, wallet, slippage = n
               console.log(`${colors.yellow}⚠️ Failed to open DexScreener: ${error.message}${colors.reset}`);
             }
             
+            notifySwap({ fromMint, toMint, amount, signature });
             return {
               success: true,
               signature: signature,
@@ -414,6 +485,55 @@ export async function performSwap(fromMint, toMint, amount, wallet, slippage = n
   } catch (error) {
     console.error(`${colors.red}❌ Swap failed: ${error.message}${colors.reset}`);
     logToFile(`Jupiter swap error: ${error.message}`, 'error');
+    notifySwap({ fromMint, toMint, amount, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Build, sign and simulate a swap without sending it (dry run)
+ * @param {string} fromMint - Source token mint address
+ * @param {string} toMint - Destination token mint address
+ * @param {number} amount - Amount to swap (in smallest units)
+ * @param {Object} wallet - Wallet keypair
+ * @param {number} slippage - Slippage tolerance in percent (default: slippageLimit setting)
+ * @param {boolean} useUltraV2 - Whether to use Ultra V2 features
+ * @returns {Promise<Object>} Simulation result
+ */
+export async function simulateSwap(fromMint, toMint, amount, wallet, slippage = null, useUltraV2 = true) {
+  try {
+    console.log(`${colors.cyan}🧪 Simulating swap (dry run)...${colors.reset}`);
+    
+    const quote = await getBestQuote(fromMint, toMint, amount, useUltraV2, slippage);
+    const swapData = await getSwapTransaction(quote, wallet.publicKey.toString(), useUltraV2);
+    const connection = rpcPool.getConnection();
+    
+    const transaction = VersionedTransaction.deserialize(Buffer.from(swapData.swapTransaction, 'base64'));
+    transaction.sign([wallet]);
+    
+    const simulation = await connection.simulateTransaction(transaction, {
+      sigVerify: true,
+      commitment: 'confirmed'
+    });
+    
+    const { err, logs, unitsConsumed } = simulation.value;
+    if (err) {
+      console.log(`${colors.red}❌ Simulation failed: ${JSON.stringify(err)}${colors.reset}`);
+    } else {
+      console.log(`${colors.green}✅ Simulation succeeded (${unitsConsumed || 0} compute units)${colors.reset}`);
+    }
+    
+    return {
+      success: !err,
+      simulated: true,
+      error: err ? JSON.stringify(err) : null,
+      logs: logs || [],
+      unitsConsumed: unitsConsumed || 0,
+      quote: quote
+    };
+  } catch (error) {
+    console.error(`${colors.red}❌ Swap simulation failed: ${error.message}${colors.reset}`);
+    logToFile(`Jupiter swap simulation error: ${error.message}`, 'error');
     throw error;
   }
 }
@@ -437,7 +557,7 @@ export async function performLiteSwap(fromMint, toMint, amount, wallet, slippage
     console.log(`${colors.yellow}Priority Level: ${priorityLevel}${colors.reset}`);
     
     // Get settings
-    const slippageLimit = slippage !== null ? slippage : settingsManager.get('slippageLimit') || 0.5;
+    const slippageLimit = slippage !== null ? slippage : settingsManager.get('slippageLimit');
     const slippageBps = Math.floor(slippageLimit * 100);
     
     // Get quote first
@@ -490,7 +610,7 @@ export async function performLiteSwap(fromMint, toMint, amount, wallet, slippage
     console.log(`${colors.green}✅ Lite API transaction received${colors.reset}`);
     
     // Sign and send transaction
-    const connection = new Connection(getRpcEndpoint());
+    const connection = rpcPool.getConnection();
     
     // Decode and sign transaction
     let transaction;
@@ -505,13 +625,14 @@ export async function performLiteSwap(fromMint, toMint, amount, wallet, slippage
     }
     
     // Send transaction
-    const signature = await connection.sendTransaction(transaction, {
+    const signature = await rpcPool.broadcastTransaction(transaction.serialize(), {
       skipPreflight: false,
       preflightCommitment: 'confirmed'
     });
     
     console.log(`${colors.green}✅ Lite swap transaction sent!${colors.reset}`);
     console.log(`${colors.blue}📝 Signature: ${signature}${colors.reset}`);
+    eventBus.publish('swap.submitted', { fromMint, toMint, amount, signature, wallet: wallet.publicKey.toString() });
     
     // Wait for confirmation
     const confirmation = await connection.confirmTransaction(signature, 'confirmed');
@@ -521,6 +642,7 @@ export async function performLiteSwap(fromMint, toMint, amount, wallet, slippage
     }
     
     console.log(`${colors.green}✅ Lite swap completed successfully!${colors.reset}`);
+    notifySwap({ fromMint, toMint, amount, signature, method: 'lite' });
     
     return {
       success: true,
@@ -573,7 +695,15 @@ export async function performLiteSwap(fromMint, toMint, amount, wallet, slippage
           
           if (evenSmallerAmount > 0) {
             console.log(`${colors.cyan}🔄 Retrying with ${evenSmallerAmount.toLocaleString()} tokens (25% of original)${colors.reset}`);
-            return await performLiteSwap(fromMint, toMint, evenSmallerAmount, wallet, slippage, priorityLevel, retryDepth + 1);
+            try {
+              return await performLiteSwap(fromMint, toMint, evenSmallerAmount, wallet, slippage, priorityLevel, retryDepth + 1);
+            } catch (finalError) {
+              // Retries don't notify; the first attempt reports the final outcome
+              if (retryDepth === 0) {
+                notifySwap({ fromMint, toMint, amount, method: 'lite', error: finalError.message });
+              }
+              throw finalError;
+            }
           }
         }
       }
@@ -612,6 +742,10 @@ export async function performLiteSwap(fromMint, toMint, amount, wallet, slippage
     };
     
     logToFile(`Jupiter Lite swap error: ${JSON.stringify(errorDetails)}`, 'error');
+    // Failed retries fall back to the first attempt, which reports the final outcome
+    if (retryDepth === 0) {
+      notifySwap({ fromMint, toMint, amount, method: 'lite', error: error.message });
+    }
     
     // Provide specific error analysis
     if (errorMessage.includes('0x1771')) {
@@ -633,7 +767,7 @@ export async function performLiteSwap(fromMint, toMint, amount, wallet, slippage
  */
 export async function getTokenMetadata(mintAddress) {
   try {
-    const connection = new Connection(getRpcEndpoint());
+    const connection = rpcPool.getConnection();
     
     // Get token supply info which includes decimals
     const supply = await connection.getTokenSupply(new PublicKey(mintAddress));
@@ -756,18 +890,13 @@ export async function getAllTokenBalances(walletAddress, forceRefresh = false) {
       return cached;
     }
     
-    // Use optimized connection from connection manager
-    const connection = await connectionManager.getOptimizedConnection();
-    
-    // Get all token accounts with optimized error handling
-    const tokenAccounts = await performanceOptimizer.executeWithRetry(async () => {
-      return await connection.getParsedTokenAccountsByOwner(
-        new PublicKey(walletAddress),
-        {
-          programId: TOKEN_PROGRAM_ID
-        }
-      );
-    });
+    // Get all token accounts, failing over between pooled RPC endpoints
+    const tokenAccounts = await rpcPool.withFailover(connection => connection.getParsedTokenAccountsByOwner(
+      new PublicKey(walletAddress),
+      {
+        programId: TOKEN_PROGRAM_ID
+      }
+    ));
     
     const tokens = [];
     
@@ -1125,7 +1254,7 @@ export async function getEnhancedTokenInfo(mintAddress) {
  */
 export async function getTokenBalance(mintAddress, walletAddress) {
   try {
-    const connection = new Connection(getRpcEndpoint());
+    const connection = rpcPool.getConnection();
     
     // Get token accounts
     const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
@@ -1152,8 +1281,7 @@ export async function getTokenBalance(mintAddress, walletAddress) {
  */
 export async function getSolBalance(walletAddress) {
   try {
-    const connection = new Connection(getRpcEndpoint());
-    const balance = await connection.getBalance(new PublicKey(walletAddress));
+    const balance = await rpcPool.withFailover(connection => connection.getBalance(new PublicKey(walletAddress)));
     return balance / LAMPORTS_PER_SOL;
   } catch (error) {
     console.error(`${colors.red}❌ Error getting SOL balance: ${error.message}${colors.reset}`);
@@ -1317,7 +1445,7 @@ export async function getTokenPrice(mintAddress, silent = false) {
     
     // If all methods fail, return a small non-zero value to avoid division by zero
     if (!silent) console.log(`${colors.red}❌ All price APIs failed for ${mintAddress}${colors.reset}`);
-    return 0.00000001; // Very small value to indicate no price data
+    return UNPRICED;
     
   } catch (error) {
     // Use optimized error handling
@@ -1328,7 +1456,7 @@ export async function getTokenPrice(mintAddress, silent = false) {
     });
     
     if (!silent) console.log(`${colors.red}❌ Price API error: ${error.message}${colors.reset}`);
-    return 0.00000001; // Very small value to indicate no price data
+    return UNPRICED;
   }
 }
 
@@ -1373,39 +1501,16 @@ export async function calculateTokenPnL(mintAddress, balance, avgPrice = 0) {
 }
 
 /**
- * Get swap history for a wallet
+ * Get decoded swap history for a wallet (newest first, cached in data/swap-history)
  * @param {string} walletAddress - Wallet address
- * @param {number} limit - Number of transactions to fetch
- * @returns {Promise<Array>} Swap history
+ * @param {number} limit - Number of swaps to return
+ * @param {number} offset - Number of newer swaps to skip
+ * @returns {Promise<Array>} Swap records
  */
-export async function getSwapHistory(walletAddress, limit = 10) {
+export async function getSwapHistory(walletAddress, limit = 10, offset = 0) {
   try {
-    const connection = new Connection(getRpcEndpoint());
-    
-    // Get recent transactions
-    const signatures = await connection.getSignaturesForAddress(
-      new PublicKey(walletAddress),
-      { limit: limit }
-    );
-    
-    const transactions = await Promise.all(
-      signatures.map(async (sig) => {
-        try {
-          const tx = await connection.getTransaction(sig.signature, {
-            maxSupportedTransactionVersion: 0
-          });
-          return {
-            signature: sig.signature,
-            blockTime: sig.blockTime,
-            transaction: tx
-          };
-        } catch (error) {
-          return null;
-        }
-      })
-    );
-    
-    return transactions.filter(tx => tx !== null);
+    const { records } = await swapHistory.getRecords(walletAddress, { offset, limit });
+    return records;
   } catch (error) {
     console.error(`${colors.red}❌ Error getting swap history: ${error.message}${colors.reset}`);
     return [];
@@ -1424,7 +1529,7 @@ export async function burnTokens(mintAddress, amount, wallet) {
     console.log(`${colors.red}🔥 Burning tokens by sending to dead address...${colors.reset}`);
     
     // Create connection
-    const connection = new Connection(getRpcEndpoint());
+    const connection = rpcPool.getConnection();
     
     // Get token account info
     const tokenMint = new PublicKey(mintAddress);
@@ -1472,7 +1577,7 @@ export async function burnTokens(mintAddress, amount, wallet) {
     
     // Sign and send transaction
     transaction.sign(wallet);
-    const signature = await connection.sendRawTransaction(transaction.serialize());
+    const signature = await rpcPool.broadcastTransaction(transaction.serialize());
     
     // Wait for confirmation
     const confirmation = await connection.confirmTransaction(signature);
@@ -1518,7 +1623,7 @@ export async function closeTokenAccount(mintAddress, wallet) {
     console.log(`${colors.red}🔥 Closing token account...${colors.reset}`);
     
     // Create connection
-    const connection = new Connection(getRpcEndpoint());
+    const connection = rpcPool.getConnection();
     
     // Get token account info
     const tokenMint = new PublicKey(mintAddress);
@@ -1555,7 +1660,7 @@ export async function closeTokenAccount(mintAddress, wallet) {
     
     // Sign and send transaction
     transaction.sign(wallet);
-    const signature = await connection.sendRawTransaction(transaction.serialize());
+    const signature = await rpcPool.broadcastTransaction(transaction.serialize());
     
     // Wait for confirmation
     const confirmation = await connection.confirmTransaction(signature);
@@ -1592,7 +1697,7 @@ export async function sendToDeadAddress(mintAddress, amount, wallet) {
     console.log(`${colors.red}🔥 Sending tokens to dead address...${colors.reset}`);
     
     // Create connection
-    const connection = new Connection(getRpcEndpoint());
+    const connection = rpcPool.getConnection();
     
     // Get token account info
     const tokenMint = new PublicKey(mintAddress);
@@ -1641,7 +1746,7 @@ export async function sendToDeadAddress(mintAddress, amount, wallet) {
     
     // Sign and send transaction
     transaction.sign(wallet);
-    const signature = await connection.sendRawTransaction(transaction.serialize());
+    const signature = await rpcPool.broadcastTransaction(transaction.serialize());
     
     // Wait for confirmation
     const confirmation = await connection.confirmTransaction(signature);
@@ -1715,6 +1820,39 @@ export async function canTokenBeSold(mintAddress) {
   }
 } 
 
+/**
+ * Get market cap, 24h volume and liquidity for a token (Jupiter token search)
+ * @param {string} mintAddress - Token mint address
+ * @returns {Promise<Object|null>} { price, marketCap, volume24h, liquidity } or null
+ */
+export async function getTokenMarketStats(mintAddress) {
+  try {
+    const response = await fetch(`https://lite-api.jup.ag/tokens/v2/search?query=${mintAddress}`, {
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const token = Array.isArray(data) ? data.find(t => t.id === mintAddress) : null;
+    if (!token) {
+      return null;
+    }
+
+    return {
+      price: token.usdPrice || 0,
+      marketCap: token.mcap || (token.usdPrice && token.supply ? token.usdPrice * token.supply : 0),
+      volume24h: (token.stats24h?.buyVolume || 0) + (token.stats24h?.sellVolume || 0),
+      liquidity: token.liquidity || 0
+    };
+  } catch (error) {
+    logToFile(`Token market stats error for ${mintAddress}: ${error.message}`, 'error');
+    return null;
+  }
+}
+
 /**
  * Get prices for multiple tokens in a single API call (much faster)
  * @param {Array<string>} mintAddresses - Array of token mint addresses
@@ -1749,12 +1887,12 @@ export async function getBatchTokenPrices(mintAddresses, silent = false) {
         if (priceData && priceData.usdPrice > 0) {
           prices[mintAddress] = priceData.usdPrice;
         } else {
-          prices[mintAddress] = 0.00000001; // Fallback value
+          prices[mintAddress] = UNPRICED;
         }
       });
       
       if (!silent) {
-        const successCount = Object.values(prices).filter(p => p > 0.00000001).length;
+        const successCount = Object.values(prices).filter(isPriced).length;
         console.log(`${colors.green}✅ Batch Price API: ${successCount}/${mintAddresses.length} tokens priced${colors.reset}`);
       }
       
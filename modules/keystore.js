@@ -0,0 +1,267 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import crypto from 'crypto';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import inquirer from 'inquirer';
+import { colors } from '../colors.js';
+
+// scrypt cost parameters (N=2^15 needs ~32MB, so maxmem is raised above the 32MB default)
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const KEY_LENGTH = 32;
+const KEYSTORE_VERSION = 2;
+
+// Non-interactive sessions (scripts, cron) can supply the passphrase here
+const PASSPHRASE_ENV = 'PUMPTOOL_WALLET_PASSPHRASE';
+
+/**
+ * Passphrase-protected wallet keystore.
+ *
+ * Secret keys are sealed with AES-256-GCM under a key derived from the
+ * session passphrase with scrypt (per-wallet salt). The passphrase is asked
+ * once per session and kept in memory only; derived keys are cached per salt
+ * so repeated loads stay fast.
+ */
+export class Keystore {
+  constructor() {
+    this.passphrase = null;
+    this.derivedKeys = new Map();
+  }
+
+  isUnlocked() {
+    return this.passphrase !== null;
+  }
+
+  lock() {
+    this.passphrase = null;
+    this.derivedKeys.clear();
+  }
+
+  /**
+   * Whether wallet file data holds an encrypted secret
+   */
+  isEncrypted(walletData) {
+    return Boolean(walletData && walletData.crypto);
+  }
+
+  deriveKey(salt, params = SCRYPT_PARAMS) {
+    const cacheKey = `${salt.toString('hex')}:${params.N}:${params.r}:${params.p}`;
+    if (this.derivedKeys.has(cacheKey)) {
+      return this.derivedKeys.get(cacheKey);
+    }
+
+    const key = crypto.scryptSync(this.passphrase, salt, KEY_LENGTH, { ...params, maxmem: SCRYPT_MAXMEM });
+    this.derivedKeys.set(cacheKey, key);
+    return key;
+  }
+
+  /**
+   * Encrypt a raw secret key
+   * @param {Uint8Array} secretKey - Keypair secret key bytes
+   * @returns {Object} Crypto section of the wallet file
+   */
+  encryptSecret(secretKey) {
+    if (!this.isUnlocked()) {
+      throw new Error('Keystore is locked');
+    }
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(secretKey)), cipher.final()]);
+
+    return {
+      cipher: 'aes-256-gcm',
+      kdf: 'scrypt',
+      kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex')
+    };
+  }
+
+  /**
+   * Decrypt the crypto section of a wallet file
+   * @returns {Uint8Array} Secret key bytes
+   */
+  decryptSecret(cryptoData) {
+    if (!this.isUnlocked()) {
+      throw new Error('Keystore is locked. Unlock it with your wallet passphrase first.');
+    }
+
+    const { N, r, p, salt } = cryptoData.kdfparams;
+    const key = this.deriveKey(Buffer.from(salt, 'hex'), { N, r, p });
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(cryptoData.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(cryptoData.tag, 'hex'));
+
+    try {
+      return new Uint8Array(Buffer.concat([
+        decipher.update(Buffer.from(cryptoData.ciphertext, 'hex')),
+        decipher.final()
+      ]));
+    } catch (error) {
+      throw new Error('Wrong wallet passphrase or corrupted wallet file');
+    }
+  }
+
+  /**
+   * Build the on-disk representation of a wallet
+   */
+  sealWallet(name, keypair, createdAt = new Date().toISOString()) {
+    return {
+      version: KEYSTORE_VERSION,
+      name,
+      publicKey: keypair.publicKey.toBase58(),
+      crypto: this.encryptSecret(keypair.secretKey),
+      createdAt
+    };
+  }
+
+  /**
+   * Restore a Keypair from wallet file data (encrypted or legacy plaintext)
+   */
+  openWallet(walletData) {
+    if (this.isEncrypted(walletData)) {
+      return Keypair.fromSecretKey(this.decryptSecret(walletData.crypto));
+    }
+    return Keypair.fromSecretKey(bs58.decode(walletData.secretKey));
+  }
+
+  /**
+   * Read all wallet files in a directory
+   * @returns {Array<{file: string, data: Object}>}
+   */
+  readWalletFiles(walletsDir) {
+    if (!fs.existsSync(walletsDir)) return [];
+
+    return fs.readdirSync(walletsDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        try {
+          return { file: path.join(walletsDir, file), data: JSON.parse(fs.readFileSync(path.join(walletsDir, file), 'utf8')) };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(entry => entry !== null);
+  }
+
+  hasEncryptedWallets(walletsDir) {
+    return this.readWalletFiles(walletsDir).some(entry => this.isEncrypted(entry.data));
+  }
+
+  countPlaintextWallets(walletsDir) {
+    return this.readWalletFiles(walletsDir).filter(entry => entry.data.secretKey && !this.isEncrypted(entry.data)).length;
+  }
+
+  /**
+   * Unlock with a passphrase, verifying it against an existing encrypted wallet
+   * @returns {boolean} Whether the passphrase was accepted
+   */
+  unlock(passphrase, walletsDir) {
+    this.lock();
+    this.passphrase = passphrase;
+
+    const sample = this.readWalletFiles(walletsDir).find(entry => this.isEncrypted(entry.data));
+    if (!sample) {
+      return true;
+    }
+
+    try {
+      this.decryptSecret(sample.data.crypto);
+      return true;
+    } catch (error) {
+      this.lock();
+      return false;
+    }
+  }
+
+  /**
+   * Unlock once per session, prompting only when needed
+   * @param {string} walletsDir - Directory holding wallet files
+   * @returns {Promise<boolean>} Whether the keystore is unlocked
+   */
+  async unlockInteractive(walletsDir) {
+    if (this.isUnlocked()) {
+      return true;
+    }
+
+    if (process.env[PASSPHRASE_ENV]) {
+      if (this.unlock(process.env[PASSPHRASE_ENV], walletsDir)) {
+        return true;
+      }
+      console.log(`${colors.red}❌ ${PASSPHRASE_ENV} does not match your wallet passphrase${colors.reset}`);
+      return false;
+    }
+
+    if (!process.stdin.isTTY) {
+      console.log(`${colors.red}❌ Wallet keystore is locked. Set ${PASSPHRASE_ENV} to unlock it non-interactively.${colors.reset}`);
+      return false;
+    }
+
+    const isNew = !this.hasEncryptedWallets(walletsDir);
+    if (isNew) {
+      console.log(`${colors.cyan}🔐 Choose a passphrase to encrypt your wallets. It is never written to disk.${colors.reset}`);
+      const { passphrase } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'passphrase',
+          message: 'New wallet passphrase:',
+          mask: '*',
+          validate: (input) => input.length >= 8 ? true : 'Passphrase must be at least 8 characters'
+        },
+        {
+          type: 'password',
+          name: 'confirmPassphrase',
+          message: 'Confirm passphrase:',
+          mask: '*',
+          validate: (input, answers) => input === answers.passphrase ? true : 'Passphrases do not match'
+        }
+      ]);
+      return this.unlock(passphrase, walletsDir);
+    }
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const { passphrase } = await inquirer.prompt([
+        { type: 'password', name: 'passphrase', message: '🔐 Wallet passphrase:', mask: '*' }
+      ]);
+      if (this.unlock(passphrase, walletsDir)) {
+        console.log(`${colors.green}✅ Wallets unlocked for this session${colors.reset}`);
+        return true;
+      }
+      console.log(`${colors.red}❌ Wrong passphrase (${attempt}/3)${colors.reset}`);
+    }
+    return false;
+  }
+
+  /**
+   * Encrypt every plaintext wallet file in place
+   * @returns {number} Number of wallets migrated
+   */
+  migratePlaintextWallets(walletsDir) {
+    if (!this.isUnlocked()) {
+      throw new Error('Keystore is locked');
+    }
+
+    let migrated = 0;
+    for (const { file, data } of this.readWalletFiles(walletsDir)) {
+      if (this.isEncrypted(data) || !data.secretKey) continue;
+
+      const keypair = Keypair.fromSecretKey(bs58.decode(data.secretKey));
+      const name = data.name || path.basename(file, '.json');
+      const sealed = this.sealWallet(name, keypair, data.createdAt);
+
+      // Write-then-rename so an interrupted migration never loses the key
+      const tmpPath = `${file}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(sealed, null, 2), { mode: 0o600 });
+      fs.renameSync(tmpPath, file);
+      migrated++;
+      console.log(`${colors.green}🔐 Encrypted wallet '${name}'${colors.reset}`);
+    }
+    return migrated;
+  }
+}
+
+// Export singleton instance
+export const keystore = new Keystore();
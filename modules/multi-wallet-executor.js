@@ -0,0 +1,223 @@
+import chalk from 'chalk';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { eventBus } from './event-bus.js';
+import { performSwap, getSolBalance, getTokenBalance, getTokenMetadata } from './jupiter-swap.js';
+import { rpcPool } from './rpc-pool.js';
+import { settingsManager } from './settings-manager.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SOL = 1e9;
+// SOL left in each wallet for fees when buying a % of the balance
+const FEE_RESERVE_SOL = 0.01;
+const RETRY_DELAY_MS = 2000;
+
+/**
+ * Resolve the amount one wallet trades. Sizing modes:
+ * - fixed:   buys spend `amount` SOL (buys only)
+ * - percent: `percent` of the wallet's SOL (buys, minus a fee reserve) or token balance (sells)
+ * - random:  a uniform draw between `min` and `max` (SOL for buys, % for sells)
+ * @param {Object} sizing - { mode, amount, percent, min, max }
+ * @param {string} side - 'buy' or 'sell'
+ * @param {number} balance - SOL balance for buys, token balance for sells
+ * @param {Function} random - Source of randomness in [0, 1)
+ * @returns {number} SOL to spend (buy) or tokens to sell (sell), in UI units
+ */
+export function resolveTradeAmount(sizing, side, balance, random = Math.random) {
+  const draw = () => sizing.min + (sizing.max - sizing.min) * random();
+
+  if (side === 'buy') {
+    const spendable = Math.max(0, balance - FEE_RESERVE_SOL);
+    const wanted = sizing.mode === 'percent' ? spendable * sizing.percent / 100
+      : sizing.mode === 'random' ? draw()
+        : sizing.amount;
+    return Math.min(wanted, spendable);
+  }
+
+  const percent = sizing.mode === 'random' ? draw() : sizing.percent;
+  return balance * Math.min(100, percent) / 100;
+}
+
+/**
+ * Run `worker` over `items` with at most `limit` in flight
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+/**
+ * Executes the same trades across several wallets in parallel.
+ *
+ * Each job is one wallet trading one token. Wallets run in parallel, but the
+ * jobs of one wallet run one after another so each is sized from the balance
+ * the previous one left. Swaps go through `performSwap`; a swap that failed
+ * before anything was sent is retried with a growing delay, one that was sent
+ * is only retried once the chain reports it failed. Every job yields one
+ * result row, whether it succeeded, failed or was skipped for lack of balance.
+ */
+export class MultiWalletExecutor {
+  /**
+   * @param {Array} jobs - [{ walletName, wallet, tokenMint, side, sizing }]
+   * @param {Object} options - { concurrency, retries, onResult }
+   * @returns {Promise<Array>} Result rows in job order
+   */
+  async execute(jobs, { concurrency = settingsManager.get('multiWalletConcurrency'), retries = 1, onResult = null } = {}) {
+    const lanes = new Map();
+    jobs.forEach((job, index) => {
+      const key = job.wallet.publicKey.toString();
+      if (!lanes.has(key)) lanes.set(key, []);
+      lanes.get(key).push(index);
+    });
+
+    const results = new Array(jobs.length);
+    await runWithConcurrency([...lanes.values()], concurrency, async (indexes) => {
+      for (const index of indexes) {
+        results[index] = await this.runJob(jobs[index], retries);
+        if (onResult) onResult(results[index]);
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Outcome of transactions a failed performSwap call had already sent
+   * @param {Array<string>} signatures
+   * @returns {Promise<Object>} { landed: signature|null, pending: boolean }
+   */
+  async checkSent(signatures) {
+    try {
+      const { value } = await rpcPool.getConnection().getSignatureStatuses(signatures, { searchTransactionHistory: true });
+      const landed = signatures.find((signature, i) => value[i] && !value[i].err);
+      return { landed: landed || null, pending: value.some(status => !status) };
+    } catch (error) {
+      logToFile(`Could not check sent swaps ${signatures.join(', ')}: ${error.message}`, 'error');
+      return { landed: null, pending: true };
+    }
+  }
+
+  async runJob(job, retries) {
+    const { walletName, wallet, tokenMint, side, sizing } = job;
+    const result = {
+      walletName,
+      publicKey: wallet.publicKey.toString(),
+      tokenMint,
+      side,
+      amount: 0,
+      status: 'failed',
+      signature: null,
+      attempts: 0,
+      error: null
+    };
+
+    try {
+      let fromMint, toMint, rawAmount;
+      if (side === 'buy') {
+        const solBalance = await getSolBalance(result.publicKey);
+        result.amount = resolveTradeAmount(sizing, side, solBalance);
+        fromMint = SOL_MINT;
+        toMint = tokenMint;
+        rawAmount = Math.floor(result.amount * LAMPORTS_PER_SOL);
+      } else {
+        const tokenBalance = await getTokenBalance(tokenMint, result.publicKey);
+        result.amount = resolveTradeAmount(sizing, side, tokenBalance);
+        const { decimals } = await getTokenMetadata(tokenMint);
+        fromMint = tokenMint;
+        toMint = SOL_MINT;
+        rawAmount = Math.floor(result.amount * Math.pow(10, decimals));
+      }
+
+      if (rawAmount <= 0) {
+        result.status = 'skipped';
+        result.error = side === 'buy' ? 'Not enough SOL' : 'No token balance';
+        return result;
+      }
+
+      // performSwap announces every transaction it broadcasts; only this job trades from this wallet now
+      let sent = [];
+      const unsubscribe = eventBus.subscribe('swap.submitted', ({ wallet: owner, signature }) => {
+        if (owner === result.publicKey) sent.push(signature);
+      });
+      try {
+        while (result.attempts <= retries) {
+          result.attempts++;
+          sent = [];
+          try {
+            const swap = await performSwap(fromMint, toMint, rawAmount, wallet);
+            result.status = 'ok';
+            result.signature = swap.signature;
+            result.error = null;
+            break;
+          } catch (error) {
+            result.error = error.message;
+            logToFile(`Multi-wallet ${side} ${tokenMint} from ${walletName} failed (attempt ${result.attempts}): ${error.message}`, 'error');
+
+            if (sent.length > 0) {
+              // A retry would trade a second time if the sent transaction still lands
+              const { landed, pending } = await this.checkSent(sent);
+              if (landed) {
+                result.status = 'ok';
+                result.signature = landed;
+                result.error = null;
+                break;
+              }
+              if (pending) {
+                result.signature = sent[0];
+                result.error = `Sent but not confirmed, not retried: ${error.message}`;
+                break;
+              }
+            }
+            if (result.attempts <= retries) {
+              await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * result.attempts));
+            }
+          }
+        }
+      } finally {
+        unsubscribe();
+      }
+    } catch (error) {
+      result.error = error.message;
+      logToFile(`Multi-wallet ${side} ${tokenMint} from ${walletName} could not start: ${error.message}`, 'error');
+    }
+    return result;
+  }
+
+  /**
+   * Print the consolidated result table and totals
+   */
+  displayResults(results) {
+    const shorten = (value) => `${value.slice(0, 4)}...${value.slice(-4)}`;
+    console.log(`\n${colors.cyan}📋 Multi-Wallet Execution Results${colors.reset}`);
+    console.log(chalk.gray(`${'Wallet'.padEnd(16)} ${'Side'.padEnd(5)} ${'Token'.padEnd(11)} ${'Amount'.padStart(16)} ${'Status'.padEnd(8)} ${'Tries'.padStart(5)}  Signature / Error`));
+
+    results.forEach(result => {
+      const statusColor = result.status === 'ok' ? chalk.green : result.status === 'skipped' ? chalk.yellow : chalk.red;
+      const amount = result.side === 'buy' ? `${result.amount.toFixed(4)} SOL` : result.amount.toLocaleString(undefined, { maximumFractionDigits: 2 });
+      console.log([
+        result.walletName.slice(0, 16).padEnd(16),
+        (result.side === 'buy' ? chalk.green : chalk.red)(result.side.padEnd(5)),
+        shorten(result.tokenMint).padEnd(11),
+        amount.padStart(16),
+        statusColor(result.status.padEnd(8)),
+        String(result.attempts).padStart(5),
+        ` ${result.signature || chalk.gray(result.error || '')}`
+      ].join(' '));
+    });
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const retried = results.filter(result => result.attempts > 1).length;
+    const spent = results.filter(result => result.status === 'ok' && result.side === 'buy').reduce((sum, result) => sum + result.amount, 0);
+    console.log(`\n${colors.green}✅ ${count('ok')} succeeded${colors.reset} | ${colors.red}❌ ${count('failed')} failed${colors.reset} | ${colors.yellow}⏭️ ${count('skipped')} skipped${colors.reset} | 🔁 ${retried} retried | 💰 ${spent.toFixed(4)} SOL spent`);
+  }
+}
+
+// Export singleton instance
+export const multiWalletExecutor = new MultiWalletExecutor();
@@ -0,0 +1,358 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { settingsManager } from './settings-manager.js';
+
+/**
+ * Events that can be routed to channels. Rules default to every channel
+ * for the events marked `defaultOn`.
+ */
+export const NOTIFICATION_EVENTS = {
+  'alert.triggered': { label: 'Price alert triggered', defaultOn: true },
+  'swap.executed': { label: 'Swap executed', defaultOn: true },
+  'swap.failed': { label: 'Swap failed', defaultOn: true },
+  'stoploss.triggered': { label: 'Stop-loss / take-profit triggered', defaultOn: true },
+  'stream.error': { label: 'Stream error', defaultOn: false },
+  'graduation.threshold': { label: 'Bonding curve passed 80% / 95%', defaultOn: false },
+  'graduation.completed': { label: 'Bonding curve graduated', defaultOn: true },
+  'token.shared': { label: 'Token shared from the viewer (B key)', defaultOn: true }
+};
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+  }
+}
+
+function plainText(notification) {
+  return `${notification.title}\n${notification.message}`;
+}
+
+/**
+ * Notification providers. `fields` drive the setup prompts; `send` delivers
+ * one notification and throws on failure.
+ */
+export const NOTIFICATION_PROVIDERS = {
+  webhook: {
+    label: '🌐 Generic Webhook (JSON POST)',
+    fields: [{ name: 'url', message: 'Webhook URL:', secret: true }],
+    send: (options, notification) => postJson(options.url, notification)
+  },
+  telegram: {
+    label: '✈️ Telegram Bot',
+    fields: [
+      { name: 'botToken', message: 'Bot token (from @BotFather):', secret: true },
+      { name: 'chatId', message: 'Chat ID:' }
+    ],
+    send: (options, notification) => postJson(`https://api.telegram.org/bot${options.botToken}/sendMessage`, {
+      chat_id: options.chatId,
+      text: plainText(notification),
+      disable_web_page_preview: true
+    })
+  },
+  discord: {
+    label: '💬 Discord Webhook',
+    fields: [{ name: 'webhookUrl', message: 'Discord webhook URL:', secret: true }],
+    send: (options, notification) => postJson(options.webhookUrl, {
+      content: `**${notification.title}**\n${notification.message}`.slice(0, 2000)
+    })
+  },
+  desktop: {
+    label: '🖥️ Desktop (notify-send)',
+    fields: [],
+    send: (options, notification) => new Promise((resolve, reject) => {
+      execFile('notify-send', ['--app-name=pumptool', notification.title, notification.message], (error) => {
+        if (error) reject(new Error(`notify-send failed: ${error.message}`));
+        else resolve();
+      });
+    })
+  },
+  file: {
+    label: '📄 Local File (JSON lines)',
+    fields: [{ name: 'path', message: 'File path:', default: path.join('data', 'notifications.jsonl') }],
+    send: async (options, notification) => {
+      const filePath = path.resolve(options.path);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, JSON.stringify(notification) + '\n');
+    }
+  }
+};
+
+/**
+ * Routes application events to notification channels.
+ *
+ * Channels and per-event rules live in `settings/notifications.json`. A rule
+ * lists the channel IDs an event goes to ('*' for every enabled channel).
+ * Delivery never throws: failures are logged so a dead webhook cannot break
+ * trading. Nothing is sent while `enableNotifications` is off.
+ */
+export class NotificationCenter {
+  constructor(configPath = path.join(process.cwd(), 'settings', 'notifications.json')) {
+    this.configPath = configPath;
+    this.channels = [];
+    this.rules = {};
+    this.loadConfig();
+  }
+
+  defaultRules() {
+    const rules = {};
+    Object.entries(NOTIFICATION_EVENTS).forEach(([event, { defaultOn }]) => {
+      rules[event] = defaultOn ? ['*'] : [];
+    });
+    return rules;
+  }
+
+  loadConfig() {
+    this.channels = [];
+    this.rules = this.defaultRules();
+    if (!fs.existsSync(this.configPath)) return;
+
+    try {
+      const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+      this.channels = (config.channels || []).filter(channel => NOTIFICATION_PROVIDERS[channel.type]);
+      this.rules = { ...this.rules, ...(config.rules || {}) };
+    } catch (error) {
+      console.error(`${colors.red}❌ Could not read notification settings: ${error.message}${colors.reset}`);
+      logToFile(`Notification config error: ${error.message}`, 'error');
+    }
+  }
+
+  saveConfig() {
+    try {
+      fs.mkdirSync(path.dirname(this.configPath), { recursive: true });
+      // Channel options hold bot tokens and webhook URLs
+      fs.writeFileSync(this.configPath, JSON.stringify({ version: 1, channels: this.channels, rules: this.rules }, null, 2), { mode: 0o600 });
+    } catch (error) {
+      console.error(`${colors.red}❌ Could not save notification settings: ${error.message}${colors.reset}`);
+    }
+  }
+
+  addChannel(type, name, options) {
+    if (!NOTIFICATION_PROVIDERS[type]) {
+      throw new Error(`Unknown notification provider: ${type}`);
+    }
+    const channel = { id: crypto.randomUUID().slice(0, 8), type, name: name || type, enabled: true, options };
+    this.channels.push(channel);
+    this.saveConfig();
+    return channel;
+  }
+
+  removeChannel(channelId) {
+    this.channels = this.channels.filter(channel => channel.id !== channelId);
+    Object.keys(this.rules).forEach(event => {
+      this.rules[event] = this.rules[event].filter(id => id !== channelId);
+    });
+    this.saveConfig();
+  }
+
+  setChannelEnabled(channelId, enabled) {
+    const channel = this.channels.find(entry => entry.id === channelId);
+    if (channel) {
+      channel.enabled = enabled;
+      this.saveConfig();
+    }
+  }
+
+  setRule(event, channelIds) {
+    this.rules[event] = channelIds;
+    this.saveConfig();
+  }
+
+  /**
+   * Enabled channels an event is routed to
+   */
+  channelsFor(event) {
+    const rule = this.rules[event] || [];
+    return this.channels.filter(channel => channel.enabled && (rule.includes('*') || rule.includes(channel.id)));
+  }
+
+  hasRoute(event) {
+    return settingsManager.get('enableNotifications') !== false && this.channelsFor(event).length > 0;
+  }
+
+  /**
+   * Send an event to the channels its rule selects
+   * @param {string} event - Key of NOTIFICATION_EVENTS
+   * @param {Object} payload - { title, message, data }
+   * @returns {Promise<number>} Number of channels that accepted the notification
+   */
+  async notify(event, { title, message, data = {} }) {
+    if (!this.hasRoute(event)) return 0;
+
+    const notification = { event, title, message, data, timestamp: new Date().toISOString() };
+    const results = await Promise.allSettled(
+      this.channelsFor(event).map(channel => this.deliver(channel, notification))
+    );
+    return results.filter(result => result.status === 'fulfilled').length;
+  }
+
+  async deliver(channel, notification) {
+    try {
+      await NOTIFICATION_PROVIDERS[channel.type].send(channel.options || {}, notification);
+    } catch (error) {
+      logToFile(`Notification to ${channel.name} (${channel.type}) failed: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Interactive channel and rule management
+   */
+  async showNotificationsMenu() {
+    let exit = false;
+    while (!exit) {
+      const enabled = settingsManager.get('enableNotifications') !== false;
+      console.log(`\n${colors.cyan}🔔 Notifications${colors.reset} ${enabled ? '' : chalk.yellow('(disabled in settings)')}`);
+      this.channels.forEach(channel => {
+        const status = channel.enabled ? chalk.green('on') : chalk.gray('off');
+        console.log(`   ${status} ${channel.name} ${chalk.gray(`[${channel.type}, ${channel.id}]`)}`);
+      });
+      if (this.channels.length === 0) {
+        console.log(chalk.gray('   No channels configured'));
+      }
+
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'Notifications:',
+          choices: [
+            { name: '➕ Add Channel', value: 'add' },
+            { name: '🧪 Send Test Notification', value: 'test', disabled: this.channels.length === 0 ? 'No channels' : false },
+            { name: '🔀 Event Routing Rules', value: 'rules', disabled: this.channels.length === 0 ? 'No channels' : false },
+            { name: '⏯️ Enable / Disable Channel', value: 'toggle', disabled: this.channels.length === 0 ? 'No channels' : false },
+            { name: '🗑️ Remove Channel', value: 'remove', disabled: this.channels.length === 0 ? 'No channels' : false },
+            { name: enabled ? '🔕 Turn Notifications Off' : '🔔 Turn Notifications On', value: 'master' },
+            { name: '🔙 Back', value: 'exit' }
+          ]
+        }
+      ]);
+
+      switch (action) {
+        case 'add': {
+          const { type, name } = await inquirer.prompt([
+            {
+              type: 'list',
+              name: 'type',
+              message: 'Provider:',
+              choices: Object.entries(NOTIFICATION_PROVIDERS).map(([value, provider]) => ({ name: provider.label, value }))
+            },
+            { type: 'input', name: 'name', message: 'Channel name:' }
+          ]);
+          const options = await inquirer.prompt(NOTIFICATION_PROVIDERS[type].fields.map(field => ({
+            type: field.secret ? 'password' : 'input',
+            mask: '*',
+            name: field.name,
+            message: field.message,
+            default: field.default,
+            validate: input => input.trim().length > 0 ? true : 'Required'
+          })));
+          const channel = this.addChannel(type, name.trim(), options);
+          console.log(chalk.green(`Channel '${channel.name}' added.`));
+          break;
+        }
+
+        case 'test': {
+          const { channelId } = await inquirer.prompt([
+            { type: 'list', name: 'channelId', message: 'Channel:', choices: this.channelChoices() }
+          ]);
+          const channel = this.channels.find(entry => entry.id === channelId);
+          try {
+            await this.deliver(channel, {
+              event: 'test',
+              title: '🔔 pumptool test notification',
+              message: `Channel '${channel.name}' is working.`,
+              data: {},
+              timestamp: new Date().toISOString()
+            });
+            console.log(chalk.green('Test notification sent.'));
+          } catch (error) {
+            console.log(chalk.red(`Test failed: ${error.message}`));
+          }
+          break;
+        }
+
+        case 'rules': {
+          const { event } = await inquirer.prompt([
+            {
+              type: 'list',
+              name: 'event',
+              message: 'Event:',
+              choices: Object.entries(NOTIFICATION_EVENTS).map(([value, { label }]) => ({
+                name: `${label} → ${this.describeRule(value)}`,
+                value
+              }))
+            }
+          ]);
+          const current = this.rules[event] || [];
+          const { channelIds } = await inquirer.prompt([
+            {
+              type: 'checkbox',
+              name: 'channelIds',
+              message: `Send '${NOTIFICATION_EVENTS[event].label}' to:`,
+              choices: [
+                { name: 'All channels', value: '*', checked: current.includes('*') },
+                ...this.channels.map(channel => ({ name: channel.name, value: channel.id, checked: current.includes(channel.id) }))
+              ]
+            }
+          ]);
+          this.setRule(event, channelIds.includes('*') ? ['*'] : channelIds);
+          console.log(chalk.green('Routing updated.'));
+          break;
+        }
+
+        case 'toggle': {
+          const { channelId } = await inquirer.prompt([
+            { type: 'list', name: 'channelId', message: 'Channel:', choices: this.channelChoices() }
+          ]);
+          const channel = this.channels.find(entry => entry.id === channelId);
+          this.setChannelEnabled(channelId, !channel.enabled);
+          console.log(chalk.green(`Channel '${channel.name}' ${channel.enabled ? 'enabled' : 'disabled'}.`));
+          break;
+        }
+
+        case 'remove': {
+          const { channelId } = await inquirer.prompt([
+            { type: 'list', name: 'channelId', message: 'Channel to remove:', choices: this.channelChoices() }
+          ]);
+          this.removeChannel(channelId);
+          console.log(chalk.green('Channel removed.'));
+          break;
+        }
+
+        case 'master':
+          settingsManager.set('enableNotifications', !enabled);
+          break;
+
+        case 'exit':
+          exit = true;
+          break;
+      }
+    }
+  }
+
+  channelChoices() {
+    return this.channels.map(channel => ({ name: `${channel.name} (${channel.type})`, value: channel.id }));
+  }
+
+  describeRule(event) {
+    const rule = this.rules[event] || [];
+    if (rule.includes('*')) return 'all channels';
+    if (rule.length === 0) return 'off';
+    return this.channels.filter(channel => rule.includes(channel.id)).map(channel => channel.name).join(', ') || 'off';
+  }
+}
+
+// Export singleton instance
+export const notifier = new NotificationCenter();
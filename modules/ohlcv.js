@@ -0,0 +1,316 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { logToFile } from '../logger.js';
+import { buildTokenTradesQuery } from '../queries.js';
+import { connectionManager } from './connection-manager.js';
+import { normalizeTokenTrades } from './indicators.js';
+
+// Candle length and how many of each are kept
+export const CANDLE_INTERVALS = {
+  '1s': { ms: 1000, keep: 3600 },
+  '1m': { ms: 60 * 1000, keep: 1440 },
+  '5m': { ms: 5 * 60 * 1000, keep: 2016 },
+  '1h': { ms: 60 * 60 * 1000, keep: 720 }
+};
+// A new mint, or one not updated for this long, continues from its latest trades in this window
+const LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const INITIAL_TRADES = 5000;
+// An update fetches at most PAGE_SIZE × MAX_PAGES trades; the rest follow on the next one
+const PAGE_SIZE = 1000;
+const MAX_PAGES = 10;
+// How long a chart waits for new candles before drawing the cached ones
+export const CHART_WAIT_MS = 3000;
+// Series kept in memory; the least recently used is dropped (it stays on disk)
+const MAX_SERIES_IN_MEMORY = 200;
+// Cache files not updated for this long are deleted, and beyond MAX_CACHED_MINTS the oldest are
+const CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_CACHED_MINTS = 2000;
+// The cache directory is pruned at most this often
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Fold one trade into candles of one interval, oldest first. A trade in the
+ * last candle's bucket updates it; a later one opens a new candle. Trades
+ * older than the last candle are ignored, so feed trades in time order.
+ * @param {Array} candles - { time, open, high, low, close, volume, volumeUsd, trades }, changed in place
+ * @param {Object} trade - Normalized trade (see normalizeTokenTrades)
+ * @param {number} intervalMs
+ * @returns {boolean} Whether the trade was applied
+ */
+export function foldTrade(candles, trade, intervalMs) {
+  const time = Math.floor(trade.time / intervalMs) * intervalMs;
+  const last = candles[candles.length - 1];
+  if (last && time < last.time) return false;
+
+  if (last && time === last.time) {
+    last.high = Math.max(last.high, trade.priceUsd);
+    last.low = Math.min(last.low, trade.priceUsd);
+    last.close = trade.priceUsd;
+    last.volume += trade.amount;
+    last.volumeUsd += trade.amountUsd;
+    last.trades++;
+  } else {
+    candles.push({
+      time,
+      open: trade.priceUsd,
+      high: trade.priceUsd,
+      low: trade.priceUsd,
+      close: trade.priceUsd,
+      volume: trade.amount,
+      volumeUsd: trade.amountUsd,
+      trades: 1
+    });
+  }
+  return true;
+}
+
+/**
+ * Candles of one interval from trades in time order. Buckets without trades
+ * have no candle.
+ */
+export function buildCandles(trades, intervalMs) {
+  const candles = [];
+  trades.forEach(trade => foldTrade(candles, trade, intervalMs));
+  return candles;
+}
+
+/**
+ * OHLCV candles per mint, built from BitQuery trades (buildTokenTradesQuery)
+ * for every interval in CANDLE_INTERVALS at once. Each mint is cached in
+ * `data/ohlcv/<mint>.json` with a cursor at its last trade; an update only
+ * fetches trades after the cursor and extends the candles. Analysis, the
+ * trade viewer chart and the HTML chart all read from here.
+ *
+ * At most MAX_SERIES_IN_MEMORY series are held in memory, least recently
+ * used dropped first. Cache files untouched for CACHE_MAX_AGE_MS, or the
+ * oldest beyond MAX_CACHED_MINTS, are deleted as new series are saved.
+ */
+export class OhlcvStore {
+  /**
+   * @param {Object} options - { cacheDir, request(query) } - request defaults to ConnectionManager.makeBitqueryRequest
+   */
+  constructor({
+    cacheDir = path.join(process.cwd(), 'data', 'ohlcv'),
+    request = query => connectionManager.makeBitqueryRequest(query)
+  } = {}) {
+    this.cacheDir = cacheDir;
+    this.request = request;
+    this.series = new Map();
+    this.pending = new Map();
+    this.prunedAt = 0;
+  }
+
+  cachePath(mint) {
+    return path.join(this.cacheDir, `${mint}.json`);
+  }
+
+  /**
+   * Cached series for a mint from memory or disk, without fetching
+   * @returns {?Object} { mint, cursor: { time, signatures }, candles: { [interval]: [] } }
+   */
+  peek(mint) {
+    if (this.series.has(mint)) {
+      const series = this.series.get(mint);
+      this.remember(series);
+      return series;
+    }
+    const file = this.cachePath(mint);
+    if (!fs.existsSync(file)) return null;
+    try {
+      const series = JSON.parse(fs.readFileSync(file, 'utf8'));
+      this.remember(series);
+      return series;
+    } catch (error) {
+      logToFile(`OHLCV cache for ${mint} unreadable, rebuilding: ${error.message}`, 'error');
+      return null;
+    }
+  }
+
+  /**
+   * Keep a series in memory as the most recently used, dropping the least
+   * recently used beyond MAX_SERIES_IN_MEMORY
+   */
+  remember(series) {
+    this.series.delete(series.mint);
+    this.series.set(series.mint, series);
+    for (const mint of this.series.keys()) {
+      if (this.series.size <= MAX_SERIES_IN_MEMORY) break;
+      if (!this.pending.has(mint)) this.series.delete(mint);
+    }
+  }
+
+  save(series) {
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      const file = this.cachePath(series.mint);
+      const tmpPath = `${file}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(series));
+      fs.renameSync(tmpPath, file);
+    } catch (error) {
+      logToFile(`OHLCV cache save failed for ${series.mint}: ${error.message}`, 'error');
+    }
+    if (Date.now() - this.prunedAt >= PRUNE_INTERVAL_MS) {
+      this.prune();
+    }
+  }
+
+  /**
+   * Delete cache files not updated for CACHE_MAX_AGE_MS and the oldest
+   * beyond MAX_CACHED_MINTS
+   * @returns {number} Files deleted
+   */
+  prune(now = Date.now()) {
+    this.prunedAt = now;
+    let deleted = 0;
+    try {
+      const files = fs.readdirSync(this.cacheDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => ({ file, mtime: fs.statSync(path.join(this.cacheDir, file)).mtimeMs }))
+        .sort((a, b) => b.mtime - a.mtime);
+
+      files.forEach(({ file, mtime }, index) => {
+        const mint = file.slice(0, -'.json'.length);
+        if ((index < MAX_CACHED_MINTS && now - mtime <= CACHE_MAX_AGE_MS) || this.pending.has(mint)) return;
+        fs.rmSync(path.join(this.cacheDir, file), { force: true });
+        this.series.delete(mint);
+        deleted++;
+      });
+    } catch (error) {
+      logToFile(`OHLCV cache prune failed: ${error.message}`, 'error');
+    }
+    return deleted;
+  }
+
+  /**
+   * Fetch trades since the cursor and fold them into the candles. Concurrent
+   * updates of one mint share a request.
+   * @returns {Promise<number>} New trades folded in
+   */
+  async update(mint) {
+    if (!this.pending.has(mint)) {
+      this.pending.set(mint, this.extend(mint).finally(() => this.pending.delete(mint)));
+    }
+    return this.pending.get(mint);
+  }
+
+  async extend(mint) {
+    let series = this.peek(mint);
+    let folded = 0;
+    const now = Date.now();
+    if (!series) {
+      series = { mint, cursor: null, candles: {} };
+      Object.keys(CANDLE_INTERVALS).forEach(interval => {
+        series.candles[interval] = [];
+      });
+    }
+    if (!series.cursor || now - series.cursor.time > LOOKBACK_MS) {
+      // New or long idle: take the latest trades, leaving a gap after old candles
+      const trades = await this.fetchTrades({
+        mint,
+        since: new Date(now - LOOKBACK_MS).toISOString(),
+        limit: INITIAL_TRADES,
+        newestFirst: true
+      });
+      folded += this.fold(series, trades);
+    } else {
+      for (let page = 0; page < MAX_PAGES; page++) {
+        const trades = await this.fetchTrades({
+          mint,
+          since: new Date(series.cursor.time).toISOString(),
+          limit: PAGE_SIZE
+        });
+        const fresh = this.fold(series, trades);
+        folded += fresh;
+        if (trades.length < PAGE_SIZE || fresh === 0) break;
+      }
+    }
+
+    this.remember(series);
+    this.save(series);
+    return folded;
+  }
+
+  /**
+   * Update a mint, waiting at most waitMs. A slower update keeps running in
+   * the background and its candles are there for the next read.
+   * @returns {Promise<boolean>} Whether the update finished in time
+   */
+  async updateWithin(mint, waitMs = CHART_WAIT_MS) {
+    let timer;
+    const update = this.update(mint).then(() => true, error => {
+      logToFile(`OHLCV update failed for ${mint}: ${error.message}`, 'error');
+      return true;
+    });
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(resolve, waitMs, false);
+    });
+    try {
+      return await Promise.race([update, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async fetchTrades(options) {
+    const result = await this.request(buildTokenTradesQuery(options));
+    return normalizeTokenTrades(result.data?.Solana?.DEXTradeByTokens);
+  }
+
+  /**
+   * Fold trades after the cursor into every interval and move the cursor
+   * @returns {number} Trades folded in
+   */
+  fold(series, trades) {
+    const cursor = series.cursor;
+    const fresh = trades.filter(trade => !cursor
+      || trade.time > cursor.time
+      || (trade.time === cursor.time && !cursor.signatures.includes(trade.signature)));
+
+    fresh.forEach(trade => {
+      Object.entries(CANDLE_INTERVALS).forEach(([interval, { ms }]) => {
+        foldTrade(series.candles[interval], trade, ms);
+      });
+    });
+    Object.entries(CANDLE_INTERVALS).forEach(([interval, { keep }]) => {
+      const candles = series.candles[interval];
+      if (candles.length > keep) candles.splice(0, candles.length - keep);
+    });
+
+    if (fresh.length > 0) {
+      const lastTime = fresh[fresh.length - 1].time;
+      // Trades sharing the cursor's second may arrive again on the next fetch
+      const signatures = fresh.filter(trade => trade.time === lastTime).map(trade => trade.signature);
+      series.cursor = {
+        time: lastTime,
+        signatures: cursor?.time === lastTime ? [...cursor.signatures, ...signatures] : signatures
+      };
+    }
+    return fresh.length;
+  }
+
+  /**
+   * Candles for a mint, oldest first. Updates from BitQuery first unless
+   * `refresh` is false; if the update fails the cached candles are returned.
+   * @param {string} mint
+   * @param {string} interval - Key of CANDLE_INTERVALS
+   * @param {Object} options - { limit, refresh }
+   * @returns {Promise<Array>} { time, open, high, low, close, volume, volumeUsd, trades }
+   */
+  async getCandles(mint, interval = '1m', { limit = 100, refresh = true } = {}) {
+    if (!CANDLE_INTERVALS[interval]) {
+      throw new Error(`Unknown candle interval: ${interval}`);
+    }
+    if (refresh) {
+      try {
+        await this.update(mint);
+      } catch (error) {
+        logToFile(`OHLCV update failed for ${mint}: ${error.message}`, 'error');
+      }
+    }
+    const candles = this.peek(mint)?.candles[interval] || [];
+    return candles.slice(-limit);
+  }
+}
+
+// Export singleton instance
+export const ohlcvStore = new OhlcvStore();
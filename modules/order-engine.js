@@ -0,0 +1,470 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import crypto from 'crypto';
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { performSwap, getBatchTokenPrices, getAllTokenBalances, isPriced } from './jupiter-swap.js';
+import { WalletManager } from './wallet-manager.js';
+import { settingsManager } from './settings-manager.js';
+import { exitPlans } from './exit-plans.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SOL = 1e9;
+// Failed swaps before a price-triggered order gives up
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Order types. Price orders fire when the USD price crosses `triggerPrice`
+ * in the given direction; DCA orders buy on a fixed schedule.
+ */
+export const ORDER_TYPES = {
+  limit_buy: { label: 'Limit Buy', side: 'buy', fires: 'below' },
+  stop_buy: { label: 'Stop Buy', side: 'buy', fires: 'above' },
+  limit_sell: { label: 'Limit Sell', side: 'sell', fires: 'above' },
+  stop_sell: { label: 'Stop Sell', side: 'sell', fires: 'below' },
+  dca: { label: 'DCA', side: 'buy', fires: null }
+};
+
+/**
+ * Local order engine for limit, stop and DCA orders.
+ *
+ * Orders are kept in `data/orders.json` and picked up again on restart.
+ * While running, the engine polls prices for every open price order, runs
+ * DCA slices that are due, and executes through `performSwap`. An order is
+ * saved as `executing` before its swap is sent; if the app stops mid-swap
+ * the order is marked failed on the next start instead of being sent twice.
+ */
+export class OrderEngine {
+  constructor(ordersPath = path.join(process.cwd(), 'data', 'orders.json')) {
+    this.ordersPath = ordersPath;
+    this.orders = new Map();
+    this.checkInterval = null;
+    this.ticking = false;
+    this.walletManager = null;
+    this.resolveWallet = (name) => {
+      this.walletManager = this.walletManager || new WalletManager();
+      return this.walletManager.loadWallet(name);
+    };
+    this.loadOrders();
+  }
+
+  loadOrders() {
+    this.orders.clear();
+    if (!fs.existsSync(this.ordersPath)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.ordersPath, 'utf8'));
+      let interrupted = 0;
+      (stored.orders || []).forEach(order => {
+        if (order.status === 'executing') {
+          this.markInterrupted(order);
+          interrupted++;
+        }
+        this.orders.set(order.id, order);
+      });
+      if (interrupted > 0) {
+        console.log(`${colors.yellow}⚠️ ${interrupted} order(s) were interrupted mid-swap; check your wallet before re-placing them${colors.reset}`);
+        this.saveOrders();
+      }
+    } catch (error) {
+      console.error(`${colors.red}❌ Could not read orders: ${error.message}${colors.reset}`);
+      logToFile(`Orders load error: ${error.message}`, 'error');
+    }
+  }
+
+  markInterrupted(order) {
+    const note = 'Interrupted while the swap was in flight; outcome unknown';
+    if (order.type === 'dca') {
+      // Keep the schedule going; the interrupted slice is recorded, not retried
+      order.status = 'open';
+      order.fills.push({ at: new Date().toISOString(), error: note });
+    } else {
+      order.status = 'failed';
+      order.error = note;
+    }
+  }
+
+  saveOrders() {
+    try {
+      fs.mkdirSync(path.dirname(this.ordersPath), { recursive: true });
+      const tmpPath = `${this.ordersPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, orders: this.getOrders() }, null, 2));
+      fs.renameSync(tmpPath, this.ordersPath);
+    } catch (error) {
+      console.error(`${colors.red}❌ Could not save orders: ${error.message}${colors.reset}`);
+      logToFile(`Orders save error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Place an order
+   * @param {Object} spec - { type, mint, wallet, triggerPrice, amountSOL, sellPercent, slippage, intervalMinutes, totalRuns }
+   * @returns {Object} The stored order
+   */
+  addOrder(spec) {
+    const orderType = ORDER_TYPES[spec.type];
+    if (!orderType) {
+      throw new Error(`Unknown order type: ${spec.type}`);
+    }
+    if (!spec.mint) {
+      throw new Error('Token mint is required');
+    }
+    if (!spec.wallet) {
+      throw new Error('Wallet is required');
+    }
+    if (orderType.side === 'buy' && !(spec.amountSOL > 0)) {
+      throw new Error('Buy amount must be a positive SOL amount');
+    }
+    if (orderType.side === 'sell' && !(spec.sellPercent > 0 && spec.sellPercent <= 100)) {
+      throw new Error('Sell percent must be between 0 and 100');
+    }
+    if (spec.type === 'dca') {
+      if (!(spec.intervalMinutes > 0) || !Number.isInteger(spec.totalRuns) || spec.totalRuns < 1) {
+        throw new Error('DCA needs a positive interval and at least one run');
+      }
+    } else if (!(spec.triggerPrice > 0)) {
+      throw new Error('Trigger price must be a positive USD price');
+    }
+
+    const now = new Date().toISOString();
+    const order = {
+      id: crypto.randomUUID().slice(0, 8),
+      type: spec.type,
+      mint: spec.mint,
+      wallet: spec.wallet,
+      triggerPrice: spec.type === 'dca' ? null : spec.triggerPrice,
+      amountSOL: orderType.side === 'buy' ? spec.amountSOL : null,
+      sellPercent: orderType.side === 'sell' ? spec.sellPercent : null,
+      slippage: spec.slippage || null,
+      status: 'open',
+      attempts: 0,
+      error: null,
+      fills: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    if (spec.type === 'dca') {
+      order.dca = {
+        intervalMinutes: spec.intervalMinutes,
+        totalRuns: spec.totalRuns,
+        runsDone: 0,
+        nextRunAt: Date.now()
+      };
+    }
+
+    this.orders.set(order.id, order);
+    this.saveOrders();
+    return order;
+  }
+
+  cancelOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order || order.status !== 'open') return false;
+    order.status = 'cancelled';
+    order.updatedAt = new Date().toISOString();
+    this.saveOrders();
+    return true;
+  }
+
+  /**
+   * Drop orders that are no longer open
+   * @returns {number} Orders removed
+   */
+  clearFinished() {
+    let removed = 0;
+    this.getOrders().forEach(order => {
+      if (order.status !== 'open' && order.status !== 'executing') {
+        this.orders.delete(order.id);
+        removed++;
+      }
+    });
+    this.saveOrders();
+    return removed;
+  }
+
+  getOrders() {
+    return Array.from(this.orders.values());
+  }
+
+  getOpenOrders() {
+    return this.getOrders().filter(order => order.status === 'open');
+  }
+
+  describe(order) {
+    const short = `${order.mint.slice(0, 4)}…${order.mint.slice(-4)}`;
+    const size = order.amountSOL !== null ? `${order.amountSOL} SOL` : `${order.sellPercent}%`;
+    if (order.type === 'dca') {
+      return `DCA ${size} of ${short} every ${order.dca.intervalMinutes}m (${order.dca.runsDone}/${order.dca.totalRuns})`;
+    }
+    const direction = ORDER_TYPES[order.type].fires === 'below' ? '≤' : '≥';
+    return `${ORDER_TYPES[order.type].label} ${size} of ${short} when price ${direction} $${order.triggerPrice}`;
+  }
+
+  /**
+   * Whether a price order's trigger is met
+   */
+  isTriggered(order, price) {
+    if (!isPriced(price)) return false;
+    return ORDER_TYPES[order.type].fires === 'below' ? price <= order.triggerPrice : price >= order.triggerPrice;
+  }
+
+  /**
+   * Check open orders once: fire triggered price orders and due DCA slices
+   * @returns {Promise<Array>} Orders that executed a swap this tick
+   */
+  async tick() {
+    if (this.ticking) return [];
+    const open = this.getOpenOrders();
+    if (open.length === 0) return [];
+
+    this.ticking = true;
+    const executed = [];
+    try {
+      const priceOrders = open.filter(order => order.type !== 'dca');
+      const prices = priceOrders.length > 0
+        ? await getBatchTokenPrices([...new Set(priceOrders.map(order => order.mint))], true)
+        : {};
+
+      for (const order of open) {
+        const price = prices[order.mint];
+        const due = order.type === 'dca' ? order.dca.nextRunAt <= Date.now() : this.isTriggered(order, price);
+        if (due && await this.execute(order, price)) {
+          executed.push(order);
+        }
+      }
+    } catch (error) {
+      logToFile(`Order engine tick error: ${error.message}`, 'error');
+    } finally {
+      this.ticking = false;
+    }
+    return executed;
+  }
+
+  /**
+   * Send the swap for one order and record the outcome
+   * @returns {Promise<boolean>} Whether the swap succeeded
+   */
+  async execute(order, price) {
+    const keypair = this.loadKeypair(order.wallet);
+    if (!keypair) {
+      logToFile(`Order ${order.id} waiting: wallet '${order.wallet}' is unavailable or locked`, 'error');
+      return false;
+    }
+
+    order.status = 'executing';
+    order.updatedAt = new Date().toISOString();
+    this.saveOrders();
+    console.log(`\n${colors.cyan}📑 Executing order ${order.id}: ${this.describe(order)}${colors.reset}`);
+
+    let result;
+    let error = null;
+    try {
+      result = ORDER_TYPES[order.type].side === 'buy'
+        ? await performSwap(SOL_MINT, order.mint, Math.round(order.amountSOL * LAMPORTS_PER_SOL), keypair, order.slippage)
+        : await this.sell(order, keypair);
+      if (!result?.success) {
+        error = result?.error || 'Swap did not succeed';
+      }
+    } catch (swapError) {
+      error = swapError.message;
+    }
+
+    const fill = { at: new Date().toISOString(), price: isPriced(price) ? price : null };
+    if (error) {
+      fill.error = error;
+      logToFile(`Order ${order.id} swap failed: ${error}`, 'error');
+    } else {
+      fill.signature = result.signature;
+    }
+    order.fills.push(fill);
+    this.advance(order, !error, error);
+    this.saveOrders();
+
+    console.log(error
+      ? `${colors.red}❌ Order ${order.id} failed: ${error}${colors.reset}`
+      : `${colors.green}✅ Order ${order.id} filled: ${result.signature}${colors.reset}`);
+    return !error;
+  }
+
+  /**
+   * Move an order to its next state after a swap attempt
+   */
+  advance(order, succeeded, error) {
+    order.updatedAt = new Date().toISOString();
+    if (order.type === 'dca') {
+      order.dca.runsDone++;
+      // Schedule from now so a long pause does not trigger a burst of catch-up buys
+      order.dca.nextRunAt = Date.now() + order.dca.intervalMinutes * 60000;
+      order.status = order.dca.runsDone >= order.dca.totalRuns ? 'completed' : 'open';
+      return;
+    }
+
+    if (succeeded) {
+      order.status = 'filled';
+      return;
+    }
+    order.attempts++;
+    order.error = error;
+    order.status = order.attempts >= MAX_ATTEMPTS ? 'failed' : 'open';
+  }
+
+  async sell(order, keypair) {
+    const balances = await getAllTokenBalances(keypair.publicKey.toString(), true);
+    const holding = balances.find(token => token.mint === order.mint);
+    if (!holding || !holding.balance) {
+      throw new Error(`Wallet holds no ${order.mint}`);
+    }
+    const rawAmount = Math.floor(holding.balance * (order.sellPercent / 100) * Math.pow(10, holding.decimals));
+    if (rawAmount <= 0) {
+      throw new Error('Sell amount rounds to zero');
+    }
+    return performSwap(order.mint, SOL_MINT, rawAmount, keypair, order.slippage);
+  }
+
+  loadKeypair(walletName) {
+    try {
+      return this.resolveWallet(walletName);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Start polling
+   * @param {Object} options - { intervalSeconds, resolveWallet: (name) => Keypair|null }
+   */
+  start({ intervalSeconds = settingsManager.get('orderCheckInterval'), resolveWallet = null } = {}) {
+    this.stop();
+    if (resolveWallet) {
+      this.resolveWallet = resolveWallet;
+    }
+    this.checkInterval = setInterval(() => this.tick(), intervalSeconds * 1000);
+    // Never keep the process alive just for orders
+    this.checkInterval.unref();
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  isRunning() {
+    return this.checkInterval !== null;
+  }
+
+  /**
+   * Interactive order list, creation and cancellation
+   */
+  async showOrdersMenu() {
+    let exit = false;
+    while (!exit) {
+      const orders = this.getOrders();
+      console.log(`\n${colors.cyan}📑 Orders${colors.reset} ${this.isRunning() ? chalk.green('(engine running)') : chalk.yellow('(engine stopped)')}`);
+      if (orders.length === 0) {
+        console.log(chalk.gray('   No orders'));
+      }
+      orders.forEach(order => {
+        const statusColor = order.status === 'open' ? chalk.green : order.status === 'failed' ? chalk.red : chalk.gray;
+        console.log(`   ${statusColor(order.status.padEnd(9))} ${order.id} ${this.describe(order)} ${chalk.gray(`[${order.wallet}]`)}`);
+        if (order.error && order.status !== 'filled') {
+          console.log(chalk.gray(`             last error: ${order.error}`));
+        }
+      });
+
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'Orders:',
+          choices: [
+            ...Object.entries(ORDER_TYPES).map(([value, { label }]) => ({ name: `➕ New ${label}`, value })),
+            { name: '🗑️ Cancel Order', value: 'cancel', disabled: this.getOpenOrders().length === 0 ? 'No open orders' : false },
+            { name: '🧹 Clear Finished Orders', value: 'clear' },
+            { name: `🎯 Exit Plans (${exitPlans.getActivePlans().length} active)`, value: 'exit_plans' },
+            { name: this.isRunning() ? '⏸️ Stop Order Engine' : '▶️ Start Order Engine', value: 'toggle' },
+            { name: '🔙 Back', value: 'exit' }
+          ]
+        }
+      ]);
+
+      if (ORDER_TYPES[action]) {
+        await this.promptNewOrder(action);
+        continue;
+      }
+
+      switch (action) {
+        case 'cancel': {
+          const { orderId } = await inquirer.prompt([
+            {
+              type: 'list',
+              name: 'orderId',
+              message: 'Order to cancel:',
+              choices: this.getOpenOrders().map(order => ({ name: `${order.id} ${this.describe(order)}`, value: order.id }))
+            }
+          ]);
+          this.cancelOrder(orderId);
+          console.log(chalk.green(`Order ${orderId} cancelled.`));
+          break;
+        }
+
+        case 'clear':
+          console.log(chalk.green(`${this.clearFinished()} finished order(s) removed.`));
+          break;
+
+        case 'exit_plans':
+          await exitPlans.showExitPlansMenu();
+          break;
+
+        case 'toggle':
+          if (this.isRunning()) {
+            this.stop();
+          } else {
+            this.start();
+          }
+          break;
+
+        case 'exit':
+          exit = true;
+          break;
+      }
+    }
+  }
+
+  async promptNewOrder(type) {
+    const orderType = ORDER_TYPES[type];
+    this.walletManager = this.walletManager || new WalletManager();
+    const wallets = this.walletManager.getWalletFiles();
+    if (wallets.length === 0) {
+      console.log(chalk.red('No wallets found. Create or import one in Wallet Manager first.'));
+      return;
+    }
+    const positive = input => parseFloat(input) > 0 ? true : 'Enter a positive number';
+    const answers = await inquirer.prompt([
+      { type: 'input', name: 'mint', message: 'Token mint address:', validate: input => input.trim().length >= 32 ? true : 'Enter a valid mint address' },
+      { type: 'list', name: 'wallet', message: 'Wallet:', choices: wallets, default: settingsManager.get('activeWallet') || undefined },
+      { type: 'input', name: 'triggerPrice', message: 'Trigger price (USD):', when: () => type !== 'dca', validate: positive, filter: parseFloat },
+      { type: 'input', name: 'amountSOL', message: type === 'dca' ? 'SOL per buy:' : 'SOL to spend:', when: () => orderType.side === 'buy', validate: positive, filter: parseFloat },
+      { type: 'input', name: 'sellPercent', message: 'Percent of balance to sell:', default: '100', when: () => orderType.side === 'sell', validate: input => parseFloat(input) > 0 && parseFloat(input) <= 100 ? true : 'Enter 1-100', filter: parseFloat },
+      { type: 'input', name: 'intervalMinutes', message: 'Minutes between buys:', when: () => type === 'dca', validate: positive, filter: parseFloat },
+      { type: 'input', name: 'totalRuns', message: 'Number of buys:', when: () => type === 'dca', validate: input => parseInt(input) >= 1 ? true : 'Enter at least 1', filter: input => parseInt(input) },
+      { type: 'input', name: 'slippage', message: 'Slippage % (blank for settings default):', default: '', filter: input => input === '' ? null : parseFloat(input), validate: input => input === null || input > 0 ? true : 'Enter a positive number or leave blank' }
+    ]);
+
+    try {
+      const order = this.addOrder({ type, ...answers, mint: answers.mint.trim() });
+      console.log(chalk.green(`Order ${order.id} placed: ${this.describe(order)}`));
+      if (!this.isRunning()) {
+        console.log(chalk.yellow('The order engine is stopped; start it to execute orders.'));
+      }
+    } catch (error) {
+      console.log(chalk.red(error.message));
+    }
+  }
+}
+
+// Export singleton instance
+export const orderEngine = new OrderEngine();
@@ -1,5 +1,6 @@
 import { colors } from '../colors.js';
 import { logToFile } from '../logger.js';
+import { settingsManager } from './settings-manager.js';
 
 /**
  * Performance Optimizer - Handles caching, batching, and optimization
@@ -362,6 +363,96 @@ export class PerformanceOptimizer {
 // Create global instance
 export const performanceOptimizer = new PerformanceOptimizer();
 
+// Quote currencies are the other side of a trade, never trending candidates
+const QUOTE_MINTS = new Set([
+  'So11111111111111111111111111111111111111112', // WSOL
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB' // USDT
+]);
+
+const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+/**
+ * Trending score weights from settings
+ */
+export function getTrendingWeights() {
+  return {
+    volume: settingsManager.get('trendingVolumeWeight'),
+    buyers: settingsManager.get('trendingBuyersWeight'),
+    buySell: settingsManager.get('trendingBuySellWeight'),
+    price: settingsManager.get('trendingPriceWeight')
+  };
+}
+
+/**
+ * Metrics for one token from its buys and sells in the recent and previous
+ * windows (trades ordered newest first, as returned by BitQuery)
+ */
+export function computeTrendingMetrics(recent, previous, windowMinutes) {
+  const volumeOf = ({ buys, sells }) =>
+    buys.reduce((sum, t) => sum + (t.Trade?.Buy?.AmountInUSD || 0), 0) +
+    sells.reduce((sum, t) => sum + (t.Trade?.Sell?.AmountInUSD || 0), 0);
+  const recentVolume = volumeOf(recent);
+  const previousVolume = volumeOf(previous);
+
+  const recentPrices = recent.buys.map(t => t.Trade?.Buy?.PriceInUSD || 0).filter(p => p > 0);
+  const previousPrices = previous.buys.map(t => t.Trade?.Buy?.PriceInUSD || 0).filter(p => p > 0);
+  const currentPrice = recentPrices[0] || 0;
+  // Without trades in the previous window, compare with the oldest recent trade
+  const oldPrice = previousPrices[0] || recentPrices[recentPrices.length - 1] || 0;
+
+  const recentCount = recent.buys.length + recent.sells.length;
+  const previousCount = previous.buys.length + previous.sells.length;
+  const tradeFreq = recentCount / windowMinutes;
+  const previousFreq = previousCount / windowMinutes;
+
+  // Trades recorded without a signer count as separate buyers
+  const uniqueBuyers = new Set(recent.buys.map(t => t.Transaction?.Signer || t.Transaction?.Signature)).size;
+
+  return {
+    windowMinutes,
+    currentPrice,
+    priceChange: oldPrice > 0 ? ((currentPrice - oldPrice) / oldPrice) * 100 : 0,
+    recentVolume,
+    previousVolume,
+    volumeChange: previousVolume > 0 ? ((recentVolume - previousVolume) / previousVolume) * 100 : 0,
+    volumeAcceleration: previousVolume > 0 ? recentVolume / previousVolume : null,
+    buyCount: recent.buys.length,
+    sellCount: recent.sells.length,
+    buySellRatio: recent.sells.length > 0 ? recent.buys.length / recent.sells.length : recent.buys.length,
+    uniqueBuyers,
+    tradeFreq,
+    freqChange: previousFreq > 0 ? ((tradeFreq - previousFreq) / previousFreq) * 100 : 0
+  };
+}
+
+/**
+ * Weighted trending score from -100 to 100. Each component is scaled to
+ * -1..1 first so the weights are directly comparable:
+ * - volume:  recent vs previous window volume, 8x or more scores 1
+ * - buyers:  unique buyers, saturating (5 buyers score 0.5)
+ * - buySell: share of buys among buys + sells
+ * - price:   price change across the windows, +/-50% or more scores +/-1
+ * @returns {Object} { score, components }
+ */
+export function scoreTrendingMetrics(metrics, weights) {
+  const acceleration = metrics.volumeAcceleration ?? (metrics.recentVolume > 0 ? 8 : 1);
+  const trades = metrics.buyCount + metrics.sellCount;
+  const components = {
+    volume: clamp(Math.log2(Math.max(acceleration, 1 / 8)) / 3),
+    buyers: metrics.uniqueBuyers / (metrics.uniqueBuyers + 5),
+    buySell: trades > 0 ? (2 * metrics.buyCount / trades) - 1 : 0,
+    price: clamp(metrics.priceChange / 50)
+  };
+
+  const totalWeight = Object.keys(components).reduce((sum, key) => sum + (weights[key] || 0), 0);
+  const weighted = Object.entries(components).reduce((sum, [key, value]) => sum + value * (weights[key] || 0), 0);
+  return {
+    score: totalWeight > 0 ? (weighted / totalWeight) * 100 : 0,
+    components
+  };
+}
+
 // Performance optimization for trending tokens
 export class TrendingPerformanceOptimizer {
   constructor() {
@@ -435,77 +526,53 @@ export class TrendingPerformanceOptimizer {
   }
 
   // Optimized trending token processing
-  async processTrendingTokensOptimized(recentTrades, previousTrades) {
-    // Group trades by token efficiently
+  async processTrendingTokensOptimized(recentTrades, previousTrades, {
+    windowMinutes = settingsManager.get('trendingWindowMinutes'),
+    weights = getTrendingWeights(),
+    limit = 10,
+    rankBy = 'score' // any numeric metric, e.g. 'recentVolume'
+  } = {}) {
+    // A trade buys the token on its Buy side and sells the token on its Sell side
     const tokenGroups = new Map();
-    
-    // Process recent trades
+    const groupFor = (mintAddress) => tokenGroups.get(mintAddress);
+
     recentTrades.forEach(trade => {
-      const mintAddress = trade.Trade?.Buy?.Currency?.MintAddress;
-      if (mintAddress) {
-        if (!tokenGroups.has(mintAddress)) {
-          tokenGroups.set(mintAddress, {
-            recent: [],
-            previous: [],
-            token: trade.Trade.Buy.Currency
-          });
-        }
-        tokenGroups.get(mintAddress).recent.push(trade);
+      const buyCurrency = trade.Trade?.Buy?.Currency;
+      if (!buyCurrency?.MintAddress || QUOTE_MINTS.has(buyCurrency.MintAddress)) return;
+      if (!tokenGroups.has(buyCurrency.MintAddress)) {
+        tokenGroups.set(buyCurrency.MintAddress, {
+          token: buyCurrency,
+          recent: { buys: [], sells: [] },
+          previous: { buys: [], sells: [] }
+        });
       }
+      tokenGroups.get(buyCurrency.MintAddress).recent.buys.push(trade);
     });
-    
-    // Process previous trades
+
+    recentTrades.forEach(trade => {
+      groupFor(trade.Trade?.Sell?.Currency?.MintAddress)?.recent.sells.push(trade);
+    });
+
     previousTrades.forEach(trade => {
-      const mintAddress = trade.Trade?.Buy?.Currency?.MintAddress;
-      if (mintAddress && tokenGroups.has(mintAddress)) {
-        tokenGroups.get(mintAddress).previous.push(trade);
-      }
+      groupFor(trade.Trade?.Buy?.Currency?.MintAddress)?.previous.buys.push(trade);
+      groupFor(trade.Trade?.Sell?.Currency?.MintAddress)?.previous.sells.push(trade);
     });
-    
-    // Calculate metrics efficiently
+
     const tokenMetrics = [];
-    for (const [mintAddress, data] of tokenGroups) {
-      const { recent, previous, token } = data;
-      
-      // Quick volume calculation
-      const recentVolume = recent.reduce((sum, t) => sum + (t.Trade?.Buy?.AmountInUSD || 0), 0);
-      const previousVolume = previous.reduce((sum, t) => sum + (t.Trade?.Buy?.AmountInUSD || 0), 0);
-      const volumeChange = previousVolume > 0 ? ((recentVolume - previousVolume) / previousVolume) * 100 : 0;
-      
-      // Quick price calculation
-      const recentPrices = recent.map(t => t.Trade?.Buy?.PriceInUSD || 0).filter(p => p > 0);
-      const previousPrices = previous.map(t => t.Trade?.Buy?.PriceInUSD || 0).filter(p => p > 0);
-      
-      const currentPrice = recentPrices[0] || 0;
-      const oldPrice = previousPrices[0] || currentPrice;
-      const priceChange = oldPrice > 0 ? ((currentPrice - oldPrice) / oldPrice) * 100 : 0;
-      
-      // Quick frequency calculation
-      const recentFreq = recent.length / 3; // trades per minute in last 3 min
-      const previousFreq = previous.length / 3; // trades per minute in previous 3 min
-      const freqChange = previousFreq > 0 ? ((recentFreq - previousFreq) / previousFreq) * 100 : 0;
-      
+    for (const [mintAddress, { token, recent, previous }] of tokenGroups) {
+      const metrics = computeTrendingMetrics(recent, previous, windowMinutes);
+      Object.assign(metrics, scoreTrendingMetrics(metrics, weights));
       tokenMetrics.push({
         mintAddress,
         token,
-        recentTrade: recent[0],
-        metrics: {
-          currentPrice,
-          priceChange,
-          recentVolume,
-          volumeChange,
-          tradeFreq: recentFreq,
-          freqChange,
-          momentum: (volumeChange * 0.4) + (priceChange * 0.4) + (freqChange * 0.2)
-        }
+        recentTrade: recent.buys[0],
+        metrics
       });
     }
-    
-    // Sort by momentum for best performance
-    tokenMetrics.sort((a, b) => b.metrics.momentum - a.metrics.momentum);
-    
-    // Take top 10 for display
-    const topTokens = tokenMetrics.slice(0, 10);
+
+    tokenMetrics.sort((a, b) => b.metrics[rankBy] - a.metrics[rankBy]);
+
+    const topTokens = tokenMetrics.slice(0, limit);
     
     // Batch process Jupiter data for top tokens
     const processedTokens = await this.batchProcessJupiterData(topTokens);
@@ -0,0 +1,209 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+
+// Journal entries written between snapshots before the journal is compacted
+const COMPACT_EVERY = 200;
+
+/**
+ * Durable position and trade ledger for auto trading.
+ *
+ * Every change is appended to `journal.jsonl` and fsynced before the caller
+ * continues. `snapshot.json` holds the folded state up to a sequence number,
+ * so startup reads the snapshot and replays only the newer journal entries.
+ * Trade intents are journaled before a swap is sent, which lets a restart
+ * report swaps whose outcome was never recorded.
+ */
+export class PositionLedger {
+  constructor(ledgerDir = path.join(process.cwd(), 'data', 'ledger')) {
+    this.ledgerDir = ledgerDir;
+    this.journalPath = path.join(ledgerDir, 'journal.jsonl');
+    this.snapshotPath = path.join(ledgerDir, 'snapshot.json');
+    this.seq = 0;
+    this.entriesSinceSnapshot = 0;
+    this.state = this.emptyState();
+    this.ensureLedgerDirectory();
+  }
+
+  ensureLedgerDirectory() {
+    if (!fs.existsSync(this.ledgerDir)) {
+      fs.mkdirSync(this.ledgerDir, { recursive: true });
+    }
+  }
+
+  emptyState() {
+    return {
+      positions: new Map(),
+      history: [],
+      pendingTrades: new Map()
+    };
+  }
+
+  /**
+   * Load snapshot and replay journal
+   * @returns {Object} { positions: Map, history: Array, pendingTrades: Array }
+   */
+  load() {
+    this.state = this.emptyState();
+    this.seq = 0;
+    this.entriesSinceSnapshot = 0;
+
+    if (fs.existsSync(this.snapshotPath)) {
+      try {
+        const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+        this.seq = snapshot.seq || 0;
+        this.state.positions = new Map(snapshot.positions || []);
+        this.state.history = snapshot.history || [];
+        this.state.pendingTrades = new Map(snapshot.pendingTrades || []);
+      } catch (error) {
+        console.error(`${colors.red}❌ Ledger snapshot unreadable, rebuilding from journal: ${error.message}${colors.reset}`);
+        logToFile(`Ledger snapshot error: ${error.message}`, 'error');
+      }
+    }
+
+    if (fs.existsSync(this.journalPath)) {
+      const content = fs.readFileSync(this.journalPath, 'utf8');
+      // A crash mid-write leaves a torn line after the last newline; cut it off
+      // so the next append starts on a fresh line instead of extending it
+      const complete = content.slice(0, content.lastIndexOf('\n') + 1);
+      if (complete.length < content.length) {
+        logToFile(`Ledger journal: dropped torn final line (${content.length - complete.length} chars)`, 'error');
+        fs.truncateSync(this.journalPath, Buffer.byteLength(complete));
+      }
+
+      complete.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          logToFile(`Ledger journal line ${index + 1} skipped: ${error.message}`, 'error');
+          return;
+        }
+        if (entry.seq <= this.seq) return;
+        this.apply(entry);
+        this.seq = entry.seq;
+        this.entriesSinceSnapshot++;
+      });
+    }
+
+    return {
+      positions: this.state.positions,
+      history: this.state.history,
+      pendingTrades: Array.from(this.state.pendingTrades.values())
+    };
+  }
+
+  /**
+   * Fold a journal entry into the in-memory state
+   */
+  apply(entry) {
+    const { type, data } = entry;
+
+    switch (type) {
+      case 'trade.intent':
+        this.state.pendingTrades.set(data.intentId, data);
+        break;
+      case 'trade.recorded':
+        if (data.intentId) {
+          this.state.pendingTrades.delete(data.intentId);
+        }
+        this.state.history.push(data.trade);
+        break;
+      case 'position.opened':
+        this.state.positions.set(data.positionId, data.position);
+        break;
+      case 'position.updated': {
+        const position = this.state.positions.get(data.positionId);
+        if (position) {
+          this.state.positions.set(data.positionId, { ...position, ...data.changes });
+        }
+        break;
+      }
+      case 'position.closed':
+        this.state.positions.delete(data.positionId);
+        break;
+      case 'trade.abandoned':
+        this.state.pendingTrades.delete(data.intentId);
+        break;
+    }
+  }
+
+  /**
+   * Append an entry to the journal, fsync it, then apply it
+   */
+  append(type, data) {
+    const entry = { seq: this.seq + 1, ts: Date.now(), type, data };
+    const fd = fs.openSync(this.journalPath, 'a');
+    try {
+      fs.writeSync(fd, JSON.stringify(entry) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    this.seq = entry.seq;
+    this.apply(entry);
+    this.entriesSinceSnapshot++;
+
+    if (this.entriesSinceSnapshot >= COMPACT_EVERY) {
+      this.compact();
+    }
+    return entry;
+  }
+
+  /**
+   * Write a snapshot of the current state and truncate the journal
+   */
+  compact() {
+    const snapshot = {
+      seq: this.seq,
+      createdAt: new Date().toISOString(),
+      positions: Array.from(this.state.positions.entries()),
+      history: this.state.history,
+      pendingTrades: Array.from(this.state.pendingTrades.entries())
+    };
+
+    try {
+      // Write-then-rename so a crash never leaves a half-written snapshot
+      const tmpPath = `${this.snapshotPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(snapshot, null, 2));
+      fs.renameSync(tmpPath, this.snapshotPath);
+      fs.writeFileSync(this.journalPath, '');
+      this.entriesSinceSnapshot = 0;
+    } catch (error) {
+      console.error(`${colors.red}❌ Ledger compaction failed: ${error.message}${colors.reset}`);
+      logToFile(`Ledger compaction error: ${error.message}`, 'error');
+    }
+  }
+
+  recordIntent(intentId, tokenAddress, signal) {
+    return this.append('trade.intent', {
+      intentId,
+      tokenAddress,
+      signal,
+      createdAt: Date.now()
+    });
+  }
+
+  recordTrade(trade, intentId = null) {
+    return this.append('trade.recorded', { trade, intentId });
+  }
+
+  abandonIntent(intentId, reason) {
+    return this.append('trade.abandoned', { intentId, reason });
+  }
+
+  openPosition(positionId, position) {
+    return this.append('position.opened', { positionId, position });
+  }
+
+  updatePosition(positionId, changes) {
+    return this.append('position.updated', { positionId, changes });
+  }
+
+  closePosition(positionId, reason) {
+    return this.append('position.closed', { positionId, reason });
+  }
+}
@@ -0,0 +1,308 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import crypto from 'crypto';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { getBatchTokenPrices, getTokenMarketStats, isPriced } from './jupiter-swap.js';
+import { settingsManager } from './settings-manager.js';
+import { notifier } from './notifications.js';
+import { eventBus } from './event-bus.js';
+
+/**
+ * Supported alert conditions. `metric` is the value the threshold is compared to.
+ */
+export const ALERT_CONDITIONS = {
+  above: { label: 'Price above', metric: 'price', unit: '$' },
+  below: { label: 'Price below', metric: 'price', unit: '$' },
+  change_up: { label: 'Price up by', metric: 'change', unit: '%' },
+  change_down: { label: 'Price down by', metric: 'change', unit: '%' },
+  mcap_above: { label: 'Market cap above', metric: 'marketCap', unit: '$' },
+  mcap_below: { label: 'Market cap below', metric: 'marketCap', unit: '$' },
+  volume_above: { label: '24h volume above', metric: 'volume24h', unit: '$' }
+};
+
+/**
+ * Persistent price alerts with a background evaluator.
+ *
+ * Alerts are stored in `data/alerts.json` and survive restarts. While the
+ * evaluator runs it polls prices for every mint with an active alert (market
+ * cap and volume are fetched only for alerts that need them). Monitors can
+ * still push prices in through `checkAlerts(price, tokenAddress)`.
+ * Alerts fire once; triggered alerts stay listed until removed.
+ */
+export class PriceAlerts {
+  constructor(alertsPath = path.join(process.cwd(), 'data', 'alerts.json')) {
+    this.alertsPath = alertsPath;
+    this.alerts = new Map();
+    this.listeners = [];
+    this.checkInterval = null;
+    this.evaluating = false;
+    this.loadAlerts();
+  }
+
+  loadAlerts() {
+    this.alerts.clear();
+    if (!fs.existsSync(this.alertsPath)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.alertsPath, 'utf8'));
+      (stored.alerts || []).forEach(alert => this.alerts.set(alert.id, alert));
+    } catch (error) {
+      console.error(`${colors.red}❌ Could not read price alerts: ${error.message}${colors.reset}`);
+      logToFile(`Price alerts load error: ${error.message}`, 'error');
+    }
+  }
+
+  saveAlerts() {
+    try {
+      fs.mkdirSync(path.dirname(this.alertsPath), { recursive: true });
+      const tmpPath = `${this.alertsPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, alerts: this.getAlerts() }, null, 2));
+      fs.renameSync(tmpPath, this.alertsPath);
+    } catch (error) {
+      console.error(`${colors.red}❌ Could not save price alerts: ${error.message}${colors.reset}`);
+      logToFile(`Price alerts save error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Create an alert
+   * @param {string} tokenAddress - Token mint
+   * @param {number} threshold - Price/market cap/volume in USD, or percent for change_* conditions
+   * @param {string} condition - Key of ALERT_CONDITIONS
+   * @param {string} description - Optional note
+   * @param {number|null} basePrice - Reference price for change_* (defaults to the next observed price)
+   * @returns {string} Alert ID
+   */
+  addAlert(tokenAddress, threshold, condition, description = '', basePrice = null) {
+    if (!ALERT_CONDITIONS[condition]) {
+      throw new Error(`Unknown alert condition: ${condition}`);
+    }
+    const value = parseFloat(threshold);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error('Alert threshold must be a positive number');
+    }
+
+    const id = `${tokenAddress}_${crypto.randomUUID().slice(0, 8)}`;
+    this.alerts.set(id, {
+      id,
+      tokenAddress,
+      condition,
+      threshold: value,
+      basePrice: basePrice > 0 ? basePrice : null,
+      description,
+      createdAt: new Date().toISOString(),
+      triggered: false,
+      triggeredAt: null,
+      lastValue: null
+    });
+    this.saveAlerts();
+    return id;
+  }
+
+  removeAlert(alertId) {
+    const removed = this.alerts.delete(alertId);
+    if (removed) {
+      this.saveAlerts();
+    }
+    return removed;
+  }
+
+  clearAlerts() {
+    this.alerts.clear();
+    this.saveAlerts();
+  }
+
+  getAlerts() {
+    return Array.from(this.alerts.values());
+  }
+
+  getActiveAlerts() {
+    return this.getAlerts().filter(alert => !alert.triggered);
+  }
+
+  /**
+   * Register a callback for triggered alerts: (alert, value) => void
+   */
+  onTrigger(callback) {
+    this.listeners.push(callback);
+  }
+
+  describe(alert) {
+    const condition = ALERT_CONDITIONS[alert.condition] || { label: alert.condition, unit: '' };
+    const threshold = condition.unit === '%' ? `${alert.threshold}%` : `$${alert.threshold.toLocaleString()}`;
+    return `${condition.label} ${threshold}`;
+  }
+
+  /**
+   * Check one alert against the latest market data
+   * @param {Object} market - { price, marketCap, volume24h } (missing fields are skipped)
+   * @returns {number|null} Observed value when the alert fires
+   */
+  evaluateAlert(alert, market) {
+    const { metric } = ALERT_CONDITIONS[alert.condition] || {};
+    if (!metric) return null;
+
+    if (metric === 'change') {
+      if (!(market.price > 0)) return null;
+      if (!alert.basePrice) {
+        // First observation becomes the reference price
+        alert.basePrice = market.price;
+        this.saveAlerts();
+        return null;
+      }
+      const change = ((market.price - alert.basePrice) / alert.basePrice) * 100;
+      alert.lastValue = change;
+      if (alert.condition === 'change_up' && change >= alert.threshold) return change;
+      if (alert.condition === 'change_down' && change <= -alert.threshold) return change;
+      return null;
+    }
+
+    const value = market[metric];
+    if (!(value > 0)) return null;
+    alert.lastValue = value;
+
+    const firesAbove = alert.condition === 'above' || alert.condition.endsWith('_above');
+    if (firesAbove && value >= alert.threshold) return value;
+    if (!firesAbove && value <= alert.threshold) return value;
+    return null;
+  }
+
+  /**
+   * Evaluate alerts for a token with a price supplied by a monitor
+   */
+  async checkAlerts(currentPrice, tokenAddress) {
+    const fired = [];
+    for (const alert of this.getActiveAlerts()) {
+      // Monitors only supply a price; market cap and volume wait for the evaluator
+      const metric = ALERT_CONDITIONS[alert.condition]?.metric;
+      if (alert.tokenAddress !== tokenAddress || (metric !== 'price' && metric !== 'change')) continue;
+
+      const value = this.evaluateAlert(alert, { price: currentPrice });
+      if (value !== null) {
+        this.fire(alert, value);
+        fired.push(alert);
+      }
+    }
+    return fired;
+  }
+
+  /**
+   * Check alerts against every token.metrics.updated event on the bus
+   * @returns {Function} Unsubscribe function
+   */
+  listen() {
+    return eventBus.subscribe('token.metrics.updated', ({ mint, price }) => this.checkAlerts(price, mint));
+  }
+
+  /**
+   * Poll market data for every mint with an active alert
+   * @returns {Promise<Array>} Alerts that fired
+   */
+  async evaluate() {
+    if (this.evaluating) return [];
+    const active = this.getActiveAlerts();
+    if (active.length === 0) return [];
+
+    this.evaluating = true;
+    const fired = [];
+    try {
+      const mints = [...new Set(active.map(alert => alert.tokenAddress))];
+      const prices = await getBatchTokenPrices(mints, true);
+
+      const statsMints = [...new Set(active
+        .filter(alert => ['marketCap', 'volume24h'].includes(ALERT_CONDITIONS[alert.condition]?.metric))
+        .map(alert => alert.tokenAddress))];
+      const stats = {};
+      for (const mint of statsMints) {
+        stats[mint] = await getTokenMarketStats(mint);
+      }
+
+      for (const alert of active) {
+        // checkAlerts may have fired it, or it was removed, while prices loaded
+        if (alert.triggered || this.alerts.get(alert.id) !== alert) continue;
+        const price = prices[alert.tokenAddress];
+        const market = {
+          price: isPriced(price) ? price : stats[alert.tokenAddress]?.price,
+          marketCap: stats[alert.tokenAddress]?.marketCap,
+          volume24h: stats[alert.tokenAddress]?.volume24h
+        };
+        const value = this.evaluateAlert(alert, market);
+        if (value !== null) {
+          this.fire(alert, value);
+          fired.push(alert);
+        }
+      }
+    } catch (error) {
+      logToFile(`Price alert evaluation error: ${error.message}`, 'error');
+    } finally {
+      this.evaluating = false;
+    }
+    return fired;
+  }
+
+  fire(alert, value) {
+    alert.triggered = true;
+    alert.triggeredAt = new Date().toISOString();
+    alert.lastValue = value;
+    this.saveAlerts();
+
+    this.triggerAlert(alert, value);
+    eventBus.publish('alert.triggered', { alert, value });
+    this.listeners.forEach(callback => {
+      try {
+        callback(alert, value);
+      } catch (error) {
+        logToFile(`Price alert listener error: ${error.message}`, 'error');
+      }
+    });
+  }
+
+  triggerAlert(alert, value) {
+    const unit = ALERT_CONDITIONS[alert.condition]?.unit;
+    const observed = unit === '%' ? `${value.toFixed(2)}%` : `$${value}`;
+    console.log(`\n${colors.yellow}🚨 PRICE ALERT TRIGGERED!${colors.reset}`);
+    console.log(`${colors.cyan}Token: ${alert.tokenAddress}${colors.reset}`);
+    console.log(`${colors.yellow}Condition: ${this.describe(alert)}${colors.reset}`);
+    console.log(`${colors.green}Current: ${observed}${colors.reset}`);
+    if (alert.description) {
+      console.log(`${colors.dim}Description: ${alert.description}${colors.reset}`);
+    }
+    console.log('');
+
+    if (settingsManager.get('enableSoundAlerts')) {
+      process.stdout.write('\x07');
+    }
+
+    notifier.notify('alert.triggered', {
+      title: '🚨 Price alert triggered',
+      message: `${alert.tokenAddress}\n${this.describe(alert)} (now ${observed})${alert.description ? `\n${alert.description}` : ''}`,
+      data: { alert, value }
+    });
+  }
+
+  /**
+   * Start the background evaluator
+   * @param {number} intervalSeconds - Poll interval (defaults to the alertCheckInterval setting)
+   */
+  start(intervalSeconds = settingsManager.get('alertCheckInterval')) {
+    this.stop();
+    this.checkInterval = setInterval(() => this.evaluate(), intervalSeconds * 1000);
+    // Never keep the process alive just for alerts
+    this.checkInterval.unref();
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  isRunning() {
+    return this.checkInterval !== null;
+  }
+}
+
+// Export singleton instance
+export const priceAlerts = new PriceAlerts();
@@ -12,11 +12,9 @@ import {
   calculateTokenPnL,
   getPreloadedTokens
 } from './jupiter-swap.js';
-import { SettingsManager } from './settings-manager.js';
+import { settingsManager } from './settings-manager.js';
 import { LAMPORTS_PER_SOL } from '@solana/web3.js';
 
-const settingsManager = new SettingsManager();
-
 export class QuickTrading {
   constructor() {
     this.settings = settingsManager;
@@ -240,7 +238,13 @@ export class QuickTrading {
     }
   }
 
-  async sellSpecificToken(wallet, tokenMint, tokenBalance = null, tokenDecimals = null) {
+  /**
+   * Sell part of a token balance for SOL
+   * @param {Object} options - { percentage, interactive }. With a percentage and
+   *   `interactive: false` nothing is prompted; the swap result is returned and
+   *   failures are thrown to the caller.
+   */
+  async sellSpecificToken(wallet, tokenMint, tokenBalance = null, tokenDecimals = null, { percentage = null, interactive = true } = {}) {
     try {
       // Get token balance if not provided
       if (!tokenBalance) {
@@ -248,6 +252,7 @@ export class QuickTrading {
       }
 
       if (tokenBalance <= 0) {
+        if (!interactive) throw new Error('No balance for this token');
         console.log(`${colors.red}❌ No balance for this token${colors.reset}`);
         return;
       }
@@ -260,49 +265,49 @@ export class QuickTrading {
 
       console.log(`${colors.blue}💰 Token Balance: ${tokenBalance.toLocaleString()}${colors.reset}`);
 
-             // Ask for percentage to sell
-       const { sellPercentage } = await inquirer.prompt([
-         {
-           type: 'list',
-           name: 'sellPercentage',
-           message: 'How much to sell?',
-           choices: [
-             { name: '25%', value: 25 },
-             { name: '50%', value: 50 },
-             { name: '75%', value: 75 },
-             { name: '100%', value: 100 },
-             { name: 'Custom percentage', value: 'custom' },
-             { name: '❌ Cancel', value: 'cancel' }
-           ]
-         }
-       ]);
-
-       if (sellPercentage === 'cancel') {
-         console.log(`${colors.yellow}⚠️ Sell cancelled${colors.reset}`);
-         return;
-       }
-
-      let percentage;
-      
-      if (sellPercentage === 'custom') {
-        const { customPercentage } = await inquirer.prompt([
+      if (percentage === null) {
+        // Ask for percentage to sell
+        const { sellPercentage } = await inquirer.prompt([
           {
-            type: 'input',
-            name: 'customPercentage',
-            message: 'Enter percentage to sell (1-100):',
-            validate: (input) => {
-              const num = parseFloat(input);
-              if (isNaN(num)) return 'Please enter a valid number';
-              if (num <= 0 || num > 100) return 'Percentage must be between 1 and 100';
-              return true;
-            },
-            filter: (input) => parseFloat(input)
+            type: 'list',
+            name: 'sellPercentage',
+            message: 'How much to sell?',
+            choices: [
+              { name: '25%', value: 25 },
+              { name: '50%', value: 50 },
+              { name: '75%', value: 75 },
+              { name: '100%', value: 100 },
+              { name: 'Custom percentage', value: 'custom' },
+              { name: '❌ Cancel', value: 'cancel' }
+            ]
           }
         ]);
-        percentage = customPercentage;
 
-      } else {
-        percentage = sellPercentage;
+        if (sellPercentage === 'cancel') {
+          console.log(`${colors.yellow}⚠️ Sell cancelled${colors.reset}`);
+          return;
+        }
+
+        if (sellPercentage === 'custom') {
+          const { customPercentage } = await inquirer.prompt([
+            {
+              type: 'input',
+              name: 'customPercentage',
+              message: 'Enter percentage to sell (1-100):',
+              validate: (input) => {
+                const num = parseFloat(input);
+                if (isNaN(num)) return 'Please enter a valid number';
+                if (num <= 0 || num > 100) return 'Percentage must be between 1 and 100';
+                return true;
+              },
+              filter: (input) => parseFloat(input)
+            }
+          ]);
+          percentage = customPercentage;
+
+        } else {
+          percentage = sellPercentage;
+        }
       }
 
       // Calculate amount to sell
@@ -332,6 +337,8 @@ export class QuickTrading {
 
       console.log(`${colors.green}✅ Sell completed!${colors.reset}`);
       console.log(`${colors.blue}📝 Transaction: ${result.signature}${colors.reset}`);
+
+      if (!interactive) return result;
       
       // Open DexScreener transaction tracking
       try {
@@ -357,6 +364,7 @@ export class QuickTrading {
       await this.waitForSpaceKey();
 
     } catch (error) {
+      if (!interactive) throw error;
       console.error(`${colors.red}❌ Sell failed: ${error.message}${colors.reset}`);
       console.log(`\n${colors.cyan}Press SPACE to return to main menu...${colors.reset}`);
       await this.waitForSpaceKey();
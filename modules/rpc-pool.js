@@ -0,0 +1,232 @@
+import { Connection } from '@solana/web3.js';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { settingsManager } from './settings-manager.js';
+
+const MAINNET_RPC = 'https://api.mainnet-beta.solana.com';
+// Weight of the newest latency sample in the moving average
+const LATENCY_ALPHA = 0.3;
+// Consecutive failures before an endpoint is benched, and for how long
+const FAILURES_BEFORE_COOLDOWN = 3;
+const COOLDOWN_MS = 30000;
+// Latency assumed for endpoints that have not been measured yet
+const UNMEASURED_LATENCY_MS = 500;
+
+/**
+ * Pool of Solana RPC endpoints with health scoring and failover.
+ *
+ * Read endpoints are the custom RPC (when enabled), `rpcEndpoints`, and
+ * mainnet-beta as a last resort. Send endpoints are `sendRpcEndpoints`, or
+ * the read endpoints when that list is empty. Every request made through a
+ * pooled Connection updates the endpoint's latency average and error rate;
+ * endpoints that fail repeatedly sit out a cooldown. Transactions are
+ * broadcast to the best `broadcastFanout` send endpoints at once.
+ */
+export class RpcPool {
+  constructor() {
+    this.stats = new Map();
+    this.connections = new Map();
+  }
+
+  /**
+   * Configured endpoints for a role, deduplicated, in configuration order
+   * @param {string} role - 'read' or 'send'
+   */
+  getEndpoints(role = 'read') {
+    const read = [
+      ...(settingsManager.get('enableCustomRpc') && settingsManager.get('customRpcEndpoint') ? [settingsManager.get('customRpcEndpoint')] : []),
+      ...(settingsManager.get('rpcEndpoints') || []),
+      MAINNET_RPC
+    ];
+    const send = settingsManager.get('sendRpcEndpoints') || [];
+    return [...new Set(role === 'send' && send.length > 0 ? send : read)];
+  }
+
+  statsFor(url) {
+    if (!this.stats.has(url)) {
+      this.stats.set(url, {
+        requests: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        latencyMs: null,
+        lastError: null,
+        cooldownUntil: 0
+      });
+    }
+    return this.stats.get(url);
+  }
+
+  /**
+   * Record the outcome of one request to an endpoint
+   */
+  record(url, ok, latencyMs, error = null) {
+    const stats = this.statsFor(url);
+    stats.requests++;
+    if (ok) {
+      stats.consecutiveFailures = 0;
+      stats.latencyMs = stats.latencyMs === null ? latencyMs : stats.latencyMs * (1 - LATENCY_ALPHA) + latencyMs * LATENCY_ALPHA;
+      return;
+    }
+
+    stats.failures++;
+    stats.consecutiveFailures++;
+    stats.lastError = error;
+    if (stats.consecutiveFailures >= FAILURES_BEFORE_COOLDOWN) {
+      stats.cooldownUntil = Date.now() + COOLDOWN_MS;
+      logToFile(`RPC ${url} benched for ${COOLDOWN_MS / 1000}s after ${stats.consecutiveFailures} failures: ${error}`, 'error');
+    }
+  }
+
+  /**
+   * Health score, lower is better: latency inflated by the error rate
+   */
+  score(url) {
+    const stats = this.statsFor(url);
+    const errorRate = stats.requests > 0 ? stats.failures / stats.requests : 0;
+    const latency = stats.latencyMs === null ? UNMEASURED_LATENCY_MS : stats.latencyMs;
+    return latency * (1 + 4 * errorRate);
+  }
+
+  isCoolingDown(url) {
+    return this.statsFor(url).cooldownUntil > Date.now();
+  }
+
+  /**
+   * Endpoints for a role, best first; benched endpoints go last
+   */
+  rankEndpoints(role = 'read') {
+    return this.getEndpoints(role)
+      .map((url, index) => ({ url, index, benched: this.isCoolingDown(url), score: this.score(url) }))
+      .sort((a, b) => a.benched - b.benched || a.score - b.score || a.index - b.index)
+      .map(entry => entry.url);
+  }
+
+  getEndpoint(role = 'read') {
+    return this.rankEndpoints(role)[0];
+  }
+
+  /**
+   * fetch() for a Connection that reports every response to the pool
+   */
+  instrumentedFetch(url) {
+    return async (input, init) => {
+      const startedAt = Date.now();
+      try {
+        const response = await fetch(input, init);
+        const ok = response.status < 500 && response.status !== 429;
+        this.record(url, ok, Date.now() - startedAt, ok ? null : `HTTP ${response.status}`);
+        return response;
+      } catch (error) {
+        this.record(url, false, Date.now() - startedAt, error.message);
+        throw error;
+      }
+    };
+  }
+
+  connectionFor(url) {
+    if (!this.connections.has(url)) {
+      this.connections.set(url, new Connection(url, { commitment: 'confirmed', fetch: this.instrumentedFetch(url) }));
+    }
+    return this.connections.get(url);
+  }
+
+  /**
+   * Connection to the healthiest endpoint for a role
+   */
+  getConnection(role = 'read') {
+    return this.connectionFor(this.getEndpoint(role));
+  }
+
+  /**
+   * Run an RPC operation, moving to the next endpoint when it throws
+   * @param {Function} operation - async (connection, url) => result
+   * @param {Object} options - { role, attempts }
+   */
+  async withFailover(operation, { role = 'read', attempts = 3 } = {}) {
+    const endpoints = this.rankEndpoints(role).slice(0, attempts);
+    let lastError;
+    for (const url of endpoints) {
+      try {
+        return await operation(this.connectionFor(url), url);
+      } catch (error) {
+        lastError = error;
+        console.log(`${colors.yellow}⚠️ RPC ${url} failed (${error.message}), trying next endpoint...${colors.reset}`);
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Send a signed transaction through several send endpoints in parallel
+   * @param {Buffer|Uint8Array} rawTransaction - Serialized signed transaction
+   * @param {Object} options - sendRawTransaction options
+   * @returns {Promise<string>} Signature from the first endpoint that accepts it
+   */
+  async broadcastTransaction(rawTransaction, options = {}) {
+    const fanout = settingsManager.get('broadcastFanout');
+    const endpoints = this.rankEndpoints('send').slice(0, fanout);
+
+    const attempts = endpoints.map(url => this.connectionFor(url).sendRawTransaction(rawTransaction, options));
+    try {
+      const signature = await Promise.any(attempts);
+      if (endpoints.length > 1) {
+        console.log(`${colors.dim}📡 Broadcast to ${endpoints.length} RPC endpoints${colors.reset}`);
+      }
+      return signature;
+    } catch (error) {
+      // Every endpoint rejected it; surface the best endpoint's reason
+      throw error.errors?.[0] || error;
+    } finally {
+      // Keep late rejections from surfacing as unhandled
+      attempts.forEach(attempt => attempt.catch(() => {}));
+    }
+  }
+
+  /**
+   * Measure every configured endpoint with getSlot
+   * @returns {Promise<Array>} [{ url, ok, latencyMs, slot, error }]
+   */
+  async probe() {
+    const endpoints = [...new Set([...this.getEndpoints('read'), ...this.getEndpoints('send')])];
+    return Promise.all(endpoints.map(async url => {
+      const startedAt = Date.now();
+      try {
+        const slot = await this.connectionFor(url).getSlot();
+        return { url, ok: true, latencyMs: Date.now() - startedAt, slot };
+      } catch (error) {
+        return { url, ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Clear health stats, e.g. after the endpoint list changes
+   */
+  reset() {
+    this.stats.clear();
+    this.connections.clear();
+  }
+
+  displayStatus() {
+    const roles = { read: this.getEndpoints('read'), send: this.getEndpoints('send') };
+    const best = { read: this.getEndpoint('read'), send: this.getEndpoint('send') };
+    const endpoints = [...new Set([...roles.read, ...roles.send])];
+
+    console.log(`\n${colors.cyan}🌐 RPC Endpoint Pool${colors.reset}`);
+    endpoints.forEach(url => {
+      const stats = this.statsFor(url);
+      const errorRate = stats.requests > 0 ? ((stats.failures / stats.requests) * 100).toFixed(0) : '0';
+      const latency = stats.latencyMs === null ? 'n/a' : `${Math.round(stats.latencyMs)}ms`;
+      const role = [roles.read.includes(url) && 'read', roles.send.includes(url) && 'send'].filter(Boolean).join('/');
+      const marks = [best.read === url && 'best read', best.send === url && 'best send'].filter(Boolean).join(', ');
+      const status = this.isCoolingDown(url) ? `${colors.red}benched${colors.reset}` : `${colors.green}ok${colors.reset}`;
+
+      console.log(`${status} ${url} ${colors.dim}[${role}]${colors.reset}${marks ? ` ${colors.yellow}← ${marks}${colors.reset}` : ''}`);
+      console.log(`   ${colors.dim}latency ${latency} | ${stats.requests} requests | ${errorRate}% errors${stats.lastError ? ` | last error: ${stats.lastError}` : ''}${colors.reset}`);
+    });
+    console.log(`${colors.dim}Transactions broadcast to ${Math.min(settingsManager.get('broadcastFanout'), roles.send.length)} endpoint(s)${colors.reset}`);
+  }
+}
+
+// Export singleton instance
+export const rpcPool = new RpcPool();
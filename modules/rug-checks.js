@@ -0,0 +1,410 @@
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import chalk from 'chalk';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { buildCreatorLaunchesQuery } from '../queries.js';
+import { connectionManager } from './connection-manager.js';
+import { rpcPool } from './rpc-pool.js';
+import { settingsManager } from './settings-manager.js';
+
+const PUMP_FUN_PROGRAM = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+const PUMP_SWAP_PROGRAM = 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA';
+const RAYDIUM_AMM_PROGRAM = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const RAYDIUM_AMM_AUTHORITY = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
+const INCINERATOR = '1nc1nerator11111111111111111111111111111111';
+
+// Account layouts used to find a pool's LP mint
+const PUMP_SWAP_LP_MINT_OFFSET = 107;
+const RAYDIUM_POOL_SIZE = 752;
+const RAYDIUM_BASE_MINT_OFFSET = 400;
+const RAYDIUM_LP_MINT_OFFSET = 464;
+
+// The creation transaction is searched for in at most this many signature
+// pages of 1000; busier mints leave the creator unchecked
+const MAX_SIGNATURE_PAGES = 2;
+const CACHE_MS = 5 * 60 * 1000;
+// Mints whose creator lookup (address or failure) is remembered; a mint's creator never changes
+const CREATOR_CACHE_LIMIT = 1000;
+
+const LP_STATUS_LABELS = {
+  'not-applicable': 'not used',
+  burned: 'burned',
+  wallet: 'held by one wallet',
+  distributed: 'spread across holders',
+  unknown: 'unknown'
+};
+
+/**
+ * Risk points per finding. The risk score is their sum, capped at 100;
+ * checks that could not run add nothing and are listed as unchecked.
+ */
+export const RUG_RISK_POINTS = {
+  mintAuthority: 30,     // Supply can still be inflated
+  freezeAuthority: 30,   // Holders can be frozen, so sells fail
+  top10High: 25,         // Top 10 wallets hold 50%+ of supply
+  top10Medium: 15,       // ... 30%+
+  top10Low: 5,           // ... 20%+
+  creatorHoldsHigh: 15,  // Creator still holds 10%+ of supply
+  creatorHoldsMedium: 8, // ... 5%+
+  serialLauncher: 20,    // Creator launched 10+ other pump.fun tokens
+  repeatLauncher: 10,    // ... 3+
+  creatorEmpty: 5,       // Creator wallet holds under 0.05 SOL
+  lpHeldByWallet: 25     // One wallet holds 50%+ of the LP tokens
+};
+
+/**
+ * Risk level for a 0-100 risk score
+ */
+export function rugRiskLevel(score) {
+  if (score <= 20) return 'LOW';
+  if (score <= 50) return 'MEDIUM';
+  return 'HIGH';
+}
+
+/**
+ * Combine on-chain facts into a risk score (0 = no findings, 100 = worst).
+ * A null fact means the check could not run.
+ * @param {Object} facts - { authorities, top10Share, creator, lp }
+ * @returns {Object} { score, level, warnings, unchecked }
+ */
+export function scoreRugChecks({ authorities = null, top10Share = null, creator = null, lp = null }) {
+  const warnings = [];
+  const unchecked = [];
+  let score = 0;
+  const flag = (points, warning) => {
+    score += points;
+    warnings.push(warning);
+  };
+
+  if (authorities) {
+    if (authorities.mintAuthority) flag(RUG_RISK_POINTS.mintAuthority, '⚠️ Mint authority not revoked');
+    if (authorities.freezeAuthority) flag(RUG_RISK_POINTS.freezeAuthority, '⚠️ Freeze authority not revoked');
+  } else {
+    unchecked.push('authorities');
+  }
+
+  if (top10Share !== null) {
+    const share = `${top10Share.toFixed(1)}%`;
+    if (top10Share >= 50) flag(RUG_RISK_POINTS.top10High, `⚠️ Top 10 wallets hold ${share}`);
+    else if (top10Share >= 30) flag(RUG_RISK_POINTS.top10Medium, `⚠️ Top 10 wallets hold ${share}`);
+    else if (top10Share >= 20) flag(RUG_RISK_POINTS.top10Low, `⚠️ Top 10 wallets hold ${share}`);
+  } else {
+    unchecked.push('holders');
+  }
+
+  if (creator) {
+    if (creator.share !== null) {
+      if (creator.share >= 10) flag(RUG_RISK_POINTS.creatorHoldsHigh, `⚠️ Creator holds ${creator.share.toFixed(1)}% of supply`);
+      else if (creator.share >= 5) flag(RUG_RISK_POINTS.creatorHoldsMedium, `⚠️ Creator holds ${creator.share.toFixed(1)}% of supply`);
+    }
+    if (creator.priorLaunches !== null) {
+      if (creator.priorLaunches >= 10) flag(RUG_RISK_POINTS.serialLauncher, `⚠️ Creator launched ${creator.priorLaunches} other tokens`);
+      else if (creator.priorLaunches >= 3) flag(RUG_RISK_POINTS.repeatLauncher, `⚠️ Creator launched ${creator.priorLaunches} other tokens`);
+    } else {
+      unchecked.push('creator launches');
+    }
+    if (creator.solBalance !== null && creator.solBalance < 0.05) {
+      flag(RUG_RISK_POINTS.creatorEmpty, `⚠️ Creator wallet holds ${creator.solBalance.toFixed(3)} SOL`);
+    }
+  } else {
+    unchecked.push('creator');
+  }
+
+  if (lp && lp.status !== 'unknown') {
+    if (lp.status === 'wallet') {
+      flag(RUG_RISK_POINTS.lpHeldByWallet, `⚠️ ${lp.topHolderShare.toFixed(1)}% of LP tokens held by one wallet`);
+    }
+  } else {
+    unchecked.push('liquidity');
+  }
+
+  score = Math.min(100, score);
+  return { score, level: rugRiskLevel(score), warnings, unchecked };
+}
+
+/**
+ * On-chain rug checks through the RPC pool: mint and freeze authority, top-10
+ * wallet concentration (pool vaults excluded), the creator's balance, holding
+ * and earlier pump.fun launches, and who owns the pool's LP tokens. Results
+ * are cached per mint for five minutes, and each mint's creator for the
+ * session, so repeated checks don't scan its signatures again.
+ */
+export class RugChecker {
+  constructor() {
+    this.cache = new Map();
+    this.pending = new Map();
+    this.creators = new Map();
+  }
+
+  /**
+   * Cached result for a mint, or null when it is missing or expired
+   */
+  getCached(mint) {
+    const cached = this.cache.get(mint);
+    return cached && Date.now() - cached.checkedAt < CACHE_MS ? cached : null;
+  }
+
+  /**
+   * Run every check for a mint
+   * @param {string} mint - Token mint address
+   * @param {Object} options - { force } to bypass the cache
+   * @returns {Promise<Object>} { mint, score, level, warnings, unchecked, authorities, top10Share, pools, creator, lp, checkedAt }
+   */
+  async check(mint, { force = false } = {}) {
+    if (!force) {
+      const cached = this.getCached(mint);
+      if (cached) return cached;
+    }
+    if (!this.pending.has(mint)) {
+      this.pending.set(mint, this.inspect(mint).finally(() => this.pending.delete(mint)));
+    }
+    return this.pending.get(mint);
+  }
+
+  async inspect(mint) {
+    const connection = rpcPool.getConnection();
+    const mintKey = new PublicKey(mint);
+    const attempt = async (label, fn) => {
+      try {
+        return await fn();
+      } catch (error) {
+        logToFile(`Rug check ${label} failed for ${mint}: ${error.message}`, 'error');
+        return null;
+      }
+    };
+
+    const mintInfo = await attempt('mint account', async () => {
+      const account = await connection.getParsedAccountInfo(mintKey);
+      const info = account.value?.data?.parsed?.info;
+      if (!info) throw new Error('not a token mint');
+      return info;
+    });
+    const supply = mintInfo ? Number(mintInfo.supply) : null;
+    const authorities = mintInfo
+      ? { mintAuthority: mintInfo.mintAuthority || null, freezeAuthority: mintInfo.freezeAuthority || null }
+      : null;
+
+    const holders = supply ? await attempt('holders', () => this.inspectHolders(connection, mintKey, supply)) : null;
+    const [creator, lp] = await Promise.all([
+      attempt('creator', () => this.inspectCreator(connection, mintKey, supply)),
+      holders ? attempt('liquidity', () => this.inspectLiquidity(connection, mint, holders.pools)) : null
+    ]);
+
+    const top10Share = holders ? holders.top10Share : null;
+    const result = {
+      mint,
+      ...scoreRugChecks({ authorities, top10Share, creator, lp }),
+      authorities,
+      top10Share,
+      pools: holders ? holders.pools : [],
+      creator,
+      lp,
+      checkedAt: Date.now()
+    };
+    for (const [cachedMint, cached] of this.cache) {
+      if (Date.now() - cached.checkedAt >= CACHE_MS) this.cache.delete(cachedMint);
+    }
+    this.cache.set(mint, result);
+    return result;
+  }
+
+  /**
+   * Split the largest token accounts into pool vaults and wallets, and
+   * measure the share of supply held by the top 10 wallets
+   */
+  async inspectHolders(connection, mintKey, supply) {
+    const largest = (await connection.getTokenLargestAccounts(mintKey)).value;
+    const accounts = (await connection.getMultipleParsedAccounts(largest.map(account => account.address))).value;
+    const owners = accounts.map(account => account?.data?.parsed?.info?.owner || null);
+    const uniqueOwners = [...new Set(owners.filter(Boolean))];
+    const ownerAccounts = await connection.getMultipleAccountsInfo(uniqueOwners.map(owner => new PublicKey(owner)));
+    const ownerPrograms = new Map(uniqueOwners.map((owner, i) => [owner, ownerAccounts[i]?.owner?.toString() || null]));
+
+    const pools = [];
+    const wallets = [];
+    largest.forEach((account, i) => {
+      const amount = Number(account.amount);
+      const owner = owners[i];
+      if (!owner || amount === 0) return;
+      const program = owner === RAYDIUM_AMM_AUTHORITY ? RAYDIUM_AMM_PROGRAM : ownerPrograms.get(owner);
+      if ([PUMP_FUN_PROGRAM, PUMP_SWAP_PROGRAM, RAYDIUM_AMM_PROGRAM].includes(program)) {
+        pools.push({ vault: account.address.toString(), owner, program, share: amount * 100 / supply });
+      } else {
+        wallets.push({ owner, amount });
+      }
+    });
+
+    const top10 = wallets.slice(0, 10).reduce((sum, wallet) => sum + wallet.amount, 0);
+    return { pools, top10Share: top10 * 100 / supply };
+  }
+
+  /**
+   * Find the creator (fee payer of the mint's first transaction), their SOL
+   * balance, share of supply and earlier pump.fun launches
+   */
+  async inspectCreator(connection, mintKey, supply) {
+    const address = await this.findCreator(connection, mintKey);
+    const feePayer = new PublicKey(address);
+
+    const [lamports, tokenAccounts, priorLaunches] = await Promise.all([
+      connection.getBalance(feePayer),
+      connection.getParsedTokenAccountsByOwner(feePayer, { mint: mintKey }),
+      this.countPriorLaunches(address, mintKey.toString())
+    ]);
+    const held = tokenAccounts.value.reduce((sum, account) =>
+      sum + Number(account.account.data.parsed.info.tokenAmount.amount), 0);
+
+    return {
+      address,
+      solBalance: lamports / LAMPORTS_PER_SOL,
+      share: supply ? held * 100 / supply : null,
+      priorLaunches
+    };
+  }
+
+  /**
+   * Fee payer of a mint's first transaction, remembered per mint along with
+   * lookups that failed for good
+   */
+  async findCreator(connection, mintKey) {
+    const mint = mintKey.toString();
+    if (!this.creators.has(mint)) {
+      let creator;
+      try {
+        creator = { address: await this.scanForCreator(connection, mintKey) };
+      } catch (error) {
+        if (!error.permanent) throw error;
+        creator = { error: error.message };
+      }
+      if (this.creators.size >= CREATOR_CACHE_LIMIT) {
+        this.creators.delete(this.creators.keys().next().value);
+      }
+      this.creators.set(mint, creator);
+    }
+    const { address, error } = this.creators.get(mint);
+    if (error) throw new Error(error);
+    return address;
+  }
+
+  async scanForCreator(connection, mintKey) {
+    const permanent = (message) => Object.assign(new Error(message), { permanent: true });
+    let oldest = null;
+    let complete = false;
+    for (let page = 0; page < MAX_SIGNATURE_PAGES && !complete; page++) {
+      const signatures = await connection.getSignaturesForAddress(mintKey, { limit: 1000, before: oldest || undefined });
+      if (signatures.length > 0) oldest = signatures[signatures.length - 1].signature;
+      complete = signatures.length < 1000;
+    }
+    if (!complete) throw permanent('too many transactions to reach the creation');
+    if (!oldest) throw new Error('no transactions found');
+
+    const transaction = await connection.getParsedTransaction(oldest, { maxSupportedTransactionVersion: 0 });
+    const feePayer = transaction?.transaction?.message?.accountKeys?.[0]?.pubkey;
+    if (!feePayer) throw new Error('creation transaction not found');
+    return feePayer.toString();
+  }
+
+  /**
+   * Other pump.fun tokens created by a wallet, from BitQuery; null without an API key
+   */
+  async countPriorLaunches(creator, mint) {
+    if (!connectionManager.apiKey) return null;
+    try {
+      const result = await connectionManager.makeBitqueryRequest(buildCreatorLaunchesQuery({ creator }));
+      const launches = result.data?.Solana?.TokenSupplyUpdates || [];
+      return new Set(launches
+        .map(launch => launch.TokenSupplyUpdate?.Currency?.MintAddress)
+        .filter(address => address && address !== mint)).size;
+    } catch (error) {
+      logToFile(`Creator launch lookup failed for ${creator}: ${error.message}`, 'error');
+      return null;
+    }
+  }
+
+  /**
+   * Who owns the LP tokens of the token's pool. Tokens still on the pump.fun
+   * bonding curve have no LP tokens.
+   * @returns {Object} { venue, lpMint, status, topHolderShare } - status is
+   *   'not-applicable', 'burned', 'wallet', 'distributed' or 'unknown'
+   */
+  async inspectLiquidity(connection, mint, pools) {
+    const pumpSwap = pools.find(pool => pool.program === PUMP_SWAP_PROGRAM);
+    const raydium = pools.find(pool => pool.program === RAYDIUM_AMM_PROGRAM);
+    let venue;
+    let lpMint = null;
+
+    if (pumpSwap) {
+      venue = 'pumpswap';
+      const poolAccount = await connection.getAccountInfo(new PublicKey(pumpSwap.owner));
+      lpMint = new PublicKey(poolAccount.data.subarray(PUMP_SWAP_LP_MINT_OFFSET, PUMP_SWAP_LP_MINT_OFFSET + 32));
+    } else if (raydium) {
+      venue = 'raydium';
+      const poolAccounts = await connection.getProgramAccounts(new PublicKey(RAYDIUM_AMM_PROGRAM), {
+        filters: [{ dataSize: RAYDIUM_POOL_SIZE }, { memcmp: { offset: RAYDIUM_BASE_MINT_OFFSET, bytes: mint } }],
+        dataSlice: { offset: RAYDIUM_LP_MINT_OFFSET, length: 32 }
+      });
+      if (poolAccounts.length > 0) lpMint = new PublicKey(poolAccounts[0].account.data);
+    } else if (pools.some(pool => pool.program === PUMP_FUN_PROGRAM)) {
+      return { venue: 'bonding-curve', lpMint: null, status: 'not-applicable', topHolderShare: null };
+    } else {
+      return { venue: 'unknown', lpMint: null, status: 'unknown', topHolderShare: null };
+    }
+
+    if (!lpMint) return { venue, lpMint: null, status: 'unknown', topHolderShare: null };
+
+    const lpSupply = Number((await connection.getTokenSupply(lpMint)).value.amount);
+    if (lpSupply === 0) {
+      return { venue, lpMint: lpMint.toString(), status: 'burned', topHolderShare: null };
+    }
+    const [top] = (await connection.getTokenLargestAccounts(lpMint)).value;
+    const topAccount = await connection.getParsedAccountInfo(top.address);
+    const topOwner = topAccount.value?.data?.parsed?.info?.owner;
+    const topHolderShare = Number(top.amount) * 100 / lpSupply;
+    const status = topOwner === INCINERATOR ? 'burned' : topHolderShare >= 50 ? 'wallet' : 'distributed';
+    return { venue, lpMint: lpMint.toString(), status, topHolderShare };
+  }
+
+  /**
+   * Check a mint against the buy filter settings
+   * @returns {Promise<Object>} { allowed, result } - result is null when the filter is off
+   */
+  async screenBuy(mint) {
+    if (!settingsManager.get('rugCheckBeforeBuy')) {
+      return { allowed: true, result: null };
+    }
+    const result = await this.check(mint);
+    return { allowed: result.score <= settingsManager.get('maxRugRiskScore'), result };
+  }
+
+  /**
+   * Multi-line summary of a result for the token viewer and buy prompts
+   */
+  format(result) {
+    const levelColor = result.level === 'LOW' ? chalk.green : result.level === 'MEDIUM' ? chalk.yellow : chalk.red;
+    const yesNo = (active) => active ? chalk.red('active') : chalk.green('revoked');
+    const lines = [`${colors.yellow}🛡️ Rug Check:${colors.reset} ${levelColor(`${result.score}/100 ${result.level}`)}`];
+
+    if (result.authorities) {
+      lines.push(`${colors.white}Mint / Freeze Authority:${colors.reset} ${yesNo(result.authorities.mintAuthority)} / ${yesNo(result.authorities.freezeAuthority)}`);
+    }
+    if (result.top10Share !== null) {
+      lines.push(`${colors.white}Top 10 Wallets:${colors.reset} ${result.top10Share.toFixed(1)}% of supply`);
+    }
+    if (result.creator) {
+      const { address, solBalance, share, priorLaunches } = result.creator;
+      lines.push(`${colors.white}Creator:${colors.reset} ${address.slice(0, 4)}...${address.slice(-4)} | ${solBalance.toFixed(3)} SOL | holds ${share === null ? '?' : share.toFixed(1)}% | ${priorLaunches === null ? '?' : priorLaunches} prior launches`);
+    }
+    if (result.lp) {
+      const share = result.lp.topHolderShare === null ? '' : ` (top holder ${result.lp.topHolderShare.toFixed(1)}%)`;
+      lines.push(`${colors.white}Liquidity:${colors.reset} ${result.lp.venue}, LP tokens ${LP_STATUS_LABELS[result.lp.status]}${share}`);
+    }
+    result.warnings.forEach(warning => lines.push(`${colors.red}${warning}${colors.reset}`));
+    if (result.unchecked.length > 0) {
+      lines.push(`${colors.dim}Not checked: ${result.unchecked.join(', ')}${colors.reset}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+// Export singleton instance
+export const rugChecker = new RugChecker();
@@ -0,0 +1,225 @@
+import { PublicKey, LAMPORTS_PER_SOL, VersionedTransaction } from '@solana/web3.js';
+import chalk from 'chalk';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { getBestQuote, getSwapTransaction } from './jupiter-swap.js';
+import { rpcPool } from './rpc-pool.js';
+import { settingsManager } from './settings-manager.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+// Round trips quoted for every token, smallest first
+export const ROUND_TRIP_SIZES_SOL = [0.01, 0.1, 0.5, 1];
+// A holder needs this much SOL to pay for the simulated sell
+const MIN_HOLDER_LAMPORTS = 5000000;
+const CACHE_MS = 2 * 60 * 1000;
+
+/**
+ * Turn quoted round trips into a loss curve and an effective tax.
+ * Price impact is quoted separately, so whatever the smallest trip loses
+ * beyond its buy and sell impact is fees plus transfer tax. Each point's
+ * slippage is its loss minus that tax.
+ * @param {Array} trips - [{ sizeSol, lamportsIn, lamportsOut, buyImpactPct, sellImpactPct, error }], smallest first
+ * @returns {Object} { curve, taxPct } - taxPct is null when no trip could be quoted
+ */
+export function summarizeRoundTrips(trips) {
+  const curve = trips.map(trip => ({
+    ...trip,
+    lossPct: trip.error ? null : (1 - trip.lamportsOut / trip.lamportsIn) * 100,
+    slippagePct: null
+  }));
+  const quoted = curve.filter(point => point.lossPct !== null);
+  if (quoted.length === 0) {
+    return { curve, taxPct: null };
+  }
+
+  const base = quoted[0];
+  const taxPct = Math.max(0, base.lossPct - base.buyImpactPct - base.sellImpactPct);
+  quoted.forEach(point => {
+    point.slippagePct = Math.max(0, point.lossPct - taxPct);
+  });
+  return { curve, taxPct };
+}
+
+/**
+ * Sell-side honeypot detection. Quotes SOL → token → SOL round trips at
+ * several sizes through Jupiter, then builds a real sell for a wallet that
+ * holds the token and runs it through `simulateTransaction`. Results are
+ * cached per mint for two minutes.
+ */
+export class SellabilityAnalyzer {
+  constructor() {
+    this.cache = new Map();
+    this.pending = new Map();
+  }
+
+  getCached(mint) {
+    const cached = this.cache.get(mint);
+    return cached && Date.now() - cached.checkedAt < CACHE_MS ? cached : null;
+  }
+
+  /**
+   * Analyze whether a token can be sold and what a round trip costs
+   * @param {string} mint - Token mint address
+   * @param {Object} options - { force } to bypass the cache
+   * @returns {Promise<Object>} { mint, sellable, honeypot, reasons, taxPct, curve, simulation, checkedAt }
+   */
+  async analyze(mint, { force = false } = {}) {
+    if (!force) {
+      const cached = this.getCached(mint);
+      if (cached) return cached;
+    }
+    if (!this.pending.has(mint)) {
+      this.pending.set(mint, this.inspect(mint).finally(() => this.pending.delete(mint)));
+    }
+    return this.pending.get(mint);
+  }
+
+  async inspect(mint) {
+    const useUltraV2 = settingsManager.get('enableUltraV2') !== false;
+    const trips = [];
+    // Sequential so the quote API isn't hit with a burst
+    for (const sizeSol of ROUND_TRIP_SIZES_SOL) {
+      const lamportsIn = Math.round(sizeSol * LAMPORTS_PER_SOL);
+      try {
+        const buy = await getBestQuote(SOL_MINT, mint, lamportsIn, useUltraV2, null, true);
+        const sell = await getBestQuote(mint, SOL_MINT, buy.outAmount, useUltraV2, null, true);
+        trips.push({
+          sizeSol,
+          lamportsIn,
+          tokensOut: buy.outAmount,
+          lamportsOut: Number(sell.outAmount),
+          buyImpactPct: parseFloat(buy.priceImpactPct) || 0,
+          sellImpactPct: parseFloat(sell.priceImpactPct) || 0,
+          error: null
+        });
+      } catch (error) {
+        trips.push({ sizeSol, lamportsIn, error: error.message });
+      }
+    }
+
+    const { curve, taxPct } = summarizeRoundTrips(trips);
+    const smallest = curve.find(point => point.lossPct !== null);
+    const simulation = smallest
+      ? await this.simulateSell(mint, Number(smallest.tokensOut), useUltraV2)
+      : { ran: false, success: null, holder: null, error: 'no route to quote a sell', logs: [] };
+
+    const reasons = [];
+    if (!smallest) reasons.push('No round trip could be quoted');
+    if (simulation.success === false) reasons.push(`Sell simulation failed: ${simulation.error}`);
+    const maxTax = settingsManager.get('maxRoundTripTaxPct');
+    if (taxPct !== null && taxPct > maxTax) reasons.push(`Round-trip tax ${taxPct.toFixed(1)}% is above ${maxTax}%`);
+
+    const sellable = Boolean(smallest) && simulation.success !== false;
+    const result = {
+      mint,
+      sellable,
+      honeypot: reasons.length > 0,
+      reasons,
+      taxPct,
+      curve,
+      simulation,
+      checkedAt: Date.now()
+    };
+    this.cache.set(mint, result);
+    return result;
+  }
+
+  /**
+   * Simulate selling up to `amount` raw tokens from the largest holder that
+   * is a plain wallet able to pay the fee. Signatures aren't verified and
+   * the blockhash is replaced, so nothing is signed or sent.
+   */
+  async simulateSell(mint, amount, useUltraV2) {
+    try {
+      const connection = rpcPool.getConnection();
+      const largest = (await connection.getTokenLargestAccounts(new PublicKey(mint))).value;
+      const accounts = (await connection.getMultipleParsedAccounts(largest.map(account => account.address))).value;
+      const owners = accounts.map(account => account?.data?.parsed?.info?.owner || null);
+      const ownerInfos = await connection.getMultipleAccountsInfo(owners.map(owner => new PublicKey(owner || SYSTEM_PROGRAM)));
+
+      const index = largest.findIndex((account, i) => owners[i]
+        && Number(account.amount) > 0
+        && ownerInfos[i]?.owner?.toString() === SYSTEM_PROGRAM
+        && ownerInfos[i].lamports >= MIN_HOLDER_LAMPORTS);
+      if (index === -1) {
+        return { ran: false, success: null, holder: null, error: 'no wallet holder to simulate from', logs: [] };
+      }
+
+      const holder = owners[index];
+      const sellAmount = Math.floor(Math.min(amount, Number(largest[index].amount)));
+      const quote = await getBestQuote(mint, SOL_MINT, sellAmount, useUltraV2, null, true);
+      const swapData = await getSwapTransaction(quote, holder, useUltraV2, null, true);
+      const transaction = VersionedTransaction.deserialize(Buffer.from(swapData.swapTransaction, 'base64'));
+      const simulation = await connection.simulateTransaction(transaction, {
+        sigVerify: false,
+        replaceRecentBlockhash: true,
+        commitment: 'confirmed'
+      });
+
+      const { err, logs } = simulation.value;
+      return {
+        ran: true,
+        success: !err,
+        holder,
+        error: err ? JSON.stringify(err) : null,
+        logs: (logs || []).slice(-5)
+      };
+    } catch (error) {
+      logToFile(`Sell simulation failed for ${mint}: ${error.message}`, 'error');
+      return { ran: false, success: null, holder: null, error: error.message, logs: [] };
+    }
+  }
+
+  /**
+   * Check a mint against the auto-buy filter settings
+   * @returns {Promise<Object>} { allowed, result } - result is null when the filter is off
+   */
+  async screenBuy(mint) {
+    if (!settingsManager.get('sellCheckBeforeAutoBuy')) {
+      return { allowed: true, result: null };
+    }
+    const result = await this.analyze(mint);
+    return { allowed: !result.honeypot, result };
+  }
+
+  /**
+   * Multi-line summary of a result for the token check menu
+   */
+  format(result) {
+    const lines = [
+      `${colors.cyan}🧪 Sellability:${colors.reset} ${result.honeypot ? chalk.red('❌ Honeypot suspected') : chalk.green('✅ Sellable')}`,
+      `${colors.white}Round-trip tax:${colors.reset} ${result.taxPct === null ? '?' : `${result.taxPct.toFixed(2)}%`}`,
+      chalk.gray(`${'Size'.padStart(9)} ${'Loss'.padStart(8)} ${'Slippage'.padStart(9)} ${'Buy impact'.padStart(11)} ${'Sell impact'.padStart(12)}`)
+    ];
+    result.curve.forEach(point => {
+      const size = `${point.sizeSol} SOL`.padStart(9);
+      if (point.lossPct === null) {
+        lines.push(`${size} ${chalk.red(`quote failed: ${point.error.slice(0, 80)}`)}`);
+        return;
+      }
+      lines.push([
+        size,
+        `${point.lossPct.toFixed(2)}%`.padStart(8),
+        `${point.slippagePct.toFixed(2)}%`.padStart(9),
+        `${point.buyImpactPct.toFixed(2)}%`.padStart(11),
+        `${point.sellImpactPct.toFixed(2)}%`.padStart(12)
+      ].join(' '));
+    });
+
+    const { simulation } = result;
+    if (simulation.ran) {
+      const holder = `${simulation.holder.slice(0, 4)}...${simulation.holder.slice(-4)}`;
+      lines.push(`${colors.white}Sell simulation:${colors.reset} ${simulation.success
+        ? chalk.green(`✅ passed as holder ${holder}`)
+        : chalk.red(`❌ failed as holder ${holder}: ${simulation.error}`)}`);
+    } else {
+      lines.push(`${colors.white}Sell simulation:${colors.reset} ${chalk.gray(`skipped (${simulation.error})`)}`);
+    }
+    result.reasons.forEach(reason => lines.push(`${colors.red}⚠️ ${reason}${colors.reset}`));
+    return lines.join('\n');
+  }
+}
+
+// Export singleton instance
+export const sellabilityAnalyzer = new SellabilityAnalyzer();
@@ -1,16 +1,31 @@
 import * as fs from 'fs';
 import * as path from 'path';
-import inquirer from 'inquirer';
-import chalk from 'chalk';
-import readline from 'readline';
 import { colors } from '../colors.js';
-import { showLogo } from '../utils.js';
+import {
+  SETTINGS_SCHEMA,
+  SETTINGS_VERSION,
+  SETTINGS_MIGRATIONS,
+  getDefaultSettings,
+  parseSettingValue,
+  validateSetting
+} from './settings-schema.js';
 
+/**
+ * Single source of truth for settings/settings.json.
+ *
+ * Values are read from the file, migrated to the current schema version and
+ * validated, then overridden by environment variables and `--set key=value`
+ * command-line flags (file < env < CLI). Overrides apply to this session only
+ * and are not written back unless the value is changed afterwards.
+ */
 export class SettingsManager {
-  constructor() {
-    this.settingsPath = path.join(process.cwd(), 'settings', 'settings.json');
+  constructor(settingsPath = path.join(process.cwd(), 'settings', 'settings.json')) {
+    this.settingsPath = settingsPath;
+    this.settings = {};
+    this.persisted = {};
+    this.overrides = {};
     this.ensureSettingsDirectory();
-    this.settings = this.loadSettings();
+    this.loadSettings();
   }
 
   ensureSettingsDirectory() {
@@ -20,41 +35,151 @@ export class SettingsManager {
     }
   }
 
+  /**
+   * Load, migrate, validate and apply overrides.
+   * The same settings object is kept across reloads so references stay live.
+   * @returns {Object} Effective settings
+   */
   loadSettings() {
+    let raw = {};
     try {
       if (fs.existsSync(this.settingsPath)) {
-        return JSON.parse(fs.readFileSync(this.settingsPath, 'utf8'));
+        raw = JSON.parse(fs.readFileSync(this.settingsPath, 'utf8'));
       }
     } catch (error) {
       console.error(`${colors.red}Error loading settings: ${error.message}${colors.reset}`);
     }
-    
-    // Default settings
-    return {
-      bitqueryApiKey: process.env.BITQUERY_API_KEY || '',
-      jupiterRealtimeInterval: 1,
-      maxTokensToDisplay: 50,
-      autoRefreshInterval: 5,
-      enableNotifications: true,
-      enableSoundAlerts: false,
-      theme: 'default',
-      language: 'en',
-      // New trading settings
-      customRpcEndpoint: 'https://api.mainnet-beta.solana.com',
-      slippageLimit: 0.5,
-                              priorityFee: 500, // Reduced from 1000 to 500 micro-lamports
-            tipAmount: 0.0001, // Reduced from 0.001 to 0.0001 SOL
-            enableUltraV2: true, // Enable Jupiter Ultra V2 by default
-            enableCustomRpc: false
-    };
+
+    const migrated = this.migrate(raw);
+    const fileSettings = { ...getDefaultSettings(), ...migrated.settings };
+    this.validateAll(fileSettings, 'settings.json');
+    this.persisted = fileSettings;
+
+    this.overrides = this.collectOverrides();
+
+    Object.keys(this.settings).forEach(key => delete this.settings[key]);
+    Object.assign(this.settings, fileSettings, this.overrides);
+
+    if (migrated.changed) {
+      this.saveSettings(true);
+    }
+    return this.settings;
+  }
+
+  /**
+   * Run migrations from the file's version up to SETTINGS_VERSION
+   */
+  migrate(raw) {
+    let version = Number.isInteger(raw.settingsVersion) ? raw.settingsVersion : 0;
+    let settings = raw;
+    const changed = version < SETTINGS_VERSION;
+
+    while (version < SETTINGS_VERSION) {
+      version++;
+      if (SETTINGS_MIGRATIONS[version]) {
+        settings = SETTINGS_MIGRATIONS[version](settings);
+      }
+    }
+
+    return { settings: { ...settings, settingsVersion: SETTINGS_VERSION }, changed };
   }
 
-  saveSettings() {
+  /**
+   * Reset invalid values to their defaults, warning about each one
+   */
+  validateAll(settings, source) {
+    Object.keys(SETTINGS_SCHEMA).forEach(key => {
+      const error = validateSetting(key, settings[key]);
+      if (error) {
+        console.warn(`${colors.yellow}⚠️ Invalid ${key} in ${source} (${error}), using default${colors.reset}`);
+        settings[key] = SETTINGS_SCHEMA[key].default;
+      }
+    });
+    return settings;
+  }
+
+  /**
+   * Gather env-var and CLI overrides, skipping invalid ones
+   */
+  collectOverrides() {
+    const overrides = {};
+
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+      if (field.env && process.env[field.env] !== undefined && process.env[field.env] !== '') {
+        this.applyOverride(overrides, key, process.env[field.env], field.env);
+      }
+    });
+
+    const argv = process.argv.slice(2);
+    argv.forEach((arg, index) => {
+      let assignment = null;
+      if (arg === '--set' && argv[index + 1]) {
+        assignment = argv[index + 1];
+      } else if (arg.startsWith('--set=')) {
+        assignment = arg.slice('--set='.length);
+      }
+      if (!assignment || !assignment.includes('=')) return;
+
+      const separator = assignment.indexOf('=');
+      this.applyOverride(overrides, assignment.slice(0, separator), assignment.slice(separator + 1), '--set');
+    });
+
+    return overrides;
+  }
+
+  applyOverride(overrides, key, rawValue, source) {
+    if (!SETTINGS_SCHEMA[key]) {
+      console.warn(`${colors.yellow}⚠️ Unknown setting '${key}' from ${source} ignored${colors.reset}`);
+      return;
+    }
+    const value = parseSettingValue(key, rawValue);
+    const error = validateSetting(key, value);
+    if (error) {
+      console.warn(`${colors.yellow}⚠️ Ignoring ${source} override: ${error}${colors.reset}`);
+      return;
+    }
+    overrides[key] = value;
+  }
+
+  /**
+   * Whether a setting currently comes from an env var or CLI flag
+   */
+  isOverridden(key) {
+    return Object.prototype.hasOwnProperty.call(this.overrides, key) && this.settings[key] === this.overrides[key];
+  }
+
+  /**
+   * Write settings to disk. Session overrides are replaced by the file's own
+   * value so they never leak into settings.json.
+   * @param {boolean} silent - Skip the confirmation message
+   * @returns {boolean} Whether the file was written
+   */
+  saveSettings(silent = false) {
+    const output = { ...this.settings, settingsVersion: SETTINGS_VERSION };
+    Object.keys(this.overrides).forEach(key => {
+      if (this.isOverridden(key)) {
+        output[key] = this.persisted[key];
+      }
+    });
+
+    for (const key of Object.keys(SETTINGS_SCHEMA)) {
+      const error = validateSetting(key, output[key]);
+      if (error) {
+        console.error(`${colors.red}Settings not saved: ${error}${colors.reset}`);
+        return false;
+      }
+    }
+
     try {
-      fs.writeFileSync(this.settingsPath, JSON.stringify(this.settings, null, 2));
-      console.log(`${colors.green}Settings saved successfully!${colors.reset}`);
+      fs.writeFileSync(this.settingsPath, JSON.stringify(output, null, 2));
+      this.persisted = output;
+      if (!silent) {
+        console.log(`${colors.green}Settings saved successfully!${colors.reset}`);
+      }
+      return true;
     } catch (error) {
       console.error(`${colors.red}Error saving settings: ${error.message}${colors.reset}`);
+      return false;
     }
   }
 
@@ -62,334 +187,22 @@ export class SettingsManager {
     return this.settings[key];
   }
 
-  set(key, value) {
+  /**
+   * Validate and persist a single setting; an invalid value is reported and
+   * never reaches the live settings
+   * @param {boolean} silent - Skip the save confirmation message
+   * @returns {boolean} Whether the value was accepted
+   */
+  set(key, value, silent = false) {
+    const error = validateSetting(key, value);
+    if (error) {
+      console.error(`${colors.red}❌ ${error}${colors.reset}`);
+      return false;
+    }
     this.settings[key] = value;
-    this.saveSettings();
+    return this.saveSettings(silent);
   }
+} 
 
-  async showSettingsMenu() {
-    let exit = false;
-    
-    while (!exit) {
-      console.clear();
-      showLogo();
-      
-      console.log(`${colors.blue}⚙️ Settings${colors.reset}`);
-      console.log(`${colors.dim}Configure application settings${colors.reset}\n`);
-      
-      const { action } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'action',
-          message: 'Select setting to configure:',
-          choices: [
-            { name: '🔑 BitQuery API Key', value: 'bitqueryApiKey' },
-            { name: '🌐 Custom RPC Endpoint', value: 'customRpc' },
-            { name: '📊 Slippage Limit', value: 'slippage' },
-            { name: '⚡ Priority Fee', value: 'priorityFee' },
-            { name: '💸 Tip Amount', value: 'tipAmount' },
-            { name: '🚀 Jupiter Ultra V2', value: 'ultraV2' },
-            { name: '⏱️ Jupiter Realtime Interval', value: 'jupiterInterval' },
-            { name: '📊 Max Tokens to Display', value: 'maxTokens' },
-            { name: '🔄 Auto Refresh Interval', value: 'autoRefresh' },
-            { name: '🔔 Enable Notifications', value: 'notifications' },
-            { name: '🔊 Enable Sound Alerts', value: 'soundAlerts' },
-            { name: '🎨 Theme', value: 'theme' },
-            { name: '🌐 Language', value: 'language' },
-            { name: '📋 View All Settings', value: 'view' },
-            { name: '🔙 Back to Main Menu', value: 'exit' }
-          ]
-        }
-      ]);
-
-      switch (action) {
-        case 'bitqueryApiKey': {
-          const { apiKey } = await inquirer.prompt([
-            {
-              type: 'password',
-              name: 'apiKey',
-              message: 'Enter BitQuery API Key:',
-              default: this.settings.bitqueryApiKey
-            }
-          ]);
-          this.settings.bitqueryApiKey = apiKey;
-          this.saveSettings();
-          console.log(chalk.green('BitQuery API key updated successfully.'));
-          break;
-        }
-        
-        case 'customRpc': {
-          const { rpcEndpoint, enableCustom } = await inquirer.prompt([
-            {
-              type: 'confirm',
-              name: 'enableCustom',
-              message: 'Enable custom RPC endpoint?',
-              default: this.settings.enableCustomRpc
-            },
-            {
-              type: 'input',
-              name: 'rpcEndpoint',
-              message: 'Enter custom RPC endpoint:',
-              default: this.settings.customRpcEndpoint,
-              when: (answers) => answers.enableCustom,
-              validate: (input) => {
-                if (!input.startsWith('http://') && !input.startsWith('https://')) {
-                  return 'RPC endpoint must start with http:// or https://';
-                }
-                return true;
-              }
-            }
-          ]);
-          this.settings.enableCustomRpc = enableCustom;
-          if (enableCustom) {
-            this.settings.customRpcEndpoint = rpcEndpoint;
-          }
-          this.saveSettings();
-          console.log(chalk.green(`Custom RPC ${enableCustom ? 'enabled' : 'disabled'}.`));
-          break;
-        }
-        
-        case 'slippage': {
-          const { slippage } = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'slippage',
-              message: 'Slippage limit (%):',
-              default: this.settings.slippageLimit,
-              validate: (input) => {
-                const num = parseFloat(input);
-                if (isNaN(num)) return 'Please enter a valid number';
-                if (num < 0.1 || num > 50) return 'Slippage must be between 0.1% and 50%';
-                return true;
-              },
-              filter: (input) => parseFloat(input)
-            }
-          ]);
-          this.settings.slippageLimit = slippage;
-          this.saveSettings();
-          console.log(chalk.green(`Slippage limit set to ${slippage}%.`));
-          break;
-        }
-        
-        case 'priorityFee': {
-          const { priorityFee } = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'priorityFee',
-              message: 'Priority fee (micro-lamports):',
-              default: this.settings.priorityFee,
-              validate: (input) => {
-                const num = parseInt(input);
-                if (isNaN(num)) return 'Please enter a valid number';
-                if (num < 0 || num > 1000000) return 'Priority fee must be between 0 and 1,000,000';
-                return true;
-              },
-              filter: (input) => parseInt(input)
-            }
-          ]);
-          this.settings.priorityFee = priorityFee;
-          this.saveSettings();
-          console.log(chalk.green(`Priority fee set to ${priorityFee} micro-lamports.`));
-          break;
-        }
-        
-        case 'tipAmount': {
-          const { tipAmount } = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'tipAmount',
-              message: 'Tip amount (SOL):',
-              default: this.settings.tipAmount,
-              validate: (input) => {
-                const num = parseFloat(input);
-                if (isNaN(num)) return 'Please enter a valid number';
-                if (num < 0 || num > 1) return 'Tip amount must be between 0 and 1 SOL';
-                return true;
-              },
-              filter: (input) => parseFloat(input)
-            }
-          ]);
-          this.settings.tipAmount = tipAmount;
-          this.saveSettings();
-          console.log(chalk.green(`Tip amount set to ${tipAmount} SOL.`));
-          break;
-        }
-        
-        case 'ultraV2': {
-          const { enableUltraV2 } = await inquirer.prompt([
-            {
-              type: 'confirm',
-              name: 'enableUltraV2',
-              message: 'Enable Jupiter Ultra V2 for better transaction success rate?',
-              default: this.settings.enableUltraV2 !== false
-            }
-          ]);
-          this.settings.enableUltraV2 = enableUltraV2;
-          this.saveSettings();
-          console.log(chalk.green(`Jupiter Ultra V2 ${enableUltraV2 ? 'enabled' : 'disabled'}.`));
-          break;
-        }
-        
-        case 'jupiterInterval': {
-          const { interval } = await inquirer.prompt([
-            { 
-              type: 'input', 
-              name: 'interval', 
-              message: 'Jupiter realtime update interval (seconds):', 
-              default: this.settings.jupiterRealtimeInterval, 
-              validate: v => { const num = parseFloat(v); return isNaN(num) ? 'Please enter a valid number' : num >= 0.5 && num <= 30 ? true : 'Interval must be between 0.5 and 30 seconds.'; },
-              filter: v => parseFloat(v)
-            }
-          ]);
-          this.settings.jupiterRealtimeInterval = interval;
-          this.saveSettings();
-          console.log(chalk.green(`Jupiter realtime interval set to ${interval} seconds.`));
-          break;
-        }
-        
-        case 'maxTokens': {
-          const { maxTokens } = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'maxTokens',
-              message: 'Maximum tokens to display:',
-              default: this.settings.maxTokensToDisplay,
-              validate: v => { const num = parseFloat(v); return isNaN(num) ? 'Please enter a valid number' : num >= 10 && num <= 200 ? true : 'Max tokens must be between 10 and 200.'; },
-              filter: v => parseFloat(v)
-            }
-          ]);
-          this.settings.maxTokensToDisplay = maxTokens;
-          this.saveSettings();
-          console.log(chalk.green(`Max tokens set to ${maxTokens}.`));
-          break;
-        }
-        
-        case 'autoRefresh': {
-          const { interval } = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'interval',
-              message: 'Auto refresh interval (seconds):',
-              default: this.settings.autoRefreshInterval,
-              validate: v => { const num = parseFloat(v); return isNaN(num) ? 'Please enter a valid number' : num >= 1 && num <= 60 ? true : 'Interval must be between 1 and 60 seconds.'; },
-              filter: v => parseFloat(v)
-            }
-          ]);
-          this.settings.autoRefreshInterval = interval;
-          this.saveSettings();
-          console.log(chalk.green(`Auto refresh interval set to ${interval} seconds.`));
-          break;
-        }
-        
-        case 'notifications': {
-          const { enabled } = await inquirer.prompt([
-            {
-              type: 'confirm',
-              name: 'enabled',
-              message: 'Enable notifications?',
-              default: this.settings.enableNotifications
-            }
-          ]);
-          this.settings.enableNotifications = enabled;
-          this.saveSettings();
-          console.log(chalk.green(`Notifications ${enabled ? 'enabled' : 'disabled'}.`));
-          break;
-        }
-        
-        case 'soundAlerts': {
-          const { enabled } = await inquirer.prompt([
-            {
-              type: 'confirm',
-              name: 'enabled',
-              message: 'Enable sound alerts?',
-              default: this.settings.enableSoundAlerts
-            }
-          ]);
-          this.settings.enableSoundAlerts = enabled;
-          this.saveSettings();
-          console.log(chalk.green(`Sound alerts ${enabled ? 'enabled' : 'disabled'}.`));
-          break;
-        }
-        
-        case 'theme': {
-          const { theme } = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'theme',
-              message: 'Select theme:',
-              choices: [
-                { name: 'Default', value: 'default' },
-                { name: 'Dark', value: 'dark' },
-                { name: 'Light', value: 'light' },
-                { name: 'Colorful', value: 'colorful' }
-              ],
-              default: this.settings.theme
-            }
-          ]);
-          this.settings.theme = theme;
-          this.saveSettings();
-          console.log(chalk.green(`Theme set to ${theme}.`));
-          break;
-        }
-        
-        case 'language': {
-          const { language } = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'language',
-              message: 'Select language:',
-              choices: [
-                { name: 'English', value: 'en' },
-                { name: 'Spanish', value: 'es' },
-                { name: 'French', value: 'fr' },
-                { name: 'German', value: 'de' },
-                { name: 'Russian', value: 'ru' }
-              ],
-              default: this.settings.language
-            }
-          ]);
-          this.settings.language = language;
-          this.saveSettings();
-          console.log(chalk.green(`Language set to ${language}.`));
-          break;
-        }
-        
-        case 'view': {
-          console.log(`\n${colors.cyan}Current Settings:${colors.reset}`);
-          console.log(`${'─'.repeat(50)}`);
-          Object.entries(this.settings).forEach(([key, value]) => {
-            const displayValue = key.includes('ApiKey') ? '***' : value;
-            console.log(`${colors.cyan}${key}:${colors.reset} ${displayValue}`);
-          });
-          console.log(`\n${colors.yellow}Press Enter to continue...${colors.reset}`);
-          await new Promise(resolve => {
-            const originalRawMode = process.stdin.isRaw;
-            const originalEncoding = process.stdin.encoding;
-            
-            process.stdin.setRawMode(true);
-            process.stdin.resume();
-            process.stdin.setEncoding('utf8');
-            
-            const onData = (data) => {
-              if (data === '\r' || data === '\n') {
-                process.stdin.setRawMode(false);
-                process.stdin.pause();
-                process.stdin.setRawMode(originalRawMode);
-                process.stdin.setEncoding(originalEncoding);
-                process.stdin.removeListener('data', onData);
-                resolve();
-              }
-            };
-            
-            process.stdin.on('data', onData);
-          });
-          break;
-        }
-        
-        case 'exit':
-          exit = true;
-          break;
-      }
-    }
-  }
-} 
\ No newline at end of file
+// Export singleton instance
+export const settingsManager = new SettingsManager();
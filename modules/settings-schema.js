@@ -0,0 +1,163 @@
+/**
+ * Settings schema shared by every module that reads settings/settings.json.
+ *
+ * Each field declares its type, default and allowed range or values, plus the
+ * environment variable that can override it. Bump SETTINGS_VERSION and add a
+ * migration whenever a field is renamed or its meaning changes.
+ */
+
+export const SETTINGS_VERSION = 1;
+
+export const SETTINGS_SCHEMA = {
+  // API keys
+  bitqueryApiKey: { type: 'string', default: '', env: 'BITQUERY_API_KEY', secret: true },
+  birdeyeApiKey: { type: 'string', default: '', env: 'BIRDEYE_API_KEY', secret: true },
+
+  // Display
+  jupiterRealtimeInterval: { type: 'number', default: 1, min: 0.5, max: 30 },
+  maxTokensToDisplay: { type: 'integer', default: 50, min: 10, max: 200 },
+  autoRefreshInterval: { type: 'number', default: 5, min: 1, max: 60 },
+  chartMaxPoints: { type: 'integer', default: 30, min: 1, max: 1000 },
+  coloredOutput: { type: 'boolean', default: true },
+  theme: { type: 'enum', default: 'default', values: ['default', 'dark', 'light', 'colorful'] },
+  language: { type: 'enum', default: 'en', values: ['en', 'es', 'fr', 'de', 'ru'] },
+  enableNotifications: { type: 'boolean', default: true },
+  enableSoundAlerts: { type: 'boolean', default: false },
+  alertCheckInterval: { type: 'number', default: 30, min: 5, max: 3600 },
+  orderCheckInterval: { type: 'number', default: 15, min: 5, max: 3600 },
+  graduationCheckInterval: { type: 'number', default: 15, min: 5, max: 600 },
+  copyTradeCheckInterval: { type: 'number', default: 10, min: 3, max: 600 },
+
+  // Trade viewer: keep pump, cross-market and graduated modes updated over a
+  // BitQuery WebSocket subscription instead of a one-shot snapshot
+  liveStreamEnabled: { type: 'boolean', default: true },
+
+  // Session state
+  activeWallet: { type: 'string', default: null, nullable: true, env: 'PUMPTOOL_WALLET' },
+  lastSelectedMode: { type: 'string', default: 'pump' },
+
+  // RPC
+  customRpcEndpoint: { type: 'url', default: 'https://api.mainnet-beta.solana.com', env: 'PUMPTOOL_RPC_ENDPOINT' },
+  enableCustomRpc: { type: 'boolean', default: false, env: 'PUMPTOOL_ENABLE_CUSTOM_RPC' },
+  rpcEndpoints: { type: 'urlList', default: [], env: 'PUMPTOOL_RPC_ENDPOINTS' },
+  sendRpcEndpoints: { type: 'urlList', default: [], env: 'PUMPTOOL_SEND_RPC_ENDPOINTS' },
+  broadcastFanout: { type: 'integer', default: 3, min: 1, max: 10 },
+
+  // Swaps
+  slippageLimit: { type: 'number', default: 0.5, min: 0.1, max: 50, env: 'PUMPTOOL_SLIPPAGE' },
+  priorityFee: { type: 'integer', default: 500, min: 0, max: 1000000, env: 'PUMPTOOL_PRIORITY_FEE' },
+  tipAmount: { type: 'number', default: 0.0001, min: 0, max: 1, env: 'PUMPTOOL_TIP_AMOUNT' },
+  enableUltraV2: { type: 'boolean', default: true },
+  enableLiteApi: { type: 'boolean', default: true },
+  priorityLevel: { type: 'enum', default: 'high', values: ['low', 'medium', 'high', 'veryHigh'] },
+  defaultRouter: { type: 'enum', default: 'auto', values: ['auto', 'jupiter', 'metis', 'hashflow'] },
+  broadcastMode: { type: 'enum', default: 'priority', values: ['priority', 'jito', 'nozomi', 'standard'] },
+  multiWalletConcurrency: { type: 'integer', default: 3, min: 1, max: 20 },
+
+  // On-chain rug checks: buys of tokens scoring above maxRugRiskScore are blocked
+  rugCheckBeforeBuy: { type: 'boolean', default: true },
+  maxRugRiskScore: { type: 'integer', default: 50, min: 0, max: 100 },
+
+  // Sell-side honeypot check: auto-buys need a sellable token under this round-trip tax
+  sellCheckBeforeAutoBuy: { type: 'boolean', default: true },
+  maxRoundTripTaxPct: { type: 'number', default: 15, min: 0, max: 100 },
+
+  // Trending score: window length, trades fetched per window and component weights
+  trendingWindowMinutes: { type: 'integer', default: 3, min: 1, max: 60 },
+  trendingTradeLimit: { type: 'integer', default: 200, min: 20, max: 1000 },
+  trendingVolumeWeight: { type: 'number', default: 3, min: 0, max: 10 },
+  trendingBuyersWeight: { type: 'number', default: 2, min: 0, max: 10 },
+  trendingBuySellWeight: { type: 'number', default: 2, min: 0, max: 10 },
+  trendingPriceWeight: { type: 'number', default: 3, min: 0, max: 10 }
+};
+
+/**
+ * Migrations keyed by the version they upgrade *to*. Each receives the raw
+ * object read from disk and returns the upgraded object.
+ */
+export const SETTINGS_MIGRATIONS = {
+  // v0 -> v1: files written by the two old loaders (no version field)
+  1: (raw) => {
+    const migrated = { ...raw };
+    // Older menus stored numbers typed at prompts as strings
+    ['slippageLimit', 'priorityFee', 'tipAmount', 'chartMaxPoints', 'jupiterRealtimeInterval',
+      'maxTokensToDisplay', 'autoRefreshInterval'].forEach(key => {
+      if (typeof migrated[key] === 'string' && migrated[key].trim() !== '') {
+        migrated[key] = Number(migrated[key]);
+      }
+    });
+    return migrated;
+  }
+};
+
+/**
+ * Default values for every schema field
+ */
+export function getDefaultSettings() {
+  const defaults = { settingsVersion: SETTINGS_VERSION };
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+    defaults[key] = Array.isArray(field.default) ? [...field.default] : field.default;
+  });
+  return defaults;
+}
+
+/**
+ * Convert a string (env var or CLI flag) to the field's type
+ */
+export function parseSettingValue(key, rawValue) {
+  const field = SETTINGS_SCHEMA[key];
+  if (!field || typeof rawValue !== 'string') return rawValue;
+
+  switch (field.type) {
+    case 'number':
+    case 'integer':
+      return rawValue.trim() === '' ? NaN : Number(rawValue);
+    case 'boolean':
+      if (['true', '1', 'yes', 'on'].includes(rawValue.toLowerCase())) return true;
+      if (['false', '0', 'no', 'off'].includes(rawValue.toLowerCase())) return false;
+      return rawValue;
+    case 'urlList':
+      // Comma-separated
+      return rawValue.split(',').map(url => url.trim()).filter(Boolean);
+    default:
+      return rawValue;
+  }
+}
+
+/**
+ * Validate a single setting
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateSetting(key, value) {
+  const field = SETTINGS_SCHEMA[key];
+  if (!field) return null; // Unknown keys are kept as-is
+
+  if (value === null || value === undefined) {
+    return field.nullable ? null : `${key} is required`;
+  }
+
+  switch (field.type) {
+    case 'string':
+      return typeof value === 'string' ? null : `${key} must be a string`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${key} must be true or false`;
+    case 'enum':
+      return field.values.includes(value) ? null : `${key} must be one of: ${field.values.join(', ')}`;
+    case 'url':
+      return typeof value === 'string' && /^https?:\/\//.test(value) ? null : `${key} must start with http:// or https://`;
+    case 'urlList':
+      if (!Array.isArray(value)) return `${key} must be a list of URLs`;
+      return value.every(url => typeof url === 'string' && /^https?:\/\//.test(url))
+        ? null
+        : `${key} entries must start with http:// or https://`;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number`;
+      if (field.type === 'integer' && !Number.isInteger(value)) return `${key} must be a whole number`;
+      if (field.min !== undefined && value < field.min) return `${key} must be at least ${field.min}`;
+      if (field.max !== undefined && value > field.max) return `${key} must be at most ${field.max}`;
+      return null;
+    default:
+      return null;
+  }
+}
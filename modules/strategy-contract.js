@@ -0,0 +1,97 @@
+/**
+ * The strategy plugin contract, shared by the live StrategyManager and the
+ * Backtester so a plugin behaves the same in both.
+ *
+ * A plugin is a module whose default export has a `name`, optional
+ * `description` and `defaults`, and any of the hooks:
+ * - onTrade(trade, ctx):            each DEXTrades row (see normalizeTrade)
+ * - onTick(ctx):                    every monitoring interval
+ * - onPositionUpdate(update, ctx):  { positionId, position, change } for the strategy's own positions
+ * Hooks return a signal, an array of signals or nothing. A signal is
+ * { type: 'BUY' | 'SELL', tokenAddress, confidence, reason, sizeSol?, positionId? }.
+ * `ctx` is { name, config, state, positions, budget, log } plus whatever the
+ * runner adds (e.g. `ai` helpers).
+ */
+
+export const STRATEGY_HOOKS = ['onTrade', 'onTick', 'onPositionUpdate'];
+
+/**
+ * Config every strategy has on top of its own `defaults`.
+ * - enabled:       run the strategy while AI trading is running
+ * - budgetSol:     SOL the strategy may have in open buys at once
+ * - tradeSizeSol:  SOL per buy unless the signal sets `sizeSol`
+ * - minConfidence: signals below this confidence are dropped
+ */
+export const DEFAULT_STRATEGY_CONFIG = {
+  enabled: false,
+  budgetSol: 0.5,
+  tradeSizeSol: 0.05,
+  minConfidence: 0.6
+};
+
+/**
+ * Flatten a DEXTrades row into the trade passed to `onTrade`.
+ * Returns null for rows without a priced token (e.g. DEXPools rows).
+ */
+export function normalizeTrade(row, mode) {
+  const token = row?.Trade?.Buy;
+  if (!token?.Currency?.MintAddress) return null;
+  return {
+    mint: token.Currency.MintAddress,
+    symbol: token.Currency.Symbol || '?',
+    priceUsd: Number(token.PriceInUSD) || 0,
+    amount: Number(token.Amount) || 0,
+    volumeUsd: Number(row.Trade.Sell?.AmountInUSD) || 0,
+    dex: row.Trade.Dex?.ProtocolName || null,
+    time: row.Block?.Time || null,
+    signature: row.Transaction?.Signature || null,
+    mode,
+    raw: row
+  };
+}
+
+/**
+ * Check a module's default export against the plugin interface
+ * @throws {Error} When the plugin can't be used
+ */
+export function validateStrategy(plugin) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('default export must be a strategy object');
+  }
+  if (typeof plugin.name !== 'string' || !/^[a-z0-9-]+$/.test(plugin.name)) {
+    throw new Error('name must be lowercase letters, digits and dashes');
+  }
+  if (!STRATEGY_HOOKS.some(hook => typeof plugin[hook] === 'function')) {
+    throw new Error(`needs at least one of ${STRATEGY_HOOKS.join(', ')}`);
+  }
+  if (plugin.defaults !== undefined && (typeof plugin.defaults !== 'object' || Array.isArray(plugin.defaults))) {
+    throw new Error('defaults must be an object');
+  }
+}
+
+/**
+ * A plugin's config: shared defaults, then the plugin's, then overrides
+ */
+export function strategyConfig(plugin, overrides = {}) {
+  return { ...DEFAULT_STRATEGY_CONFIG, ...(plugin.defaults || {}), ...overrides };
+}
+
+/**
+ * Signals from a hook's return value
+ */
+export function signalsOf(result) {
+  return (Array.isArray(result) ? result : [result]).filter(Boolean);
+}
+
+/**
+ * Why a signal can't be acted on before sizing, or null when it can
+ */
+export function signalProblem(signal, config) {
+  if (!['BUY', 'SELL'].includes(signal.type) || !signal.tokenAddress) {
+    return 'signal needs a type of BUY or SELL and a tokenAddress';
+  }
+  if (!(signal.confidence >= config.minConfidence)) {
+    return `confidence ${signal.confidence} is below ${config.minConfidence}`;
+  }
+  return null;
+}
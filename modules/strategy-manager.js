@@ -0,0 +1,496 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { buildStreamSubscription } from '../queries.js';
+import { autoTrading } from './auto-trading.js';
+import { BitquerySubscription } from './bitquery-subscription.js';
+import { connectionManager } from './connection-manager.js';
+import { eventBus } from './event-bus.js';
+import { settingsManager } from './settings-manager.js';
+import { Backtester } from './backtester.js';
+import {
+  normalizeTrade,
+  validateStrategy,
+  strategyConfig,
+  signalsOf,
+  signalProblem
+} from './strategy-contract.js';
+
+export { STRATEGY_HOOKS, DEFAULT_STRATEGY_CONFIG, normalizeTrade, validateStrategy } from './strategy-contract.js';
+
+const LAMPORTS_PER_SOL = 1e9;
+// Trade signatures remembered so a trade seen by two streams is handled once
+const SEEN_LIMIT = 5000;
+
+/**
+ * Loads strategy plugins from `strategies/` and runs the enabled ones. The
+ * plugin interface is described in strategy-contract.js; onTrade gets each
+ * trade from the live stream and onTick runs every AI trading monitoring
+ * interval.
+ *
+ * Each strategy runs its hooks one at a time, in event order; different
+ * strategies run concurrently. Buys are sized from the strategy's config
+ * and refused once its open buys would exceed its budget. Sells close the
+ * strategy's own position. Config lives in `data/strategies.json`.
+ */
+export class StrategyManager {
+  constructor({
+    strategiesDir = path.join(process.cwd(), 'strategies'),
+    configPath = path.join(process.cwd(), 'data', 'strategies.json')
+  } = {}) {
+    this.strategiesDir = strategiesDir;
+    this.configPath = configPath;
+    this.strategies = new Map();
+    this.stored = {};
+    this.loaded = false;
+    this.running = false;
+    this.executor = signal => autoTrading.executeTrade(signal, signal.tokenAddress);
+    this.context = {};
+    this.unsubscribers = [];
+    this.subscription = null;
+    this.seen = new Set();
+    this.loadConfig();
+  }
+
+  loadConfig() {
+    if (!fs.existsSync(this.configPath)) return;
+    try {
+      this.stored = JSON.parse(fs.readFileSync(this.configPath, 'utf8')).strategies || {};
+    } catch (error) {
+      console.error(`${colors.red}❌ Could not read strategy config: ${error.message}${colors.reset}`);
+      logToFile(`Strategy config load error: ${error.message}`, 'error');
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.configPath), { recursive: true });
+      const tmpPath = `${this.configPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, strategies: this.stored }, null, 2));
+      fs.renameSync(tmpPath, this.configPath);
+    } catch (error) {
+      console.error(`${colors.red}❌ Could not save strategy config: ${error.message}${colors.reset}`);
+      logToFile(`Strategy config save error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Import every .js file in the strategies directory. A file that fails to
+   * load or doesn't fit the interface is logged and skipped.
+   * @returns {Promise<Array>} Loaded strategy names
+   */
+  async load() {
+    const files = fs.existsSync(this.strategiesDir)
+      ? fs.readdirSync(this.strategiesDir).filter(file => file.endsWith('.js')).sort()
+      : [];
+
+    for (const file of files) {
+      try {
+        const module = await import(pathToFileURL(path.join(this.strategiesDir, file)).href);
+        const plugin = module.default;
+        validateStrategy(plugin);
+        if (this.strategies.has(plugin.name) && this.strategies.get(plugin.name).file !== file) {
+          throw new Error(`name ${plugin.name} is already used by ${this.strategies.get(plugin.name).file}`);
+        }
+        this.strategies.set(plugin.name, {
+          plugin,
+          file,
+          state: this.strategies.get(plugin.name)?.state || {},
+          queue: Promise.resolve(),
+          stats: { signals: 0, executed: 0, failed: 0, skipped: 0, errors: 0, lastError: null },
+          spentLamports: 0,
+          dryRunLamports: 0
+        });
+      } catch (error) {
+        console.error(`${colors.red}❌ Strategy ${file} not loaded: ${error.message}${colors.reset}`);
+        logToFile(`Strategy ${file} not loaded: ${error.message}`, 'error');
+      }
+    }
+    this.loaded = true;
+    return [...this.strategies.keys()];
+  }
+
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Effective config: shared defaults, then the plugin's, then saved values
+   */
+  getConfig(name) {
+    const entry = this.strategies.get(name);
+    if (!entry) throw new Error(`Unknown strategy: ${name}`);
+    return strategyConfig(entry.plugin, this.stored[name]);
+  }
+
+  setConfig(name, changes) {
+    this.getConfig(name);
+    this.stored[name] = { ...(this.stored[name] || {}), ...changes };
+    this.save();
+  }
+
+  setEnabled(name, enabled) {
+    this.setConfig(name, { enabled });
+    console.log(`${colors.green}✅ Strategy ${name} ${enabled ? 'enabled' : 'disabled'}${colors.reset}`);
+  }
+
+  getEnabled() {
+    return [...this.strategies.keys()].filter(name => this.getConfig(name).enabled);
+  }
+
+  /**
+   * Budget use from open positions the strategy owns and buys still in
+   * flight. Dry-run buys never open a position, so they are counted apart
+   * (dryRunLamports) and leave the budget alone.
+   */
+  getBudget(name) {
+    const { budgetSol } = this.getConfig(name);
+    const spentSol = this.strategies.get(name).spentLamports / LAMPORTS_PER_SOL;
+    return { budgetSol, spentSol, availableSol: Math.max(0, budgetSol - spentSol) };
+  }
+
+  getPositions(name) {
+    return [...autoTrading.activePositions.entries()]
+      .filter(([, position]) => position.strategy === name)
+      .map(([positionId, position]) => ({ positionId, ...position }));
+  }
+
+  buildContext(name) {
+    const entry = this.strategies.get(name);
+    return {
+      name,
+      config: this.getConfig(name),
+      state: entry.state,
+      positions: this.getPositions(name),
+      budget: this.getBudget(name),
+      log: message => logToFile(`[strategy ${name}] ${message}`),
+      ...this.context
+    };
+  }
+
+  /**
+   * Start routing events to enabled strategies
+   * @param {Object} options - { executor(signal) => trade result, context } where
+   *   context is merged into every hook's ctx (e.g. AI analysis helpers)
+   */
+  async start({ executor, context } = {}) {
+    await this.ensureLoaded();
+    this.stop();
+    if (executor) this.executor = executor;
+    if (context) this.context = context;
+
+    // Budget already tied up in positions opened by earlier sessions
+    this.strategies.forEach((entry, name) => {
+      entry.spentLamports = this.getPositions(name).reduce((sum, position) => sum + (position.costLamports || 0), 0);
+    });
+
+    this.unsubscribers = [
+      eventBus.subscribe('trade.received', ({ mode, trades }) => this.handleTrades(mode, trades)),
+      eventBus.subscribe('position.updated', update => this.handlePosition(update))
+    ];
+    this.startTradeStream();
+    this.running = true;
+  }
+
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    if (this.subscription) {
+      this.subscription.stop();
+      this.subscription = null;
+    }
+    this.running = false;
+  }
+
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * onTrade strategies get trades from any stream on the bus; without a
+   * viewer open, a pump trade subscription of their own keeps them fed
+   */
+  startTradeStream() {
+    const wantsTrades = this.getEnabled().some(name => typeof this.strategies.get(name).plugin.onTrade === 'function');
+    if (!wantsTrades || !settingsManager.get('liveStreamEnabled')) return;
+
+    if (!connectionManager.apiKey) {
+      logToFile('Strategy trade stream not started: no BitQuery API key', 'error');
+      return;
+    }
+    this.subscription = new BitquerySubscription({
+      query: buildStreamSubscription('pump'),
+      apiKey: connectionManager.apiKey,
+      onData: data => this.handleTrades('pump', data?.Solana?.DEXTrades || [])
+    });
+    this.subscription.start();
+  }
+
+  /**
+   * Queue a hook call for one strategy behind its earlier calls
+   */
+  dispatch(name, hook, ...args) {
+    const entry = this.strategies.get(name);
+    if (typeof entry.plugin[hook] !== 'function') return entry.queue;
+
+    entry.queue = entry.queue.then(async () => {
+      try {
+        const result = await entry.plugin[hook](...args, this.buildContext(name));
+        for (const signal of signalsOf(result)) {
+          await this.handleSignal(name, signal);
+        }
+      } catch (error) {
+        entry.stats.errors++;
+        entry.stats.lastError = `${hook}: ${error.message}`;
+        logToFile(`Strategy ${name} ${hook} failed: ${error.message}`, 'error');
+      }
+    });
+    return entry.queue;
+  }
+
+  /**
+   * Replay recorded DEXTrades through a loaded strategy with its saved config
+   * @param {Object} options - Backtester options; `context` is merged over the live one
+   * @returns {Promise<Object>} Backtest report
+   */
+  async backtest(name, historicalData, { context = {}, ...options } = {}) {
+    await this.ensureLoaded();
+    const entry = this.strategies.get(name);
+    if (!entry) throw new Error(`Unknown strategy: ${name}`);
+    const backtester = new Backtester({ ...options, context: { ...this.context, ...context } });
+    return backtester.run(entry.plugin, historicalData, { config: this.stored[name] || {} });
+  }
+
+  handleTrades(mode, rows) {
+    const trades = rows.map(row => normalizeTrade(row, mode)).filter(trade => {
+      if (!trade) return false;
+      if (!trade.signature) return true;
+      if (this.seen.has(trade.signature)) return false;
+      this.seen.add(trade.signature);
+      if (this.seen.size > SEEN_LIMIT) {
+        this.seen.delete(this.seen.values().next().value);
+      }
+      return true;
+    });
+    if (trades.length === 0) return;
+
+    this.getEnabled().forEach(name => {
+      trades.forEach(trade => this.dispatch(name, 'onTrade', trade));
+    });
+  }
+
+  handlePosition(update) {
+    const name = update.position.strategy;
+    if (!name || !this.strategies.has(name)) return;
+    if (update.change === 'closed') {
+      const entry = this.strategies.get(name);
+      entry.spentLamports = Math.max(0, entry.spentLamports - (update.position.costLamports || 0));
+    }
+    if (this.getConfig(name).enabled) {
+      this.dispatch(name, 'onPositionUpdate', update);
+    }
+  }
+
+  /**
+   * Run onTick for every enabled strategy concurrently
+   */
+  async tick() {
+    await Promise.all(this.getEnabled().map(name => this.dispatch(name, 'onTick')));
+  }
+
+  /**
+   * Size, budget-check and execute one signal from a strategy
+   * @returns {Promise<Object|null>} Trade result, or null when skipped
+   */
+  async handleSignal(name, signal) {
+    const entry = this.strategies.get(name);
+    const config = this.getConfig(name);
+    entry.stats.signals++;
+    const skip = reason => {
+      entry.stats.skipped++;
+      logToFile(`[strategy ${name}] ${signal.type} ${signal.tokenAddress} skipped: ${reason}`);
+      return null;
+    };
+
+    const problem = signalProblem(signal, config);
+    if (problem) {
+      return skip(problem);
+    }
+
+    const order = {
+      type: signal.type,
+      tokenAddress: signal.tokenAddress,
+      confidence: signal.confidence,
+      reason: `[${name}] ${signal.reason || ''}`.trim(),
+      source: `strategy:${name}`,
+      strategy: name
+    };
+
+    let reserved = 0;
+    if (signal.type === 'BUY') {
+      const sizeSol = signal.sizeSol ?? config.tradeSizeSol;
+      const { availableSol } = this.getBudget(name);
+      if (!(sizeSol > 0) || sizeSol > availableSol) {
+        return skip(`${sizeSol} SOL is over the ${availableSol.toFixed(4)} SOL left in its budget`);
+      }
+      reserved = Math.floor(sizeSol * LAMPORTS_PER_SOL);
+      order.sizeSol = sizeSol;
+      entry.spentLamports += reserved;
+    } else {
+      const position = this.getPositions(name).find(open => signal.positionId
+        ? open.positionId === signal.positionId
+        : open.tokenAddress === signal.tokenAddress);
+      if (!position) {
+        return skip('no open position of this strategy to sell');
+      }
+      order.amount = position.amount;
+      order.positionId = position.positionId;
+    }
+
+    let result;
+    try {
+      result = await this.executor(order);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result?.success) {
+      entry.stats.executed++;
+      if (reserved && result.dryRun) {
+        // No position opens, so nothing would ever give the reservation back
+        entry.spentLamports -= reserved;
+        entry.dryRunLamports += reserved;
+      } else if (reserved && Number.isFinite(result.inputAmount)) {
+        // Swap in what a live buy actually cost; closing its position gives that back
+        entry.spentLamports += result.inputAmount - reserved;
+      }
+    } else {
+      entry.stats.failed++;
+      entry.spentLamports -= reserved;
+      if (result?.error) {
+        entry.stats.lastError = result.error;
+      }
+    }
+    return result || null;
+  }
+
+  /**
+   * Print each strategy with its status, budget and counters
+   */
+  display() {
+    console.log(`\n${colors.cyan}🧩 Strategies${colors.reset} ${this.running ? chalk.green('(running)') : chalk.yellow('(stopped)')}`);
+    if (this.strategies.size === 0) {
+      console.log(chalk.gray(`   No strategies found in ${this.strategiesDir}`));
+      return;
+    }
+    this.strategies.forEach((entry, name) => {
+      const config = this.getConfig(name);
+      const budget = this.getBudget(name);
+      const { stats } = entry;
+      console.log(`   ${config.enabled ? chalk.green('●') : chalk.gray('○')} ${name.padEnd(14)} ${chalk.gray(entry.plugin.description || '')}`);
+      const dryRun = entry.dryRunLamports > 0 ? ` | Dry-run buys: ${(entry.dryRunLamports / LAMPORTS_PER_SOL).toFixed(4)} SOL` : '';
+      console.log(`     Budget: ${budget.spentSol.toFixed(4)} / ${budget.budgetSol} SOL${dryRun} | Positions: ${this.getPositions(name).length} | Signals: ${stats.signals} (${stats.executed} executed, ${stats.skipped} skipped, ${stats.failed} failed)`);
+      if (stats.lastError) {
+        console.log(`     ${chalk.red(`Last error: ${stats.lastError}`)}`);
+      }
+    });
+  }
+
+  async showStrategyMenu() {
+    await this.ensureLoaded();
+    let exit = false;
+    while (!exit) {
+      this.display();
+      const names = [...this.strategies.keys()];
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'Strategies:',
+          choices: [
+            { name: '🔀 Enable / Disable Strategy', value: 'toggle', disabled: names.length === 0 ? 'No strategies' : false },
+            { name: '⚙️ Configure Strategy', value: 'configure', disabled: names.length === 0 ? 'No strategies' : false },
+            { name: '🔄 Reload Strategies', value: 'reload' },
+            { name: '🔙 Back', value: 'exit' }
+          ]
+        }
+      ]);
+
+      try {
+        switch (action) {
+          case 'toggle':
+          case 'configure': {
+            const { name } = await inquirer.prompt([
+              {
+                type: 'list',
+                name: 'name',
+                message: 'Strategy:',
+                choices: names.map(strategy => ({ name: `${this.getConfig(strategy).enabled ? '●' : '○'} ${strategy}`, value: strategy }))
+              }
+            ]);
+            if (action === 'toggle') {
+              this.setEnabled(name, !this.getConfig(name).enabled);
+              if (this.running) {
+                // Pick up or drop the trade stream for the new set of strategies
+                await this.start();
+              }
+            } else {
+              await this.promptConfig(name);
+            }
+            break;
+          }
+
+          case 'reload':
+            this.loaded = false;
+            console.log(chalk.green(`Loaded: ${(await this.load()).join(', ') || 'none'}`));
+            break;
+
+          case 'exit':
+            exit = true;
+            break;
+        }
+      } catch (error) {
+        console.log(chalk.red(error.message));
+      }
+    }
+  }
+
+  /**
+   * Prompt for every config value, typed from its current value
+   */
+  async promptConfig(name) {
+    const config = this.getConfig(name);
+    const questions = Object.entries(config)
+      .filter(([key]) => key !== 'enabled')
+      .map(([key, value]) => {
+        if (typeof value === 'boolean') {
+          return { type: 'confirm', name: key, message: `${key}:`, default: value };
+        }
+        if (typeof value === 'number') {
+          return {
+            type: 'input',
+            name: key,
+            message: `${key}:`,
+            default: String(value),
+            filter: parseFloat,
+            validate: input => Number.isFinite(parseFloat(input)) ? true : 'Enter a number'
+          };
+        }
+        if (Array.isArray(value)) {
+          return { type: 'input', name: key, message: `${key} (comma-separated):`, default: value.join(','), filter: input => input.split(',').map(item => item.trim()).filter(Boolean) };
+        }
+        return { type: 'input', name: key, message: `${key}:`, default: value === null ? '' : String(value) };
+      });
+    this.setConfig(name, await inquirer.prompt(questions));
+    console.log(chalk.green(`Config for ${name} saved.`));
+  }
+}
+
+// Export singleton instance
+export const strategyManager = new StrategyManager();
@@ -0,0 +1,437 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { PublicKey } from '@solana/web3.js';
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { connectionManager } from './connection-manager.js';
+
+const CACHE_VERSION = 1;
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SOL = 1e9;
+const SIGNATURE_PAGE_SIZE = 100;
+const TRANSACTION_BATCH_SIZE = 25;
+// Signature pages fetched per call; a refresh that hits this drops older cached swaps to avoid a gap
+const MAX_SIGNATURE_PAGES = 5;
+
+/**
+ * Programs that identify the venue of a swap, checked in order
+ */
+export const SWAP_PROGRAMS = {
+  JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4: 'jupiter',
+  JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB: 'jupiter',
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': 'pump',
+  pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA: 'pump-amm',
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'raydium',
+  CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C: 'raydium',
+  whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc: 'orca',
+  LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo: 'meteora'
+};
+
+const CSV_COLUMNS = ['signature', 'time', 'program', 'side', 'inputMint', 'inputAmount', 'outputMint', 'outputAmount', 'feeSOL', 'price'];
+
+function accountKeysOf(tx) {
+  const message = tx.transaction.message;
+  const staticKeys = (message.staticAccountKeys || message.accountKeys || []).map(key => key.toString());
+  const loaded = tx.meta?.loadedAddresses || {};
+  return [
+    ...staticKeys,
+    ...(loaded.writable || []).map(key => key.toString()),
+    ...(loaded.readonly || []).map(key => key.toString())
+  ];
+}
+
+/**
+ * Net token balance changes for the accounts a wallet owns
+ * @returns {Map<string, {delta: number, decimals: number}>} Keyed by mint, UI amounts
+ */
+function tokenDeltas(meta, owner) {
+  const deltas = new Map();
+  const apply = (balances, sign) => {
+    (balances || []).forEach(balance => {
+      if (balance.owner !== owner) return;
+      const entry = deltas.get(balance.mint) || { delta: 0, decimals: balance.uiTokenAmount.decimals };
+      entry.delta += sign * Number(balance.uiTokenAmount.amount) / Math.pow(10, balance.uiTokenAmount.decimals);
+      deltas.set(balance.mint, entry);
+    });
+  };
+  apply(meta.preTokenBalances, -1);
+  apply(meta.postTokenBalances, 1);
+  return deltas;
+}
+
+/**
+ * Decode a `getTransaction` result into a swap record for a wallet.
+ *
+ * Amounts come from the wallet's pre/post SOL and token balances, so the
+ * record reflects what the wallet actually paid and received (including
+ * account rent), whichever route the swap took. Wrapped SOL counts as SOL.
+ *
+ * @param {Object} tx - Transaction as returned by Connection#getTransaction
+ * @param {string} walletAddress - Wallet the swap is decoded for
+ * @param {string} signature - Signature, when tx does not carry one
+ * @returns {Object|null} Swap record, or null for failed and non-swap transactions
+ */
+export function decodeSwapTransaction(tx, walletAddress, signature = null) {
+  if (!tx?.meta || tx.meta.err) return null;
+
+  const keys = accountKeysOf(tx);
+  const walletIndex = keys.indexOf(walletAddress);
+  if (walletIndex === -1) return null;
+
+  const fee = walletIndex === 0 ? tx.meta.fee : 0;
+  const deltas = tokenDeltas(tx.meta, walletAddress);
+  const wrappedSol = deltas.get(SOL_MINT)?.delta || 0;
+  deltas.delete(SOL_MINT);
+
+  // SOL change before the network fee, so the fee is reported on its own
+  const solDelta = (tx.meta.postBalances[walletIndex] - tx.meta.preBalances[walletIndex] + fee) / LAMPORTS_PER_SOL + wrappedSol;
+
+  const changed = Array.from(deltas.entries()).filter(([, entry]) => Math.abs(entry.delta) > 0);
+  const spent = changed.filter(([, entry]) => entry.delta < 0);
+  const received = changed.filter(([, entry]) => entry.delta > 0);
+
+  let side;
+  let input;
+  let output;
+  if (spent.length === 1 && received.length === 1) {
+    side = 'swap';
+    input = { mint: spent[0][0], amount: -spent[0][1].delta };
+    output = { mint: received[0][0], amount: received[0][1].delta };
+  } else if (spent.length === 0 && received.length === 1 && solDelta < 0) {
+    side = 'buy';
+    input = { mint: SOL_MINT, amount: -solDelta };
+    output = { mint: received[0][0], amount: received[0][1].delta };
+  } else if (spent.length === 1 && received.length === 0 && solDelta > 0) {
+    side = 'sell';
+    input = { mint: spent[0][0], amount: -spent[0][1].delta };
+    output = { mint: SOL_MINT, amount: solDelta };
+  } else {
+    return null;
+  }
+
+  const programKey = keys.find(key => SWAP_PROGRAMS[key]);
+  return {
+    signature: signature || tx.transaction.signatures?.[0] || null,
+    blockTime: tx.blockTime || null,
+    slot: tx.slot,
+    program: programKey ? SWAP_PROGRAMS[programKey] : 'other',
+    side,
+    inputMint: input.mint,
+    inputAmount: input.amount,
+    outputMint: output.mint,
+    outputAmount: output.amount,
+    feeSOL: fee / LAMPORTS_PER_SOL,
+    // SOL per token for buys and sells, input per output for token swaps
+    price: side === 'sell' ? output.amount / input.amount : input.amount / output.amount
+  };
+}
+
+/**
+ * Realized P&L per token in SOL using average cost.
+ *
+ * Only SOL buys and sells are priced; token-to-token swaps are counted but
+ * not valued. Sells of tokens bought before the loaded history are reported
+ * as `unmatchedSold` and excluded from realized P&L.
+ *
+ * @param {Array} records - Swap records in any order
+ * @returns {Array} Per-mint summaries, largest absolute realized P&L first
+ */
+export function calculateRealizedPnL(records) {
+  const tokens = new Map();
+  const summaryFor = (mint) => {
+    if (!tokens.has(mint)) {
+      tokens.set(mint, {
+        mint,
+        buys: 0,
+        sells: 0,
+        swaps: 0,
+        bought: 0,
+        sold: 0,
+        costSOL: 0,
+        proceedsSOL: 0,
+        realizedSOL: 0,
+        openQuantity: 0,
+        openCostSOL: 0,
+        unmatchedSold: 0,
+        feesSOL: 0
+      });
+    }
+    return tokens.get(mint);
+  };
+
+  [...records]
+    .sort((a, b) => (a.blockTime || 0) - (b.blockTime || 0) || (a.slot || 0) - (b.slot || 0))
+    .forEach(record => {
+      if (record.side === 'buy') {
+        const token = summaryFor(record.outputMint);
+        const cost = record.inputAmount + record.feeSOL;
+        token.buys++;
+        token.bought += record.outputAmount;
+        token.costSOL += cost;
+        token.feesSOL += record.feeSOL;
+        token.openQuantity += record.outputAmount;
+        token.openCostSOL += cost;
+      } else if (record.side === 'sell') {
+        const token = summaryFor(record.inputMint);
+        const proceeds = record.outputAmount - record.feeSOL;
+        const matched = Math.min(record.inputAmount, token.openQuantity);
+        token.sells++;
+        token.sold += record.inputAmount;
+        token.proceedsSOL += proceeds;
+        token.feesSOL += record.feeSOL;
+        token.unmatchedSold += record.inputAmount - matched;
+
+        if (matched > 0) {
+          const averageCost = token.openCostSOL / token.openQuantity;
+          const matchedProceeds = proceeds * (matched / record.inputAmount);
+          token.realizedSOL += matchedProceeds - averageCost * matched;
+          token.openCostSOL -= averageCost * matched;
+          token.openQuantity -= matched;
+        }
+      } else {
+        summaryFor(record.inputMint).swaps++;
+        summaryFor(record.outputMint).swaps++;
+      }
+    });
+
+  return Array.from(tokens.values()).sort((a, b) => Math.abs(b.realizedSOL) - Math.abs(a.realizedSOL));
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header line
+ */
+export function toCsv(rows, columns) {
+  return [columns.join(','), ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * Decoded, locally cached swap history per wallet.
+ *
+ * Each wallet's swaps are cached in `data/swap-history/<wallet>.json`
+ * together with the newest and oldest signatures scanned. `refresh()` only
+ * fetches signatures newer than the cache, and `loadOlder()` pages further
+ * back with `before`, so history beyond the first page is fetched on demand.
+ */
+export class SwapHistory {
+  constructor(cacheDir = path.join(process.cwd(), 'data', 'swap-history')) {
+    this.cacheDir = cacheDir;
+    this.caches = new Map();
+  }
+
+  cachePath(walletAddress) {
+    return path.join(this.cacheDir, `${walletAddress}.json`);
+  }
+
+  emptyCache(walletAddress) {
+    return { version: CACHE_VERSION, wallet: walletAddress, newestSignature: null, oldestSignature: null, exhausted: false, records: [] };
+  }
+
+  load(walletAddress) {
+    if (this.caches.has(walletAddress)) {
+      return this.caches.get(walletAddress);
+    }
+
+    let cache = this.emptyCache(walletAddress);
+    const cachePath = this.cachePath(walletAddress);
+    if (fs.existsSync(cachePath)) {
+      try {
+        const stored = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+        if (stored.version === CACHE_VERSION) {
+          cache = stored;
+        }
+      } catch (error) {
+        logToFile(`Swap history cache unreadable for ${walletAddress}: ${error.message}`, 'error');
+      }
+    }
+    this.caches.set(walletAddress, cache);
+    return cache;
+  }
+
+  save(cache) {
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      const cachePath = this.cachePath(cache.wallet);
+      fs.writeFileSync(`${cachePath}.tmp`, JSON.stringify(cache));
+      fs.renameSync(`${cachePath}.tmp`, cachePath);
+    } catch (error) {
+      logToFile(`Swap history cache save error: ${error.message}`, 'error');
+    }
+  }
+
+  clear(walletAddress) {
+    this.caches.delete(walletAddress);
+    fs.rmSync(this.cachePath(walletAddress), { force: true });
+  }
+
+  /**
+   * Fetch and decode transactions for signatures, in batches
+   */
+  async decodeSignatures(connection, walletAddress, signatures) {
+    const records = [];
+    for (let i = 0; i < signatures.length; i += TRANSACTION_BATCH_SIZE) {
+      const batch = signatures.slice(i, i + TRANSACTION_BATCH_SIZE).filter(sig => !sig.err);
+      if (batch.length === 0) continue;
+
+      const transactions = await connection.getTransactions(batch.map(sig => sig.signature), {
+        maxSupportedTransactionVersion: 0
+      });
+      transactions.forEach((tx, index) => {
+        try {
+          const record = decodeSwapTransaction(tx, walletAddress, batch[index].signature);
+          if (record) records.push(record);
+        } catch (error) {
+          logToFile(`Swap decode error for ${batch[index].signature}: ${error.message}`, 'error');
+        }
+      });
+    }
+    return records;
+  }
+
+  /**
+   * Add swaps newer than the cache
+   * @returns {Promise<number>} Number of new swaps
+   */
+  async refresh(walletAddress) {
+    const cache = this.load(walletAddress);
+    const connection = await connectionManager.getOptimizedConnection();
+    const owner = new PublicKey(walletAddress);
+
+    const signatures = [];
+    let before;
+    let pages = 0;
+    let reachedCache = !cache.newestSignature;
+    while (pages < MAX_SIGNATURE_PAGES) {
+      const page = await connection.getSignaturesForAddress(owner, {
+        limit: SIGNATURE_PAGE_SIZE,
+        before,
+        until: cache.newestSignature || undefined
+      });
+      signatures.push(...page);
+      pages++;
+      if (page.length < SIGNATURE_PAGE_SIZE) {
+        reachedCache = true;
+        break;
+      }
+      // Without a cache the first page is enough; older pages load on demand
+      if (!cache.newestSignature) break;
+      before = page[page.length - 1].signature;
+    }
+
+    if (signatures.length === 0) {
+      if (!cache.newestSignature) {
+        cache.exhausted = true;
+        this.save(cache);
+      }
+      return 0;
+    }
+
+    const records = await this.decodeSignatures(connection, walletAddress, signatures);
+    if (!reachedCache) {
+      // Too many new transactions to bridge to the cache: start over from these
+      console.log(`${colors.yellow}⚠️ Swap history cache is too far behind; reloading from the latest transactions${colors.reset}`);
+      Object.assign(cache, this.emptyCache(walletAddress));
+    }
+
+    cache.records = [...records, ...cache.records];
+    cache.newestSignature = signatures[0].signature;
+    if (!cache.oldestSignature) {
+      cache.oldestSignature = signatures[signatures.length - 1].signature;
+      cache.exhausted = signatures.length < SIGNATURE_PAGE_SIZE;
+    }
+    this.save(cache);
+    return records.length;
+  }
+
+  /**
+   * Page further back than the oldest scanned signature
+   * @returns {Promise<number>} Number of older swaps found
+   */
+  async loadOlder(walletAddress, limit = SIGNATURE_PAGE_SIZE) {
+    const cache = this.load(walletAddress);
+    if (cache.exhausted) return 0;
+    if (!cache.oldestSignature) {
+      return this.refresh(walletAddress);
+    }
+
+    const connection = await connectionManager.getOptimizedConnection();
+    const signatures = await connection.getSignaturesForAddress(new PublicKey(walletAddress), {
+      limit,
+      before: cache.oldestSignature
+    });
+    const records = await this.decodeSignatures(connection, walletAddress, signatures);
+
+    cache.records.push(...records);
+    if (signatures.length > 0) {
+      cache.oldestSignature = signatures[signatures.length - 1].signature;
+    }
+    cache.exhausted = signatures.length < limit;
+    this.save(cache);
+    return records.length;
+  }
+
+  /**
+   * Swaps newest first, loading older history until the page is filled
+   * @param {string} walletAddress - Wallet public key
+   * @param {Object} options - { offset, limit, refresh }
+   * @returns {Promise<Object>} { records, hasMore }
+   */
+  async getRecords(walletAddress, { offset = 0, limit = 10, refresh = true } = {}) {
+    if (refresh) {
+      await this.refresh(walletAddress);
+    }
+    const cache = this.load(walletAddress);
+    for (let pages = 0; pages < MAX_SIGNATURE_PAGES && cache.records.length < offset + limit && !cache.exhausted; pages++) {
+      await this.loadOlder(walletAddress);
+    }
+    return {
+      records: cache.records.slice(offset, offset + limit),
+      hasMore: cache.records.length > offset + limit || !cache.exhausted
+    };
+  }
+
+  /**
+   * Every cached swap for a wallet, newest first
+   */
+  getCachedRecords(walletAddress) {
+    return this.load(walletAddress).records;
+  }
+
+  getRealizedPnL(walletAddress) {
+    return calculateRealizedPnL(this.getCachedRecords(walletAddress));
+  }
+
+  /**
+   * Write cached swaps or the P&L summary to a file
+   * @param {string} walletAddress - Wallet public key
+   * @param {Object} options - { format: 'csv'|'json', report: 'swaps'|'pnl', filePath }
+   * @returns {string} Path written
+   */
+  exportHistory(walletAddress, { format = 'csv', report = 'swaps', filePath = null } = {}) {
+    const records = this.getCachedRecords(walletAddress);
+    const rows = report === 'pnl'
+      ? calculateRealizedPnL(records)
+      : records.map(record => ({ ...record, time: record.blockTime ? new Date(record.blockTime * 1000).toISOString() : '' }));
+
+    const target = filePath || path.join(
+      process.cwd(), 'data', 'exports',
+      `${report}-${walletAddress.slice(0, 8)}-${new Date().toISOString().slice(0, 10)}.${format}`
+    );
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+
+    if (format === 'json') {
+      fs.writeFileSync(target, JSON.stringify({ wallet: walletAddress, exportedAt: new Date().toISOString(), [report]: rows }, null, 2));
+    } else {
+      const columns = report === 'pnl' ? Object.keys(rows[0] || { mint: '' }) : CSV_COLUMNS;
+      fs.writeFileSync(target, toCsv(rows, columns));
+    }
+    return target;
+  }
+}
+
+// Export singleton instance
+export const swapHistory = new SwapHistory();
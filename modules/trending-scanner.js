@@ -0,0 +1,72 @@
+import { colors } from '../colors.js';
+import { logToFile } from '../logger.js';
+import { buildTrendingGainersQuery } from '../queries.js';
+import { connectionManager } from './connection-manager.js';
+import { trendingOptimizer } from './performance-optimizer.js';
+import { settingsManager } from './settings-manager.js';
+
+/**
+ * Fetches live DEX trades from BitQuery and ranks tokens with the trending
+ * score from `TrendingPerformanceOptimizer`. Used by the AI token scanner and
+ * the GMGN trend monitor in place of hardcoded token lists.
+ */
+export class TrendingScanner {
+  /**
+   * Query the recent and previous windows and score every token traded in them
+   * @param {Object} options - { windowMinutes, tradeLimit, limit, rankBy }
+   * @returns {Promise<Array>} Scored entries ({ mintAddress, token, recentTrade, metrics }), best first
+   */
+  async scan({
+    windowMinutes = settingsManager.get('trendingWindowMinutes'),
+    tradeLimit = settingsManager.get('trendingTradeLimit'),
+    limit = 10,
+    rankBy = 'score'
+  } = {}) {
+    const result = await connectionManager.makeBitqueryRequest(
+      buildTrendingGainersQuery({ windowMinutes, limit: tradeLimit })
+    );
+    const recentTrades = result.data?.Solana?.recentTrades || [];
+    const previousTrades = result.data?.Solana?.previousTrades || [];
+    return trendingOptimizer.processTrendingTokensOptimized(recentTrades, previousTrades, { windowMinutes, limit, rankBy });
+  }
+
+  /**
+   * Flatten a scored entry into the token shape used by the scanners
+   */
+  toToken(entry) {
+    const { metrics, token } = entry;
+    return {
+      address: entry.mintAddress,
+      name: token.Name || token.Symbol || 'Unknown',
+      symbol: token.Symbol || 'UNKNOWN',
+      price: metrics.currentPrice,
+      priceChange: metrics.priceChange,
+      volume: metrics.recentVolume,
+      volumeChange: metrics.volumeChange,
+      uniqueBuyers: metrics.uniqueBuyers,
+      buySellRatio: metrics.buySellRatio,
+      marketCap: metrics.jupiter?.marketCap || null,
+      windowMinutes: metrics.windowMinutes,
+      trendScore: metrics.score
+    };
+  }
+
+  /**
+   * Top trending tokens, or an empty list when BitQuery can't be reached
+   * @param {number} limit - Tokens to return
+   * @param {string} sortBy - 'score' or 'volume'
+   */
+  async getTrendingTokens(limit = 10, sortBy = 'score') {
+    try {
+      const entries = await this.scan({ limit, rankBy: sortBy === 'volume' ? 'recentVolume' : 'score' });
+      return entries.map(entry => this.toToken(entry));
+    } catch (error) {
+      console.error(`${colors.red}Error fetching trending tokens: ${error.message}${colors.reset}`);
+      logToFile(`Trending scan failed: ${error.message}`, 'error');
+      return [];
+    }
+  }
+}
+
+// Export singleton instance
+export const trendingScanner = new TrendingScanner();
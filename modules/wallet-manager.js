@@ -6,6 +6,7 @@ import inquirer from 'inquirer';
 import readline from 'readline';
 import { colors } from '../colors.js';
 import { showLogo } from '../utils.js';
+import { keystore } from './keystore.js';
 
 export class WalletManager {
   constructor() {
@@ -29,23 +30,22 @@ export class WalletManager {
     return path.join(this.walletsDir, `${name}.json`);
   }
 
+  // Unlock the keystore once per session
+  async unlock() {
+    return keystore.unlockInteractive(this.walletsDir);
+  }
+
   saveWallet(name, keypair) {
     const walletPath = this.getWalletPath(name);
-    const walletData = {
-      name,
-      publicKey: keypair.publicKey.toString(),
-      secretKey: bs58.encode(keypair.secretKey),
-      createdAt: new Date().toISOString()
-    };
-    fs.writeFileSync(walletPath, JSON.stringify(walletData, null, 2));
+    const walletData = keystore.sealWallet(name, keypair);
+    fs.writeFileSync(walletPath, JSON.stringify(walletData, null, 2), { mode: 0o600 });
   }
 
   loadWallet(name) {
     try {
       const walletPath = this.getWalletPath(name);
       const walletData = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
-      const secretKey = bs58.decode(walletData.secretKey);
-      return Keypair.fromSecretKey(secretKey);
+      return keystore.openWallet(walletData);
     } catch (error) {
       console.error(`${colors.red}Error loading wallet: ${error.message}${colors.reset}`);
       return null;
@@ -79,6 +79,11 @@ export class WalletManager {
   }
 
   async createWallet() {
+    if (!await this.unlock()) {
+      console.log(`${colors.red}❌ Wallet keystore is locked${colors.reset}`);
+      return null;
+    }
+
     const { walletName } = await inquirer.prompt([
       {
         type: 'input',
@@ -102,6 +107,7 @@ export class WalletManager {
   }
 
   async selectWallet() {
+    await this.unlock();
     const wallets = this.getWalletFiles();
     if (wallets.length === 0) {
       console.log(`${colors.yellow}No wallets available. Create one first.${colors.reset}`);
@@ -130,6 +136,7 @@ export class WalletManager {
   }
 
   async exportWallet() {
+    await this.unlock();
     const wallets = this.getWalletFiles();
     if (wallets.length === 0) {
       console.log(`${colors.yellow}No wallets to export.${colors.reset}`);
@@ -156,6 +163,7 @@ export class WalletManager {
   }
 
   async checkBalance() {
+    await this.unlock();
     const wallets = this.getWalletFiles();
     if (wallets.length === 0) {
       console.log(`${colors.yellow}No wallets available.${colors.reset}`);
@@ -179,6 +187,24 @@ export class WalletManager {
     }
   }
 
+  async migrateWallets() {
+    const plaintextCount = keystore.countPlaintextWallets(this.walletsDir);
+    if (plaintextCount === 0) {
+      console.log(`${colors.green}✅ All wallets are already encrypted${colors.reset}`);
+      return 0;
+    }
+
+    console.log(`${colors.yellow}⚠️ ${plaintextCount} wallet(s) store their private key in plaintext${colors.reset}`);
+    if (!await this.unlock()) {
+      console.log(`${colors.red}❌ Wallet keystore is locked${colors.reset}`);
+      return 0;
+    }
+
+    const migrated = keystore.migratePlaintextWallets(this.walletsDir);
+    console.log(`${colors.green}✅ Encrypted ${migrated} wallet(s)${colors.reset}`);
+    return migrated;
+  }
+
   async walletManagerMenu() {
     let exit = false;
     
@@ -200,6 +226,7 @@ export class WalletManager {
             { name: '🔍 Select Wallet', value: 'select' },
             { name: '📤 Export Wallet', value: 'export' },
             { name: '💰 Check Balance', value: 'balance' },
+            { name: '🔐 Encrypt Plaintext Wallets', value: 'migrate' },
             { name: '🔙 Back to Main Menu', value: 'exit' }
           ]
         }
@@ -336,6 +363,32 @@ export class WalletManager {
           });
           break;
           
+        case 'migrate':
+          await this.migrateWallets();
+          console.log(`\n${colors.yellow}Press Enter to continue...${colors.reset}`);
+          await new Promise(resolve => {
+            const originalRawMode = process.stdin.isRaw;
+            const originalEncoding = process.stdin.encoding;
+            
+            process.stdin.setRawMode(true);
+            process.stdin.resume();
+            process.stdin.setEncoding('utf8');
+            
+            const onData = (data) => {
+              if (data === '\r' || data === '\n') {
+                process.stdin.setRawMode(false);
+                process.stdin.pause();
+                process.stdin.setRawMode(originalRawMode);
+                process.stdin.setEncoding(originalEncoding);
+                process.stdin.removeListener('data', onData);
+                resolve();
+              }
+            };
+            
+            process.stdin.on('data', onData);
+          });
+          break;
+          
         case 'exit':
           exit = true;
           break;
@@ -66,7 +66,7 @@ export async function runPerformanceTest() {
       console.log(`\n${colors.cyan}🏆 Top Token:${colors.reset}`);
       const topToken = result[0];
       console.log(`   Symbol: ${topToken.token.Symbol}`);
-      console.log(`   Momentum: ${topToken.metrics.momentum.toFixed(2)}%`);
+      console.log(`   Score: ${topToken.metrics.score.toFixed(1)}`);
       console.log(`   Price Change: ${topToken.metrics.priceChange.toFixed(2)}%`);
       console.log(`   Volume Change: ${topToken.metrics.volumeChange.toFixed(2)}%`);
     }
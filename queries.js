@@ -54,6 +54,144 @@ const pumpTradesQuery = {
   variables: { }
 };
 
+// Trades signed by a watchlist of trader wallets, oldest first, for copy
+// trading. Both sides carry the account so the trader's side can be told apart.
+function buildTraderTradesQuery({ traders, minutesAgo = 10, limit = 100 }) {
+  return {
+    query: `{
+    Solana {
+      DEXTrades(
+        limit: {count: ${limit}}
+        orderBy: {ascending: Block_Time}
+        where: {
+          Transaction: {Signer: {in: ${JSON.stringify(traders)}}, Result: {Success: true}}
+          Block: {Time: {since_relative: {minutes_ago: ${minutesAgo}}}}
+        }
+      ) {
+        Trade {
+          Buy {
+            Currency {
+              Name
+              Symbol
+              MintAddress
+              Decimals
+            }
+            Account {
+              Address
+            }
+            Amount
+            AmountInUSD
+            PriceInUSD
+          }
+          Sell {
+            Currency {
+              Name
+              Symbol
+              MintAddress
+              Decimals
+            }
+            Account {
+              Address
+            }
+            Amount
+            AmountInUSD
+            PriceInUSD
+          }
+          Dex {
+            ProtocolName
+          }
+        }
+        Block {
+          Time
+        }
+        Transaction {
+          Signature
+          Signer
+        }
+      }
+    }
+  }`,
+    variables: { }
+  };
+}
+
+// pump.fun tokens created by one wallet, newest first, for the creator
+// history rug check
+function buildCreatorLaunchesQuery({ creator, limit = 50 }) {
+  return {
+    query: `{
+    Solana {
+      TokenSupplyUpdates(
+        limit: {count: ${limit}}
+        orderBy: {descending: Block_Time}
+        where: {
+          Instruction: {Program: {Address: {is: "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P"}, Method: {is: "create"}}}
+          Transaction: {Signer: {is: ${JSON.stringify(creator)}}}
+        }
+      ) {
+        Block {
+          Time
+        }
+        TokenSupplyUpdate {
+          Currency {
+            Name
+            Symbol
+            MintAddress
+          }
+        }
+      }
+    }
+  }`,
+    variables: { }
+  };
+}
+
+// Trades of one token since a time, from the token's side: Side.Type says
+// whether the token was bought or sold and Transaction.Signer is the wallet.
+// Oldest first unless `newestFirst`, which takes the latest `limit` trades.
+function buildTokenTradesQuery({ mint, since, limit = 1000, newestFirst = false }) {
+  return {
+    query: `{
+    Solana {
+      DEXTradeByTokens(
+        limit: {count: ${limit}}
+        orderBy: {${newestFirst ? 'descending' : 'ascending'}: Block_Time}
+        where: {
+          Trade: {Currency: {MintAddress: {is: ${JSON.stringify(mint)}}}, PriceInUSD: {gt: 0}}
+          Transaction: {Result: {Success: true}}
+          Block: {Time: {since: ${JSON.stringify(since)}}}
+        }
+      ) {
+        Trade {
+          Currency {
+            Symbol
+            MintAddress
+          }
+          Amount
+          AmountInUSD
+          PriceInUSD
+          Side {
+            Type
+            AmountInUSD
+            Currency {
+              MintAddress
+            }
+          }
+        }
+        Block {
+          Time
+        }
+        Transaction {
+          Signature
+          Signer
+        }
+      }
+    }
+  }`,
+    variables: { }
+  };
+}
+
 // Pumpfun CrossMarket Query - Simplified to ensure compatibility
 const pumpfunCrossMarketQuery = {
   query: `{
@@ -241,7 +379,7 @@ const graduatedQuery = {
       }
     ) {
       Bonding_Curve_Progress_percentage: calculate(
-        expression: "((($Pool_Base_Balance - 206900000) * 100) / (793100000 - 206900000))"
+        expression: "100 - ((($Pool_Base_Balance - 206900000) * 100) / 793100000)"
       )
       Pool {
         Market {
@@ -278,6 +416,65 @@ const graduatedQuery = {
   }
 };
 
+// Bonding curve samples for the graduation tracker. `candidates` are pump.fun
+// curves traded in the last `minutesAgo` minutes that have not completed,
+// closest to graduation first. `tracked` re-reads mints already being tracked
+// without the balance filter so completed curves are seen too.
+function buildBondingCurveQuery({ minutesAgo = 5, limit = 50, trackedMints = [] } = {}) {
+  const pool = (poolFilter, extraFilter, count) => `DEXPools(
+      limitBy: { by: Pool_Market_BaseCurrency_MintAddress, count: 1 }
+      limit: { count: ${count} }
+      orderBy: { ascending: Pool_Base_PostAmount }
+      where: {
+        Pool: {
+          ${poolFilter}
+          Dex: { ProgramAddress: { is: "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P" } }
+        }
+        ${extraFilter}
+        Transaction: { Result: { Success: true } }
+      }
+    ) {
+      Pool {
+        Market {
+          BaseCurrency {
+            MintAddress
+            Name
+            Symbol
+          }
+          MarketAddress
+        }
+        Base {
+          Balance: PostAmount(maximum: Block_Time)
+        }
+        Quote {
+          PostAmountInUSD(maximum: Block_Time)
+        }
+      }
+      Block {
+        Time(maximum: Block_Time)
+      }
+    }`;
+
+  const candidates = pool(
+    'Base: { PostAmount: { gt: "206900000" } }',
+    `Block: { Time: { since_relative: { minutes_ago: ${minutesAgo} } } }`,
+    limit
+  );
+  const tracked = trackedMints.length > 0
+    ? `tracked: ${pool(`Market: { BaseCurrency: { MintAddress: { in: ${JSON.stringify(trackedMints)} } } }`, '', trackedMints.length)}`
+    : '';
+
+  return {
+    query: `{
+  Solana {
+    candidates: ${candidates}
+    ${tracked}
+  }
+}`,
+    variables: { }
+  };
+}
+
 // Monitoring More Query - Monitors DEX pools with bonding curve progress
 const monitoringMoreQuery = {
   query: `{
@@ -303,7 +500,7 @@ const monitoringMoreQuery = {
       }
     ) {
       Bonding_Curve_Progress_percentage: calculate(
-        expression: "((($Pool_Base_Balance - 206900000) * 100) / (793100000 - 206900000))"
+        expression: "100 - ((($Pool_Base_Balance - 206900000) * 100) / 793100000)"
       )
       Pool {
         Market {
@@ -452,17 +649,11 @@ const tokensMin500TxQuery = {
   variables: { }
 };
 
-// Optimized Trending and Gainers Query - Last 3 minutes for faster response
-const trendingGainersQuery = {
-  query: `{
-    Solana {
-      # Get trades from last 3 minutes (reduced from 5 for speed)
-      recentTrades: DEXTrades(
-        limit: {count: 20}
-        orderBy: {descending: Block_Time}
-        where: {
-          Block: {Time: {since_relative: {minutes_ago: 3}}}
-          Trade: {
+// Trending and Gainers Query - trades from the last `windowMinutes` compared
+// with the window before it. Signer and both trade sides are fetched so
+// buys, sells and unique buyers can be counted per token.
+function buildTrendingGainersQuery({ windowMinutes = 3, limit = 20 } = {}) {
+  const tradeFilter = `Trade: {
             Dex: {
               ProtocolFamily: { in: ["Raydium", "Orca", "Jupiter", "Pumpfun"] }
             },
@@ -471,7 +662,17 @@ const trendingGainersQuery = {
               PriceInUSD: {gt: 0.000001}
             }
           },
-          Transaction: {Result: {Success: true}}
+          Transaction: {Result: {Success: true}}`;
+
+  return {
+    query: `{
+    Solana {
+      recentTrades: DEXTrades(
+        limit: {count: ${limit}}
+        orderBy: {descending: Block_Time}
+        where: {
+          Block: {Time: {since_relative: {minutes_ago: ${windowMinutes}}}}
+          ${tradeFilter}
         }
       ) {
         Trade {
@@ -506,30 +707,21 @@ const trendingGainersQuery = {
         }
         Transaction {
           Signature
+          Signer
         }
       }
-      
-      # Get previous 3 minutes for price comparison (reduced scope)
+
       previousTrades: DEXTrades(
-        limit: {count: 30}
+        limit: {count: ${limit}}
         orderBy: {descending: Block_Time}
         where: {
           Block: {
             Time: {
-              since_relative: {minutes_ago: 6},
-              till_relative: {minutes_ago: 3}
+              since_relative: {minutes_ago: ${windowMinutes * 2}},
+              till_relative: {minutes_ago: ${windowMinutes}}
             }
           },
-          Trade: {
-            Dex: {
-              ProtocolFamily: { in: ["Raydium", "Orca", "Jupiter", "Pumpfun"] }
-            },
-            Buy: {
-              Currency: {MintAddress: {notIn: ["11111111111111111111111111111111"]}},
-              PriceInUSD: {gt: 0.000001}
-            }
-          },
-          Transaction: {Result: {Success: true}}
+          ${tradeFilter}
         }
       ) {
         Trade {
@@ -540,15 +732,158 @@ const trendingGainersQuery = {
             PriceInUSD
             AmountInUSD
           }
+          Sell {
+            AmountInUSD
+            Currency {
+              MintAddress
+            }
+          }
         }
         Block {
           Time
         }
+        Transaction {
+          Signer
+        }
       }
     }
   }`,
-  variables: { }
-};
+    variables: { }
+  };
+}
+
+// Live subscriptions for the trade viewer. They carry the same fields as the
+// one-shot queries for each mode so pushed rows can be merged with the
+// initial snapshot. Subscriptions take no limit/orderBy; every matching row
+// is pushed as it lands.
+const DEX_TRADE_SUBSCRIPTION_FIELDS = `Trade {
+          Buy {
+            Currency {
+              Name
+              Symbol
+              MintAddress
+              Decimals
+              Fungible
+              Uri
+            }
+            Price
+            PriceInUSD
+            Amount
+          }
+          Sell {
+            Amount
+            AmountInUSD
+            Currency {
+              Name
+              Symbol
+              MintAddress
+              Decimals
+              Fungible
+              Uri
+            }
+          }
+          Dex {
+            ProtocolName
+            ProtocolFamily
+          }
+          Market {
+            MarketAddress
+          }
+        }
+        Block {
+          Time
+        }
+        Transaction {
+          Signature
+        }`;
+
+const dexTradesSubscription = (minSellUsd) => `subscription {
+    Solana {
+      DEXTrades(
+        where: {Trade: {Buy: {PriceInUSD: {gt: 0.000001}, Currency: {MintAddress: {notIn: ["11111111111111111111111111111111"]}}}, Sell: {AmountInUSD: {gt: "${minSellUsd}"}}, Dex: {ProtocolName: {is: "pump"}}}, Transaction: {Result: {Success: true}}}
+      ) {
+        ${DEX_TRADE_SUBSCRIPTION_FIELDS}
+      }
+    }
+  }`;
+
+const graduatedSubscription = `subscription {
+  Solana {
+    DEXPools(
+      where: {
+        Pool: {
+          Base: { PostAmount: { gt: "206900000" } }
+          Dex: { ProgramAddress: { is: "LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj" } }
+          Market: {
+            QuoteCurrency: {
+              MintAddress: {
+                in: ["11111111111111111111111111111111", "So11111111111111111111111111111111111111112"]
+              }
+            }
+          }
+        }
+        Transaction: { Result: { Success: true } }
+      }
+    ) {
+      Bonding_Curve_Progress_percentage: calculate(
+        expression: "100 - ((($Pool_Base_Balance - 206900000) * 100) / 793100000)"
+      )
+      Pool {
+        Market {
+          BaseCurrency {
+            MintAddress
+            Name
+            Symbol
+          }
+          MarketAddress
+          QuoteCurrency {
+            MintAddress
+            Name
+            Symbol
+          }
+        }
+        Dex {
+          ProtocolName
+          ProtocolFamily
+        }
+        Base {
+          Balance: PostAmount
+        }
+        Quote {
+          PostAmount
+          PriceInUSD
+          PostAmountInUSD
+        }
+      }
+      Block {
+        Time
+      }
+      Transaction {
+        Signature
+      }
+    }
+  }
+}`;
+
+// Modes that have a live subscription
+const SUBSCRIPTION_MODES = ['pump', 'pumpfunCrossMarket', 'graduated'];
+
+function buildStreamSubscription(mode = 'pump') {
+  let query;
+  if (mode === 'graduated') {
+    query = graduatedSubscription;
+  } else if (mode === 'pumpfunCrossMarket') {
+    query = dexTradesSubscription(10);
+  } else if (mode === 'pump') {
+    query = dexTradesSubscription(9);
+  } else {
+    throw new Error(`No subscription for ${mode} mode`);
+  }
+  return { query, variables: { } };
+}
+
+// Default trending query (3 minute windows)
+const trendingGainersQuery = buildTrendingGainersQuery();
 
 // Query selection helper (optional, for legacy code)
 function getQueryConfig(queryType = 'pump') {
@@ -572,10 +907,17 @@ export {
   getTokenMetrics,
   pumpfunCrossMarketQuery,
   pumpTradesQuery,
+  buildTraderTradesQuery,
+  buildCreatorLaunchesQuery,
+  buildTokenTradesQuery,
   pumpfunNewTokensQuery,
   monitoringMoreQuery,
   graduatedQuery,
   fallbackQuery,
   tokensMin500TxQuery,
-  trendingGainersQuery
+  trendingGainersQuery,
+  buildTrendingGainersQuery,
+  buildBondingCurveQuery,
+  buildStreamSubscription,
+  SUBSCRIPTION_MODES
 };
\ No newline at end of file
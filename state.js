@@ -5,6 +5,15 @@ import { getTokenMetrics } from './queries.js';
 import { getDisplayTemplate, toggleRealtime } from './templates.js';
 import { stringifyQueryConfig } from './queries.js';
 import fetch from 'cross-fetch';
+import { bitqueryRecorder } from './modules/bitquery-recorder.js';
+import { rugChecker } from './modules/rug-checks.js';
+import { eventBus } from './modules/event-bus.js';
+import { ohlcvStore, CHART_WAIT_MS } from './modules/ohlcv.js';
+import { settingsManager } from './modules/settings-manager.js';
+
+// How long a redraw waits for a rug check before showing it as running
+const RUG_CHECK_WAIT_MS = 3000;
+const CHART_INTERVAL = '1m';
 
 class AppState {
   constructor() {
@@ -32,15 +41,20 @@ class AppState {
     this.isJupiterRealtimeActive = false;
     this.jupiterRealtimeMonitor = null;
     this.jupiterRealtimeData = null;
-    // Request options for BitQuery GraphQL.  The API token is read from the
-    // BITQUERY_AUTH environment variable if provided; otherwise the
-    // existing hard‑coded token is used for backwards compatibility.
-    const authToken = process.env.BITQUERY_AUTH || 'ory_at_nutg85LqbmrfaWPH0ORrOrn3iFnoKkJTyGwaIxTlmck.C1NmThaMwOn4yRyTrzgIspyU_BfVfKxMrit8GPMCohA';
-    this.requestOptions = {
+    // { mint, result } for the displayed token; result is null while the check runs
+    this.rugCheck = null;
+    // { status, received, lastError } while a live subscription feeds the viewer
+    this.liveStream = null;
+  }
+
+  // Request options for BitQuery GraphQL. The token is the bitqueryApiKey
+  // setting (or BITQUERY_API_KEY), read per request so a new key applies at once.
+  get requestOptions() {
+    return {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        "Authorization": `Bearer ${authToken}`
+        "Authorization": `Bearer ${settingsManager.get('bitqueryApiKey')}`
       }
     };
   }
@@ -173,7 +187,7 @@ class AppState {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), timeout);
 
-      const response = await fetch("https://streaming.bitquery.io/eap", {
+      const response = await bitqueryRecorder.fetch("https://streaming.bitquery.io/eap", {
         ...this.requestOptions,
         body: JSON.stringify(queryConfig),
         signal: controller.signal
@@ -262,6 +276,7 @@ class AppState {
           }
           
           // For graduated mode, we don't update metrics or price history
+          await this.updateRugCheck(trade.Pool.Market.BaseCurrency.MintAddress);
           console.clear();
           const template = getDisplayTemplate(this.currentMode);
           console.log(template(trade, this));
@@ -274,6 +289,8 @@ class AppState {
           }
           
           // Update metrics before display (with timeout to prevent blocking)
+          const rugCheckPromise = this.updateRugCheck(trade.Trade.Buy.Currency.MintAddress);
+          const chartPromise = this.updatePriceHistory(trade.Trade.Buy.Currency.MintAddress);
           const metricsPromise = this.updateTokenMetrics(trade.Trade.Buy.Currency.MintAddress);
           const timeoutPromise = new Promise((_, reject) => 
             setTimeout(() => reject(new Error('Metrics update timeout')), 5000)
@@ -284,25 +301,17 @@ class AppState {
           } catch (error) {
             console.log(`${colors.yellow}Warning: Metrics update failed, continuing with display${colors.reset}`);
           }
+          await rugCheckPromise;
+          await chartPromise;
           
-          // Update price history with safe access
           const price = trade.Trade.Buy.PriceInUSD || 0;
-          const time = trade.Block.Time;
-          
-          this.priceHistory.prices.push(price);
-          this.priceHistory.times.push(time);
           
-          // Check price alerts (non-blocking)
-          if (typeof global.priceAlerts !== 'undefined') {
-            global.priceAlerts.checkAlerts(price, trade.Trade.Buy.Currency.MintAddress)
-              .catch(error => console.log(`${colors.yellow}Price alert check failed: ${error.message}${colors.reset}`));
-          }
-          
-          // Keep only last N points
-          if (this.priceHistory.prices.length > this.priceHistory.maxPoints) {
-            this.priceHistory.prices.shift();
-            this.priceHistory.times.shift();
-          }
+          // Price alerts and other subscribers pick this up from the bus
+          eventBus.publish('token.metrics.updated', {
+            mint: trade.Trade.Buy.Currency.MintAddress,
+            price,
+            metrics: { ...this.tokenMetrics }
+          });
           
           console.clear();
           const template = getDisplayTemplate(this.currentMode);
@@ -481,6 +490,28 @@ class AppState {
     this.currentTokenIndex = 0;
   }
 
+  /**
+   * Merge newer rows into the trade list, newest first. A row replaces the
+   * existing entry with the same key, and the viewer stays on the token it
+   * was showing.
+   * @param {Array} rows - New rows, newest first
+   * @param {Function} keyOf - (row) => merge key
+   */
+  mergeTrades(rows, keyOf) {
+    const currentKey = this.trades[this.currentTokenIndex] ? keyOf(this.trades[this.currentTokenIndex]) : null;
+    const merged = new Map();
+    [...rows, ...this.trades].forEach(row => {
+      const key = keyOf(row);
+      if (key && !merged.has(key)) {
+        merged.set(key, row);
+      }
+    });
+
+    this.setTrades([...merged.values()].slice(0, this.maxTradesInMemory || 100));
+    const index = this.trades.findIndex(row => keyOf(row) === currentKey);
+    this.currentTokenIndex = index === -1 ? 0 : index;
+  }
+
   getCurrentTrade() {
     return this.trades[this.currentTokenIndex];
   }
@@ -785,6 +816,40 @@ class AppState {
     return 'Unknown type';
   }
 
+  /**
+   * Chart the displayed token's latest 1m candle closes from the OHLCV
+   * store. Candles that take longer than CHART_WAIT_MS to update keep
+   * loading and show up on the next redraw.
+   */
+  async updatePriceHistory(tokenAddress) {
+    await ohlcvStore.updateWithin(tokenAddress, CHART_WAIT_MS);
+
+    const candles = await ohlcvStore.getCandles(tokenAddress, CHART_INTERVAL, {
+      limit: this.priceHistory.maxPoints,
+      refresh: false
+    });
+    this.priceHistory.prices = candles.map(candle => candle.close);
+    this.priceHistory.times = candles.map(candle => candle.time);
+  }
+
+  /**
+   * Load the rug check for the displayed token. A check that takes longer
+   * than RUG_CHECK_WAIT_MS keeps running and shows up on the next redraw.
+   */
+  async updateRugCheck(tokenAddress) {
+    this.rugCheck = { mint: tokenAddress, result: rugChecker.getCached(tokenAddress) };
+    if (this.rugCheck.result) return;
+
+    const check = rugChecker.check(tokenAddress).catch(error => {
+      logToFile(`Rug check failed for ${tokenAddress}: ${error.message}`, 'error');
+      return null;
+    });
+    const result = await Promise.race([check, new Promise(resolve => setTimeout(resolve, RUG_CHECK_WAIT_MS, null))]);
+    if (this.rugCheck.mint === tokenAddress) {
+      this.rugCheck.result = result;
+    }
+  }
+
   async updateTokenMetrics(tokenAddress) {
     try {
       // Fetch Jupiter v6 data with timeout
@@ -810,7 +875,7 @@ class AppState {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), timeout);
 
-      const response = await fetch("https://streaming.bitquery.io/eap", {
+      const response = await bitqueryRecorder.fetch("https://streaming.bitquery.io/eap", {
         ...this.requestOptions,
         body: JSON.stringify(getTokenMetrics(tokenAddress)),
         signal: controller.signal
@@ -881,7 +946,7 @@ class AppState {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), timeout);
 
-      const response = await fetch("https://streaming.bitquery.io/eap", {
+      const response = await bitqueryRecorder.fetch("https://streaming.bitquery.io/eap", {
         ...this.requestOptions,
         body: JSON.stringify(queryConfig),
         signal: controller.signal
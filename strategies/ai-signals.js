@@ -0,0 +1,31 @@
+/**
+ * The AI analyzer's signals for a watchlist, checked every monitoring tick.
+ * This is what AI trading did before strategies were pluggable.
+ */
+export default {
+  name: 'ai-signals',
+  description: 'AI price prediction, indicator and sentiment signals for a watchlist',
+  defaults: {
+    enabled: true,
+    minConfidence: 0.7,
+    // Empty means the AI trading default watchlist
+    watchlist: []
+  },
+
+  async onTick(ctx) {
+    const watchlist = ctx.config.watchlist.length > 0 ? ctx.config.watchlist : await ctx.ai.watchlist();
+    const signals = [];
+
+    for (const tokenAddress of watchlist) {
+      try {
+        const analysis = await ctx.ai.analyze(tokenAddress);
+        if (!analysis.success) continue;
+        const found = await ctx.ai.signals(analysis);
+        signals.push(...found.map(signal => ({ ...signal, tokenAddress })));
+      } catch (error) {
+        ctx.log(`analysis of ${tokenAddress} failed: ${error.message}`);
+      }
+    }
+    return signals;
+  }
+};
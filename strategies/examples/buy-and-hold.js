@@ -0,0 +1,26 @@
+/**
+ * Buys the first tokens it sees traded and holds them. It lives in
+ * examples/, which StrategyManager doesn't load; backtest it as it is or copy
+ * it into strategies/ to trade it.
+ */
+export default {
+  name: 'buy-and-hold',
+  description: 'Buy the first tokens traded and hold them',
+  defaults: {
+    maxTokens: 3
+  },
+
+  onTrade(trade, ctx) {
+    const { config, state } = ctx;
+    state.bought = state.bought || new Set();
+    if (state.bought.has(trade.mint) || state.bought.size >= config.maxTokens) return null;
+
+    state.bought.add(trade.mint);
+    return {
+      type: 'BUY',
+      tokenAddress: trade.mint,
+      confidence: 1,
+      reason: `first ${trade.symbol} trade`
+    };
+  }
+};
@@ -0,0 +1,79 @@
+// Mints tracked at once; the least recently traded is dropped beyond this
+const MAX_TRACKED = 500;
+
+/**
+ * Buys tokens whose price rises fast on real volume in the live trade
+ * stream, and sells them on a trailing stop from the high since entry.
+ */
+export default {
+  name: 'momentum',
+  description: 'Buy sharp price rises in the live stream, exit on a trailing stop',
+  defaults: {
+    // Trades per token the rise is measured over
+    window: 10,
+    minRisePct: 15,
+    // USD traded within the window
+    minVolumeUsd: 500,
+    trailingStopPct: 10,
+    // Wait this long before buying the same token again
+    cooldownMinutes: 30
+  },
+
+  onTrade(trade, ctx) {
+    if (!(trade.priceUsd > 0)) return null;
+    const { config, state } = ctx;
+    state.history = state.history || new Map();
+    state.highs = state.highs || new Map();
+    state.lastBuy = state.lastBuy || new Map();
+
+    // Re-insert so the Map stays ordered by last trade
+    const history = state.history.get(trade.mint) || [];
+    state.history.delete(trade.mint);
+    history.push({ price: trade.priceUsd, volumeUsd: trade.volumeUsd });
+    if (history.length > config.window) history.shift();
+    state.history.set(trade.mint, history);
+    if (state.history.size > MAX_TRACKED) {
+      state.history.delete(state.history.keys().next().value);
+    }
+
+    const position = ctx.positions.find(open => open.tokenAddress === trade.mint);
+    if (position) {
+      const high = Math.max(state.highs.get(position.positionId) || trade.priceUsd, trade.priceUsd);
+      state.highs.set(position.positionId, high);
+      const dropPct = (1 - trade.priceUsd / high) * 100;
+      if (dropPct >= config.trailingStopPct) {
+        return {
+          type: 'SELL',
+          tokenAddress: trade.mint,
+          positionId: position.positionId,
+          confidence: 0.9,
+          reason: `${dropPct.toFixed(1)}% below its high of $${high}`
+        };
+      }
+      return null;
+    }
+
+    if (history.length < config.window) return null;
+    const risePct = (history[history.length - 1].price / history[0].price - 1) * 100;
+    const volumeUsd = history.reduce((sum, point) => sum + point.volumeUsd, 0);
+    // Trade time, so the cooldown also holds when trades are replayed
+    const now = Date.parse(trade.time) || Date.now();
+    const cooling = now - (state.lastBuy.get(trade.mint) || 0) < config.cooldownMinutes * 60000;
+    if (risePct < config.minRisePct || volumeUsd < config.minVolumeUsd || cooling) return null;
+
+    state.lastBuy.set(trade.mint, now);
+    return {
+      type: 'BUY',
+      tokenAddress: trade.mint,
+      confidence: Math.min(0.95, 0.6 + risePct / 100),
+      reason: `${trade.symbol} up ${risePct.toFixed(1)}% over ${history.length} trades on $${volumeUsd.toFixed(0)} volume`
+    };
+  },
+
+  onPositionUpdate(update, ctx) {
+    if (update.change === 'closed') {
+      ctx.state.highs?.delete(update.positionId);
+    }
+    return null;
+  }
+};
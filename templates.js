@@ -1,5 +1,7 @@
 import { colors } from './colors.js';
 import { formatNumber, getTimeDiff } from './utils.js';
+import { rugChecker } from './modules/rug-checks.js';
+import { liveTradeFeed } from './modules/bitquery-subscription.js';
 
 // Base template that all modes will extend
 const baseTemplate = {
@@ -24,7 +26,15 @@ ${colors.white}Time:${colors.reset} ${colors.cyan}${new Date(trade.Block.Time).t
   links: (trade) => `
 ${colors.yellow}🔗 Useful Links:${colors.reset}
 ${colors.blue}• Solscan:${colors.reset} https://solscan.io/token/${trade.Trade.Buy.Currency.MintAddress}
-${colors.blue}• GMGN.io:${colors.reset} https://gmgn.ai/sol/token/${trade.Trade.Buy.Currency.MintAddress}`
+${colors.blue}• GMGN.io:${colors.reset} https://gmgn.ai/sol/token/${trade.Trade.Buy.Currency.MintAddress}`,
+
+  // On-chain rug check loaded by AppState.updateRugCheck
+  rugCheck: (mint, state) => {
+    if (state.rugCheck?.mint !== mint) return '';
+    return state.rugCheck.result
+      ? `\n${rugChecker.format(state.rugCheck.result)}`
+      : `\n${colors.yellow}🛡️ Rug Check:${colors.reset} ${colors.dim}running...${colors.reset}`;
+  }
 };
 
 // Template for pump detection mode
@@ -176,6 +186,11 @@ export function getDisplayTemplate(mode = 'pump') {
       `${colors.green}🔄 Jupiter Realtime [ON]${colors.reset}` : 
       `${colors.red}⏸️ Jupiter Realtime [OFF]${colors.reset}`;
     output += `${colors.dim}Press 'E' to toggle Jupiter realtime updates ${jupiterStatus}${colors.reset}\n`;
+
+    // Show the live subscription status when one feeds the viewer
+    if (state.liveStream) {
+      output += liveTradeFeed.formatStatus(state.liveStream);
+    }
     
     if (mode === 'graduated') {
       // Use graduated template for pool data
@@ -188,6 +203,9 @@ export function getDisplayTemplate(mode = 'pump') {
       
       // Add pool information
       output += graduatedTemplate.poolInfo(trade);
+
+      // Add on-chain rug check
+      output += baseTemplate.rugCheck(trade.Pool.Market.BaseCurrency.MintAddress, state);
       
       // Add market info
       output += graduatedTemplate.marketInfo(trade);
@@ -211,6 +229,9 @@ export function getDisplayTemplate(mode = 'pump') {
       
       // Add market info
       output += pumpTemplate.marketInfo(trade);
+
+      // Add on-chain rug check
+      output += baseTemplate.rugCheck(trade.Trade.Buy.Currency.MintAddress, state);
       
       // Add transaction details
       output += baseTemplate.transactionDetails(trade);
@@ -117,11 +117,16 @@ export async function testBitqueryStream() {
         {
           token: { Symbol: 'TEST', MintAddress: 'test123' },
           metrics: {
-            momentum: 100,
+            score: 62.5,
+            windowMinutes: 3,
             currentPrice: 0.001,
             priceChange: 50,
             recentVolume: 1000,
             volumeChange: 25,
+            buyCount: 12,
+            sellCount: 4,
+            buySellRatio: 3,
+            uniqueBuyers: 9,
             tradeFreq: 2.5,
             freqChange: 10,
             jupiter: {
@@ -0,0 +1,141 @@
+import { jest } from '@jest/globals';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Keypair } from '@solana/web3.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const MINT = 'Mint111111111111111111111111111111111111111';
+
+const performSwap = jest.fn();
+const simulateSwap = jest.fn();
+jest.unstable_mockModule('../modules/jupiter-swap.js', () => ({
+  performSwap,
+  simulateSwap,
+  getBestQuote: jest.fn(),
+  getSwapTransaction: jest.fn()
+}));
+
+const { AutoTrading } = await import('../modules/auto-trading.js');
+const { PositionLedger } = await import('../modules/position-ledger.js');
+
+describe('AutoTrading.executeTrade', () => {
+  let dir;
+  let trader;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-trading-'));
+    trader = new AutoTrading();
+    trader.ledger = new PositionLedger(dir);
+    trader.wallet = Keypair.generate();
+    trader.tradingConfig.dryRun = false;
+    trader.spinner = { start() {}, stop() {} };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Everything up to the swap itself is offline
+    trader.checkTradingConditions = async () => ({ canTrade: true });
+    trader.getTokenDecimals = async () => 6;
+    trader.getCurrentPrice = async mint => (mint === SOL_MINT ? 200 : 0.01);
+    trader.getSettledAmounts = async () => null;
+    trader.getJupiterQuote = async (tokenAddress, type, amount) => ({
+      success: true,
+      inputMint: type === 'BUY' ? SOL_MINT : tokenAddress,
+      outputMint: type === 'BUY' ? tokenAddress : SOL_MINT,
+      amount,
+      expectedOutput: '1000'
+    });
+
+    performSwap.mockReset();
+    performSwap.mockImplementation(async (fromMint, toMint, amount) => ({
+      success: true,
+      signature: 'sig',
+      quote: { inAmount: String(amount), outAmount: '1000', priceImpactPct: 0 }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('sizes a buy in lamports from sizeSol', async () => {
+    const result = await trader.executeTrade({ type: 'BUY', confidence: 0.9, sizeSol: 0.25 }, MINT);
+
+    expect(result.success).toBe(true);
+    expect(performSwap).toHaveBeenCalledTimes(1);
+    const [fromMint, toMint, amount] = performSwap.mock.calls[0];
+    expect([fromMint, toMint, amount]).toEqual([SOL_MINT, MINT, 250000000]);
+  });
+
+  test('converts a sell amount with the mint decimals', async () => {
+    await trader.executeTrade({ type: 'SELL', confidence: 0.9, amount: 1234.5 }, MINT);
+
+    const [fromMint, toMint, amount] = performSwap.mock.calls[0];
+    expect([fromMint, toMint, amount]).toEqual([MINT, SOL_MINT, 1234500000]);
+  });
+
+  test('does not swap when the size rounds to zero', async () => {
+    const result = await trader.executeTrade({ type: 'BUY', confidence: 0.9, sizeSol: 1e-12 }, MINT);
+
+    expect(result.success).toBe(false);
+    expect(performSwap).not.toHaveBeenCalled();
+  });
+
+  test('opens the position in tokens and prices it from the SOL spent', async () => {
+    trader.getSettledAmounts = async () => ({ inputAmount: 100000000, outputAmount: 2000000000 });
+    await trader.executeTrade({ type: 'BUY', confidence: 0.9, sizeSol: 0.1 }, MINT);
+
+    const [position] = trader.ledger.load().positions.values();
+    expect(position.amount).toBe(2000);
+    expect(position.costLamports).toBe(100000000);
+    // 0.1 SOL at $200 for 2000 tokens
+    expect(position.entryPrice).toBeCloseTo(0.01);
+  });
+
+  test('closes a position at the position cap with the price feed down', async () => {
+    trader.checkTradingConditions = AutoTrading.prototype.checkTradingConditions;
+    trader.getTokenData = async () => ({ success: false, error: 'HTTP 503' });
+    trader.tradingConfig.maxOpenPositions = 1;
+    trader.activePositions = trader.ledger.load().positions;
+    trader.ledger.openPosition('p1', { tokenAddress: MINT, entryPrice: 0.01, amount: 1000, decimals: 6, costLamports: 100000000 });
+
+    const buy = await trader.executeTrade({ type: 'BUY', confidence: 0.9, sizeSol: 0.1 }, 'Other');
+    expect(buy.error).toMatch(/Maximum open positions reached/);
+
+    await trader.closePosition('p1', 'stop_loss');
+
+    expect(performSwap).toHaveBeenCalledTimes(1);
+    const [fromMint, toMint, amount] = performSwap.mock.calls[0];
+    expect([fromMint, toMint, amount]).toEqual([MINT, SOL_MINT, 1000000000]);
+    expect(trader.activePositions.has('p1')).toBe(false);
+  });
+
+  test('rebuilds realized P&L in SOL per closed position from the ledger', async () => {
+    trader.activePositions = trader.ledger.load().positions;
+    trader.tradingHistory = trader.ledger.state.history;
+
+    // 0.1 SOL for 2000 tokens, sold for 0.15 SOL
+    trader.getSettledAmounts = async () => ({ inputAmount: 100000000, outputAmount: 2000000000 });
+    await trader.executeTrade({ type: 'BUY', confidence: 0.9, sizeSol: 0.1 }, MINT);
+    const [positionId] = trader.activePositions.keys();
+    trader.getSettledAmounts = async () => ({ inputAmount: 2000000000, outputAmount: 150000000 });
+    await trader.closePosition(positionId, 'take_profit');
+
+    const restarted = new AutoTrading();
+    restarted.ledger = new PositionLedger(dir);
+    await restarted.loadActivePositions();
+
+    expect(restarted.getClosedPositions()).toEqual([
+      expect.objectContaining({ positionId, costLamports: 100000000, proceedsLamports: 150000000 })
+    ]);
+    expect(restarted.performanceStats).toMatchObject({
+      totalTrades: 2,
+      closedPositions: 1,
+      winningTrades: 1,
+      losingTrades: 0,
+      winRate: 1
+    });
+    expect(restarted.performanceStats.realizedPnlSol).toBeCloseTo(0.05);
+  });
+});
@@ -0,0 +1,145 @@
+import * as fs from 'fs';
+import { Backtester } from '../modules/backtester.js';
+import momentum from '../strategies/momentum.js';
+import aiSignals from '../strategies/ai-signals.js';
+import buyAndHold from '../strategies/examples/buy-and-hold.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const MINT = 'Mint111111111111111111111111111111111111111';
+const START = Date.parse('2024-01-01T00:00:00Z');
+const SOL_PRICE = 150;
+
+// DEXTrades row (pumpTradesQuery shape): `volumeUsd` of SOL buys the token at `priceUsd`
+const row = (seconds, priceUsd, volumeUsd = 100) => ({
+  Block: { Time: new Date(START + seconds * 1000).toISOString() },
+  Transaction: { Signature: `sig-${seconds}` },
+  Trade: {
+    Dex: { ProtocolName: 'pump' },
+    Buy: { Currency: { MintAddress: MINT, Symbol: 'TKN' }, PriceInUSD: priceUsd, Amount: volumeUsd / priceUsd },
+    Sell: { Currency: { MintAddress: SOL_MINT, Symbol: 'SOL' }, Amount: volumeUsd / SOL_PRICE, AmountInUSD: volumeUsd }
+  }
+});
+
+// A pumpTradesQuery response, newest first: ALPHA and BETA traded against SOL at $150, then $160
+const recorded = JSON.parse(fs.readFileSync(new URL('./fixtures/pump-trades.json', import.meta.url))).data.Solana.DEXTrades;
+const ALPHA = '7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr';
+const BETA = '9BB6NFEcjBCtnNLFko2FqVQBq8HHM13kCyYcdQbgpump';
+
+const backtester = () => new Backtester({ initialCapital: 1000, slippagePercent: 1, priorityFee: 0, closeAtEnd: false });
+
+describe('Backtester with the shipped strategies', () => {
+  test('momentum buys a 20% rise and exits on its trailing stop', async () => {
+    const rising = Array.from({ length: 10 }, (_, i) => row(i * 10, 1 + i * (0.2 / 9)));
+    // Out of order on purpose; the backtester replays oldest first
+    const rows = [row(130, 1.3), ...rising.reverse(), row(110, 1.5), row(120, 1.4)];
+
+    const report = await backtester().run(momentum, rows);
+
+    expect(report.strategy).toBe('momentum');
+    expect(report.events).toBe(13);
+    expect(report.fills.map(fill => [fill.side, fill.time])).toEqual([
+      ['buy', START + 90 * 1000],
+      ['sell', START + 130 * 1000]
+    ]);
+    // tradeSizeSol at the SOL price in the data
+    expect(report.fills[0].valueUSD).toBeCloseTo(0.05 * SOL_PRICE);
+    expect(report.fills[0].price).toBeCloseTo(1.2 * 1.01);
+    expect(report.fills[1].price).toBeCloseTo(1.3 * 0.99);
+    expect(report.signals).toEqual({ signals: 2, executed: 2, skipped: 0 });
+    expect(report.roundTrips[0].reason).toMatch(/below its high of \$1.5/);
+    expect(report.totalProfit).toBeGreaterThan(0);
+  });
+
+  test('ai-signals trades what its AI helpers signal on each tick', async () => {
+    const answers = [
+      [{ type: 'BUY', confidence: 0.8, reason: 'breakout' }],
+      [{ type: 'BUY', confidence: 0.5, reason: 'weak' }],
+      [{ type: 'SELL', confidence: 0.9, reason: 'target' }]
+    ];
+    const ai = {
+      watchlist: async () => [MINT],
+      analyze: async () => ({ success: true }),
+      signals: async () => answers.shift() || []
+    };
+    const rows = [0, 60, 120, 180, 240].map((seconds, i) => row(seconds, 1 + i * 0.1));
+
+    const report = await new Backtester({
+      initialCapital: 1000,
+      slippagePercent: 0,
+      priorityFee: 0,
+      tickMs: 60 * 1000,
+      context: { ai }
+    }).run(aiSignals, rows);
+
+    // Ticks see the price of the trade before them
+    expect(report.fills.map(fill => [fill.side, fill.time, fill.price])).toEqual([
+      ['buy', START + 60 * 1000, 1],
+      ['sell', START + 180 * 1000, expect.closeTo(1.2)]
+    ]);
+    // The 0.5 confidence buy is under the plugin's minConfidence of 0.7
+    expect(report.signals).toEqual({ signals: 3, executed: 2, skipped: 1 });
+    expect(report.skips[0].reason).toMatch(/below 0.7/);
+  });
+
+  test('keeps buys within the strategy budget', async () => {
+    const greedy = {
+      name: 'greedy',
+      defaults: { budgetSol: 0.1 },
+      onTrade: trade => ({ type: 'BUY', tokenAddress: trade.mint, confidence: 1, sizeSol: 0.06 })
+    };
+
+    const report = await backtester().run(greedy, [row(0, 1), row(10, 1), row(20, 1)]);
+
+    expect(report.fills).toHaveLength(1);
+    expect(report.openPositions[0]).toMatchObject({ tokenAddress: MINT, costLamports: 60000000, strategy: 'greedy' });
+    expect(report.signals).toEqual({ signals: 3, executed: 1, skipped: 2 });
+  });
+});
+
+describe('Backtester on recorded trades', () => {
+  // 2% slippage; 5000 lamports base fee plus 100000 micro-lamports × 200000 CU = 25000 lamports per fill
+  const options = { initialCapital: 1000, slippagePercent: 2, priorityFee: 100000, computeUnits: 200000 };
+  const fee = solPrice => (25000 / 1e9) * solPrice;
+
+  test('fills buys and the closing sells with slippage and fees', async () => {
+    const report = await new Backtester(options).run(buyAndHold, recorded, { config: { maxTokens: 2 } });
+
+    // The unpriced BETA trade is dropped
+    expect(report.events).toBe(7);
+    expect(report.fills.map(fill => [fill.side, fill.mint, fill.reason])).toEqual([
+      ['buy', ALPHA, 'first ALPHA trade'],
+      ['buy', BETA, 'first BETA trade'],
+      ['sell', ALPHA, 'end of data'],
+      ['sell', BETA, 'end of data']
+    ]);
+
+    const [buyAlpha, buyBeta, sellAlpha, sellBeta] = report.fills;
+    // 0.05 SOL per buy at $150, above the traded price by the slippage
+    expect(buyAlpha.valueUSD).toBeCloseTo(7.5, 10);
+    expect(buyAlpha.price).toBeCloseTo(0.0001 * 1.02, 12);
+    expect(buyAlpha.quantity).toBeCloseTo(7.5 / 0.000102, 6);
+    expect(buyAlpha.feeUSD).toBeCloseTo(fee(150), 10);
+    expect(buyBeta.price).toBeCloseTo(0.002 * 1.02, 12);
+    // Sold at each token's last price, below it by the slippage, with SOL at $160
+    expect(sellAlpha.price).toBeCloseTo(0.00015 * 0.98, 12);
+    expect(sellAlpha.feeUSD).toBeCloseTo(fee(160), 10);
+    expect(sellBeta.price).toBeCloseTo(0.0015 * 0.98, 12);
+
+    const [alpha, beta] = report.roundTrips;
+    expect(alpha.costBasis).toBeCloseTo(7.5 + fee(150), 10);
+    expect(alpha.proceeds).toBeCloseTo(buyAlpha.quantity * 0.00015 * 0.98 - fee(160), 10);
+    expect(alpha.pnl).toBeGreaterThan(0);
+    expect(beta.pnl).toBeLessThan(0);
+
+    expect(report.totalFees).toBeCloseTo(2 * fee(150) + 2 * fee(160), 10);
+    expect(report.finalEquity).toBeCloseTo(1000 + alpha.pnl + beta.pnl, 10);
+    expect(report.winRate).toBe(0.5);
+    expect(report.profitFactor).toBeCloseTo(alpha.pnl / -beta.pnl, 10);
+    expect(report.openPositions).toEqual([]);
+  });
+
+  test('gives the same report on every run', async () => {
+    const run = () => new Backtester(options).run(buyAndHold, recorded);
+    expect(await run()).toEqual(await run());
+  });
+});
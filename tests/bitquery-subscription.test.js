@@ -0,0 +1,269 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+
+const makeBitqueryRequest = jest.fn();
+jest.unstable_mockModule('../modules/connection-manager.js', () => ({
+  connectionManager: { apiKey: 'test-key', makeBitqueryRequest }
+}));
+jest.unstable_mockModule('../logger.js', () => ({
+  logToFile: jest.fn()
+}));
+
+const { BitquerySubscription, LiveTradeFeed } = await import('../modules/bitquery-subscription.js');
+const { eventBus } = await import('../modules/event-bus.js');
+
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+// Stands in for a ws socket; the server side is driven with open(), receive() and drop()
+class FakeSocket extends EventEmitter {
+  static OPEN = 'open';
+  static instances = [];
+
+  constructor(url, protocols) {
+    super();
+    this.url = url;
+    this.protocols = protocols;
+    this.readyState = 'connecting';
+    this.sent = [];
+    this.pings = 0;
+    this.terminated = false;
+    FakeSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  ping() {
+    this.pings++;
+  }
+
+  close() {
+    this.drop();
+  }
+
+  terminate() {
+    this.terminated = true;
+    this.drop();
+  }
+
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.emit('open');
+  }
+
+  receive(message) {
+    this.emit('message', Buffer.from(JSON.stringify(message)));
+  }
+
+  drop() {
+    if (this.readyState === 'closed') return;
+    this.readyState = 'closed';
+    this.emit('close');
+  }
+}
+
+const latest = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+
+// A pump-mode DEXTrades row
+const row = (signature, seconds, mint = `Mint-${signature}`) => ({
+  Block: { Time: new Date(START + seconds * 1000).toISOString() },
+  Transaction: { Signature: signature },
+  Trade: { Buy: { Currency: { MintAddress: mint } } }
+});
+const pushed = rows => ({ id: '1', type: 'data', payload: { data: { Solana: { DEXTrades: rows } } } });
+
+describe('BitquerySubscription', () => {
+  let subscription;
+  let onData;
+  let onResume;
+  let statuses;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+    FakeSocket.instances = [];
+    onData = jest.fn();
+    onResume = jest.fn();
+    statuses = [];
+    subscription = new BitquerySubscription({
+      query: { query: 'subscription { Solana { DEXTrades { Block { Time } } } }', variables: {} },
+      apiKey: 'test-key',
+      onData,
+      onResume,
+      onStatus: status => statuses.push(status),
+      WebSocketImpl: FakeSocket
+    });
+  });
+
+  afterEach(() => {
+    subscription.stop();
+    jest.useRealTimers();
+  });
+
+  test('starts the subscription once the server acknowledges the connection', () => {
+    subscription.start();
+    const socket = latest();
+    expect(socket.url).toBe('wss://streaming.bitquery.io/eap?token=test-key');
+    expect(socket.protocols).toEqual(['graphql-ws']);
+
+    socket.open();
+    expect(socket.sent).toEqual([{ type: 'connection_init', payload: {} }]);
+
+    socket.receive({ type: 'connection_ack' });
+    expect(socket.sent[1]).toMatchObject({ id: '1', type: 'start', payload: { query: subscription.query.query } });
+    expect(subscription.status).toBe('live');
+
+    socket.receive(pushed([row('a', 0)]));
+    expect(onData).toHaveBeenCalledWith({ Solana: { DEXTrades: [row('a', 0)] } });
+    expect(onResume).not.toHaveBeenCalled();
+    expect(statuses).toEqual(['connecting', 'live']);
+  });
+
+  test('reconnects with backoff and resumes from when the connection dropped', () => {
+    subscription.start();
+    latest().open();
+    latest().receive({ type: 'connection_ack' });
+
+    jest.advanceTimersByTime(5000);
+    latest().drop();
+    expect(subscription.status).toBe('reconnecting');
+
+    // First retry after a second
+    jest.advanceTimersByTime(999);
+    expect(FakeSocket.instances).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(FakeSocket.instances).toHaveLength(2);
+
+    // A failed retry doubles the delay
+    latest().drop();
+    jest.advanceTimersByTime(1999);
+    expect(FakeSocket.instances).toHaveLength(2);
+    jest.advanceTimersByTime(1);
+    expect(FakeSocket.instances).toHaveLength(3);
+
+    latest().open();
+    latest().receive({ type: 'connection_ack' });
+    expect(subscription.status).toBe('live');
+    expect(onResume).toHaveBeenCalledTimes(1);
+    expect(onResume).toHaveBeenCalledWith(START + 5000);
+    expect(subscription.attempts).toBe(0);
+  });
+
+  test('drops a connection that stops answering pings', () => {
+    subscription.start();
+    const socket = latest();
+    socket.open();
+    socket.receive({ type: 'connection_ack' });
+
+    jest.advanceTimersByTime(15000);
+    expect(socket.pings).toBe(1);
+    socket.emit('pong');
+
+    // Silent for more than two intervals after the pong
+    jest.advanceTimersByTime(30000);
+    expect(socket.terminated).toBe(false);
+    jest.advanceTimersByTime(15000);
+    expect(socket.terminated).toBe(true);
+    expect(subscription.status).toBe('reconnecting');
+
+    jest.advanceTimersByTime(1000);
+    expect(FakeSocket.instances).toHaveLength(2);
+  });
+
+  test('stops an open subscription and does not reconnect', () => {
+    subscription.start();
+    const socket = latest();
+    socket.open();
+    socket.receive({ type: 'connection_ack' });
+
+    subscription.stop();
+
+    expect(socket.sent[socket.sent.length - 1]).toEqual({ id: '1', type: 'stop' });
+    expect(socket.readyState).toBe('closed');
+    expect(subscription.status).toBe('stopped');
+    jest.advanceTimersByTime(60000);
+    expect(FakeSocket.instances).toHaveLength(1);
+  });
+
+  test('gives up when the server rejects the subscription', () => {
+    subscription.start();
+    latest().open();
+    latest().receive({ type: 'connection_error', payload: { message: 'invalid token' } });
+
+    expect(subscription.status).toBe('failed');
+    expect(subscription.lastError).toBe('invalid token');
+    jest.advanceTimersByTime(60000);
+    expect(FakeSocket.instances).toHaveLength(1);
+  });
+});
+
+describe('LiveTradeFeed', () => {
+  let feed;
+  let appState;
+  let received;
+  let unsubscribe;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+    FakeSocket.instances = [];
+    makeBitqueryRequest.mockReset();
+    appState = {
+      trades: [row('old', 0)],
+      currentTokenIndex: 0,
+      liveStream: null,
+      mergeTrades: jest.fn(),
+      displayTrade: jest.fn(async () => {})
+    };
+    received = [];
+    unsubscribe = eventBus.subscribe('trade.received', event => received.push(event));
+    feed = new LiveTradeFeed();
+    feed.start('pump', appState, { snapshotQuery: { query: 'snapshot' }, WebSocketImpl: FakeSocket });
+    latest().open();
+    latest().receive({ type: 'connection_ack' });
+  });
+
+  afterEach(() => {
+    feed.stop();
+    unsubscribe();
+    jest.useRealTimers();
+  });
+
+  const signatures = event => event.trades.map(trade => trade.Transaction.Signature);
+
+  test('drops rows already shown or already pushed', async () => {
+    latest().receive(pushed([row('old', 0), row('a', 1)]));
+    latest().receive(pushed([row('a', 1), row('b', 2)]));
+
+    expect(received.map(signatures)).toEqual([['a'], ['b']]);
+    expect(feed.received).toBe(2);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    // Merged once, newest first
+    expect(appState.mergeTrades).toHaveBeenCalledTimes(1);
+    expect(appState.mergeTrades.mock.calls[0][0].map(trade => trade.Transaction.Signature)).toEqual(['b', 'a']);
+    expect(appState.displayTrade).toHaveBeenCalledWith(0);
+    expect(appState.liveStream).toMatchObject({ status: 'live', received: 2 });
+  });
+
+  test('backfills rows missed while the socket was down', async () => {
+    latest().receive(pushed([row('a', 1)]));
+    jest.advanceTimersByTime(10000);
+    latest().drop();
+    expect(appState.liveStream.status).toBe('reconnecting');
+
+    // Newest first, like the one-shot query; 'a' was already pushed and 'before' predates the drop
+    makeBitqueryRequest.mockResolvedValue({
+      data: { Solana: { DEXTrades: [row('missed-2', 13), row('missed-1', 12), row('a', 1), row('before', 5)] } }
+    });
+    await jest.advanceTimersByTimeAsync(1000);
+    latest().open();
+    latest().receive({ type: 'connection_ack' });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(makeBitqueryRequest).toHaveBeenCalledWith({ query: 'snapshot' });
+    expect(received.map(event => event.source)).toEqual(['live', 'backfill']);
+    expect(signatures(received[1])).toEqual(['missed-2', 'missed-1']);
+    expect(feed.received).toBe(3);
+    expect(appState.liveStream.status).toBe('live');
+  });
+});
@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Keypair } from '@solana/web3.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const MINT = 'Mint111111111111111111111111111111111111111';
+const LEADER = Keypair.generate().publicKey.toString();
+const POOL = 'Poo1111111111111111111111111111111111111111';
+
+const performSwap = jest.fn();
+jest.unstable_mockModule('../modules/jupiter-swap.js', () => ({
+  performSwap,
+  getBatchTokenPrices: jest.fn(),
+  getTokenBalance: jest.fn(),
+  isPriced: price => price > 0.00000001
+}));
+jest.unstable_mockModule('../modules/rug-checks.js', () => ({
+  rugChecker: { screenBuy: async () => ({ allowed: true, result: { score: 0 } }) }
+}));
+const makeBitqueryRequest = jest.fn();
+jest.unstable_mockModule('../modules/connection-manager.js', () => ({
+  connectionManager: { makeBitqueryRequest }
+}));
+
+const { CopyTrader, interpretLeaderTransaction } = await import('../modules/copy-trading.js');
+
+const currency = (mint, symbol, decimals) => ({ MintAddress: mint, Symbol: symbol, Decimals: decimals });
+const SOL = currency(SOL_MINT, 'WSOL', 9);
+const USDC = currency(USDC_MINT, 'USDC', 6);
+const TOKEN = currency(MINT, 'TKN', 6);
+
+// One DEXTrades row: the leader receives `buy` and pays `sell`
+const hop = (signature, time, [buyCurrency, buyAmount], [sellCurrency, sellAmount]) => ({
+  Trade: {
+    Buy: { Currency: buyCurrency, Account: { Address: LEADER }, Amount: String(buyAmount) },
+    Sell: { Currency: sellCurrency, Account: { Address: POOL }, Amount: String(sellAmount) }
+  },
+  Block: { Time: time },
+  Transaction: { Signature: signature, Signer: LEADER }
+});
+
+describe('copy trading', () => {
+  test('nets a two-hop sell routed through USDC', () => {
+    const time = new Date().toISOString();
+    const event = interpretLeaderTransaction([
+      hop('sig', time, [USDC, 150], [TOKEN, 500000]),
+      hop('sig', time, [SOL, 0.98], [USDC, 150])
+    ]);
+
+    expect(event).toMatchObject({ side: 'sell', mint: MINT, tokenAmount: 500000, solAmount: 0.98, decimals: 6 });
+  });
+
+  test('copies a two-hop buy once, sized from the SOL the leader spent', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'copy-trading-'));
+    try {
+      const trader = new CopyTrader(path.join(dir, 'copy-trading.json'));
+      trader.addLeader(LEADER);
+      trader.setWallet('copier');
+      trader.resolveWallet = () => Keypair.generate();
+      trader.startedAt = Date.now() - 60000;
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const time = new Date().toISOString();
+      makeBitqueryRequest.mockResolvedValue({
+        data: {
+          Solana: {
+            DEXTrades: [
+              hop('sig', time, [USDC, 150], [SOL, 1]),
+              hop('sig', time, [TOKEN, 1000000], [USDC, 150])
+            ]
+          }
+        }
+      });
+      performSwap.mockResolvedValue({ signature: 'copy-sig', quote: { outAmount: '100000000000' } });
+
+      const copied = await trader.poll();
+
+      expect(performSwap).toHaveBeenCalledTimes(1);
+      const [fromMint, toMint, amount] = performSwap.mock.calls[0];
+      // 1 SOL × the default 0.1 scale
+      expect([fromMint, toMint, amount]).toEqual([SOL_MINT, MINT, 100000000]);
+      expect(copied).toHaveLength(1);
+      expect(copied[0]).toMatchObject({ side: 'buy', leaderSol: 1, tokenAmount: 100000, status: 'ok' });
+    } finally {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
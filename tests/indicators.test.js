@@ -0,0 +1,257 @@
+import {
+  calculateBollingerBands,
+  calculateBuySellPressure,
+  calculateEMA,
+  calculateMACD,
+  calculateOBV,
+  calculateRSI,
+  calculateTradeSizeDistribution,
+  calculateVWAP,
+  calculateWalletGrowth,
+  normalizeTokenTrades,
+  scoreTradeFlow,
+  technicalVotes
+} from '../modules/indicators.js';
+
+const MINUTE = 60000;
+
+// Trades oldest first, one a minute unless `time` is given
+const trade = (priceUsd, amountUsd, side, wallet, time) => ({
+  time,
+  priceUsd,
+  amount: amountUsd / priceUsd,
+  amountUsd,
+  side,
+  wallet,
+  signature: `${wallet}-${time}`
+});
+const series = specs => specs.map(([priceUsd, amountUsd, side, wallet, time], i) =>
+  trade(priceUsd, amountUsd, side, wallet, time ?? i * MINUTE));
+
+describe('price indicators', () => {
+  test('EMA of a constant series is the constant', () => {
+    expect(calculateEMA([5, 5, 5, 5], 3)).toBe(5);
+  });
+
+  test('EMA falls back to the last price with too few prices', () => {
+    expect(calculateEMA([1, 2], 3)).toBe(2);
+  });
+
+  test('RSI is 100 with only gains and 50 with too few prices', () => {
+    const rising = Array.from({ length: 20 }, (_, i) => i + 1);
+    expect(calculateRSI(rising)).toBe(100);
+    expect(calculateRSI([1, 2, 3])).toBe(50);
+  });
+
+  test('RSI is 50 when gains and losses balance', () => {
+    const zigzag = Array.from({ length: 15 }, (_, i) => (i % 2 === 0 ? 10 : 11));
+    expect(calculateRSI(zigzag)).toBeCloseTo(50);
+  });
+
+  test('MACD is positive in an uptrend and zero with too few prices', () => {
+    const rising = Array.from({ length: 40 }, (_, i) => 1 + i * 0.1);
+    expect(calculateMACD(rising).macd).toBeGreaterThan(0);
+    expect(calculateMACD(rising).histogram).toBeGreaterThan(0);
+    expect(calculateMACD([1, 2, 3])).toEqual({ macd: 0, signal: 0, histogram: 0 });
+  });
+
+  test('MACD signal is the 9-period EMA of the MACD line', () => {
+    const prices = Array.from({ length: 50 }, (_, i) => 10 + Math.sin(i / 4) + i * 0.05);
+    const macdLine = [];
+    for (let n = 26; n <= prices.length; n++) {
+      const window = prices.slice(0, n);
+      macdLine.push(calculateEMA(window, 12) - calculateEMA(window, 26));
+    }
+
+    const macd = calculateMACD(prices);
+    expect(macd.macd).toBeCloseTo(macdLine[macdLine.length - 1], 12);
+    expect(macd.signal).toBeCloseTo(calculateEMA(macdLine, 9), 12);
+    expect(macd.histogram).toBeCloseTo(macd.macd - macd.signal, 12);
+  });
+
+  test('MACD crosses above its signal after a downtrend turns up', () => {
+    const prices = [
+      ...Array.from({ length: 40 }, (_, i) => 20 - i * 0.25),
+      ...Array.from({ length: 20 }, (_, i) => 10.25 + i * 0.5)
+    ];
+    const histograms = prices.map((_, i) => calculateMACD(prices.slice(0, i + 1)).histogram);
+
+    // Bearish through the fall, bullish once the rise is underway
+    expect(histograms[39]).toBeLessThan(0);
+    expect(histograms[59]).toBeGreaterThan(0);
+    const cross = histograms.findIndex((histogram, i) => i > 39 && histogram > 0);
+    expect(cross).toBeGreaterThan(39);
+    expect(histograms.slice(cross).every(histogram => histogram > 0)).toBe(true);
+
+    const before = calculateMACD(prices.slice(0, cross));
+    const after = calculateMACD(prices.slice(0, cross + 1));
+    expect(before.macd).toBeLessThan(before.signal);
+    expect(after.macd).toBeGreaterThan(after.signal);
+  });
+
+  test('Bollinger Bands are two standard deviations around the mean', () => {
+    const prices = [...Array(10).fill(1), ...Array(10).fill(3)];
+    expect(calculateBollingerBands(prices)).toEqual({ upper: 4, middle: 2, lower: 0 });
+  });
+});
+
+describe('normalizeTokenTrades', () => {
+  const row = (time, signature, type, price = 2) => ({
+    Trade: { PriceInUSD: price, Amount: '5', AmountInUSD: '10', Side: { Type: type, AmountInUSD: '10' } },
+    Block: { Time: time },
+    Transaction: { Signature: signature, Signer: 'W1' }
+  });
+
+  test('sorts oldest first and breaks time ties by signature', () => {
+    const trades = normalizeTokenTrades([
+      row('2024-01-01T00:00:02Z', 'b', 'sell'),
+      row('2024-01-01T00:00:01Z', 'z', 'buy'),
+      row('2024-01-01T00:00:02Z', 'a', 'buy')
+    ]);
+    expect(trades.map(t => t.signature)).toEqual(['z', 'a', 'b']);
+    expect(trades[0]).toEqual({
+      time: Date.parse('2024-01-01T00:00:01Z'),
+      priceUsd: 2,
+      amount: 5,
+      amountUsd: 10,
+      side: 'buy',
+      wallet: 'W1',
+      signature: 'z'
+    });
+  });
+
+  test('drops rows without a price or a side', () => {
+    expect(normalizeTokenTrades([
+      row('2024-01-01T00:00:01Z', 'a', 'buy', 0),
+      row('2024-01-01T00:00:01Z', 'b', '')
+    ])).toEqual([]);
+    expect(normalizeTokenTrades(undefined)).toEqual([]);
+  });
+});
+
+describe('trade flow indicators', () => {
+  test('VWAP weights prices by token amount', () => {
+    const trades = [
+      { priceUsd: 1, amount: 30, amountUsd: 30 },
+      { priceUsd: 2, amount: 10, amountUsd: 20 }
+    ];
+    expect(calculateVWAP(trades)).toBeCloseTo(50 / 40);
+    expect(calculateVWAP([])).toBeNull();
+  });
+
+  test('OBV adds volume on upticks and subtracts it on downticks', () => {
+    const trades = series([
+      [1, 100, 'buy', 'A'],
+      [2, 50, 'buy', 'B'],
+      [2, 70, 'sell', 'C'],
+      [1.5, 20, 'sell', 'D']
+    ]);
+    const { obv, series: values, normalized } = calculateOBV(trades);
+    expect(values).toEqual([0, 50, 50, 30]);
+    expect(obv).toBe(30);
+    expect(normalized).toBeCloseTo(30 / 140);
+  });
+
+  test('buy/sell pressure is the buy share of volume', () => {
+    const pressure = calculateBuySellPressure(series([
+      [1, 75, 'buy', 'A'],
+      [1, 25, 'sell', 'B']
+    ]));
+    expect(pressure).toEqual({ buys: 1, sells: 1, buyVolumeUsd: 75, sellVolumeUsd: 25, buyRatio: 0.75, pressure: 0.5 });
+    expect(calculateBuySellPressure([]).pressure).toBe(0);
+  });
+
+  test('trade sizes are bucketed and summarized', () => {
+    const sizes = calculateTradeSizeDistribution(series([
+      [1, 5, 'buy', 'A'],
+      [1, 50, 'sell', 'B'],
+      [1, 500, 'buy', 'C'],
+      [1, 5000, 'buy', 'D'],
+      [1, 20000, 'sell', 'E']
+    ]));
+    expect(sizes.buckets.map(bucket => bucket.count)).toEqual([1, 1, 1, 1, 1]);
+    expect(sizes.buckets[4]).toMatchObject({ min: 10000, max: Infinity, volumeUsd: 20000, sellVolumeUsd: 20000 });
+    expect(sizes.median).toBe(500);
+    expect(sizes.mean).toBe(5111);
+    expect(sizes.p90).toBeCloseTo(14000);
+    expect(sizes.largeNetFlow).toBeCloseTo((5000 - 20000) / 25000);
+  });
+
+  test('wallet growth counts each wallet once, in its first window', () => {
+    const growth = calculateWalletGrowth(series([
+      [1, 10, 'buy', 'A', 0],
+      [1, 10, 'buy', 'B', 10],
+      [1, 10, 'buy', 'A', 30],
+      [1, 10, 'buy', 'C', 45],
+      [1, 10, 'buy', 'D', 80],
+      [1, 10, 'buy', 'E', 90],
+      [1, 10, 'buy', 'F', 100]
+    ]));
+    expect(growth.uniqueWallets).toBe(6);
+    expect(growth.newWallets).toEqual([2, 1, 0, 3]);
+    expect(growth.acceleration).toBe(6);
+  });
+
+  test('wallet growth has no acceleration without a time span', () => {
+    expect(calculateWalletGrowth([]).acceleration).toBeNull();
+    expect(calculateWalletGrowth(series([[1, 10, 'buy', 'A', 0], [1, 10, 'buy', 'B', 0]])).acceleration).toBeNull();
+  });
+});
+
+describe('scoreTradeFlow', () => {
+  // Price climbs on buys from a growing set of wallets
+  const bullish = series(Array.from({ length: 40 }, (_, i) => [
+    1 + i * 0.02,
+    i % 5 === 4 ? 40 : 100 + i * 10,
+    i % 5 === 4 ? 'sell' : 'buy',
+    `W${i % 5 === 4 ? 0 : i}`
+  ]));
+  // The same trades with sides flipped and the price falling
+  const bearish = bullish.map((t, i) => ({
+    ...t,
+    priceUsd: 2 - i * 0.02,
+    side: t.side === 'buy' ? 'sell' : 'buy'
+  }));
+
+  test('is deterministic', () => {
+    expect(scoreTradeFlow(bullish)).toEqual(scoreTradeFlow(bullish.map(t => ({ ...t }))));
+  });
+
+  test('is positive for buying and negative for selling', () => {
+    expect(scoreTradeFlow(bullish).score).toBeGreaterThan(0.3);
+    expect(scoreTradeFlow(bearish).score).toBeLessThan(-0.3);
+  });
+
+  test('is neutral without trades', () => {
+    const flow = scoreTradeFlow([]);
+    expect(flow.score).toBe(0);
+    expect(flow.vwap).toBeNull();
+    expect(Object.values(flow.components).every(value => value === 0)).toBe(true);
+  });
+
+  test('keeps every component within [-1, 1]', () => {
+    const { components } = scoreTradeFlow(bullish);
+    Object.values(components).forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(-1);
+      expect(value).toBeLessThanOrEqual(1);
+    });
+  });
+});
+
+describe('technicalVotes', () => {
+  test('percentages sum to 100', () => {
+    const prices = Array.from({ length: 30 }, (_, i) => 1 + Math.sin(i) * 0.1);
+    const votes = technicalVotes(prices, 1);
+    expect(votes.bullish + votes.bearish + votes.neutral).toBeCloseTo(100);
+  });
+
+  test('a spike splits momentum and mean-reversion votes', () => {
+    // Enough prices for a 9-period signal line under the MACD
+    const prices = [...Array(34).fill(1), 1.5];
+    expect(technicalVotes(prices, 1)).toEqual({ bullish: 50, bearish: 50, neutral: 0 });
+  });
+
+  test('no prices is neutral', () => {
+    expect(technicalVotes([])).toEqual({ bullish: 0, bearish: 0, neutral: 100 });
+  });
+});
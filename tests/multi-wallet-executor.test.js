@@ -0,0 +1,104 @@
+import { jest } from '@jest/globals';
+import { Keypair } from '@solana/web3.js';
+
+const MINT = 'Mint111111111111111111111111111111111111111';
+
+const performSwap = jest.fn();
+const getSolBalance = jest.fn();
+jest.unstable_mockModule('../modules/jupiter-swap.js', () => ({
+  performSwap,
+  getSolBalance,
+  getTokenBalance: jest.fn(),
+  getTokenMetadata: jest.fn()
+}));
+const getSignatureStatuses = jest.fn();
+jest.unstable_mockModule('../modules/rpc-pool.js', () => ({
+  rpcPool: { getConnection: () => ({ getSignatureStatuses }) }
+}));
+
+const { MultiWalletExecutor } = await import('../modules/multi-wallet-executor.js');
+const { eventBus } = await import('../modules/event-bus.js');
+
+// performSwap that broadcasts and then fails waiting for confirmation
+const sendThenTimeOut = (signature) => async (fromMint, toMint, amount, wallet) => {
+  eventBus.publish('swap.submitted', { fromMint, toMint, amount, signature, wallet: wallet.publicKey.toString() });
+  throw new Error('Transaction was not confirmed in 30.00 seconds');
+};
+
+describe('MultiWalletExecutor', () => {
+  let executor;
+  let wallet;
+
+  beforeEach(() => {
+    executor = new MultiWalletExecutor();
+    wallet = Keypair.generate();
+    performSwap.mockReset();
+    getSolBalance.mockReset();
+    getSignatureStatuses.mockReset();
+    getSolBalance.mockResolvedValue(1);
+  });
+
+  const buy = (overrides = {}) => ({
+    walletName: 'main',
+    wallet,
+    tokenMint: MINT,
+    side: 'buy',
+    sizing: { mode: 'fixed', amount: 0.1 },
+    ...overrides
+  });
+
+  test('does not retry a swap that was sent but not confirmed', async () => {
+    performSwap.mockImplementation(sendThenTimeOut('sig1'));
+    getSignatureStatuses.mockResolvedValue({ value: [null] });
+
+    const [result] = await executor.execute([buy()], { concurrency: 1, retries: 2 });
+
+    expect(performSwap).toHaveBeenCalledTimes(1);
+    expect(result.status).toBe('failed');
+    expect(result.signature).toBe('sig1');
+  });
+
+  test('reports a sent swap that landed as done', async () => {
+    performSwap.mockImplementation(sendThenTimeOut('sig1'));
+    getSignatureStatuses.mockResolvedValue({ value: [{ err: null, confirmationStatus: 'confirmed' }] });
+
+    const [result] = await executor.execute([buy()], { concurrency: 1, retries: 2 });
+
+    expect(performSwap).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ status: 'ok', signature: 'sig1', error: null });
+  });
+
+  test('retries a swap that failed before sending', async () => {
+    performSwap
+      .mockRejectedValueOnce(new Error('Quote failed'))
+      .mockResolvedValueOnce({ success: true, signature: 'sig2' });
+
+    const [result] = await executor.execute([buy()], { concurrency: 1, retries: 1 });
+
+    expect(performSwap).toHaveBeenCalledTimes(2);
+    expect(getSignatureStatuses).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ status: 'ok', signature: 'sig2', attempts: 2 });
+  });
+
+  test("runs one wallet's jobs one after another", async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    let balance = 1.01;
+    getSolBalance.mockImplementation(async () => balance);
+    performSwap.mockImplementation(async (fromMint, toMint, amount) => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      balance -= amount / 1e9;
+      inFlight--;
+      return { success: true, signature: `sig-${amount}` };
+    });
+
+    const sizing = { mode: 'percent', percent: 50 };
+    const results = await executor.execute([buy({ sizing }), buy({ sizing, tokenMint: 'Other' })], { concurrency: 4 });
+
+    expect(maxInFlight).toBe(1);
+    // The second buy is sized from what the first left
+    expect(results[0].amount).toBeCloseTo(0.5);
+    expect(results[1].amount).toBeCloseTo(0.25);
+  });
+});
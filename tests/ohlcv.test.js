@@ -0,0 +1,167 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { CANDLE_INTERVALS, OhlcvStore, buildCandles, foldTrade } from '../modules/ohlcv.js';
+
+const MINUTE = 60000;
+const trade = (time, priceUsd, amountUsd = 10, signature = `s${time}-${priceUsd}`) => ({
+  time,
+  priceUsd,
+  amount: amountUsd / priceUsd,
+  amountUsd,
+  side: 'buy',
+  wallet: 'W',
+  signature
+});
+
+// DEXTradeByTokens row as returned by buildTokenTradesQuery
+const row = ({ time, priceUsd, amountUsd, signature }) => ({
+  Trade: { PriceInUSD: priceUsd, Amount: amountUsd / priceUsd, AmountInUSD: amountUsd, Side: { Type: 'buy' } },
+  Block: { Time: new Date(time).toISOString() },
+  Transaction: { Signature: signature, Signer: 'W' }
+});
+
+describe('buildCandles', () => {
+  test('groups trades into OHLCV buckets', () => {
+    const candles = buildCandles([
+      trade(0, 1, 10),
+      trade(10000, 3, 30),
+      trade(20000, 0.5, 5),
+      trade(30000, 2, 20),
+      trade(MINUTE * 2 + 1, 4, 40)
+    ], MINUTE);
+    expect(candles).toEqual([
+      { time: 0, open: 1, high: 3, low: 0.5, close: 2, volume: 40, volumeUsd: 65, trades: 4 },
+      { time: MINUTE * 2, open: 4, high: 4, low: 4, close: 4, volume: 10, volumeUsd: 40, trades: 1 }
+    ]);
+  });
+
+  test('ignores trades older than the last candle', () => {
+    const candles = buildCandles([trade(MINUTE, 1)], MINUTE);
+    expect(foldTrade(candles, trade(0, 5), MINUTE)).toBe(false);
+    expect(candles).toHaveLength(1);
+    expect(candles[0].close).toBe(1);
+  });
+
+  test('builds every interval from the same trades', () => {
+    const trades = [trade(0, 1), trade(1500, 2), trade(61000, 3)];
+    expect(buildCandles(trades, CANDLE_INTERVALS['1s'].ms).map(c => c.close)).toEqual([1, 2, 3]);
+    expect(buildCandles(trades, CANDLE_INTERVALS['1m'].ms).map(c => c.close)).toEqual([2, 3]);
+    expect(buildCandles(trades, CANDLE_INTERVALS['1h'].ms).map(c => c.close)).toEqual([3]);
+  });
+});
+
+describe('OhlcvStore', () => {
+  let cacheDir;
+  let responses;
+  let queries;
+  const request = async query => {
+    queries.push(query.query);
+    return { data: { Solana: { DEXTradeByTokens: responses.shift() || [] } } };
+  };
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ohlcv-test-'));
+    responses = [];
+    queries = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test('starts from the latest trades and extends from the cursor', async () => {
+    const start = Math.floor((Date.now() - 10 * MINUTE) / MINUTE) * MINUTE;
+    const first = [trade(start, 1, 10, 'a'), trade(start + 5000, 2, 10, 'b')];
+    // Newest first, as the initial query returns them
+    responses.push(first.map(row).reverse());
+
+    const store = new OhlcvStore({ cacheDir, request });
+    expect(await store.update('MINT')).toBe(2);
+    expect(queries[0]).toContain('descending: Block_Time');
+
+    // The trade at the cursor comes back and is skipped
+    responses.push([row(first[1]), row(trade(start + MINUTE, 3, 10, 'c'))]);
+    expect(await store.update('MINT')).toBe(1);
+    expect(queries[1]).toContain('ascending: Block_Time');
+    expect(queries[1]).toContain(new Date(start + 5000).toISOString());
+
+    const candles = await store.getCandles('MINT', '1m', { refresh: false });
+    expect(candles.map(c => [c.open, c.close, c.trades])).toEqual([[1, 2, 2], [3, 3, 1]]);
+  });
+
+  test('reloads candles from disk', async () => {
+    const time = Date.now() - MINUTE;
+    responses.push([row(trade(time, 1.5, 10, 'a'))]);
+    await new OhlcvStore({ cacheDir, request }).update('MINT');
+
+    const reloaded = new OhlcvStore({ cacheDir, request: () => { throw new Error('offline'); } });
+    const candles = await reloaded.getCandles('MINT', '5m');
+    expect(candles).toHaveLength(1);
+    expect(candles[0].close).toBe(1.5);
+  });
+
+  test('keeps old candles and takes the latest trades after a long idle', async () => {
+    const old = Date.now() - 2 * 24 * 60 * MINUTE;
+    responses.push([row(trade(old, 1, 10, 'a'))]);
+    const store = new OhlcvStore({ cacheDir, request });
+    await store.update('MINT');
+
+    responses.push([row(trade(Date.now() - MINUTE, 2, 10, 'b'))]);
+    expect(await store.update('MINT')).toBe(1);
+    expect(queries[1]).toContain('descending: Block_Time');
+    const candles = await store.getCandles('MINT', '1h', { refresh: false });
+    expect(candles.map(c => c.close)).toEqual([1, 2]);
+  });
+
+  test('shares one request between concurrent updates', async () => {
+    responses.push([row(trade(Date.now() - MINUTE, 1, 10, 'a'))]);
+    const store = new OhlcvStore({ cacheDir, request });
+    await Promise.all([store.update('MINT'), store.update('MINT')]);
+    expect(queries).toHaveLength(1);
+  });
+
+  test('waits a bounded time for an update and keeps it running', async () => {
+    let release;
+    const slow = () => new Promise(resolve => {
+      release = () => resolve({ data: { Solana: { DEXTradeByTokens: [row(trade(Date.now() - MINUTE, 1, 10, 'a'))] } } });
+    });
+    const store = new OhlcvStore({ cacheDir, request: slow });
+
+    expect(await store.updateWithin('MINT', 10)).toBe(false);
+    expect(await store.getCandles('MINT', '1m', { refresh: false })).toEqual([]);
+
+    release();
+    await store.update('MINT');
+    expect(await store.getCandles('MINT', '1m', { refresh: false })).toHaveLength(1);
+  });
+
+  test('keeps the most recently used series in memory', () => {
+    const store = new OhlcvStore({ cacheDir, request });
+    for (let i = 0; i <= 200; i++) {
+      store.remember({ mint: `M${i}`, cursor: null, candles: {} });
+    }
+    expect(store.series.size).toBe(200);
+    expect(store.series.has('M0')).toBe(false);
+    expect(store.series.has('M200')).toBe(true);
+  });
+
+  test('prunes cache files that have not been updated for a week', async () => {
+    responses.push([row(trade(Date.now() - MINUTE, 1, 10, 'a'))], [row(trade(Date.now() - MINUTE, 2, 10, 'b'))]);
+    const store = new OhlcvStore({ cacheDir, request });
+    await store.update('OLD');
+    await store.update('NEW');
+    const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * MINUTE);
+    fs.utimesSync(store.cachePath('OLD'), eightDaysAgo, eightDaysAgo);
+
+    expect(store.prune()).toBe(1);
+    expect(fs.existsSync(store.cachePath('OLD'))).toBe(false);
+    expect(store.peek('OLD')).toBeNull();
+    expect(store.peek('NEW')).not.toBeNull();
+  });
+
+  test('rejects unknown intervals', async () => {
+    const store = new OhlcvStore({ cacheDir, request });
+    await expect(store.getCandles('MINT', '2m')).rejects.toThrow('Unknown candle interval');
+  });
+});
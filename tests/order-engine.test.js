@@ -0,0 +1,69 @@
+import { jest } from '@jest/globals';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Keypair } from '@solana/web3.js';
+
+const MINT = 'Mint111111111111111111111111111111111111111';
+
+// Quotes succeed; building the transaction fails, so nothing is ever sent
+const fetch = jest.fn(async url => {
+  if (String(url).includes('/quote')) {
+    return { ok: true, json: async () => ({ inAmount: '100000000', outAmount: '5000', routePlan: [] }) };
+  }
+  return { ok: false, status: 500, text: async () => 'unavailable' };
+});
+jest.unstable_mockModule('node-fetch', () => ({ default: fetch }));
+jest.unstable_mockModule('../modules/rpc-pool.js', () => ({
+  rpcPool: {
+    getConnection: () => ({ getRecentPrioritizationFees: async () => [] }),
+    connectionFor: () => ({}),
+    getEndpoint: () => 'http://localhost:8899'
+  }
+}));
+
+const { OrderEngine } = await import('../modules/order-engine.js');
+const { settingsManager } = await import('../modules/settings-manager.js');
+const { performanceOptimizer } = await import('../modules/performance-optimizer.js');
+
+describe('OrderEngine slippage', () => {
+  let dir;
+  let engine;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orders-'));
+    engine = new OrderEngine(path.join(dir, 'orders.json'));
+    engine.resolveWallet = () => Keypair.generate();
+    fetch.mockClear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    performanceOptimizer.stopCleanupInterval();
+  });
+
+  const quotedSlippageBps = () => {
+    const quoteUrl = fetch.mock.calls.map(([url]) => String(url)).find(url => url.includes('/quote'));
+    return new URL(quoteUrl).searchParams.get('slippageBps');
+  };
+
+  test("quotes with the order's own slippage", async () => {
+    const order = engine.addOrder({ type: 'limit_buy', mint: MINT, wallet: 'w', triggerPrice: 1, amountSOL: 0.1, slippage: 7.5 });
+    await engine.execute(order, 1);
+
+    expect(quotedSlippageBps()).toBe('750');
+  });
+
+  test('falls back to the slippageLimit setting', async () => {
+    const order = engine.addOrder({ type: 'limit_buy', mint: MINT, wallet: 'w', triggerPrice: 1, amountSOL: 0.1 });
+    await engine.execute(order, 1);
+
+    expect(quotedSlippageBps()).toBe(String(Math.floor(settingsManager.get('slippageLimit') * 100)));
+  });
+});
@@ -0,0 +1,39 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { PositionLedger } from '../modules/position-ledger.js';
+
+describe('PositionLedger', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('replays the journal after a restart', () => {
+    const ledger = new PositionLedger(dir);
+    ledger.openPosition('p1', { tokenAddress: 'MINT', amount: 5 });
+    ledger.updatePosition('p1', { amount: 3 });
+
+    const state = new PositionLedger(dir).load();
+    expect(state.positions.get('p1')).toEqual({ tokenAddress: 'MINT', amount: 3 });
+  });
+
+  test('cuts a torn final line so the next append stays readable', () => {
+    const ledger = new PositionLedger(dir);
+    ledger.openPosition('p1', { tokenAddress: 'MINT', amount: 5 });
+    fs.appendFileSync(ledger.journalPath, '{"seq":2,"ts":1,"type":"posi');
+
+    const restarted = new PositionLedger(dir);
+    restarted.load();
+    expect(fs.readFileSync(ledger.journalPath, 'utf8').endsWith('\n')).toBe(true);
+
+    restarted.openPosition('p2', { tokenAddress: 'OTHER', amount: 1 });
+    const state = new PositionLedger(dir).load();
+    expect(Array.from(state.positions.keys())).toEqual(['p1', 'p2']);
+  });
+});
@@ -0,0 +1,68 @@
+import { jest } from '@jest/globals';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+const MINT = 'Mint111111111111111111111111111111111111111';
+
+const getBatchTokenPrices = jest.fn();
+jest.unstable_mockModule('../modules/jupiter-swap.js', () => ({
+  getBatchTokenPrices,
+  getTokenMarketStats: jest.fn(),
+  isPriced: price => price > 0.00000001
+}));
+const notify = jest.fn();
+jest.unstable_mockModule('../modules/notifications.js', () => ({
+  notifier: { notify }
+}));
+
+const { PriceAlerts } = await import('../modules/price-alerts.js');
+
+describe('PriceAlerts.evaluate', () => {
+  let dir;
+  let alerts;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+    alerts = new PriceAlerts(path.join(dir, 'alerts.json'));
+    notify.mockClear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('does not fire an alert again that a monitor fired while prices loaded', async () => {
+    alerts.addAlert(MINT, 1, 'above');
+    getBatchTokenPrices.mockImplementation(async () => {
+      await alerts.checkAlerts(2, MINT);
+      return { [MINT]: 2 };
+    });
+
+    const fired = await alerts.evaluate();
+
+    expect(fired).toEqual([]);
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not fire an alert removed while prices loaded', async () => {
+    const id = alerts.addAlert(MINT, 1, 'above');
+    getBatchTokenPrices.mockImplementation(async () => {
+      alerts.removeAlert(id);
+      return { [MINT]: 2 };
+    });
+
+    expect(await alerts.evaluate()).toEqual([]);
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  test('fires an alert whose threshold is crossed', async () => {
+    alerts.addAlert(MINT, 1, 'above');
+    getBatchTokenPrices.mockResolvedValue({ [MINT]: 2 });
+
+    expect(await alerts.evaluate()).toHaveLength(1);
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+});
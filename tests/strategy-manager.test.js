@@ -0,0 +1,53 @@
+import { jest } from '@jest/globals';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+jest.unstable_mockModule('../modules/jupiter-swap.js', () => ({
+  performSwap: jest.fn(),
+  simulateSwap: jest.fn(),
+  getBestQuote: jest.fn(),
+  getSwapTransaction: jest.fn()
+}));
+
+const { StrategyManager } = await import('../modules/strategy-manager.js');
+
+const MINT = 'Mint111111111111111111111111111111111111111';
+
+describe('StrategyManager budget', () => {
+  let dir;
+  let manager;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'strategies-'));
+    manager = new StrategyManager({ configPath: path.join(dir, 'strategies.json') });
+    await manager.load();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const buy = () => manager.handleSignal('momentum', { type: 'BUY', tokenAddress: MINT, confidence: 0.9 });
+
+  test('dry-run buys do not use up the budget', async () => {
+    manager.executor = async () => ({ success: true, dryRun: true });
+
+    for (let i = 0; i < 20; i++) {
+      expect(await buy()).toMatchObject({ success: true });
+    }
+
+    expect(manager.getBudget('momentum').spentSol).toBe(0);
+    expect(manager.strategies.get('momentum').dryRunLamports).toBe(20 * 0.05 * 1e9);
+  });
+
+  test('live buys count what they cost', async () => {
+    manager.executor = async () => ({ success: true, inputAmount: 40000000 });
+
+    await buy();
+
+    expect(manager.getBudget('momentum').spentSol).toBeCloseTo(0.04);
+  });
+});
@@ -0,0 +1,110 @@
+import * as fs from 'fs';
+import { calculateRealizedPnL, decodeSwapTransaction } from '../modules/swap-history.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+// getTransaction results for one wallet: a Jupiter buy paid partly from a held
+// wSOL account, a pump.fun sell of part of it, and a USDC → token Jupiter swap
+const fixtures = JSON.parse(fs.readFileSync(new URL('./fixtures/swap-transactions.json', import.meta.url)));
+const { wallet, token: TOKEN } = fixtures;
+
+describe('decodeSwapTransaction', () => {
+  test('decodes a Jupiter buy with wrapped SOL netted into the SOL spent', () => {
+    const swap = decodeSwapTransaction(fixtures.jupiterBuy, wallet);
+
+    expect(swap).toMatchObject({
+      signature: fixtures.jupiterBuy.transaction.signatures[0],
+      blockTime: 1717243200,
+      program: 'jupiter',
+      side: 'buy',
+      inputMint: SOL_MINT,
+      outputMint: TOKEN,
+      outputAmount: 1234.56789,
+      feeSOL: 0.000015
+    });
+    // 0.07 native + 0.03 wSOL + 0.00203928 rent for the new token account; the fee is added back
+    expect(swap.inputAmount).toBeCloseTo(0.10203928, 12);
+    expect(swap.price).toBeCloseTo(0.10203928 / 1234.56789, 15);
+  });
+
+  test('decodes a pump.fun sell from the SOL received before the fee', () => {
+    const swap = decodeSwapTransaction(fixtures.pumpSell, wallet);
+
+    expect(swap).toMatchObject({
+      program: 'pump',
+      side: 'sell',
+      inputMint: TOKEN,
+      inputAmount: 500,
+      outputMint: SOL_MINT,
+      feeSOL: 0.000005
+    });
+    expect(swap.outputAmount).toBeCloseTo(0.25, 12);
+    expect(swap.price).toBeCloseTo(0.0005, 15);
+  });
+
+  test('decodes a token-to-token swap', () => {
+    const swap = decodeSwapTransaction(fixtures.tokenSwap, wallet);
+
+    expect(swap).toMatchObject({
+      program: 'jupiter',
+      side: 'swap',
+      inputMint: USDC_MINT,
+      inputAmount: 25.5,
+      outputMint: TOKEN,
+      outputAmount: 300
+    });
+    expect(swap.price).toBeCloseTo(0.085, 12);
+  });
+
+  test('skips failed transactions and wallets that took no part', () => {
+    const failed = { ...fixtures.pumpSell, meta: { ...fixtures.pumpSell.meta, err: { InstructionError: [0, 'Custom'] } } };
+    expect(decodeSwapTransaction(failed, wallet)).toBeNull();
+    expect(decodeSwapTransaction(fixtures.pumpSell, 'Other111111111111111111111111111111111111111')).toBeNull();
+  });
+});
+
+describe('calculateRealizedPnL', () => {
+  const buy = (blockTime, amount, sol, feeSOL = 0) =>
+    ({ blockTime, side: 'buy', inputMint: SOL_MINT, inputAmount: sol, outputMint: TOKEN, outputAmount: amount, feeSOL });
+  const sell = (blockTime, amount, sol, feeSOL = 0) =>
+    ({ blockTime, side: 'sell', inputMint: TOKEN, inputAmount: amount, outputMint: SOL_MINT, outputAmount: sol, feeSOL });
+
+  test('matches sells against the average cost of earlier buys', () => {
+    // Out of order on purpose; records are replayed by block time
+    const [summary] = calculateRealizedPnL([
+      sell(3, 1500, 3, 0.01),
+      buy(1, 1000, 1, 0.01),
+      buy(2, 1000, 2, 0.01)
+    ]);
+
+    // 3.02 SOL for 2000 tokens; 1500 of them sold for 2.99 after the fee
+    expect(summary).toMatchObject({ mint: TOKEN, buys: 2, sells: 1, bought: 2000, sold: 1500, openQuantity: 500 });
+    expect(summary.realizedSOL).toBeCloseTo(2.99 - 1500 * (3.02 / 2000), 12);
+    expect(summary.openCostSOL).toBeCloseTo(500 * (3.02 / 2000), 12);
+    expect(summary.feesSOL).toBeCloseTo(0.03, 12);
+  });
+
+  test('reports sells beyond the loaded buys as unmatched', () => {
+    const [summary] = calculateRealizedPnL([buy(1, 100, 1), sell(2, 400, 2)]);
+
+    expect(summary.unmatchedSold).toBe(300);
+    expect(summary.openQuantity).toBe(0);
+    // Only the quarter of the proceeds from matched tokens counts
+    expect(summary.realizedSOL).toBeCloseTo(0.5 - 1, 12);
+    expect(summary.proceedsSOL).toBe(2);
+  });
+
+  test('prices the decoded fixtures and counts the token swap without valuing it', () => {
+    const records = ['jupiterBuy', 'pumpSell', 'tokenSwap'].map(name => decodeSwapTransaction(fixtures[name], wallet));
+    const summaries = calculateRealizedPnL(records);
+    const token = summaries.find(summary => summary.mint === TOKEN);
+    const usdc = summaries.find(summary => summary.mint === USDC_MINT);
+
+    const cost = 0.10203928 + 0.000015;
+    expect(token).toMatchObject({ buys: 1, sells: 1, swaps: 1, unmatchedSold: 0 });
+    expect(token.realizedSOL).toBeCloseTo((0.25 - 0.000005) - cost * (500 / 1234.56789), 12);
+    expect(token.openQuantity).toBeCloseTo(734.56789, 9);
+    expect(usdc).toMatchObject({ swaps: 1, realizedSOL: 0 });
+  });
+});